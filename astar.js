@@ -1,4 +1,15 @@
-// Minimal A* implementation with step-by-step iterator
+// Minimal A* implementation (plus Dijkstra / greedy / weighted variants) with step-by-step iterator
+import { makeChStepper } from './contraction-hierarchy.js';
+import { MinHeap } from './min-heap.js';
+import {
+  decodeFrontier,
+  decodeNumber,
+  encodeFrontier,
+  encodeNumber,
+  invalidEndpointsSnapshots,
+  makeSnapshot,
+  readSnapshot,
+} from './stepper-state.js';
 
 export function haversineMeters(a, b) {
   // a/b: {lat, lon}
@@ -24,92 +35,28 @@ export function reconstructPath(cameFrom, currentKey) {
   return path;
 }
 
-// Binary min-heap keyed by priority (f-score).
-// O(log n) push/pop/decreaseKey, O(1) has/size.
-class MinHeap {
-  constructor() {
-    this._heap = []; // [{key, priority}]
-    this._index = new Map(); // key → index in _heap
-  }
-
-  get size() {
-    return this._heap.length;
-  }
-
-  has(key) {
-    return this._index.has(key);
-  }
-
-  push(key, priority) {
-    if (this._index.has(key)) {
-      this.decreaseKey(key, priority);
-      return;
-    }
-    const i = this._heap.length;
-    this._heap.push({ key, priority });
-    this._index.set(key, i);
-    this._bubbleUp(i);
-  }
-
-  pop() {
-    if (this._heap.length === 0) return undefined;
-    const top = this._heap[0];
-    const last = this._heap.pop();
-    this._index.delete(top.key);
-    if (this._heap.length > 0) {
-      this._heap[0] = last;
-      this._index.set(last.key, 0);
-      this._sinkDown(0);
-    }
-    return top.key;
-  }
-
-  decreaseKey(key, priority) {
-    const i = this._index.get(key);
-    if (i === undefined) return;
-    if (priority < this._heap[i].priority) {
-      this._heap[i].priority = priority;
-      this._bubbleUp(i);
-    }
-  }
-
-  _bubbleUp(i) {
-    const heap = this._heap;
-    const idx = this._index;
-    while (i > 0) {
-      const parent = (i - 1) >> 1;
-      if (heap[i].priority >= heap[parent].priority) break;
-      idx.set(heap[i].key, parent);
-      idx.set(heap[parent].key, i);
-      const tmp = heap[i];
-      heap[i] = heap[parent];
-      heap[parent] = tmp;
-      i = parent;
-    }
-  }
-
-  _sinkDown(i) {
-    const heap = this._heap;
-    const idx = this._index;
-    const n = heap.length;
-    while (true) {
-      let smallest = i;
-      const left = 2 * i + 1;
-      const right = 2 * i + 2;
-      if (left < n && heap[left].priority < heap[smallest].priority) smallest = left;
-      if (right < n && heap[right].priority < heap[smallest].priority) smallest = right;
-      if (smallest === i) break;
-      idx.set(heap[i].key, smallest);
-      idx.set(heap[smallest].key, i);
-      const tmp = heap[i];
-      heap[i] = heap[smallest];
-      heap[smallest] = tmp;
-      i = smallest;
-    }
+// Drive a stepper until it reports done (or maxIters steps pass without finishing).
+export function runToCompletion(stepper, maxIters = Infinity) {
+  for (let i = 0; i < maxIters; i++) {
+    const r = stepper.step();
+    if (r.done) return r;
   }
+  return { done: false, status: 'searching', ...stepper.getState() };
 }
 
-export function makeAStarStepper({
+// Best-first search family. Every stepper orders its open set by
+//   priority = gWeight * g(n) + hWeight * h(n)
+// which covers A* (1, 1), Dijkstra (1, 0), greedy best-first (0, 1) and
+// weighted A* (1, epsilon). All share the same step()/getState() contract, and
+// serialize()/restore(snapshot) to save and continue a search (stepper-state.js).
+// Searching steps name the node they closed (closedKey), its tree parent
+// (parentKey), the priority it left the open set with (closedF) and the keys
+// that joined the open set (openedKeys), so the tree and the frontier can be
+// drawn from per-step deltas.
+// Keys are opaque Map keys: grid cells, node ids, or directed-edge states for
+// turn-aware search (see makeTurnSearch in road-graph.js), where cost(a, b)
+// includes the turn from edge a onto edge b.
+function makeBestFirstStepper({
   startKey,
   goalKey,
   neighbors,
@@ -117,8 +64,13 @@ export function makeAStarStepper({
   heuristic,
   isValidNode,
   maxSteps,
+  gWeight = 1,
+  hWeight = 1,
 }) {
   const isValid = (k) => (typeof isValidNode === 'function' ? !!isValidNode(k) : true);
+  const h = hWeight === 0 ? () => 0 : (k) => hWeight * heuristic(k, goalKey);
+  // Greedy skips g entirely: 0 * Infinity (a node behind an impassable edge) is NaN.
+  const g = gWeight === 0 ? () => 0 : (gValue) => gWeight * gValue;
 
   // Fast-fail if start/goal invalid
   if (!isValid(startKey) || !isValid(goalKey)) {
@@ -135,15 +87,16 @@ export function makeAStarStepper({
           steps: 0,
         };
       },
+      ...invalidEndpointsSnapshots(startKey, goalKey),
     };
   }
 
-  const openHeap = new MinHeap();
-  const closedSet = new Set();
-  const cameFrom = new Map();
+  let openHeap = new MinHeap();
+  let closedSet = new Set();
+  let cameFrom = new Map();
 
-  const gScore = new Map([[startKey, 0]]);
-  const initialF = heuristic(startKey, goalKey);
+  let gScore = new Map([[startKey, 0]]);
+  const initialF = h(startKey);
   openHeap.push(startKey, initialF);
 
   let done = false;
@@ -166,6 +119,7 @@ export function makeAStarStepper({
         return { done: true, ...result };
       }
 
+      const closedF = openHeap.peekPriority();
       const current = openHeap.pop();
 
       steps += 1;
@@ -179,8 +133,10 @@ export function makeAStarStepper({
       }
 
       closedSet.add(current);
+      const openedKeys = [];
 
-      for (const nb of neighbors(current)) {
+      // The parent lets neighbor functions prune by direction (jump point search).
+      for (const nb of neighbors(current, cameFrom.get(current))) {
         if (!isValid(nb)) continue;
         if (closedSet.has(nb)) continue;
 
@@ -189,11 +145,13 @@ export function makeAStarStepper({
         if (tentativeG < (gScore.get(nb) ?? Infinity)) {
           cameFrom.set(nb, current);
           gScore.set(nb, tentativeG);
-          const f = tentativeG + heuristic(nb, goalKey);
+          const f = g(tentativeG) + h(nb);
+          if (!openHeap.has(nb)) openedKeys.push(nb);
           // push handles both insert and decreaseKey
           openHeap.push(nb, f);
         } else if (!openHeap.has(nb) && !closedSet.has(nb)) {
-          const f = (gScore.get(nb) ?? Infinity) + heuristic(nb, goalKey);
+          const f = g(gScore.get(nb) ?? Infinity) + h(nb);
+          openedKeys.push(nb);
           openHeap.push(nb, f);
         }
       }
@@ -202,6 +160,10 @@ export function makeAStarStepper({
         done: false,
         status: 'searching',
         current,
+        closedKey: current,
+        parentKey: cameFrom.get(current) ?? null,
+        closedF,
+        openedKeys,
         openSize: openHeap.size,
         closedSet,
         cameFrom,
@@ -213,5 +175,311 @@ export function makeAStarStepper({
     getState() {
       return { openSize: openHeap.size, closedSet, cameFrom, gScore, steps };
     },
+
+    serialize() {
+      return makeSnapshot('best-first', {
+        startKey,
+        goalKey,
+        gWeight,
+        hWeight,
+        steps,
+        done,
+        result,
+        ...encodeFrontier({ heap: openHeap, closedSet, cameFrom, gScore }),
+      });
+    },
+
+    // Continue from a snapshot of the same search; false (state untouched) otherwise.
+    restore(snapshot) {
+      const s = readSnapshot(snapshot, 'best-first', { startKey, goalKey, gWeight, hWeight });
+      const frontier = s && decodeFrontier(s);
+      if (!frontier) return false;
+      ({ heap: openHeap, closedSet, cameFrom, gScore } = frontier);
+      steps = s.steps;
+      done = !!s.done;
+      result = done ? s.result : null;
+      return true;
+    },
+  };
+}
+
+export function makeAStarStepper(options) {
+  return makeBestFirstStepper({ ...options, gWeight: 1, hWeight: 1 });
+}
+
+// Uniform-cost search: ignores the heuristic entirely (optional in options).
+export function makeDijkstraStepper(options) {
+  return makeBestFirstStepper({ ...options, gWeight: 1, hWeight: 0 });
+}
+
+// Greedy best-first: follows the heuristic only. Fast, but paths are not optimal.
+export function makeGreedyStepper(options) {
+  return makeBestFirstStepper({ ...options, gWeight: 0, hWeight: 1 });
+}
+
+export const DEFAULT_EPSILON = 1.5;
+
+// Weighted A*: inflates the heuristic by epsilon >= 1. Paths are within a factor
+// of epsilon of optimal (for an admissible heuristic).
+export function makeWeightedAStarStepper({ epsilon = DEFAULT_EPSILON, ...options }) {
+  const w = Number.isFinite(epsilon) ? Math.max(1, epsilon) : DEFAULT_EPSILON;
+  return makeBestFirstStepper({ ...options, gWeight: 1, hWeight: w });
+}
+
+// One search direction of a bidirectional search: open heap + closed set + tree.
+function makeFrontier(rootKey, rootPriority) {
+  const heap = new MinHeap();
+  heap.push(rootKey, rootPriority);
+  return {
+    heap,
+    closedSet: new Set(),
+    cameFrom: new Map(),
+    gScore: new Map([[rootKey, 0]]),
   };
 }
+
+// Bidirectional A*: one frontier grows forward from startKey, the other grows
+// backward from goalKey over reversed edges. `reverseNeighbors(k)` must list the
+// predecessors of k (defaults to `neighbors`, i.e. an undirected graph); costs are
+// always queried in travel direction, cost(from, to).
+//
+// Terminates once the best meeting cost mu is no larger than the smallest f-score
+// on either frontier, which keeps the path optimal for an admissible heuristic.
+// Step results carry both trees: closedSet/cameFrom/gScore (forward) and
+// closedSetBackward/cameFromBackward/gScoreBackward, where cameFromBackward
+// points one edge closer to the goal.
+export function makeBidirectionalAStarStepper({
+  startKey,
+  goalKey,
+  neighbors,
+  reverseNeighbors = neighbors,
+  cost,
+  heuristic,
+  isValidNode,
+  maxSteps,
+}) {
+  const isValid = (k) => (typeof isValidNode === 'function' ? !!isValidNode(k) : true);
+
+  if (!isValid(startKey) || !isValid(goalKey)) {
+    return {
+      step() {
+        return { done: true, status: 'invalid-endpoints' };
+      },
+      getState() {
+        return {
+          openSize: 0,
+          closedSet: new Set(),
+          cameFrom: new Map(),
+          gScore: new Map(),
+          closedSetBackward: new Set(),
+          cameFromBackward: new Map(),
+          gScoreBackward: new Map(),
+          steps: 0,
+        };
+      },
+      ...invalidEndpointsSnapshots(startKey, goalKey),
+    };
+  }
+
+  const hF = (k) => heuristic(k, goalKey);
+  const hB = (k) => heuristic(startKey, k);
+
+  const fwd = makeFrontier(startKey, hF(startKey));
+  const bwd = makeFrontier(goalKey, hB(goalKey));
+
+  let bestCost = startKey === goalKey ? 0 : Infinity;
+  let meetingKey = startKey === goalKey ? startKey : null;
+
+  let done = false;
+  let result = null;
+  let steps = 0;
+
+  function buildPath() {
+    const path = reconstructPath(fwd.cameFrom, meetingKey);
+    let k = meetingKey;
+    while (bwd.cameFrom.has(k)) {
+      k = bwd.cameFrom.get(k);
+      path.push(k);
+    }
+    return path;
+  }
+
+  function finish(status) {
+    done = true;
+    result = status === 'found' ? { status, path: buildPath(), steps } : { status, steps };
+    return { done: true, ...result };
+  }
+
+  function expand(side, other, nextKeys, edgeCost, h, opened) {
+    const current = side.heap.pop();
+    side.closedSet.add(current);
+    const gCur = side.gScore.get(current) ?? Infinity;
+
+    for (const nb of nextKeys(current)) {
+      if (!isValid(nb)) continue;
+      if (side.closedSet.has(nb)) continue;
+
+      const tentativeG = gCur + edgeCost(current, nb);
+      if (tentativeG < (side.gScore.get(nb) ?? Infinity)) {
+        side.cameFrom.set(nb, current);
+        side.gScore.set(nb, tentativeG);
+        if (!side.heap.has(nb)) opened.push(nb);
+        side.heap.push(nb, tentativeG + h(nb));
+
+        const gOther = other.gScore.get(nb);
+        if (gOther != null && tentativeG + gOther < bestCost) {
+          bestCost = tentativeG + gOther;
+          meetingKey = nb;
+        }
+      }
+    }
+
+    return current;
+  }
+
+  return {
+    step() {
+      if (done) return { done: true, ...result };
+
+      if (startKey === goalKey) return finish('found');
+
+      if (Number.isFinite(maxSteps) && steps >= maxSteps) {
+        done = true;
+        result = { status: 'max-steps', steps };
+        return { done: true, ...result };
+      }
+
+      if (fwd.heap.size === 0 || bwd.heap.size === 0) {
+        return finish(meetingKey != null ? 'found' : 'no-path');
+      }
+
+      if (bestCost <= Math.max(fwd.heap.peekPriority(), bwd.heap.peekPriority())) {
+        return finish('found');
+      }
+
+      steps += 1;
+
+      // Grow the smaller frontier (keeps the two searches balanced).
+      const forward = fwd.heap.size <= bwd.heap.size;
+      const openedKeys = [];
+      const closedF = (forward ? fwd : bwd).heap.peekPriority();
+      const current = forward
+        ? expand(fwd, bwd, neighbors, cost, hF, openedKeys)
+        : expand(bwd, fwd, reverseNeighbors, (a, b) => cost(b, a), hB, openedKeys);
+
+      return {
+        done: false,
+        status: 'searching',
+        current,
+        closedKey: current,
+        parentKey: (forward ? fwd : bwd).cameFrom.get(current) ?? null,
+        closedF,
+        openedKeys,
+        direction: forward ? 'forward' : 'backward',
+        openSize: fwd.heap.size + bwd.heap.size,
+        closedSet: fwd.closedSet,
+        cameFrom: fwd.cameFrom,
+        gScore: fwd.gScore,
+        closedSetBackward: bwd.closedSet,
+        cameFromBackward: bwd.cameFrom,
+        gScoreBackward: bwd.gScore,
+        steps,
+      };
+    },
+
+    getState() {
+      return {
+        openSize: fwd.heap.size + bwd.heap.size,
+        closedSet: fwd.closedSet,
+        cameFrom: fwd.cameFrom,
+        gScore: fwd.gScore,
+        closedSetBackward: bwd.closedSet,
+        cameFromBackward: bwd.cameFrom,
+        gScoreBackward: bwd.gScore,
+        steps,
+      };
+    },
+
+    serialize() {
+      return makeSnapshot('bidirectional', {
+        startKey,
+        goalKey,
+        steps,
+        done,
+        result,
+        bestCost: encodeNumber(bestCost),
+        meetingKey,
+        forward: encodeFrontier(fwd),
+        backward: encodeFrontier(bwd),
+      });
+    },
+
+    restore(snapshot) {
+      const s = readSnapshot(snapshot, 'bidirectional', { startKey, goalKey });
+      const forward = s && decodeFrontier(s.forward);
+      const backward = s && decodeFrontier(s.backward);
+      if (!forward || !backward) return false;
+      Object.assign(fwd, forward);
+      Object.assign(bwd, backward);
+      bestCost = decodeNumber(s.bestCost);
+      meetingKey = s.meetingKey ?? null;
+      steps = s.steps;
+      done = !!s.done;
+      result = done ? s.result : null;
+      return true;
+    },
+  };
+}
+
+// A* over jump points only. Found paths are expanded back to contiguous cells;
+// the raw jump points are kept as `jumpPoints` for drawing.
+function makeJumpPointStepper({ jps, ...options }) {
+  const inner = makeAStarStepper({ ...options, neighbors: jps.successors, cost: jps.cost });
+  return {
+    step() {
+      const r = inner.step();
+      if (r.status !== 'found') return r;
+      return { ...r, path: jps.expandPath(r.path), jumpPoints: r.path };
+    },
+    getState() {
+      return inner.getState();
+    },
+    serialize() {
+      return inner.serialize();
+    },
+    restore(snapshot) {
+      return inner.restore(snapshot);
+    },
+  };
+}
+
+export const SEARCH_ALGORITHMS = {
+  astar: { label: 'A*', make: makeAStarStepper },
+  dijkstra: { label: 'Dijkstra', make: makeDijkstraStepper },
+  greedy: { label: 'Greedy best-first', make: makeGreedyStepper },
+  weighted: { label: 'Weighted A*', make: makeWeightedAStarStepper },
+  bidirectional: { label: 'Bidirectional A*', make: makeBidirectionalAStarStepper },
+  // Needs `options.ch` (a contraction hierarchy); falls back to bidirectional A* without one.
+  ch: {
+    label: 'Contraction hierarchy',
+    make: (options) =>
+      options.ch ? makeChStepper(options) : makeBidirectionalAStarStepper(options),
+  },
+  // Needs `options.jps` (see jump-point-search.js, grid only); plain A* without one.
+  jps: {
+    label: 'Jump point search',
+    make: (options) => (options.jps ? makeJumpPointStepper(options) : makeAStarStepper(options)),
+  },
+};
+
+// Build a stepper for the named algorithm (unknown names fall back to A*).
+export function makeSearchStepper(algo, options) {
+  const entry = SEARCH_ALGORITHMS[algo] ?? SEARCH_ALGORITHMS.astar;
+  return entry.make(options);
+}
+
+export function algorithmLabel(algo, { epsilon } = {}) {
+  const entry = SEARCH_ALGORITHMS[algo] ?? SEARCH_ALGORITHMS.astar;
+  if (algo === 'weighted' && Number.isFinite(epsilon)) return `${entry.label} (ε=${epsilon})`;
+  return entry.label;
+}
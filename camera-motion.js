@@ -0,0 +1,247 @@
+import { clamp } from './config.js';
+import { bboxCenter, makeCamera } from './coordinates.js';
+
+// --- Cinematic camera (camera=cinematic) ---
+//
+// A director moves the camera through the cycle: during the search it drifts
+// toward a fit of the endpoints and the explored region, in end-trace it eases
+// to fit the found path, and when the next search starts it eases back out to
+// the home view. Views are { center: { lat, lon }, zoom }; rotation stays put.
+//
+// Layers are not redrawn every frame the camera moves. They are drawn once for a
+// stage (a camera snapshot at a quantized zoom, with a margin around the screen)
+// and composited with a scale + offset. Once the camera settles a stage is
+// replaced when the camera leaves its zoom level or its margin; while it moves
+// the current stage is scaled further (see stageStandsIn).
+
+// Zoom levels per doubling. Between levels a stage is scaled up by at most 2^(1/2).
+export const STAGE_LEVELS_PER_OCTAVE = 2;
+
+// Search views zoom in up to this many times the home view.
+export const CAMERA_MAX_ZOOM_FACTOR = 4;
+
+// Mid-move, a stage is scaled up by at most this much before it is replaced.
+export const STAGE_MAX_MOVING_SCALE = 2;
+
+// Box of lat/lon points; `box` (or null) is grown in place and returned.
+export function growBounds(box, lat, lon) {
+  if (!box) return { north: lat, south: lat, west: lon, east: lon };
+  if (lat > box.north) box.north = lat;
+  if (lat < box.south) box.south = lat;
+  if (lon < box.west) box.west = lon;
+  if (lon > box.east) box.east = lon;
+  return box;
+}
+
+// View that fits `box` on a w x h canvas (rotated), leaving `padding` (share of
+// each side) around it. Zoom is clamped to [minZoom, maxZoom].
+export function fitView(base, box, w, h, { rotation = 0, padding = 0.15, minZoom, maxZoom }) {
+  const center = bboxCenter(box);
+  const proj = makeCamera(base, { center, zoom: 1, rotation }).projector(w, h);
+  const xs = [];
+  const ys = [];
+  for (const [lat, lon] of [
+    [box.north, box.west],
+    [box.north, box.east],
+    [box.south, box.east],
+    [box.south, box.west],
+  ]) {
+    const p = proj(lat, lon);
+    xs.push(p.x);
+    ys.push(p.y);
+  }
+  // Screen extents scale linearly with zoom; a point-sized box takes maxZoom.
+  const spanX = Math.max(...xs) - Math.min(...xs);
+  const spanY = Math.max(...ys) - Math.min(...ys);
+  const room = 1 - 2 * padding;
+  const zoom = Math.min(
+    spanX > 0 ? (w * room) / spanX : Infinity,
+    spanY > 0 ? (h * room) / spanY : Infinity,
+  );
+  return { center, zoom: clamp(zoom, minZoom, maxZoom) };
+}
+
+export function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Between two views at t in [0, 1]. Zoom moves geometrically, so zooming in and
+// out feel equally fast.
+export function lerpView(from, to, t) {
+  return {
+    center: {
+      lat: from.center.lat + (to.center.lat - from.center.lat) * t,
+      lon: from.center.lon + (to.center.lon - from.center.lon) * t,
+    },
+    zoom: from.zoom * Math.pow(to.zoom / from.zoom, t),
+  };
+}
+
+// One frame of exponential drift: half the way to `to` every halfLifeMs.
+export function approachView(from, to, dtMs, halfLifeMs) {
+  const t = halfLifeMs > 0 ? 1 - Math.pow(0.5, Math.max(0, dtMs) / halfLifeMs) : 1;
+  return lerpView(from, to, t);
+}
+
+// `home()` is the resting view (config zoom and center); search views zoom in
+// up to maxZoomFactor times it. `traceMs()` is the end-trace duration, so the
+// path fit lands as the trace finishes.
+export function makeCameraDirector(
+  camera,
+  {
+    base,
+    home,
+    traceMs,
+    maxZoomFactor = CAMERA_MAX_ZOOM_FACTOR,
+    followHalfLifeMs = 1500,
+    returnMs = 2000,
+    padding = 0.15,
+  },
+) {
+  let lastPhase = null;
+  let lastNow = null;
+  let ease = null; // { from, to, start, ms }
+  let easing = false;
+  let target = null; // view the camera is heading for, or null
+  let screen = { w: 1, h: 1 };
+
+  function fit(box, w, h) {
+    const rest = home();
+    return fitView(base, box, w, h, {
+      rotation: camera.rotation,
+      padding,
+      minZoom: rest.zoom,
+      maxZoom: rest.zoom * maxZoomFactor,
+    });
+  }
+
+  return {
+    // Moves the camera for this frame; true if it moved. `searchBox` holds the
+    // endpoints and the explored region, `pathBox` the found path (both lat/lon
+    // boxes, or null).
+    update({ now, phase, searchBox = null, pathBox = null, w, h }) {
+      const dt = lastNow == null ? 0 : now - lastNow;
+      lastNow = now;
+      const view = { center: camera.center, zoom: camera.zoom };
+      screen = { w, h };
+
+      if (phase !== lastPhase) {
+        if (phase === 'end-trace' && pathBox) {
+          ease = { from: view, to: fit(pathBox, w, h), start: now, ms: traceMs() };
+        } else if (phase === 'search' && lastPhase != null) {
+          ease = { from: view, to: home(), start: now, ms: returnMs };
+        }
+        lastPhase = phase;
+      }
+
+      let next = null;
+      easing = false;
+      target = null;
+      if (ease) {
+        const t = ease.ms > 0 ? clamp((now - ease.start) / ease.ms, 0, 1) : 1;
+        next = lerpView(ease.from, ease.to, easeInOutCubic(t));
+        easing = t < 1;
+        target = ease.to;
+        // The path fit holds through end-glow; the way out hands over to following.
+        if (t >= 1 && phase === 'search') ease = null;
+      } else if (phase === 'search' && searchBox) {
+        target = fit(searchBox, w, h);
+        next = approachView(view, target, dt, followHalfLifeMs);
+      }
+      if (!next || sameView(next, view)) return false;
+      camera.set(next);
+      return true;
+    },
+
+    // Jumps to `view` (e.g. after the home view changed), dropping any ease.
+    reset(view) {
+      ease = null;
+      easing = false;
+      target = null;
+      camera.set(view);
+    },
+
+    // False while an ease runs or the camera is still well short of the view it
+    // follows: within 5% of its zoom and 2% of the screen from it counts as there.
+    get settled() {
+      if (easing) return false;
+      if (!target) return true;
+      const { w, h } = screen;
+      const p = camera.project(target.center.lat, target.center.lon, w, h);
+      return (
+        Math.abs(Math.log(target.zoom / camera.zoom)) < 0.05 &&
+        Math.hypot(p.x - w / 2, p.y - h / 2) < 0.02 * Math.min(w, h)
+      );
+    },
+  };
+}
+
+export function sameView(a, b) {
+  return (
+    Math.abs(a.zoom / b.zoom - 1) < 1e-6 &&
+    Math.abs(a.center.lat - b.center.lat) < 1e-8 &&
+    Math.abs(a.center.lon - b.center.lon) < 1e-8
+  );
+}
+
+// --- Stages ---
+
+// Quantized zoom level (an integer) of a zoom; the level's zoom is
+// 2^(level / STAGE_LEVELS_PER_OCTAVE), never above `zoom`.
+export function zoomLevel(zoom) {
+  return Math.floor(Math.log2(zoom) * STAGE_LEVELS_PER_OCTAVE + 1e-9);
+}
+
+export function levelZoom(level) {
+  return Math.pow(2, level / STAGE_LEVELS_PER_OCTAVE);
+}
+
+// Stage for a camera on a w x h screen: a `width` x `height` canvas drawn
+// through `camera` at the camera's level zoom, reaching `margin` (share of the
+// screen) past each side of it.
+export function makeStage(base, camera, w, h, margin = 0.25) {
+  const level = zoomLevel(camera.zoom);
+  const k = 1 + 2 * margin;
+  return {
+    level,
+    width: Math.max(1, Math.round(w * k)),
+    height: Math.max(1, Math.round(h * k)),
+    // A k-times-larger canvas at 1/k the zoom has the same pixels per meter.
+    camera: makeCamera(base, {
+      center: camera.center,
+      zoom: levelZoom(level) / k,
+      rotation: camera.rotation,
+    }),
+    zoom: levelZoom(level),
+  };
+}
+
+// Screen position of the stage canvas: screen = stage * scale + (x, y).
+export function stageTransform(stage, camera, w, h) {
+  const { lat, lon } = camera.center;
+  const a = stage.camera.project(lat, lon, stage.width, stage.height);
+  const scale = camera.zoom / stage.zoom;
+  return { scale, x: w / 2 - a.x * scale, y: h / 2 - a.y * scale };
+}
+
+// True if the stage still serves the camera: same rotation and zoom level, and
+// the whole screen inside the stage canvas.
+export function stageCovers(stage, camera, w, h) {
+  return zoomLevel(camera.zoom) === stage.level && stageReaches(stage, camera, w, h);
+}
+
+// True if the stage can stand in while the camera moves: at any level, as long
+// as it reaches the whole screen and is scaled up at most STAGE_MAX_MOVING_SCALE.
+export function stageStandsIn(stage, camera, w, h) {
+  return camera.zoom / stage.zoom <= STAGE_MAX_MOVING_SCALE && stageReaches(stage, camera, w, h);
+}
+
+function stageReaches(stage, camera, w, h) {
+  if (stage.camera.rotation !== camera.rotation) return false;
+  const { scale, x, y } = stageTransform(stage, camera, w, h);
+  const left = -x / scale;
+  const top = -y / scale;
+  const right = (w - x) / scale;
+  const bottom = (h - y) / scale;
+  return left >= -0.5 && top >= -0.5 && right <= stage.width + 0.5 && bottom <= stage.height + 0.5;
+}
@@ -26,14 +26,27 @@ export const THEME = {
 
   // Edge-based explored roads color (gold).
   explored: 'rgba(251, 191, 36, 0.55)',
+  // Backward frontier of bidirectional search (grows from the goal, so goal-tinted).
+  exploredBackward: 'rgba(251, 113, 133, 0.5)',
+  // Blocked cells of the grid graph (obstacles param).
+  obstacle: 'rgba(148, 163, 184, 0.2)',
 
   pathCore: 'rgba(56, 189, 248, 0.9)',
   pathGlow: 'rgba(70, 245, 255, 0.42)',
 
   start: '#34d399',
   goal: '#fb7185',
+
+  // Past routes (history layer); alpha comes from each route's age.
+  history: '#38bdf8',
+
+  // Lanes of race mode, in raceAlgos order (trees, open rims, paths, scoreboard).
+  race: ['#fbbf24', '#a78bfa', '#a3e635', '#f97316'],
 };
 
+// Search algorithms selectable via `algo` (see SEARCH_ALGORITHMS in astar.js).
+export const ALGORITHMS = ['astar', 'dijkstra', 'greedy', 'weighted', 'bidirectional', 'ch', 'jps'];
+
 export function clamp(v, lo, hi) {
   return Math.max(lo, Math.min(hi, v));
 }
@@ -51,19 +64,43 @@ export function clamp(v, lo, hi) {
 //   - endGlowMs: int [0, 60000]
 //   - minStartEndMeters: int [0, 200000]
 //   - showOpenClosed: 0|1 (default 1)
+//   - viz: tree|heat (explored edges in flat gold, or colored by score; default tree)
+//   - heatScore: g|f (with viz=heat: cost from the search's root, or open-set priority; default g)
 //   - showCurrent: 0|1 (default 1)
 //   - showPathDuringSearch: 0|1 (default 0)
 //   - showRoads: 0|1 (default 1)
 //   - showTerrain: 0|1 (default 1)
+//   - history: 0|1 (past routes as fading strokes under the live search; default 0)
+//   - historyMax: int [1, 500] (routes kept; default 100)
+//   - historyDecay: float [0, 1440] (minutes for a route to fade to half; 0 = never; default 60)
+//   - historyPersist: 0|1 (keep the history in localStorage across reloads; default 0)
 //   - roadsDetail: int [0,100] (default 70) (UI slider when HUD is enabled)
 //   - seed: string|int (deterministic endpoints)
 //   - centerLat / centerLon: float (override bbox center)
 //   - rotation: float [-180, 180] (clockwise degrees, default 15)
+//   - camera: fixed|cinematic (cinematic follows the search, zooms to the found path, eases back out; default fixed)
 //   - maxStepsPerFrame: int [1, 500] (default 60)
 //   - endpointMode: roads|random (default roads)
 //   - graph: roads|grid (default roads)
+//   - algo: astar|dijkstra|greedy|weighted|bidirectional|ch|jps (default astar)
+//     (ch = contraction hierarchy from the road graph cache; bidirectional A* without one)
+//     (jps = jump point search; grid graph only, plain A* on roads)
+//   - epsilon: float [1, 10] (weighted A* heuristic inflation, default 1.5)
+//   - heuristic: haversine|alt (alt = landmark bound from the v3 road graph cache)
+//   - cost: distance|time (edge weights: meters, or travel seconds from maxspeed/highway class)
+//   - turns: 0|1 (turn-aware search on roads: OSM turn restrictions + turn penalties; default 0)
+//   - leftTurnPenalty / uTurnPenalty: float [0, 600] seconds (with turns=1; default 10 / 60)
+//   - snap: node|edge (road endpoints at graph nodes, or anywhere along an edge; default node)
+//   - obstacles: float [0, 0.5] (share of grid cells blocked, grid graph only; default 0)
+//   - race: 0|1 (search the same endpoints with several algorithms side by side; default 0)
+//   - raceAlgos: comma list of 2-4 algo values (with race=1; default astar,dijkstra,greedy)
 //   - showHud: 0|1 (alias for hud)
 //   - soak: 0|1 (default 0)
+//   - resume: 0|1 (continue the saved search after a reload; default 0)
+//   - record: int [0, 50] (cycles kept in the downloadable replay log; 0 = off; default 0)
+//   - replay: url (play a downloaded replay log back instead of searching)
+//   - worker: 0|1 (search and graph loading in a Web Worker when available; default 1)
+//   - pick: 0|1 (click sets the start, shift-click the goal; default 0)
 
 export const DEFAULT_CONFIG = {
   stepsPerSecond: 5,
@@ -98,20 +135,43 @@ export const DEFAULT_CONFIG = {
 
   // viz toggles
   showOpenClosed: 1,
+  viz: 'tree',
+  heatScore: 'g',
   showCurrent: 1,
   showPathDuringSearch: 0,
   showRoads: 1,
   showTerrain: 1,
+  pick: 0,
+  history: 0,
+  historyMax: 100,
+  historyDecay: 60,
+  historyPersist: 0,
   roadsDetail: 70,
   // Determinism + viewport control
   seed: null,
   centerLat: 42.3601,
   centerLon: -71.0942,
   rotation: 15,
+  camera: 'fixed',
 
   endpointMode: 'roads',
   graph: 'roads',
+  algo: 'astar',
+  epsilon: 1.5,
+  heuristic: 'haversine',
+  cost: 'distance',
+  turns: 0,
+  leftTurnPenalty: 10,
+  uTurnPenalty: 60,
+  snap: 'node',
+  obstacles: 0,
+  race: 0,
+  raceAlgos: ['astar', 'dijkstra', 'greedy'],
   soak: 0,
+  resume: 0,
+  record: 0,
+  replay: null,
+  worker: 1,
 };
 
 export const PRESET_CONFIG = {
@@ -181,13 +241,34 @@ export function parseRuntimeConfig(search) {
     return allowed.has(raw) ? raw : def;
   };
 
+  // Comma list of allowed values, without repeats; `def` unless it has [min, max] entries.
+  const readList = (name, def, allowed, min, max) => {
+    const raw = params.get(name);
+    if (raw == null) return def.slice();
+    const values = [...new Set(raw.split(',').map((s) => s.trim()))].filter((v) => allowed.has(v));
+    return values.length >= min && values.length <= max ? values : def.slice();
+  };
+
   const stepsPerSecond = readInt('sps', base.stepsPerSecond, 1, 120);
   const maxStepsPerFrame = readInt('maxStepsPerFrame', base.maxStepsPerFrame, 1, 500);
 
   const hud = read01('hud', read01('showHud', base.hud));
   const endpointMode = readEnum('endpointMode', base.endpointMode, new Set(['roads', 'random']));
   const graph = readEnum('graph', base.graph, new Set(['roads', 'grid']));
+  const algo = readEnum('algo', base.algo, new Set(ALGORITHMS));
+  const epsilon = readFloat('epsilon', base.epsilon, 1, 10);
+  const heuristic = readEnum('heuristic', base.heuristic, new Set(['haversine', 'alt']));
+  const cost = readEnum('cost', base.cost, new Set(['distance', 'time']));
+  const turns = read01('turns', base.turns);
+  const leftTurnPenalty = readFloat('leftTurnPenalty', base.leftTurnPenalty, 0, 600);
+  const uTurnPenalty = readFloat('uTurnPenalty', base.uTurnPenalty, 0, 600);
+  const snap = readEnum('snap', base.snap, new Set(['node', 'edge']));
+  const obstacles = readFloat('obstacles', base.obstacles, 0, 0.5);
   const soak = read01('soak', base.soak);
+  const resume = read01('resume', base.resume);
+  const record = readInt('record', base.record, 0, 50);
+  const replay = params.get('replay') || base.replay;
+  const worker = read01('worker', base.worker);
   const roadsDetail = readInt('roadsDetail', base.roadsDetail, 0, 100);
 
   const seed = params.get('seed') ?? base.seed;
@@ -217,12 +298,28 @@ export function parseRuntimeConfig(search) {
     hud,
     endpointMode,
     graph,
+    algo,
+    epsilon,
+    heuristic,
+    cost,
+    turns,
+    leftTurnPenalty,
+    uTurnPenalty,
+    snap,
+    obstacles,
+    race: read01('race', base.race),
+    raceAlgos: readList('raceAlgos', base.raceAlgos, new Set(ALGORITHMS), 2, 4),
     soak,
+    resume,
+    record,
+    replay,
+    worker,
     roadsDetail,
     seed,
     centerLat: centerLatOk ? centerLat : null,
     centerLon: centerLonOk ? centerLon : null,
     rotation,
+    camera: readEnum('camera', base.camera, new Set(['fixed', 'cinematic'])),
     endHoldMs: readInt('endHoldMs', base.endHoldMs, 0, 60000),
     endAnimMs,
     endTraceMs,
@@ -230,9 +327,16 @@ export function parseRuntimeConfig(search) {
     minStartEndMeters: readInt('minStartEndMeters', base.minStartEndMeters, 0, 200000),
 
     showOpenClosed: read01('showOpenClosed', base.showOpenClosed),
+    viz: readEnum('viz', base.viz, new Set(['tree', 'heat'])),
+    heatScore: readEnum('heatScore', base.heatScore, new Set(['g', 'f'])),
     showCurrent: read01('showCurrent', base.showCurrent),
     showPathDuringSearch: read01('showPathDuringSearch', base.showPathDuringSearch),
     showRoads: read01('showRoads', base.showRoads),
     showTerrain: read01('showTerrain', base.showTerrain),
+    pick: read01('pick', base.pick),
+    history: read01('history', base.history),
+    historyMax: readInt('historyMax', base.historyMax, 1, 500),
+    historyDecay: readFloat('historyDecay', base.historyDecay, 0, 1440),
+    historyPersist: read01('historyPersist', base.historyPersist),
   };
 }
@@ -0,0 +1,425 @@
+import { toCsrGraph } from './csr-graph.js';
+import { MinHeap } from './min-heap.js';
+import {
+  decodeFrontier,
+  decodeNumber,
+  encodeFrontier,
+  encodeNumber,
+  invalidEndpointsSnapshots,
+  makeSnapshot,
+  readSnapshot,
+} from './stepper-state.js';
+
+// --- Contraction hierarchies ---
+//
+// Preprocessing contracts nodes one at a time in "importance" order. When a node
+// v is removed, every u -> v -> x pair that is not bypassed by an equally short
+// witness path gets a shortcut u -> x (weight w(u,v) + w(v,x), mid = v).
+//
+// Queries then run a bidirectional Dijkstra that only ever climbs the hierarchy:
+// the forward search follows `up` edges (to higher-ranked nodes) and the backward
+// search follows `down` edges (from higher-ranked nodes). Both meet at the
+// highest node of the shortest path; shortcuts are unpacked back into original
+// edges via their `mid` nodes.
+//
+// ch = {
+//   rank: Int32Array,                      // contraction order, 0 = least important
+//   up:   Array<Array<{to, weight, mid}>>  // up[u]: edges u -> to, rank[to] > rank[u]
+//   down: Array<Array<{to, weight, mid}>>  // down[x]: edges to -> x, rank[to] > rank[x]
+//   shortcuts: number,
+// }
+// `mid` is -1 for original edges.
+
+export const DEFAULT_WITNESS_SETTLE_LIMIT = 64;
+
+export function buildContractionHierarchy(
+  graph,
+  { witnessSettleLimit = DEFAULT_WITNESS_SETTLE_LIMIT } = {},
+) {
+  const n = graph?.nodes?.length ?? 0;
+
+  // Remaining (not yet contracted) overlay graph, in both directions.
+  const outEdges = new Array(n);
+  const inEdges = new Array(n);
+  for (let i = 0; i < n; i++) {
+    outEdges[i] = new Map();
+    inEdges[i] = new Map();
+  }
+  const { offsets, targets, weights } = toCsrGraph(graph);
+  for (let from = 0; from < n; from++) {
+    for (let e = offsets[from]; e < offsets[from + 1]; e++) {
+      const to = targets[e];
+      const weight = weights[e];
+      if (to === from || !Number.isFinite(weight)) continue;
+      const prev = outEdges[from].get(to);
+      if (prev && prev.weight <= weight) continue;
+      const entry = { weight, mid: -1 };
+      outEdges[from].set(to, entry);
+      inEdges[to].set(from, entry);
+    }
+  }
+
+  const rank = new Int32Array(n).fill(-1);
+  const up = new Array(n);
+  const down = new Array(n);
+  const deletedNeighbors = new Int32Array(n);
+  let shortcuts = 0;
+
+  // Bounded Dijkstra from `source` that ignores `skip`; distances may be tentative.
+  function witnessDistances(source, skip, maxCost) {
+    const dist = new Map([[source, 0]]);
+    const heap = new MinHeap();
+    heap.push(source, 0);
+    let settled = 0;
+    while (heap.size > 0) {
+      const cur = heap.pop();
+      const d = dist.get(cur);
+      if (d > maxCost || ++settled > witnessSettleLimit) break;
+      for (const [to, e] of outEdges[cur]) {
+        if (to === skip) continue;
+        const nd = d + e.weight;
+        if (nd < (dist.get(to) ?? Infinity)) {
+          dist.set(to, nd);
+          heap.push(to, nd);
+        }
+      }
+    }
+    return dist;
+  }
+
+  function shortcutsFor(v) {
+    const result = [];
+    if (outEdges[v].size === 0 || inEdges[v].size === 0) return result;
+    let maxOut = 0;
+    for (const e of outEdges[v].values()) maxOut = Math.max(maxOut, e.weight);
+
+    for (const [u, eIn] of inEdges[v]) {
+      const dist = witnessDistances(u, v, eIn.weight + maxOut);
+      for (const [x, eOut] of outEdges[v]) {
+        if (x === u) continue;
+        const weight = eIn.weight + eOut.weight;
+        if ((dist.get(x) ?? Infinity) <= weight) continue;
+        result.push({ from: u, to: x, weight });
+      }
+    }
+    return result;
+  }
+
+  // Edge difference + deleted neighbors: cheap nodes with few shortcuts go first,
+  // and contraction is spread evenly across the graph.
+  function priority(v) {
+    return shortcutsFor(v).length - (inEdges[v].size + outEdges[v].size) + deletedNeighbors[v];
+  }
+
+  const queue = new MinHeap();
+  for (let v = 0; v < n; v++) queue.push(v, priority(v));
+
+  let order = 0;
+  while (queue.size > 0) {
+    const v = queue.pop();
+
+    // Lazy update: priorities go stale as neighbors are contracted.
+    const p = priority(v);
+    if (queue.size > 0 && p > queue.peekPriority()) {
+      queue.push(v, p);
+      continue;
+    }
+
+    const added = shortcutsFor(v);
+
+    // Everything still attached to v is higher in the hierarchy.
+    up[v] = Array.from(outEdges[v], ([to, e]) => ({ to, weight: e.weight, mid: e.mid }));
+    down[v] = Array.from(inEdges[v], ([to, e]) => ({ to, weight: e.weight, mid: e.mid }));
+    rank[v] = order++;
+
+    for (const x of outEdges[v].keys()) {
+      inEdges[x].delete(v);
+      deletedNeighbors[x] += 1;
+    }
+    for (const u of inEdges[v].keys()) {
+      outEdges[u].delete(v);
+      deletedNeighbors[u] += 1;
+    }
+    outEdges[v].clear();
+    inEdges[v].clear();
+
+    for (const s of added) {
+      const existing = outEdges[s.from].get(s.to);
+      if (existing && existing.weight <= s.weight) continue;
+      const entry = { weight: s.weight, mid: v };
+      outEdges[s.from].set(s.to, entry);
+      inEdges[s.to].set(s.from, entry);
+      shortcuts += 1;
+    }
+  }
+
+  return { rank, up, down, shortcuts };
+}
+
+// Lookup of the `mid` node for every hierarchy edge u -> x (cached per ch).
+const midLookupCache = new WeakMap();
+
+function midLookup(ch) {
+  let lookup = midLookupCache.get(ch);
+  if (lookup) return lookup;
+  const n = ch.rank.length;
+  lookup = new Map();
+  for (let u = 0; u < n; u++) {
+    for (const e of ch.up[u] || []) lookup.set(u * n + e.to, e.mid);
+    for (const e of ch.down[u] || []) lookup.set(e.to * n + u, e.mid);
+  }
+  midLookupCache.set(ch, lookup);
+  return lookup;
+}
+
+// Expand a path over hierarchy edges into a path over original graph edges.
+export function unpackChPath(ch, path) {
+  if (!path?.length) return [];
+  const n = ch.rank.length;
+  const lookup = midLookup(ch);
+  const out = [path[0]];
+  for (let i = 1; i < path.length; i++) {
+    // Depth-first expansion of shortcut (a, b) into (a, mid) + (mid, b).
+    const stack = [[path[i - 1], path[i]]];
+    while (stack.length > 0) {
+      const [a, b] = stack.pop();
+      const mid = lookup.get(a * n + b) ?? -1;
+      if (mid < 0) {
+        out.push(b);
+      } else {
+        stack.push([mid, b]);
+        stack.push([a, mid]);
+      }
+    }
+  }
+  return out;
+}
+
+function makeFrontier(rootKey) {
+  const heap = new MinHeap();
+  heap.push(rootKey, 0);
+  return {
+    heap,
+    closedSet: new Set(),
+    cameFrom: new Map(),
+    gScore: new Map([[rootKey, 0]]),
+  };
+}
+
+// Step-by-step CH query with the same step()/getState() (and serialize()/restore())
+// contract and two-frontier result fields as makeBidirectionalAStarStepper. Explored edges are
+// hierarchy edges, so the search visibly "climbs" toward important nodes; the
+// final path is unpacked into original edges. Found results also carry `distance`.
+export function makeChStepper({ startKey, goalKey, ch, maxSteps }) {
+  const n = ch?.rank?.length ?? 0;
+  const isValid = (k) => Number.isInteger(k) && k >= 0 && k < n;
+
+  if (!isValid(startKey) || !isValid(goalKey)) {
+    return {
+      step() {
+        return { done: true, status: 'invalid-endpoints' };
+      },
+      getState() {
+        return {
+          openSize: 0,
+          closedSet: new Set(),
+          cameFrom: new Map(),
+          gScore: new Map(),
+          closedSetBackward: new Set(),
+          cameFromBackward: new Map(),
+          gScoreBackward: new Map(),
+          steps: 0,
+        };
+      },
+      ...invalidEndpointsSnapshots(startKey, goalKey),
+    };
+  }
+
+  const fwd = makeFrontier(startKey);
+  const bwd = makeFrontier(goalKey);
+
+  let bestCost = startKey === goalKey ? 0 : Infinity;
+  let meetingKey = startKey === goalKey ? startKey : null;
+
+  let done = false;
+  let result = null;
+  let steps = 0;
+
+  function buildPath() {
+    const upward = [meetingKey];
+    let k = meetingKey;
+    while (fwd.cameFrom.has(k)) {
+      k = fwd.cameFrom.get(k);
+      upward.push(k);
+    }
+    upward.reverse();
+    k = meetingKey;
+    while (bwd.cameFrom.has(k)) {
+      k = bwd.cameFrom.get(k);
+      upward.push(k);
+    }
+    return unpackChPath(ch, upward);
+  }
+
+  function finish() {
+    done = true;
+    result =
+      meetingKey != null
+        ? { status: 'found', path: buildPath(), distance: bestCost, steps }
+        : { status: 'no-path', steps };
+    return { done: true, ...result };
+  }
+
+  function expand(side, other, edges, opened) {
+    const current = side.heap.pop();
+    side.closedSet.add(current);
+    const gCur = side.gScore.get(current) ?? Infinity;
+
+    for (const e of edges[current] || []) {
+      const nd = gCur + e.weight;
+      if (nd < (side.gScore.get(e.to) ?? Infinity)) {
+        side.cameFrom.set(e.to, current);
+        side.gScore.set(e.to, nd);
+        if (!side.heap.has(e.to)) opened.push(e.to);
+        side.heap.push(e.to, nd);
+
+        const gOther = other.gScore.get(e.to);
+        if (gOther != null && nd + gOther < bestCost) {
+          bestCost = nd + gOther;
+          meetingKey = e.to;
+        }
+      }
+    }
+    return current;
+  }
+
+  return {
+    step() {
+      if (done) return { done: true, ...result };
+
+      if (Number.isFinite(maxSteps) && steps >= maxSteps) {
+        done = true;
+        result = { status: 'max-steps', steps };
+        return { done: true, ...result };
+      }
+
+      // Neither upward search can improve on the best meeting any more.
+      const fMin = fwd.heap.peekPriority();
+      const bMin = bwd.heap.peekPriority();
+      if (Math.min(fMin, bMin) >= bestCost) return finish();
+
+      steps += 1;
+      const forward = fMin <= bMin;
+      const openedKeys = [];
+      // Upward searches run without a heuristic: f is g.
+      const closedF = forward ? fMin : bMin;
+      const current = forward
+        ? expand(fwd, bwd, ch.up, openedKeys)
+        : expand(bwd, fwd, ch.down, openedKeys);
+
+      return {
+        done: false,
+        status: 'searching',
+        current,
+        closedKey: current,
+        parentKey: (forward ? fwd : bwd).cameFrom.get(current) ?? null,
+        closedF,
+        openedKeys,
+        direction: forward ? 'forward' : 'backward',
+        openSize: fwd.heap.size + bwd.heap.size,
+        closedSet: fwd.closedSet,
+        cameFrom: fwd.cameFrom,
+        gScore: fwd.gScore,
+        closedSetBackward: bwd.closedSet,
+        cameFromBackward: bwd.cameFrom,
+        gScoreBackward: bwd.gScore,
+        steps,
+      };
+    },
+
+    getState() {
+      return {
+        openSize: fwd.heap.size + bwd.heap.size,
+        closedSet: fwd.closedSet,
+        cameFrom: fwd.cameFrom,
+        gScore: fwd.gScore,
+        closedSetBackward: bwd.closedSet,
+        cameFromBackward: bwd.cameFrom,
+        gScoreBackward: bwd.gScore,
+        steps,
+      };
+    },
+
+    serialize() {
+      return makeSnapshot('ch', {
+        startKey,
+        goalKey,
+        steps,
+        done,
+        result,
+        bestCost: encodeNumber(bestCost),
+        meetingKey,
+        forward: encodeFrontier(fwd),
+        backward: encodeFrontier(bwd),
+      });
+    },
+
+    restore(snapshot) {
+      const s = readSnapshot(snapshot, 'ch', { startKey, goalKey });
+      const forward = s && decodeFrontier(s.forward);
+      const backward = s && decodeFrontier(s.backward);
+      if (!forward || !backward) return false;
+      Object.assign(fwd, forward);
+      Object.assign(bwd, backward);
+      bestCost = decodeNumber(s.bestCost);
+      meetingKey = s.meetingKey ?? null;
+      steps = s.steps;
+      done = !!s.done;
+      result = done ? s.result : null;
+      return true;
+    },
+  };
+}
+
+// One-shot query for batch tooling: { status, distance, path, steps }.
+export function chQuery(ch, startKey, goalKey) {
+  const stepper = makeChStepper({ startKey, goalKey, ch });
+  for (;;) {
+    const r = stepper.step();
+    if (r.done) return { distance: Infinity, ...r };
+  }
+}
+
+// Cache form: rank list plus [to, weight] / [to, weight, mid] tuples.
+export function serializeContractionHierarchy(ch) {
+  const pack = (lists) =>
+    lists.map((list) =>
+      (list || []).map((e) => (e.mid >= 0 ? [e.to, e.weight, e.mid] : [e.to, e.weight])),
+    );
+  return {
+    rank: Array.from(ch.rank),
+    up: pack(ch.up),
+    down: pack(ch.down),
+    shortcuts: ch.shortcuts,
+  };
+}
+
+export function parseContractionHierarchy(payload, nodeCount) {
+  if (!Array.isArray(payload?.rank) || payload.rank.length !== nodeCount) return null;
+  if (!Array.isArray(payload.up) || payload.up.length !== nodeCount) return null;
+  if (!Array.isArray(payload.down) || payload.down.length !== nodeCount) return null;
+
+  const unpack = (lists) =>
+    lists.map((list) =>
+      (list || [])
+        .filter((t) => Number.isInteger(t?.[0]) && Number.isFinite(t?.[1]))
+        .map((t) => ({ to: t[0], weight: t[1], mid: Number.isInteger(t[2]) ? t[2] : -1 })),
+    );
+
+  return {
+    rank: Int32Array.from(payload.rank),
+    up: unpack(payload.up),
+    down: unpack(payload.down),
+    shortcuts: Number.isFinite(payload.shortcuts) ? payload.shortcuts : 0,
+  };
+}
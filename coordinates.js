@@ -87,3 +87,136 @@ export function makeProjector(simBounds, w, h, rotation = 0) {
     y: (rb.north - lat) * invLat * h,
   });
 }
+
+// Inverse of project: screen {x, y} back to {lat, lon} (undoes the rotation
+// about the canvas center, then the render bounds).
+export function unproject(x, y, simBounds, w, h, rotation = 0) {
+  const rb = getRenderBounds(simBounds, w, h);
+  let px = x;
+  let py = y;
+
+  if (rotation !== 0) {
+    const theta = (rotation * Math.PI) / 180;
+    const cosR = Math.cos(theta);
+    const sinR = Math.sin(theta);
+    const cx = w / 2;
+    const cy = h / 2;
+    const dx = x - cx;
+    const dy = y - cy;
+    px = cx + dx * cosR + dy * sinR;
+    py = cy - dx * sinR + dy * cosR;
+  }
+
+  return {
+    lat: rb.north - (py / h) * (rb.north - rb.south),
+    lon: rb.west + (px / w) * (rb.east - rb.west),
+  };
+}
+
+// --- Camera ---
+//
+// What the screen shows: a center, a zoom (1 = the base bounds' span) and a
+// clockwise rotation in degrees about the canvas center. Layers draw through
+// its projector and clicks come back through its inverse. Every change bumps
+// `version`, so cached projections know when to rebuild.
+
+const CAMERA_DECIMALS = { centerLat: 6, centerLon: 6, zoom: 4, rotation: 2 };
+
+export function makeCamera(base, { center = null, zoom = 1, rotation = 0 } = {}) {
+  let state = { center: center ?? bboxCenter(base), zoom, rotation };
+  let version = 0;
+  let cached = null; // projector for the current version and canvas size
+
+  const frame = () => applyZoom(base, state.zoom, state.center);
+
+  const camera = {
+    get center() {
+      return { ...state.center };
+    },
+    get zoom() {
+      return state.zoom;
+    },
+    get rotation() {
+      return state.rotation;
+    },
+    get version() {
+      return version;
+    },
+    // The lat/lon box the view is fitted to (before padding to the canvas aspect).
+    get bounds() {
+      return frame();
+    },
+
+    // Updates any of center / zoom / rotation.
+    set(patch) {
+      state = {
+        center: patch.center ? { lat: patch.center.lat, lon: patch.center.lon } : state.center,
+        zoom: patch.zoom ?? state.zoom,
+        rotation: patch.rotation ?? state.rotation,
+      };
+      version += 1;
+      cached = null;
+    },
+
+    // Fast (lat, lon) => {x, y} for a w x h canvas; the same function until the
+    // camera or the size changes.
+    projector(w, h) {
+      if (!cached || cached.w !== w || cached.h !== h) {
+        cached = { w, h, project: makeProjector(frame(), w, h, state.rotation) };
+      }
+      return cached.project;
+    },
+    project(lat, lon, w, h) {
+      return camera.projector(w, h)(lat, lon);
+    },
+    unproject(x, y, w, h) {
+      return unproject(x, y, frame(), w, h, state.rotation);
+    },
+
+    // Lat/lon box holding everything on a w x h canvas (the rotated corners).
+    visibleBounds(w, h) {
+      const corners = [
+        camera.unproject(0, 0, w, h),
+        camera.unproject(w, 0, w, h),
+        camera.unproject(w, h, w, h),
+        camera.unproject(0, h, w, h),
+      ];
+      return {
+        north: Math.max(...corners.map((c) => c.lat)),
+        south: Math.min(...corners.map((c) => c.lat)),
+        west: Math.min(...corners.map((c) => c.lon)),
+        east: Math.max(...corners.map((c) => c.lon)),
+      };
+    },
+
+    // URL params (as parseRuntimeConfig reads them), rounded for sharing.
+    toParams() {
+      const values = {
+        centerLat: state.center.lat,
+        centerLon: state.center.lon,
+        zoom: state.zoom,
+        rotation: state.rotation,
+      };
+      for (const [name, decimals] of Object.entries(CAMERA_DECIMALS)) {
+        values[name] = Number(values[name].toFixed(decimals));
+      }
+      return values;
+    },
+    // `search` with the camera params set (the others kept).
+    toSearch(search = '') {
+      const params = new URLSearchParams(search);
+      for (const [name, value] of Object.entries(camera.toParams())) {
+        params.set(name, String(value));
+      }
+      return `?${params}`;
+    },
+  };
+  return camera;
+}
+
+// Camera from parsed URL params ({ centerLat, centerLon, zoom, rotation }, e.g. a
+// parseRuntimeConfig result). The center needs both coordinates.
+export function cameraFromParams(base, { centerLat = null, centerLon = null, zoom, rotation }) {
+  const center = centerLat != null && centerLon != null ? { lat: centerLat, lon: centerLon } : null;
+  return makeCamera(base, { center, zoom, rotation });
+}
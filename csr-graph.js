@@ -0,0 +1,210 @@
+// --- Compressed sparse row (CSR) road graphs ---
+//
+// Edges leaving node v are e = offsets[v] .. offsets[v + 1] - 1, with
+// targets[e] (node id), weights[e] (meters) and times[e] (travel seconds, NaN
+// when unknown; `times` is null for graphs without any). Via geometry of edge
+// e is viaCoords[2 * viaOffsets[e] .. 2 * viaOffsets[e + 1]) as lon, lat pairs.
+// Ids and offsets are Int32Array; weights, times and coordinates Float64Array
+// (Float32 would round weights below the haversine distance they must bound,
+// and Boston longitudes to ~0.6 m).
+//
+// Every graph consumer goes through this interface: neighbors() / predecessors()
+// for searches, weight() / time() for costs and the typed arrays for tight loops.
+// `nodes` stays an array of { id, lat, lon }. The object views older code used
+// (`adjacency`, `costMaps`, `timeMaps`) are built on first access for tooling
+// and tests only.
+
+const EMPTY = new Int32Array(0);
+
+export function makeCsrGraph({
+  nodes,
+  offsets,
+  targets,
+  weights,
+  times = null,
+  viaOffsets = null,
+  viaCoords = null,
+  ...extra
+}) {
+  const n = nodes.length;
+  const m = targets.length;
+  let reverse = null; // { offsets, sources, edgeIds }, built on first use
+  let adjacency = null;
+  let costMaps = null;
+  let timeMaps;
+
+  function edgeIndex(a, b) {
+    if (!(a >= 0 && a < n)) return -1;
+    for (let e = offsets[a]; e < offsets[a + 1]; e++) if (targets[e] === b) return e;
+    return -1;
+  }
+
+  function edgeVia(e) {
+    if (!viaOffsets || viaOffsets[e] === viaOffsets[e + 1]) return null;
+    const via = [];
+    for (let i = viaOffsets[e]; i < viaOffsets[e + 1]; i++) {
+      via.push([viaCoords[2 * i], viaCoords[2 * i + 1]]);
+    }
+    return via;
+  }
+
+  // Edge objects in the parsed-cache shape: { to, weight, time?, via? }.
+  function edgeList(v) {
+    if (!(v >= 0 && v < n)) return [];
+    const out = [];
+    for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+      const entry = { to: targets[e], weight: weights[e] };
+      if (times && Number.isFinite(times[e])) entry.time = times[e];
+      const via = edgeVia(e);
+      if (via) entry.via = via;
+      out.push(entry);
+    }
+    return out;
+  }
+
+  function buildReverse() {
+    const rOffsets = new Int32Array(n + 1);
+    for (let e = 0; e < m; e++) rOffsets[targets[e] + 1] += 1;
+    for (let v = 0; v < n; v++) rOffsets[v + 1] += rOffsets[v];
+    const fill = rOffsets.slice(0, n);
+    const sources = new Int32Array(m);
+    const edgeIds = new Int32Array(m);
+    for (let v = 0; v < n; v++) {
+      for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+        const at = fill[targets[e]]++;
+        sources[at] = v;
+        edgeIds[at] = e;
+      }
+    }
+    return { offsets: rOffsets, sources, edgeIds };
+  }
+
+  return {
+    ...extra,
+    nodes,
+    edges: m,
+    offsets,
+    targets,
+    weights,
+    times,
+    viaOffsets,
+    viaCoords,
+
+    // Zero-copy views into `targets` / the reverse lists.
+    neighbors(v) {
+      return v >= 0 && v < n ? targets.subarray(offsets[v], offsets[v + 1]) : EMPTY;
+    },
+    predecessors(v) {
+      reverse ??= buildReverse();
+      return v >= 0 && v < n
+        ? reverse.sources.subarray(reverse.offsets[v], reverse.offsets[v + 1])
+        : EMPTY;
+    },
+    // Indexes of the edges into v (same order as predecessors()).
+    incomingEdges(v) {
+      reverse ??= buildReverse();
+      return v >= 0 && v < n
+        ? reverse.edgeIds.subarray(reverse.offsets[v], reverse.offsets[v + 1])
+        : EMPTY;
+    },
+    edgeIndex,
+    // Undefined when there is no a -> b edge (NaN time: edge without one).
+    weight(a, b) {
+      const e = edgeIndex(a, b);
+      return e < 0 ? undefined : weights[e];
+    },
+    time(a, b) {
+      const e = times ? edgeIndex(a, b) : -1;
+      return e < 0 ? undefined : times[e];
+    },
+    edgeVia,
+    edgeList,
+
+    get adjacency() {
+      adjacency ??= nodes.map((_, v) => edgeList(v));
+      return adjacency;
+    },
+    get costMaps() {
+      costMaps ??= nodes.map((_, v) => {
+        const map = new Map();
+        for (let e = offsets[v]; e < offsets[v + 1]; e++) map.set(targets[e], weights[e]);
+        return map;
+      });
+      return costMaps;
+    },
+    // Null for graphs without travel times.
+    get timeMaps() {
+      if (timeMaps === undefined) {
+        timeMaps = times
+          ? nodes.map((_, v) => {
+              const map = new Map();
+              for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+                if (Number.isFinite(times[e])) map.set(targets[e], times[e]);
+              }
+              return map;
+            })
+          : null;
+      }
+      return timeMaps;
+    },
+  };
+}
+
+// CSR graph from per-node edge object lists ({ to, weight, time?, via? }).
+// Edges keep their list order; `times` is null when no edge has a time.
+export function csrGraphFromAdjacency(nodes, adjacency, extra = {}) {
+  const n = nodes.length;
+  const offsets = new Int32Array(n + 1);
+  let viaPoints = 0;
+  let anyTime = false;
+  for (let v = 0; v < n; v++) {
+    const list = adjacency[v] || [];
+    offsets[v + 1] = offsets[v] + list.length;
+    for (const e of list) {
+      viaPoints += e.via?.length ?? 0;
+      if (Number.isFinite(e.time)) anyTime = true;
+    }
+  }
+
+  const m = offsets[n];
+  const targets = new Int32Array(m);
+  const weights = new Float64Array(m);
+  const times = anyTime ? new Float64Array(m) : null;
+  const viaOffsets = new Int32Array(m + 1);
+  const viaCoords = new Float64Array(2 * viaPoints);
+  let e = 0;
+  let p = 0;
+  for (let v = 0; v < n; v++) {
+    for (const edge of adjacency[v] || []) {
+      targets[e] = edge.to;
+      weights[e] = edge.weight;
+      if (times) times[e] = Number.isFinite(edge.time) ? edge.time : NaN;
+      for (const [lon, lat] of edge.via || []) {
+        viaCoords[2 * p] = lon;
+        viaCoords[2 * p + 1] = lat;
+        p += 1;
+      }
+      viaOffsets[e + 1] = p;
+      e += 1;
+    }
+  }
+
+  return makeCsrGraph({ ...extra, nodes, offsets, targets, weights, times, viaOffsets, viaCoords });
+}
+
+const csrCache = new WeakMap();
+
+// The CSR form of any graph: CSR graphs as they are, `{ nodes, adjacency }`
+// objects (hand-built graphs, older tooling) converted once and cached.
+export function toCsrGraph(graph) {
+  if (graph?.offsets) return graph;
+  if (!graph) return csrGraphFromAdjacency([], []);
+  let csr = csrCache.get(graph);
+  if (!csr) {
+    const { adjacency = [], ...extra } = graph;
+    const nodes = graph.nodes ?? adjacency.map((_, id) => ({ id }));
+    csr = csrGraphFromAdjacency(nodes, adjacency, { ...extra, nodes });
+    csrCache.set(graph, csr);
+  }
+  return csr;
+}
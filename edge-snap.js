@@ -0,0 +1,286 @@
+import { haversineMeters } from './astar.js';
+import { toCsrGraph } from './csr-graph.js';
+import { graphNodeLatLon } from './road-graph.js';
+import { makeSpatialIndex } from './spatial-index.js';
+
+// --- Edge snapping ---
+//
+// Projects a lat/lon onto the closest road edge (via geometry included) and
+// splits that edge with temporary nodes for a single query. The base graph is
+// never touched: a split is an overlay that answers adjacency, cost and
+// position lookups for the virtual nodes and the edges they replace.
+
+const METERS_PER_DEG = (6371000 * Math.PI) / 180;
+
+// Edges are indexed by points sampled at most this far apart, so the segment
+// nearest a query always has a sample within half of it.
+const SNAP_SAMPLE_METERS = 60;
+
+// Polyline of CSR edge e (from -> its target): tail, via points, head.
+function edgePoints(csr, from, e) {
+  const points = [csr.nodes[from]];
+  const { viaOffsets, viaCoords } = csr;
+  for (let i = viaOffsets?.[e] ?? 0; i < (viaOffsets?.[e + 1] ?? 0); i++) {
+    points.push({ lat: viaCoords[2 * i + 1], lon: viaCoords[2 * i] });
+  }
+  points.push(csr.nodes[csr.targets[e]]);
+  return points;
+}
+
+// Cumulative meters at each polyline point.
+function cumulativeMeters(points) {
+  const out = [0];
+  for (let i = 1; i < points.length; i++) {
+    out.push(out[i - 1] + haversineMeters(points[i - 1], points[i]));
+  }
+  return out;
+}
+
+const edgeIndexCache = new WeakMap();
+
+// One entry per road (two-way pairs are indexed once, from the lower id).
+function edgeIndex(graph) {
+  let cached = edgeIndexCache.get(graph);
+  if (cached) return cached;
+
+  const csr = toCsrGraph(graph);
+  const edges = [];
+  const samples = [];
+  for (let from = 0; from < csr.nodes.length; from++) {
+    for (let id = csr.offsets[from]; id < csr.offsets[from + 1]; id++) {
+      const to = csr.targets[id];
+      if (to < from && csr.edgeIndex(to, from) >= 0) continue;
+      const points = edgePoints(csr, from, id);
+      if (points.some((p) => !p)) continue;
+      const e = edges.length;
+      edges.push({ from, to, points, cum: cumulativeMeters(points) });
+      for (let s = 1; s < points.length; s++) {
+        const a = points[s - 1];
+        const b = points[s];
+        const m = Math.max(1, Math.ceil(haversineMeters(a, b) / SNAP_SAMPLE_METERS));
+        for (let k = 0; k <= m; k++) {
+          const t = k / m;
+          samples.push({
+            e,
+            s: s - 1,
+            lat: a.lat + (b.lat - a.lat) * t,
+            lon: a.lon + (b.lon - a.lon) * t,
+          });
+        }
+      }
+    }
+  }
+
+  cached = { edges, index: makeSpatialIndex(samples) };
+  edgeIndexCache.set(graph, cached);
+  return cached;
+}
+
+// Closest point of segment a-b to (lat, lon), in a local equirectangular frame.
+function projectOntoSegment(lat, lon, a, b) {
+  const kx = METERS_PER_DEG * Math.cos((lat * Math.PI) / 180);
+  const ax = (a.lon - lon) * kx;
+  const ay = (a.lat - lat) * METERS_PER_DEG;
+  const dx = (b.lon - a.lon) * kx;
+  const dy = (b.lat - a.lat) * METERS_PER_DEG;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 > 0 ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / len2)) : 0;
+  return {
+    t,
+    lat: a.lat + (b.lat - a.lat) * t,
+    lon: a.lon + (b.lon - a.lon) * t,
+    meters: Math.hypot(ax + dx * t, ay + dy * t),
+  };
+}
+
+// Nearest point on any edge, or null:
+//   { from, to, fraction, lat, lon, meters }
+// `fraction` is the share of the from -> to polyline before the snapped point.
+// `filter(from, to)` can skip edges (e.g. outside the reachable component).
+export function snapToGraphEdge(graph, lat, lon, { maxMeters = Infinity, filter = null } = {}) {
+  if (!graph?.nodes?.length || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const { edges, index } = edgeIndex(graph);
+  const accept = filter ? (sample) => filter(edges[sample.e].from, edges[sample.e].to) : null;
+
+  const first = index.nearest(lat, lon, { filter: accept });
+  if (!first || first.meters - SNAP_SAMPLE_METERS / 2 > maxMeters) return null;
+
+  // Any segment closer than the nearest sample has a sample within half a spacing more.
+  let best = null;
+  const seen = new Set();
+  for (const { item } of index.withinRadius(lat, lon, first.meters + SNAP_SAMPLE_METERS / 2)) {
+    const id = `${item.e},${item.s}`;
+    if (seen.has(id) || (accept && !accept(item))) continue;
+    seen.add(id);
+    const edge = edges[item.e];
+    const hit = projectOntoSegment(lat, lon, edge.points[item.s], edge.points[item.s + 1]);
+    if (!best || hit.meters < best.hit.meters) best = { edge, segment: item.s, hit };
+  }
+  if (!best || best.hit.meters > maxMeters) return null;
+
+  const { edge, segment, hit } = best;
+  const total = edge.cum[edge.cum.length - 1];
+  const along = edge.cum[segment] + (edge.cum[segment + 1] - edge.cum[segment]) * hit.t;
+  return {
+    from: edge.from,
+    to: edge.to,
+    fraction: total > 0 ? along / total : 0,
+    lat: hit.lat,
+    lon: hit.lon,
+    meters: hit.meters,
+  };
+}
+
+// Via points strictly between two fractions of a polyline.
+function viaBetween(points, cum, f0, f1) {
+  const total = cum[cum.length - 1];
+  const out = [];
+  for (let i = 1; i < points.length - 1; i++) {
+    const at = total > 0 ? cum[i] / total : 0;
+    if (at > f0 && at < f1) out.push([points[i].lon, points[i].lat]);
+  }
+  return out;
+}
+
+// Overlay that splits snapped edges at virtual nodes (ids from graph.nodes.length,
+// one per snap, in order). Each directed edge a -> b carrying splits becomes a
+// chain a -> v1 -> ... -> b with weights (and times) prorated by distance along
+// the edge, and via geometry cut to match.
+//
+// `neighbors` / `reverseNeighbors` are the base graph's key lookups (defaults
+// are the graph's own).
+export function splitGraphAtSnaps(
+  graph,
+  snaps,
+  { neighbors = null, reverseNeighbors = null } = {},
+) {
+  const csr = toCsrGraph(graph);
+  const base = csr.nodes.length;
+  const baseNeighbors = neighbors || ((k) => Array.from(csr.neighbors(k)));
+  const basePredecessors = reverseNeighbors || ((k) => Array.from(csr.predecessors(k)));
+
+  const nodes = snaps.map((s, i) => ({ id: base + i, lat: s.lat, lon: s.lon }));
+  const keys = nodes.map((n) => n.id);
+
+  // Splits per road, as fractions of the lo -> hi direction.
+  const roads = new Map();
+  snaps.forEach((s, i) => {
+    const lo = Math.min(s.from, s.to);
+    const hi = Math.max(s.from, s.to);
+    const id = `${lo},${hi}`;
+    if (!roads.has(id)) roads.set(id, { lo, hi, splits: [] });
+    const fraction = s.from === lo ? s.fraction : 1 - s.fraction;
+    roads.get(id).splits.push({ id: base + i, fraction });
+  });
+
+  const out = new Map(); // node -> replaced adjacency list
+  const into = new Map(); // node -> replaced predecessor keys
+  const exits = new Map(); // virtual -> [{ id, weight }] base nodes it can leave to
+  const entries = new Map(); // virtual -> [{ id, weight }] base nodes it is entered from
+  const roadOf = new Map(); // virtual -> road id
+  const push = (map, k, v) => (map.has(k) ? map.get(k).push(v) : map.set(k, [v]));
+
+  for (const [roadId, { lo, hi, splits }] of roads) {
+    splits.sort((a, b) => a.fraction - b.fraction);
+    for (const s of splits) roadOf.set(s.id, roadId);
+
+    for (const [u, v, flip] of [
+      [lo, hi, false],
+      [hi, lo, true],
+    ]) {
+      const id = csr.edgeIndex(u, v);
+      if (id < 0) continue;
+      const edge = { weight: csr.weights[id], time: csr.times?.[id] };
+      const points = edgePoints(csr, u, id);
+      const cum = cumulativeMeters(points);
+      const ordered = flip ? [...splits].reverse() : splits;
+      const chain = [
+        { id: u, fraction: 0 },
+        ...ordered.map((s) => ({ id: s.id, fraction: flip ? 1 - s.fraction : s.fraction })),
+        { id: v, fraction: 1 },
+      ];
+
+      // The chain replaces u -> v.
+      out.set(
+        u,
+        (out.get(u) ?? csr.edgeList(u)).filter((e) => e.to !== v),
+      );
+      into.set(
+        v,
+        Array.from(into.get(v) ?? basePredecessors(v)).filter((k) => k !== u),
+      );
+
+      for (let i = 1; i < chain.length; i++) {
+        const a = chain[i - 1];
+        const b = chain[i];
+        const share = b.fraction - a.fraction;
+        const entry = { to: b.id, weight: edge.weight * share };
+        if (Number.isFinite(edge.time)) entry.time = edge.time * share;
+        const via = viaBetween(points, cum, a.fraction, b.fraction);
+        if (via.length) entry.via = via;
+        push(out, a.id, entry);
+        push(into, b.id, a.id);
+      }
+
+      // Chain distances from each split to the road's ends, for heuristics.
+      for (let i = 1; i < chain.length - 1; i++) {
+        const s = chain[i];
+        push(exits, s.id, { id: v, weight: edge.weight * (1 - s.fraction) });
+        push(entries, s.id, { id: u, weight: edge.weight * s.fraction });
+      }
+    }
+  }
+
+  const isSplitNode = (k) => k >= base && k < base + nodes.length;
+  const edgesOf = (k) => out.get(k) ?? csr.edgeList(k);
+
+  return {
+    keys,
+    nodes,
+    isSplitNode,
+    latLon(k) {
+      if (isSplitNode(k)) return { lat: nodes[k - base].lat, lon: nodes[k - base].lon };
+      return graphNodeLatLon(graph, k);
+    },
+    edges: edgesOf,
+    edge(a, b) {
+      return edgesOf(a).find((e) => e.to === b) ?? null;
+    },
+    // Cost lookups without building edge objects for untouched nodes.
+    weight(a, b) {
+      const replaced = out.get(a);
+      return replaced ? replaced.find((e) => e.to === b)?.weight : csr.weight(a, b);
+    },
+    time(a, b) {
+      const replaced = out.get(a);
+      return replaced ? replaced.find((e) => e.to === b)?.time : csr.time(a, b);
+    },
+    neighbors(k) {
+      const replaced = out.get(k);
+      return replaced ? replaced.map((e) => e.to) : baseNeighbors(k);
+    },
+    reverseNeighbors(k) {
+      return into.get(k) ?? basePredecessors(k);
+    },
+
+    // Lifts a node-indexed heuristic (e.g. ALT tables) to split nodes: a split
+    // node is only left (or entered) along its road, so its bound is the best
+    // over the road's ends plus the distance to them. `fallback` must already
+    // handle split nodes (e.g. straight-line distance).
+    liftHeuristic(h, fallback = () => 0) {
+      return (a, b) => {
+        const from = exits.get(a);
+        const to = entries.get(b);
+        if (!from && !to) return h(a, b);
+        if (from && to && roadOf.get(a) === roadOf.get(b)) return fallback(a, b);
+        let best = Infinity;
+        for (const x of from ?? [{ id: a, weight: 0 }]) {
+          for (const y of to ?? [{ id: b, weight: 0 }]) {
+            best = Math.min(best, x.weight + h(x.id, y.id) + y.weight);
+          }
+        }
+        return Math.max(fallback(a, b), Number.isFinite(best) ? best : 0);
+      };
+    },
+  };
+}
@@ -20,6 +20,13 @@ export default [
         fetch: 'readonly',
         console: 'readonly',
         Image: 'readonly',
+        Blob: 'readonly',
+        URL: 'readonly',
+        TextEncoder: 'readonly',
+        TextDecoder: 'readonly',
+        Worker: 'readonly',
+        // Web Worker scope (search-worker.js)
+        self: 'readonly',
         // Node globals (for scripts/tests)
         process: 'readonly',
       },
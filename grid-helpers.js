@@ -14,6 +14,32 @@ export function parseKey(k) {
   return { i, j };
 }
 
+// --- Seeded randomness ---
+function hashSeedToUint32(seed) {
+  const s = String(seed ?? '');
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function mulberry32(a) {
+  return function () {
+    a |= 0;
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Deterministic rng for a `seed` param (string or number).
+export function seededRng(seed) {
+  return mulberry32(hashSeedToUint32(seed));
+}
+
 // --- Grid graph (prototype) ---
 // We map grid cells to lat/lon centers inside the bounds.
 export function cellLatLon(i, j, bounds, gridCols, gridRows) {
@@ -22,8 +48,12 @@ export function cellLatLon(i, j, bounds, gridCols, gridRows) {
   return { lat, lon };
 }
 
-export function neighborsOf(k, gridCols, gridRows) {
+// With `isBlocked(key)`, blocked cells are skipped and diagonal moves must not
+// cut a corner (both orthogonal cells next to the move have to be free).
+export function neighborsOf(k, gridCols, gridRows, isBlocked = null) {
   const { i, j } = parseKey(k);
+  const free = (ci, cj) =>
+    ci >= 0 && cj >= 0 && ci < gridCols && cj < gridRows && !(isBlocked && isBlocked(key(ci, cj)));
   const out = [];
   for (const [di, dj] of [
     [1, 0],
@@ -37,12 +67,34 @@ export function neighborsOf(k, gridCols, gridRows) {
   ]) {
     const ni = i + di;
     const nj = j + dj;
-    if (ni < 0 || nj < 0 || ni >= gridCols || nj >= gridRows) continue;
+    if (!free(ni, nj)) continue;
+    if (isBlocked && di !== 0 && dj !== 0 && !(free(i + di, j) && free(i, j + dj))) continue;
     out.push(key(ni, nj));
   }
   return out;
 }
 
+// Random rectangular "city blocks" covering roughly `density` of the grid.
+// Returns a Set of blocked cell keys (deterministic for a seeded rng).
+export function randomObstacles(gridCols, gridRows, { density = 0.2, rng = Math.random } = {}) {
+  const blocked = new Set();
+  const target = Math.floor(Math.max(0, Math.min(0.9, density)) * gridCols * gridRows);
+  const maxW = Math.max(1, Math.round(gridCols / 12));
+  const maxH = Math.max(1, Math.round(gridRows / 12));
+
+  for (let tries = 0; blocked.size < target && tries < target * 4; tries++) {
+    const w = 1 + Math.floor(rng() * maxW);
+    const h = 1 + Math.floor(rng() * maxH);
+    const i0 = Math.floor(rng() * gridCols);
+    const j0 = Math.floor(rng() * gridRows);
+    for (let i = i0; i < Math.min(gridCols, i0 + w); i++) {
+      for (let j = j0; j < Math.min(gridRows, j0 + h); j++) blocked.add(key(i, j));
+    }
+  }
+
+  return blocked;
+}
+
 export function cost(aKey, bKey, bounds, gridCols, gridRows) {
   const a = cellLatLon(...Object.values(parseKey(aKey)), bounds, gridCols, gridRows);
   const b = cellLatLon(...Object.values(parseKey(bKey)), bounds, gridCols, gridRows);
@@ -0,0 +1,101 @@
+import { clamp } from './config.js';
+
+// --- Score heatmap (viz=heat) ---
+//
+// Explored edges are colored by a score of the node they close: g (cost from
+// the search's root) or f (the open-set priority it was popped with). Colors
+// come from a plasma-like ramp, which reads as ordered in both hue and
+// lightness. Edges are stroked one path per bin, so the ramp is quantized.
+
+// [t, r, g, b] stops, dark violet (low) to yellow (high).
+const HEAT_STOPS = [
+  [0, 106, 0, 168],
+  [0.25, 177, 42, 144],
+  [0.5, 225, 100, 98],
+  [0.75, 252, 166, 54],
+  [1, 240, 249, 33],
+];
+
+export const HEAT_BINS = 32;
+
+function heatRgb(t) {
+  const x = clamp(Number.isFinite(t) ? t : 0, 0, 1);
+  let i = 1;
+  while (i < HEAT_STOPS.length - 1 && HEAT_STOPS[i][0] < x) i++;
+  const [t0, r0, g0, b0] = HEAT_STOPS[i - 1];
+  const [t1, r1, g1, b1] = HEAT_STOPS[i];
+  const u = (x - t0) / (t1 - t0);
+  return [r0 + (r1 - r0) * u, g0 + (g1 - g0) * u, b0 + (b1 - b0) * u].map(Math.round);
+}
+
+export function heatColor(t, alpha = 1) {
+  const [r, g, b] = heatRgb(t);
+  return `rgba(${r},${g},${b},${alpha})`;
+}
+
+// Bin index (0 .. HEAT_BINS - 1) for t in [0, 1]; bins are colored at their centers.
+export function heatBin(t) {
+  const x = clamp(Number.isFinite(t) ? t : 0, 0, 1);
+  return Math.min(HEAT_BINS - 1, Math.floor(x * HEAT_BINS));
+}
+
+export function heatBinColor(bin, alpha = 1) {
+  return heatColor((bin + 0.5) / HEAT_BINS, alpha);
+}
+
+// CSS gradient for the HUD legend.
+export function heatGradientCss() {
+  const stops = HEAT_STOPS.map(([t]) => `${heatColor(t)} ${Math.round(t * 100)}%`);
+  return `linear-gradient(90deg, ${stops.join(', ')})`;
+}
+
+// Maps scores to [0, 1]. The range only grows (doubling, to leave headroom), so
+// already painted edges keep their colors until fit() reports a change and the
+// layer is repainted. g starts at 0 by definition; f starts at the first f seen
+// (the root's estimate; with a consistent heuristic later pops only rise).
+export function makeHeatScale(score = 'g') {
+  let lo = null;
+  let hi = null;
+
+  return {
+    get lo() {
+      return lo;
+    },
+    get hi() {
+      return hi;
+    },
+    reset() {
+      lo = null;
+      hi = null;
+    },
+    // Widens the range to cover values[from..] (nulls skipped); true if it changed.
+    fit(values, from = 0) {
+      let changed = false;
+      for (let i = from; i < values.length; i++) {
+        const v = values[i];
+        if (v == null || !Number.isFinite(v)) continue;
+        if (lo == null) {
+          lo = score === 'g' ? 0 : v;
+          hi = lo;
+          changed = true;
+        }
+        if (v < lo) {
+          lo = v;
+          changed = true;
+        }
+        if (v > hi) {
+          const span = Math.max(hi - lo, 1);
+          let next = lo + span;
+          while (next < v) next = lo + (next - lo) * 2;
+          hi = next;
+          changed = true;
+        }
+      }
+      return changed;
+    },
+    t(v) {
+      if (v == null || lo == null || hi === lo) return 0;
+      return clamp((v - lo) / (hi - lo), 0, 1);
+    },
+  };
+}
@@ -0,0 +1,139 @@
+import { key, neighborsOf, parseKey } from './grid-helpers.js';
+
+// --- Jump point search (grid graph) ---
+//
+// JPS (Harabor & Grastien) prunes the symmetric paths of an 8-connected grid:
+// instead of pushing every neighbor, each expansion "jumps" in straight lines
+// until it hits the goal or a cell with a forced neighbor (a neighbor that is
+// only reachable optimally through that cell). Only those jump points enter
+// the open set, so A* over them settles far fewer nodes.
+//
+// Movement matches neighborsOf(..., isBlocked): diagonals may not cut corners.
+//
+// makeJumpPointGrid() returns the pieces the A* stepper needs:
+//   - successors(key, parentKey): jump points reachable from `key`
+//   - cost(a, b): cost of a straight jump (sum of the per-cell step costs)
+//   - expandPath(path): jump-point path -> contiguous cell path
+
+export function makeJumpPointGrid({ gridCols, gridRows, isBlocked = null, goalKey, stepCost }) {
+  const free = (i, j) =>
+    i >= 0 && j >= 0 && i < gridCols && j < gridRows && !(isBlocked && isBlocked(key(i, j)));
+  const goal = goalKey != null ? parseKey(goalKey) : null;
+  const isGoal = (i, j) => goal != null && i === goal.i && j === goal.j;
+
+  // Orthogonal jump from (i, j) moving (di, dj); returns the jump point or null.
+  function jumpStraight(i, j, di, dj) {
+    for (;;) {
+      i += di;
+      j += dj;
+      if (!free(i, j)) return null;
+      if (isGoal(i, j)) return [i, j];
+      if (di !== 0) {
+        if ((free(i, j - 1) && !free(i - di, j - 1)) || (free(i, j + 1) && !free(i - di, j + 1))) {
+          return [i, j];
+        }
+      } else if (
+        (free(i - 1, j) && !free(i - 1, j - dj)) ||
+        (free(i + 1, j) && !free(i + 1, j - dj))
+      ) {
+        return [i, j];
+      }
+    }
+  }
+
+  // Diagonal jump: stops where either orthogonal sub-jump finds something.
+  function jumpDiagonal(i, j, di, dj) {
+    for (;;) {
+      i += di;
+      j += dj;
+      if (!free(i, j)) return null;
+      if (isGoal(i, j)) return [i, j];
+      if (jumpStraight(i, j, di, 0) || jumpStraight(i, j, 0, dj)) return [i, j];
+      if (!(free(i + di, j) && free(i, j + dj))) return null;
+    }
+  }
+
+  // Neighbors worth exploring when arriving at (i, j) moving (di, dj).
+  function prunedDirections(i, j, di, dj) {
+    const dirs = [];
+    if (di !== 0 && dj !== 0) {
+      const horizontal = free(i + di, j);
+      const vertical = free(i, j + dj);
+      if (vertical) dirs.push([0, dj]);
+      if (horizontal) dirs.push([di, 0]);
+      if (horizontal && vertical) dirs.push([di, dj]);
+    } else if (di !== 0) {
+      const ahead = free(i + di, j);
+      const up = free(i, j - 1);
+      const down = free(i, j + 1);
+      if (ahead) {
+        dirs.push([di, 0]);
+        if (up) dirs.push([di, -1]);
+        if (down) dirs.push([di, 1]);
+      }
+      if (up) dirs.push([0, -1]);
+      if (down) dirs.push([0, 1]);
+    } else {
+      const ahead = free(i, j + dj);
+      const left = free(i - 1, j);
+      const right = free(i + 1, j);
+      if (ahead) {
+        dirs.push([0, dj]);
+        if (left) dirs.push([-1, dj]);
+        if (right) dirs.push([1, dj]);
+      }
+      if (left) dirs.push([-1, 0]);
+      if (right) dirs.push([1, 0]);
+    }
+    return dirs;
+  }
+
+  function successors(k, parentKey) {
+    const { i, j } = parseKey(k);
+    let dirs;
+    if (parentKey == null) {
+      dirs = neighborsOf(k, gridCols, gridRows, isBlocked).map((nk) => {
+        const n = parseKey(nk);
+        return [n.i - i, n.j - j];
+      });
+    } else {
+      const p = parseKey(parentKey);
+      dirs = prunedDirections(i, j, Math.sign(i - p.i), Math.sign(j - p.j));
+    }
+
+    const out = [];
+    for (const [di, dj] of dirs) {
+      const jp = di !== 0 && dj !== 0 ? jumpDiagonal(i, j, di, dj) : jumpStraight(i, j, di, dj);
+      if (jp) out.push(key(jp[0], jp[1]));
+    }
+    return out;
+  }
+
+  // Cells from a to b inclusive along a straight (orthogonal or diagonal) line.
+  function segmentCells(a, b) {
+    const from = parseKey(a);
+    const to = parseKey(b);
+    const di = Math.sign(to.i - from.i);
+    const dj = Math.sign(to.j - from.j);
+    const n = Math.max(Math.abs(to.i - from.i), Math.abs(to.j - from.j));
+    const cells = [];
+    for (let s = 0; s <= n; s++) cells.push(key(from.i + s * di, from.j + s * dj));
+    return cells;
+  }
+
+  function cost(a, b) {
+    const cells = segmentCells(a, b);
+    let total = 0;
+    for (let s = 1; s < cells.length; s++) total += stepCost(cells[s - 1], cells[s]);
+    return total;
+  }
+
+  function expandPath(path) {
+    if (!Array.isArray(path) || path.length === 0) return path;
+    const out = [path[0]];
+    for (let s = 1; s < path.length; s++) out.push(...segmentCells(path[s - 1], path[s]).slice(1));
+    return out;
+  }
+
+  return { successors, cost, expandPath };
+}
@@ -0,0 +1,175 @@
+import { toCsrGraph } from './csr-graph.js';
+import { MinHeap } from './min-heap.js';
+
+// --- ALT heuristic (A*, Landmarks, Triangle inequality) ---
+//
+// For a landmark L and any nodes a, b of a directed graph:
+//   d(a, b) >= d(L, b) - d(L, a)   and   d(a, b) >= d(a, L) - d(b, L)
+// so precomputed distances from/to a few well-spread landmarks give an
+// admissible heuristic that is usually much tighter than straight-line distance
+// (rivers, bridges and oneways all show up in the bound).
+
+export const DEFAULT_LANDMARK_COUNT = 8;
+
+// Serialized distances are rounded to whole meters; subtracting this slack
+// keeps the bound admissible despite the rounding.
+const ROUNDING_SLACK = 1;
+
+// Single-source shortest path distances over the graph's edges.
+// With `reverse`, distances are *to* the source (edges walked backwards).
+export function dijkstraDistances(graph, source, { reverse = false } = {}) {
+  const n = graph?.nodes?.length ?? 0;
+  const dist = new Float64Array(n).fill(Infinity);
+  if (!(source >= 0 && source < n)) return dist;
+
+  const csr = toCsrGraph(graph);
+  const { offsets, targets, weights } = csr;
+  const heap = new MinHeap();
+  dist[source] = 0;
+  heap.push(source, 0);
+  while (heap.size > 0) {
+    const cur = heap.pop();
+    const d = dist[cur];
+    if (reverse) {
+      const sources = csr.predecessors(cur);
+      const edges = csr.incomingEdges(cur);
+      for (let i = 0; i < edges.length; i++) {
+        const from = sources[i];
+        const nd = d + weights[edges[i]];
+        if (nd < dist[from]) {
+          dist[from] = nd;
+          heap.push(from, nd);
+        }
+      }
+      continue;
+    }
+    for (let e = offsets[cur]; e < offsets[cur + 1]; e++) {
+      const nd = d + weights[e];
+      if (nd < dist[targets[e]]) {
+        dist[targets[e]] = nd;
+        heap.push(targets[e], nd);
+      }
+    }
+  }
+  return dist;
+}
+
+// Farthest-point landmark selection: each new landmark is the node that is
+// farthest (by road distance) from all landmarks picked so far. Pass the
+// largest connected component as `candidates` so every landmark sees most of
+// the graph; only candidates reachable from the first one are considered.
+export function selectLandmarks(graph, count = DEFAULT_LANDMARK_COUNT, { candidates = null } = {}) {
+  const n = graph?.nodes?.length ?? 0;
+  if (n === 0 || count <= 0) return [];
+
+  const component = candidates ? [...candidates] : graph.nodes.map((node) => node.id);
+  const seed = component[0];
+  if (seed == null) return [];
+
+  // minDist[v] = distance to v from its nearest chosen landmark (or the seed).
+  const minDist = dijkstraDistances(graph, seed);
+  const landmarks = [];
+
+  while (landmarks.length < Math.min(count, component.length)) {
+    let best = -1;
+    let bestD = -1;
+    for (const id of component) {
+      const d = minDist[id];
+      if (Number.isFinite(d) && d > bestD) {
+        bestD = d;
+        best = id;
+      }
+    }
+    if (best < 0 || bestD <= 0) break;
+
+    landmarks.push(best);
+    const fromBest = dijkstraDistances(graph, best);
+    if (landmarks.length === 1) {
+      // The seed was only a starting point; measure from real landmarks from now on.
+      minDist.set(fromBest);
+      continue;
+    }
+    for (let i = 0; i < n; i++) {
+      if (fromBest[i] < minDist[i]) minDist[i] = fromBest[i];
+    }
+  }
+
+  return landmarks;
+}
+
+// Distance tables: from[i][v] = d(L_i, v), to[i][v] = d(v, L_i).
+export function computeLandmarkTables(graph, landmarkIds) {
+  return {
+    ids: [...landmarkIds],
+    from: landmarkIds.map((id) => dijkstraDistances(graph, id)),
+    to: landmarkIds.map((id) => dijkstraDistances(graph, id, { reverse: true })),
+  };
+}
+
+export function buildLandmarks(graph, count = DEFAULT_LANDMARK_COUNT, options = {}) {
+  return computeLandmarkTables(graph, selectLandmarks(graph, count, options));
+}
+
+// Cache form: whole meters, -1 for unreachable (JSON has no Infinity).
+export function serializeLandmarks(tables) {
+  const pack = (arr) => Array.from(arr, (d) => (Number.isFinite(d) ? Math.round(d) : -1));
+  return {
+    ids: [...tables.ids],
+    from: tables.from.map(pack),
+    to: tables.to.map(pack),
+  };
+}
+
+export function parseLandmarks(payload, nodeCount) {
+  const ids = payload?.ids;
+  if (!Array.isArray(ids) || !Array.isArray(payload?.from) || !Array.isArray(payload?.to)) {
+    return null;
+  }
+  if (payload.from.length !== ids.length || payload.to.length !== ids.length) return null;
+
+  const unpack = (list) => {
+    // Rows are arrays (JSON cache) or typed-array views (binary cache).
+    if (!(Array.isArray(list) || ArrayBuffer.isView(list)) || list.length !== nodeCount) {
+      return null;
+    }
+    const out = new Float64Array(nodeCount);
+    for (let i = 0; i < nodeCount; i++) {
+      const d = list[i];
+      out[i] = Number.isFinite(d) && d >= 0 ? d : Infinity;
+    }
+    return out;
+  };
+
+  const from = payload.from.map(unpack);
+  const to = payload.to.map(unpack);
+  if (from.some((t) => !t) || to.some((t) => !t)) return null;
+
+  return { ids: [...ids], from, to, slack: ROUNDING_SLACK };
+}
+
+// Build an admissible heuristic (a, b) => lower bound on d(a, b).
+// `fallback` (e.g. haversine) is combined with max(), so ALT never does worse.
+export function makeAltHeuristic(tables, fallback = () => 0) {
+  const from = tables?.from ?? [];
+  const to = tables?.to ?? [];
+  const slack = tables?.slack ?? 0;
+
+  return (a, b) => {
+    let best = fallback(a, b);
+    for (let i = 0; i < from.length; i++) {
+      const fa = from[i][a];
+      const fb = from[i][b];
+      if (Number.isFinite(fa) && Number.isFinite(fb)) {
+        const bound = fb - fa - slack;
+        if (bound > best) best = bound;
+      }
+      const ta = to[i][a];
+      const tb = to[i][b];
+      if (Number.isFinite(ta) && Number.isFinite(tb)) {
+        const bound = ta - tb - slack;
+        if (bound > best) best = bound;
+      }
+    }
+    return best;
+  };
+}
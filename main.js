@@ -1,41 +1,31 @@
-import { haversineMeters, makeAStarStepper, reconstructPath } from './astar.js';
-import { DEFAULT_GUARDRAILS, updateGuardrails } from './guardrails.js';
-import { stepEndPhase } from './endPhase.js';
+import { algorithmLabel, reconstructPath } from './astar.js';
 import { extractRoadLinesWithMeta } from './roads-data.js';
+import { ALGORITHMS, BOUNDS, THEME, clamp, parseRuntimeConfig } from './config.js';
+import { cameraFromParams } from './coordinates.js';
 import {
-  buildRoadGraph,
-  graphNodeLatLon,
-  largestComponent,
-  randomGraphNode,
-  parseRoadGraphCache,
-} from './road-graph.js';
-import { BOUNDS, THEME, clamp, parseRuntimeConfig } from './config.js';
-import { applyZoom, project, makeProjector } from './coordinates.js';
-import { ENDPOINT_SAMPLING_MAX_TRIES, sampleEndpointPair } from './endpoint-sampling.js';
-import {
-  inBoundsLatLon,
-  parseKey,
-  cellLatLon,
-  neighborsOf,
-  cost,
-  heuristic,
-  randomCell,
-} from './grid-helpers.js';
-import {
-  latLonToCellKey,
-  snapLatLonToRoadPoint,
-  buildRoadPointCacheFromGeojson,
-  buildRoadPointCacheFromGraph,
-} from './road-point-cache.js';
+  CAMERA_MAX_ZOOM_FACTOR,
+  STAGE_LEVELS_PER_OCTAVE,
+  growBounds,
+  makeCameraDirector,
+  makeStage,
+  sameView,
+  stageCovers,
+  stageStandsIn,
+  stageTransform,
+} from './camera-motion.js';
+import { parseKey } from './grid-helpers.js';
+import { parseReplayLog, replayRedirectSearch, replaySearchParams } from './replay-log.js';
+import { RESUME_STORAGE_KEY, fetchRoadsData, makeSearchEngine } from './search-engine.js';
+import { formatEta } from './travel-time.js';
+import { heatBin, heatBinColor, heatGradientCss, makeHeatScale } from './heatmap.js';
+import { raceViz } from './race.js';
+import { HISTORY_STORAGE_KEY, makeRouteHistory } from './route-history.js';
 import { extractLandPolys, extractLandMassPolys, extractParksPolys } from './terrain-data.js';
 
 const CONFIG = parseRuntimeConfig(typeof window !== 'undefined' ? window.location?.search : '');
-const CENTER_OVERRIDE =
-  CONFIG.centerLat != null && CONFIG.centerLon != null
-    ? { lat: CONFIG.centerLat, lon: CONFIG.centerLon }
-    : null;
 
-const MAX_RENDER_NODES_PER_SET = 3500;
+// Frontier rims drawn per frame; bigger open sets are sampled.
+const MAX_FRONTIER_MARKERS = 2500;
 // Safety cap for pre-rendering OSM roads into an offscreen canvas.
 // With zoomed-in defaults we can afford a higher ceiling, but we still keep a cap
 // to avoid locking up weaker machines.
@@ -44,6 +34,14 @@ const MIN_ROAD_SEGMENTS = 150000;
 const MAX_SEGMENTS_PER_LINE_HI = 6000;
 const MAX_SEGMENTS_PER_LINE_LO = 1200;
 
+// For text from outside (error messages quoting fetched bodies) in HUD markup.
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c],
+  );
+}
+
 // --- Canvas setup ---
 if (typeof window !== 'undefined') {
   const canvas = document.getElementById('c');
@@ -52,23 +50,29 @@ if (typeof window !== 'undefined') {
   const controls = document.getElementById('controls');
   const ctx = canvas.getContext('2d', { alpha: false });
 
-  const ROADS_GEO_URL = './data/osm/roads.geojson';
-  const ROADS_COMPACT_URL = './data/osm/roads.compact.json';
-  const ROAD_GRAPH_URL = './data/osm/roadGraph.v2.json';
   const LAND_URL = './data/osm/land.geojson';
   const LAND_POLYS_URL = './data/osm/land-polygons.geojson';
   const PARKS_URL = './data/osm/parks.geojson';
-  const roadsLayer = document.createElement('canvas');
-  const roadsCtx = roadsLayer.getContext('2d', { alpha: true });
-
-  const landLayer = document.createElement('canvas');
-  const landCtx = landLayer.getContext('2d', { alpha: true });
   let landPolys = []; // water polys (kind=water)
   let landReady = false;
 
   const exploredLayer = document.createElement('canvas');
   const exploredCtx = exploredLayer.getContext('2d', { alpha: true });
-  let exploredLayerStep = -1;
+  let exploredPainted = 0; // entries of sim.explored already on exploredLayer
+  let racePainted = []; // race=1: the same, per lane
+  const heatScale = makeHeatScale(CONFIG.heatScore); // viz=heat color range for this cycle
+
+  // Past routes (history=1): redrawn when a route joins, on resize, and every
+  // HISTORY_REPAINT_MS as the routes fade.
+  const historyLayer = document.createElement('canvas');
+  const historyCtx = historyLayer.getContext('2d', { alpha: true });
+  let historyLayerDirty = true;
+  let historyPaintedAt = 0;
+
+  // Grid obstacles (graph=grid only), cached like the other static layers.
+  const obstacleLayer = document.createElement('canvas');
+  const obstacleCtx = obstacleLayer.getContext('2d', { alpha: true });
+  let obstacleLayerDirty = true;
 
   let noisePattern = null;
   let lastHudUpdate = 0;
@@ -79,11 +83,6 @@ if (typeof window !== 'undefined') {
   let roadsLines = [];
   let roadsLinesMeta = [];
   let roadsReady = false;
-  let roadsPointCache = { points: [], keys: [] };
-  let roadGraph = null;
-  let roadGraphReady = false;
-  let cachedNeighborKeys = null;
-  let reachableNodes = null; // Set of node IDs in the largest connected component
   let showRoads = CONFIG.showRoads;
   let showTerrain = CONFIG.showTerrain;
   let roadsDetail = CONFIG.roadsDetail;
@@ -102,9 +101,9 @@ if (typeof window !== 'undefined') {
     controls.style.display = 'none';
   }
 
+  // Roads are rebuilt for the current stage on the next frame, other stages when next used.
   function rebuildRoadsLayerSoon() {
-    if (!roadsReady) return;
-    buildRoadsLayer(roadsCtx, roadsLayer.width, roadsLayer.height);
+    for (const entry of stages) entry.roadsDirty = true;
   }
 
   function initControls() {
@@ -154,6 +153,120 @@ if (typeof window !== 'undefined') {
 
   let dpr = 1;
 
+  // What the screen shows. Starts from the URL (zoom, rotation,
+  // centerLat/centerLon); with camera=cinematic the director moves it.
+  const camera = cameraFromParams(BOUNDS, CONFIG);
+  const cinematic = CONFIG.camera === 'cinematic';
+  let homeView = { center: camera.center, zoom: camera.zoom };
+  const director = cinematic
+    ? makeCameraDirector(camera, {
+        base: BOUNDS,
+        home: () => homeView,
+        traceMs: () => CONFIG.endTraceMs,
+      })
+    : null;
+
+  // --- Stages ---
+  // Layers draw through stage.camera onto stage-sized canvases, placed on screen
+  // by stageTransform. camera=fixed has one stage: the camera itself at screen
+  // size. camera=cinematic has one per zoom level, with a margin to pan in.
+  // While the director moves the camera the current stage is scaled rather than
+  // rebuilt, and the stage for the camera's level is made once it settles. The
+  // home stage and one stage per level up to CAMERA_MAX_ZOOM_FACTOR are kept, so
+  // easing back out to the home view redraws nothing.
+  const STAGE_MARGIN = 0.25;
+  const MAX_STAGES = STAGE_LEVELS_PER_OCTAVE * Math.log2(CAMERA_MAX_ZOOM_FACTOR) + 2;
+  const stages = []; // { stage, home, roads, roadsDirty, land, landDirty }, oldest first
+  let stage = null;
+
+  function stageCanvas({ width, height }) {
+    const layer = document.createElement('canvas');
+    layer.width = width;
+    layer.height = height;
+    return { layer, ctx: layer.getContext('2d', { alpha: true }) };
+  }
+
+  function dropStage(entry) {
+    // Zero-size canvases free their pixels without waiting for GC.
+    entry.roads.layer.width = 0;
+    entry.land.layer.width = 0;
+    stages.splice(stages.indexOf(entry), 1);
+  }
+
+  function dropStages() {
+    for (const entry of [...stages]) dropStage(entry);
+    stage = null;
+  }
+
+  // Cached stage that serves the camera: the current one first, then one at the
+  // camera's level; mid-move, any that can stand in.
+  function findStage(w, h) {
+    if (!cinematic) return stages[0];
+    const moving = !director.settled;
+    const serves = (entry) =>
+      stageCovers(entry.stage, camera, w, h) ||
+      (moving && stageStandsIn(entry.stage, camera, w, h));
+    const current = stages.find((entry) => entry.stage === stage);
+    if (current && serves(current)) return current;
+    return (
+      stages.find((entry) => stageCovers(entry.stage, camera, w, h)) ??
+      (moving ? stages.find((entry) => stageStandsIn(entry.stage, camera, w, h)) : undefined)
+    );
+  }
+
+  // Stage layer set for the camera on a w x h screen; resizes and clears the
+  // per-cycle layers when the stage changes.
+  function ensureStage(w, h) {
+    let entry = findStage(w, h);
+    if (entry) {
+      stages.splice(stages.indexOf(entry), 1);
+    } else {
+      const next = cinematic
+        ? makeStage(BOUNDS, camera, w, h, STAGE_MARGIN)
+        : { camera, width: Math.max(1, Math.floor(w)), height: Math.max(1, Math.floor(h)) };
+      const level = next.level ?? 0;
+      const home = cinematic && sameView(camera, homeView);
+      // One stage per level, besides the home stage.
+      const same = stages.find(
+        (other) => other.home === home && (other.stage.level ?? 0) === level,
+      );
+      if (same) dropStage(same);
+      entry = {
+        stage: next,
+        home,
+        roads: stageCanvas(next),
+        roadsDirty: true,
+        land: stageCanvas(next),
+        landDirty: true,
+      };
+    }
+    stages.push(entry);
+    while (stages.length > MAX_STAGES) dropStage(stages.find((other) => !other.home) ?? stages[0]);
+
+    if (entry.stage !== stage) {
+      stage = entry.stage;
+      for (const layer of [exploredLayer, historyLayer, obstacleLayer]) {
+        layer.width = stage.width;
+        layer.height = stage.height;
+      }
+      exploredPainted = 0;
+      racePainted = [];
+      historyLayerDirty = true;
+      obstacleLayerDirty = true;
+    }
+    return entry;
+  }
+
+  // Where the stage sits on screen: screen = stage * scale + (x, y).
+  function stagePlacement(w, h) {
+    return cinematic ? stageTransform(stage, camera, w, h) : { scale: 1, x: 0, y: 0 };
+  }
+
+  function screenToLatLon(x, y) {
+    const { scale, x: dx, y: dy } = stagePlacement(window.innerWidth, window.innerHeight);
+    return stage.camera.unproject((x - dx) / scale, (y - dy) / scale, stage.width, stage.height);
+  }
+
   function resize() {
     dpr = window.devicePixelRatio || 1;
     canvas.width = Math.floor(window.innerWidth * dpr);
@@ -170,17 +283,8 @@ if (typeof window !== 'undefined') {
     buildNoise(noiseCtx);
     noisePattern = ctx.createPattern(noise, 'repeat');
 
-    roadsLayer.width = Math.max(1, Math.floor(window.innerWidth));
-    roadsLayer.height = Math.max(1, Math.floor(window.innerHeight));
-    if (roadsReady) buildRoadsLayer(roadsCtx, roadsLayer.width, roadsLayer.height);
-
-    landLayer.width = Math.max(1, Math.floor(window.innerWidth));
-    landLayer.height = Math.max(1, Math.floor(window.innerHeight));
-    if (landReady) buildLandLayer(landCtx, landLayer.width, landLayer.height);
-
-    exploredLayer.width = Math.max(1, Math.floor(window.innerWidth));
-    exploredLayer.height = Math.max(1, Math.floor(window.innerHeight));
-    exploredLayerStep = -1;
+    // Every layer is redrawn for the new size (or camera) on the next frame.
+    dropStages();
   }
   window.addEventListener('resize', resize);
   resize();
@@ -199,6 +303,10 @@ if (typeof window !== 'undefined') {
       requestAnimationFrame(render);
     }
 
+    if (e.key?.toLowerCase() === 'd') {
+      downloadReplayLog();
+    }
+
     if (e.key === '?') {
       helpVisible = !helpVisible;
       if (help) help.style.display = helpVisible ? 'block' : 'none';
@@ -206,79 +314,195 @@ if (typeof window !== 'undefined') {
   });
 
   document.addEventListener('visibilitychange', () => {
-    if (!document.hidden) {
-      lastStepAt = performance.now();
-      lastFrameAt = performance.now();
-    }
+    if (!document.hidden) sim.resetClock();
+  });
+
+  // Road lines for the roads layer; the engine reuses them when there is no graph
+  // cache and it runs in the page.
+  const roadsData = fetchRoadsData().catch((err) => {
+    console.warn('Failed to load road lines', err);
+    return null;
   });
 
   loadLand();
   loadRoads();
 
-  function randomRoadKey(rng = Math.random) {
-    if (!roadsPointCache?.keys?.length) return null;
-    return roadsPointCache.keys[Math.floor(rng() * roadsPointCache.keys.length)];
+  // Recording without a seed draws one, so a replay can rebuild the same obstacles.
+  const RUN_SEED =
+    CONFIG.seed ??
+    (CONFIG.record > 0 && !CONFIG.replay ? String(Math.floor(Math.random() * 2 ** 32)) : null);
+
+  // --- Resume (resume=1) ---
+  // The engine snapshots the running cycle (endpoints + stepper state) every few
+  // seconds and on pagehide; it is kept in localStorage so a wallpaper restart
+  // continues the same search.
+  const RESUME_SAVE_INTERVAL_MS = 5000;
+  let lastResumeSaveAt = 0;
+  let resumeSaveFailedCycle = null; // no more tries this cycle: its snapshots only grow
+
+  // Snapshots stay JSON text on the page; the engine parses and builds them.
+  function readSavedCycle() {
+    if (CONFIG.resume === 0 || CONFIG.replay) return null;
+    try {
+      return window.localStorage?.getItem(RESUME_STORAGE_KEY) ?? null;
+    } catch {
+      return null;
+    }
   }
 
-  function hashSeedToUint32(seed) {
-    const s = String(seed ?? '');
-    let h = 2166136261;
-    for (let i = 0; i < s.length; i++) {
-      h ^= s.charCodeAt(i);
-      h = Math.imul(h, 16777619);
+  function writeSavedCycle(saved) {
+    if (sim.cycle === resumeSaveFailedCycle) return;
+    try {
+      window.localStorage?.setItem(RESUME_STORAGE_KEY, saved);
+    } catch (err) {
+      // Storage full or unavailable (big searches can outgrow the quota).
+      if (resumeSaveFailedCycle == null) console.warn('Failed to save search state', err);
+      resumeSaveFailedCycle = sim.cycle;
     }
-    return h >>> 0;
   }
 
-  function mulberry32(a) {
-    return function () {
-      a |= 0;
-      a = (a + 0x6d2b79f5) | 0;
-      let t = Math.imul(a ^ (a >>> 15), 1 | a);
-      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-    };
+  // --- Route history (history=1) ---
+  // Each found route joins the history as a lat/lon polyline; with
+  // historyPersist=1 the history is kept in localStorage. Replays add nothing
+  // (their routes were drawn when they were recorded).
+  const HISTORY_REPAINT_MS = 10000;
+  const routeHistory =
+    CONFIG.history !== 0
+      ? makeRouteHistory({
+          maxRoutes: CONFIG.historyMax,
+          halfLifeMs: CONFIG.historyDecay * 60 * 1000,
+        })
+      : null;
+  if (routeHistory && CONFIG.historyPersist !== 0) {
+    try {
+      const saved = JSON.parse(window.localStorage?.getItem(HISTORY_STORAGE_KEY) ?? 'null');
+      routeHistory.load(saved, Date.now());
+    } catch {
+      // Unreadable history: start a new one.
+    }
   }
 
-  const RNG = CONFIG.seed != null ? mulberry32(hashSeedToUint32(CONFIG.seed)) : Math.random;
+  function writeSavedHistory() {
+    try {
+      window.localStorage?.setItem(HISTORY_STORAGE_KEY, JSON.stringify(routeHistory.serialize()));
+    } catch (err) {
+      console.warn('Failed to save route history', err);
+    }
+  }
 
-  function isRoadGraphActive() {
-    return CONFIG.graph === 'roads' && roadGraphReady && roadGraph?.nodes?.length > 0;
+  // Lat/lon points along a path, road geometry included.
+  function pathLatLons(path) {
+    const points = [];
+    path.forEach((k, i) => {
+      if (i > 0) {
+        for (const [lon, lat] of sim.edgeVia(path[i - 1], k) ?? []) points.push({ lat, lon });
+      }
+      const ll = sim.keyToLatLon(k);
+      if (ll) points.push(ll);
+    });
+    return points;
   }
 
-  function keyToLatLon(k, bounds) {
-    if (isRoadGraphActive()) {
-      return graphNodeLatLon(roadGraph, k);
+  function addRouteToHistory() {
+    if (!routeHistory || CONFIG.replay || !sim.finalPath) return;
+    if (!routeHistory.add(pathLatLons(sim.finalPath), Date.now())) return;
+    historyLayerDirty = true;
+    if (CONFIG.historyPersist !== 0) writeSavedHistory();
+  }
+
+  // --- Camera targets (camera=cinematic) ---
+  // What the director keeps in frame: the endpoints and every explored node of
+  // the cycle (grown from the entries added since the last frame), and the
+  // found path with its road geometry.
+  let searchBox = null;
+  let searchBoxCursors = []; // explored entries already in searchBox, per tree
+  let pathBox = null;
+  let pathBoxFor = null; // the finalPath pathBox was taken from
+
+  function growSearchBox() {
+    const trees = sim.race ? sim.race.lanes.map((lane) => lane.trees.explored) : [sim.explored];
+    trees.forEach((explored, i) => {
+      if (!explored) return;
+      for (let j = searchBoxCursors[i] ?? 0; j < explored.keys.length; j++) {
+        const ll = keyToLatLon(explored.keys[j]);
+        if (ll) searchBox = growBounds(searchBox, ll.lat, ll.lon);
+      }
+      searchBoxCursors[i] = explored.keys.length;
+    });
+    for (const k of [sim.startKey, sim.goalKey]) {
+      const ll = k != null ? keyToLatLon(k) : null;
+      if (ll) searchBox = growBounds(searchBox, ll.lat, ll.lon);
     }
-    const { i, j } = parseKey(k);
-    return cellLatLon(i, j, bounds, CONFIG.gridCols, CONFIG.gridRows);
+    return searchBox;
   }
 
+  function finalPathBox() {
+    if (sim.finalPath !== pathBoxFor) {
+      pathBoxFor = sim.finalPath;
+      pathBox = null;
+      for (const { lat, lon } of pathBoxFor ? pathLatLons(pathBoxFor) : []) {
+        pathBox = growBounds(pathBox, lat, lon);
+      }
+    }
+    return pathBox;
+  }
+
+  // --- Simulation ---
+  // Cycle logic lives in simulation.js, run by search-engine.js (in a worker when
+  // worker=1); this file draws the engine's mirror of its state.
+  const sim = makeSearchEngine(CONFIG, {
+    worker: CONFIG.worker !== 0,
+    seed: RUN_SEED,
+    recordParams: replaySearchParams(window.location?.search, { seed: RUN_SEED }),
+    resume: readSavedCycle(),
+    loadRoadsData: () => roadsData,
+    onCycleStart() {
+      obstacleLayerDirty = true;
+      exploredCtx.clearRect(0, 0, exploredLayer.width, exploredLayer.height);
+      exploredPainted = 0;
+      racePainted = [];
+      heatScale.reset();
+      searchBox = null;
+      searchBoxCursors = [];
+    },
+    onCycleEnd(outcome) {
+      if (outcome === 'found') addRouteToHistory();
+    },
+    onSave: writeSavedCycle,
+  });
+  const {
+    gridObstacles,
+    soakStats,
+    isRoadGraphActive,
+    isAltActive,
+    isTurnSearchActive,
+    isEdgeSnapActive,
+    isTimeCostActive,
+    keyToLatLon,
+  } = sim;
+
+  // Node positions on the stage, kept until its projector changes.
   let graphProjectionCache = {
-    key: '',
+    proj: null,
     points: [],
   };
 
-  function graphProjectionKey(bounds, w, h) {
-    return `${bounds.north.toFixed(5)},${bounds.south.toFixed(5)},${bounds.west.toFixed(5)},${bounds.east.toFixed(5)}|${w}x${h}`;
-  }
-
   function ensureGraphProjection(w, h) {
     if (!isRoadGraphActive()) return;
-    const key = graphProjectionKey(simBounds, w, h);
+    const roadGraph = sim.roadGraph;
+    const proj = stage.camera.projector(w, h);
     if (
-      graphProjectionCache.key === key &&
+      graphProjectionCache.proj === proj &&
       graphProjectionCache.points.length === roadGraph.nodes.length
     )
       return;
 
-    const proj = makeProjector(simBounds, w, h, CONFIG.rotation);
     const points = new Array(roadGraph.nodes.length);
     for (const node of roadGraph.nodes) {
       points[node.id] = proj(node.lat, node.lon);
     }
 
-    graphProjectionCache = { key, points };
+    graphProjectionCache = { proj, points };
   }
 
   function keyToXY(k, w, h) {
@@ -288,206 +512,81 @@ if (typeof window !== 'undefined') {
       if (p) return p;
     }
 
-    const ll = keyToLatLon(k, simBounds);
+    const ll = keyToLatLon(k);
     if (!ll) return { x: -1000, y: -1000 };
-    return project(ll.lat, ll.lon, simBounds, w, h, CONFIG.rotation);
+    return stage.camera.project(ll.lat, ll.lon, w, h);
   }
 
-  function pathLeavesBounds(pathKeys, bounds) {
-    for (const k of pathKeys) {
-      const ll = keyToLatLon(k, bounds);
-      if (!ll || !inBoundsLatLon(ll.lat, ll.lon, bounds)) return true;
-    }
-    return false;
+  // --- Record / replay ---
+  // record=N keeps the last N cycles (every expansion + outcome) for download from
+  // the HUD (or the d key); replay=<file> plays a downloaded log back, cycle after
+  // cycle, instead of searching. Both live in the engine.
+  let replayError = null;
+
+  async function downloadReplayLog() {
+    const log = await sim.downloadReplayLog();
+    if (!log) return;
+    const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `astar-replay-${Date.now()}.json`;
+    a.click();
+    requestAnimationFrame(() => URL.revokeObjectURL(url));
   }
 
-  function pathLengthMeters(pathKeys, bounds) {
-    if (!pathKeys || pathKeys.length < 2) return 0;
-    let total = 0;
-    const useGraph = isRoadGraphActive();
-    for (let i = 1; i < pathKeys.length; i++) {
-      // Prefer edge weights from costMaps (accurate for contracted edges).
-      if (useGraph) {
-        const w = roadGraph.costMaps[pathKeys[i - 1]]?.get(pathKeys[i]);
-        if (Number.isFinite(w)) {
-          total += w;
-          continue;
-        }
-      }
-      const a = keyToLatLon(pathKeys[i - 1], bounds);
-      const b = keyToLatLon(pathKeys[i], bounds);
-      if (!a || !b) continue;
-      total += haversineMeters(a, b);
-    }
-    return total;
+  if (hud) {
+    hud.addEventListener('click', (e) => {
+      if (!e.target?.closest?.('[data-action="download-replay"]')) return;
+      e.preventDefault();
+      downloadReplayLog();
+    });
   }
 
-  // --- Simulation state ---
-  // simBounds affects sampling + A* costs/heuristics only.
-  let simBounds = applyZoom(BOUNDS, CONFIG.zoom, CENTER_OVERRIDE);
-  let startKey = null;
-  let goalKey = null;
-  let stepper = null;
-  let currentStep = null;
-  let finalPath = null;
-  let lastSearchStep = null; // preserved closedSet + cameFrom for end-phase gold edges
-  let phase = 'search'; // search | end-hold | end-trace | end-glow
-  let phaseT = 0;
-  let lastStepAt = 0;
-  let lastFrameAt = 0;
-  let cycle = 0;
-  let endpointSamplingBestEffort = false;
-  let endpointSamplingDistanceMeters = 0;
-  let endpointSamplingTries = 0;
-  let lastPathLengthMeters = 0;
-
-  const GUARDRAILS = DEFAULT_GUARDRAILS;
-  let guardrailState = {
-    consecutiveFailures: 0,
-    consecutiveResamples: 0,
-    relaxCyclesRemaining: 0,
-  };
-
-  let effectiveMinStartEndMeters = CONFIG.minStartEndMeters;
-  let effectiveDiscardIfPathLeavesBounds = CONFIG.discardIfPathLeavesBounds;
-
-  let soakStats = {
-    cyclesCompleted: 0,
-    failures: 0,
-    resamples: 0,
-    totalSteps: 0,
-    totalSearchMs: 0,
-  };
-
-  function pickEndpoints() {
-    simBounds = applyZoom(BOUNDS, CONFIG.zoom, CENTER_OVERRIDE);
-
-    const useRoadGraph = isRoadGraphActive();
-    const useRoadKeys = CONFIG.endpointMode === 'roads' && roadsPointCache.keys.length > 0;
-
-    // Inset sampling bounds by 5% on each edge so endpoints don't spawn at screen borders.
-    const padLat = 0.05 * (simBounds.north - simBounds.south);
-    const padLon = 0.05 * (simBounds.east - simBounds.west);
-    const samplingBounds = {
-      south: simBounds.south + padLat,
-      north: simBounds.north - padLat,
-      west: simBounds.west + padLon,
-      east: simBounds.east - padLon,
-    };
-
-    // Pre-filter graph nodes to padded bounds and largest connected component.
-    let inBoundsNodeIds = null;
-    if (useRoadGraph) {
-      inBoundsNodeIds = [];
-      for (const node of roadGraph.nodes) {
-        if (
-          node.lat >= samplingBounds.south &&
-          node.lat <= samplingBounds.north &&
-          node.lon >= samplingBounds.west &&
-          node.lon <= samplingBounds.east &&
-          (!reachableNodes || reachableNodes.has(node.id))
-        ) {
-          inBoundsNodeIds.push(node.id);
-        }
+  async function loadReplay() {
+    try {
+      const res = await fetch(CONFIG.replay);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const log = parseReplayLog(await res.json());
+      if (!log || log.cycles.length === 0) throw new Error('not a replay log, or no cycles');
+      // Keys only mean the same thing under the recorded settings.
+      const redirect = replayRedirectSearch(window.location.search, log);
+      if (redirect) {
+        window.location.replace(redirect);
+        return;
       }
+      sim.setReplayLog(log);
+    } catch (err) {
+      replayError = String(err?.message ?? err);
+      console.warn('Failed to load replay log', err);
     }
+  }
 
-    const randomKey = (rng) => {
-      if (useRoadGraph && inBoundsNodeIds.length > 0) {
-        return inBoundsNodeIds[Math.floor(rng() * inBoundsNodeIds.length)];
-      }
-      if (useRoadGraph) return randomGraphNode(roadGraph, rng);
-      if (useRoadKeys) return randomRoadKey(rng);
-
-      let k = randomCell(simBounds, CONFIG.gridCols, CONFIG.gridRows, rng);
-      if (CONFIG.endpointMode === 'random' && roadsPointCache.points.length > 0) {
-        const ll = cellLatLon(
-          ...Object.values(parseKey(k)),
-          simBounds,
-          CONFIG.gridCols,
-          CONFIG.gridRows,
-        );
-        const snapped = snapLatLonToRoadPoint(ll.lat, ll.lon, roadsPointCache.points);
-        if (snapped) {
-          const snappedKey = latLonToCellKey(
-            snapped.lat,
-            snapped.lon,
-            simBounds,
-            CONFIG.gridCols,
-            CONFIG.gridRows,
-          );
-          if (snappedKey) k = snappedKey;
-        }
-      }
-
-      return k;
-    };
-
-    const relaxed = CONFIG.soak !== 0 && guardrailState.relaxCyclesRemaining > 0;
-    effectiveMinStartEndMeters = relaxed
-      ? Math.min(CONFIG.minStartEndMeters, GUARDRAILS.relaxedMinStartEndMeters)
-      : CONFIG.minStartEndMeters;
-    effectiveDiscardIfPathLeavesBounds = relaxed ? false : CONFIG.discardIfPathLeavesBounds;
-
-    const sampled = sampleEndpointPair({
-      maxTries: ENDPOINT_SAMPLING_MAX_TRIES,
-      minMeters: effectiveMinStartEndMeters,
-      randomKey: (rng) => randomKey(rng || RNG),
-      toLatLon: (k) => keyToLatLon(k, simBounds),
+  if (CONFIG.replay) loadReplay();
+
+  // From a worker the snapshot may not make it back before unload; the periodic
+  // saves cover that.
+  if (CONFIG.resume !== 0) window.addEventListener('pagehide', () => sim.save());
+
+  // --- Endpoint picking (pick=1) ---
+  // Click moves the start, shift-click the goal, to the nearest usable node; a
+  // ring at the click shows whether it took.
+  const PICK_FEEDBACK_MS = 700;
+  let pickFeedback = null; // { x, y, ok, at }
+
+  if (CONFIG.pick !== 0 && !CONFIG.replay) {
+    canvas.style.cursor = 'crosshair';
+    canvas.addEventListener('click', async (e) => {
+      if (!stage) return;
+      const rect = canvas.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      const { lat, lon } = screenToLatLon(x, y);
+      const ok = await sim.pickEndpoint(e.shiftKey ? 'goal' : 'start', lat, lon);
+      pickFeedback = { x, y, ok, at: performance.now() };
     });
-
-    startKey = sampled.startKey;
-    goalKey = sampled.goalKey;
-    endpointSamplingBestEffort = !sampled.minDistanceMet;
-    endpointSamplingDistanceMeters = sampled.distanceMeters;
-    endpointSamplingTries = sampled.tries;
-
-    if (useRoadGraph) {
-      const neighborKeys =
-        cachedNeighborKeys || roadGraph.adjacency.map((edges) => edges.map((e) => e.to));
-      stepper = makeAStarStepper({
-        startKey,
-        goalKey,
-        neighbors: (k) => neighborKeys[k],
-        cost: (a, b) => {
-          const w = roadGraph.costMaps[a]?.get(b);
-          if (Number.isFinite(w)) return w;
-          const aLL = graphNodeLatLon(roadGraph, a);
-          const bLL = graphNodeLatLon(roadGraph, b);
-          return aLL && bLL ? haversineMeters(aLL, bLL) : Infinity;
-        },
-        heuristic: (a, g2) =>
-          haversineMeters(graphNodeLatLon(roadGraph, a), graphNodeLatLon(roadGraph, g2)),
-        isValidNode: (k) => roadGraph?.nodes?.[k] != null,
-      });
-    } else {
-      stepper = makeAStarStepper({
-        startKey,
-        goalKey,
-        neighbors: (k) => neighborsOf(k, CONFIG.gridCols, CONFIG.gridRows),
-        cost: (a, b) => cost(a, b, simBounds, CONFIG.gridCols, CONFIG.gridRows),
-        heuristic: (a, g2) => heuristic(a, g2, simBounds, CONFIG.gridCols, CONFIG.gridRows),
-      });
-    }
-
-    currentStep = null;
-    finalPath = null;
-    lastSearchStep = null;
-    exploredCtx.clearRect(0, 0, exploredLayer.width, exploredLayer.height);
-    exploredLayerStep = -1;
-    phase = 'search';
-    phaseT = 0;
-    lastStepAt = performance.now();
-    lastFrameAt = lastStepAt;
-    cycle += 1;
-
-    if (CONFIG.soak !== 0 && guardrailState.relaxCyclesRemaining > 0) {
-      guardrailState.relaxCyclesRemaining -= 1;
-    }
   }
 
-  pickEndpoints();
-
   // --- Rendering ---
   function buildNoise(nctx) {
     // Small tileable noise texture (repeated across screen).
@@ -570,6 +669,63 @@ if (typeof window !== 'undefined') {
     bctx.restore();
   }
 
+  // Blocked grid cells as filled quads (cell corners go through the same rotated projection).
+  function buildObstacleLayer(octx, w, h) {
+    obstacleLayerDirty = false;
+    octx.clearRect(0, 0, w, h);
+    const proj = stage.camera.projector(w, h);
+    const latStep = (sim.simBounds.north - sim.simBounds.south) / CONFIG.gridRows;
+    const lonStep = (sim.simBounds.east - sim.simBounds.west) / CONFIG.gridCols;
+
+    octx.save();
+    octx.fillStyle = THEME.obstacle;
+    octx.beginPath();
+    for (const k of gridObstacles) {
+      const { i, j } = parseKey(k);
+      const north = sim.simBounds.north - j * latStep;
+      const west = sim.simBounds.west + i * lonStep;
+      const a = proj(north, west);
+      const b = proj(north, west + lonStep);
+      const c = proj(north - latStep, west + lonStep);
+      const d = proj(north - latStep, west);
+      octx.moveTo(a.x, a.y);
+      octx.lineTo(b.x, b.y);
+      octx.lineTo(c.x, c.y);
+      octx.lineTo(d.x, d.y);
+      octx.closePath();
+    }
+    octx.fill();
+    octx.restore();
+  }
+
+  function buildHistoryLayer(hctx, w, h) {
+    historyLayerDirty = false;
+    hctx.clearRect(0, 0, w, h);
+    const now = Date.now();
+    routeHistory.prune(now);
+    const proj = stage.camera.projector(w, h);
+
+    hctx.save();
+    // Overlapping routes add up into a density map.
+    hctx.globalCompositeOperation = 'lighter';
+    hctx.strokeStyle = THEME.history;
+    hctx.lineWidth = 1.5;
+    hctx.lineCap = 'round';
+    hctx.lineJoin = 'round';
+    for (const route of routeHistory.routes) {
+      const { coords } = route;
+      hctx.globalAlpha = 0.3 * routeHistory.alpha(route, now);
+      hctx.beginPath();
+      for (let i = 0; i < coords.length; i += 2) {
+        const p = proj(coords[i], coords[i + 1]);
+        if (i === 0) hctx.moveTo(p.x, p.y);
+        else hctx.lineTo(p.x, p.y);
+      }
+      hctx.stroke();
+    }
+    hctx.restore();
+  }
+
   // --- OSM land/water overlay ---
   async function loadLand() {
     try {
@@ -594,8 +750,8 @@ if (typeof window !== 'undefined') {
         parksPolys = extractParksPolys(parks);
       }
 
+      // Each stage draws it on its next frame.
       landReady = true;
-      buildLandLayer(landCtx, landLayer.width, landLayer.height);
     } catch (err) {
       console.warn('Failed to load land overlay', err);
     }
@@ -603,7 +759,7 @@ if (typeof window !== 'undefined') {
 
   function buildLandLayer(lctx, w, h) {
     lctx.clearRect(0, 0, w, h);
-    const landProj = makeProjector(simBounds, w, h, CONFIG.rotation);
+    const landProj = stage.camera.projector(w, h);
 
     // Fill land mass polygons (from osmdata pre-processed data).
     // Canvas starts transparent (dark background = ocean).
@@ -672,82 +828,17 @@ if (typeof window !== 'undefined') {
   }
 
   // --- OSM roads layer ---
+  // Drawn from the road lines (compact preferred; GeoJSON fallback); the road
+  // graph itself is the engine's.
   async function loadRoads() {
-    const cacheBounds = applyZoom(BOUNDS, CONFIG.zoom, CENTER_OVERRIDE);
-
-    // 1) Try to load a precomputed road graph cache (dev-time generated).
     try {
-      const res = await fetch(ROAD_GRAPH_URL);
-      if (res.ok) {
-        const cached = parseRoadGraphCache(await res.json());
-        if (cached) {
-          roadGraph = cached;
-          roadGraphReady = roadGraph.nodes.length > 0;
-          roadsPointCache = buildRoadPointCacheFromGraph(
-            roadGraph,
-            cacheBounds,
-            CONFIG.gridCols,
-            CONFIG.gridRows,
-          );
-        }
-      }
-    } catch (err) {
-      console.warn('Failed to load road graph cache', err);
-    }
-
-    // 2) Load road lines (compact preferred; GeoJSON fallback) for rendering,
-    // and as a fallback graph source if cache isn't available.
-    try {
-      let data = null;
-      let res = await fetch(ROADS_COMPACT_URL);
-      if (res.ok) {
-        data = await res.json();
-      } else {
-        res = await fetch(ROADS_GEO_URL);
-        if (!res.ok) throw new Error(`roads fetch failed: ${res.status}`);
-        data = await res.json();
-      }
+      const data = await roadsData;
+      if (!data) throw new Error('roads fetch failed');
 
       roadsLinesMeta = extractRoadLinesWithMeta(data);
       roadsLines = roadsLinesMeta.map((l) => l.coords);
+      // Each stage draws them on its next frame.
       roadsReady = roadsLines.length > 0;
-
-      if (!roadsReady) return;
-
-      // Always build the roads layer from lines.
-      buildRoadsLayer(roadsCtx, roadsLayer.width, roadsLayer.height);
-
-      // If we didn't get a cached road graph, build one from the lines (with oneway metadata).
-      if (!roadGraphReady) {
-        roadGraph = buildRoadGraph(roadsLinesMeta, {
-          toleranceMeters: 8,
-          bounds: cacheBounds,
-        });
-        roadGraphReady = roadGraph.nodes.length > 0;
-      }
-
-      // Pre-compute largest connected component so we only sample reachable nodes.
-      if (roadGraphReady) {
-        reachableNodes = largestComponent(roadGraph);
-        cachedNeighborKeys = roadGraph.adjacency.map((edges) => edges.map((e) => e.to));
-      }
-
-      // Ensure we have a point cache for snapping/endpoint sampling.
-      if (!roadsPointCache.keys.length) {
-        roadsPointCache = buildRoadPointCacheFromGeojson(
-          data,
-          cacheBounds,
-          CONFIG.gridCols,
-          CONFIG.gridRows,
-        );
-      }
-
-      if (
-        (CONFIG.graph === 'roads' && roadGraphReady) ||
-        (CONFIG.endpointMode === 'roads' && roadsPointCache.keys.length > 0)
-      ) {
-        pickEndpoints();
-      }
     } catch (err) {
       console.warn('Failed to load roads layer', err);
     }
@@ -776,6 +867,24 @@ if (typeof window !== 'undefined') {
     }
   }
 
+  // Lat/lon box per road line, for skipping lines the camera can't see.
+  const roadLineBounds = new WeakMap();
+
+  function lineBounds(line) {
+    let b = roadLineBounds.get(line);
+    if (!b) {
+      b = { north: -Infinity, south: Infinity, west: Infinity, east: -Infinity };
+      for (const [lon, lat] of line) {
+        if (lat > b.north) b.north = lat;
+        if (lat < b.south) b.south = lat;
+        if (lon < b.west) b.west = lon;
+        if (lon > b.east) b.east = lon;
+      }
+      roadLineBounds.set(line, b);
+    }
+    return b;
+  }
+
   function buildRoadsLayer(rctx, w, h) {
     if (!roadsLinesMeta.length) return;
     rctx.clearRect(0, 0, w, h);
@@ -805,13 +914,18 @@ if (typeof window !== 'undefined') {
       return (b.coords?.length ?? 0) - (a.coords?.length ?? 0);
     });
 
-    const roadsProj = makeProjector(simBounds, w, h, CONFIG.rotation);
+    const roadsProj = stage.camera.projector(w, h);
+    const view = stage.camera.visibleBounds(w, h);
     let segments = 0;
 
     for (const item of ordered) {
       const line = item?.coords;
       if (!line || line.length < 2) continue;
       if (segments >= effectiveMaxSegments) break;
+      // Off-screen lines would only spend the segment budget.
+      const b = lineBounds(line);
+      if (b.south > view.north || b.north < view.south || b.west > view.east || b.east < view.west)
+        continue;
 
       const stride =
         line.length > MAX_SEGMENTS_PER_LINE ? Math.ceil(line.length / MAX_SEGMENTS_PER_LINE) : 1;
@@ -843,60 +957,89 @@ if (typeof window !== 'undefined') {
     return keyToXY(k, w, h);
   }
 
-  function renderExploredEdgesToLayer(step, w, h, budget = MAX_RENDER_NODES_PER_SET) {
-    if (!step?.closedSet || !step?.cameFrom) return;
+  // The explored tree is painted incrementally: each frame adds the edges closed
+  // since the last one, so the whole tree stays on screen however big the search
+  // gets. resize() (also run on rotation and zoom) clears it for a full repaint.
+  // With viz=heat edges are colored by score, one path per color bin; when the
+  // color range grows the tree is repainted against the new one.
+  function paintExploredEdges(explored, w, h) {
+    const { keys, backward } = explored;
+    if (exploredPainted >= keys.length) return;
+
+    const scores = raceViz(CONFIG) === 'heat' ? explored[CONFIG.heatScore] : null;
+    if (scores && heatScale.fit(scores, exploredPainted) && exploredPainted > 0) {
+      exploredCtx.clearRect(0, 0, exploredLayer.width, exploredLayer.height);
+      exploredPainted = 0;
+    }
+
+    strokeExplored(explored, exploredPainted, w, h, (i) => {
+      const score = scores?.[i] ?? null;
+      if (score != null) return heatBinColor(heatBin(heatScale.t(score)), 0.8);
+      return backward[i] ? THEME.exploredBackward : THEME.explored;
+    });
+    exploredPainted = keys.length;
+  }
+
+  // race=1: every lane's tree in its lane color, on the same layer.
+  function paintRaceEdges(race, w, h) {
+    race.lanes.forEach((lane, i) => {
+      const { explored } = lane.trees;
+      const from = racePainted[i] ?? 0;
+      if (from >= explored.keys.length) return;
+      strokeExplored(explored, from, w, h, () => raceColor(i, 0.5));
+      racePainted[i] = explored.keys.length;
+    });
+  }
+
+  // Strokes explored entries from `from` on onto exploredLayer, one path per
+  // style (`styleOf(i)`).
+  function strokeExplored(explored, from, w, h, styleOf) {
+    const { keys, parents } = explored;
+    // Stroke style -> indices of the edges drawn in it.
+    const groups = new Map();
+    for (let i = from; i < keys.length; i++) {
+      if (parents[i] == null) continue;
+      const style = styleOf(i);
+      let group = groups.get(style);
+      if (!group) groups.set(style, (group = []));
+      group.push(i);
+    }
 
-    exploredCtx.clearRect(0, 0, w, h);
     exploredCtx.save();
     exploredCtx.globalCompositeOperation = 'source-over';
-    exploredCtx.strokeStyle = THEME.explored;
     exploredCtx.lineWidth = 2;
     exploredCtx.lineCap = 'round';
     exploredCtx.lineJoin = 'round';
 
-    const total = step.closedSet.size ?? 0;
-    const limit = Math.min(budget, MAX_RENDER_NODES_PER_SET);
-    const stride = total > limit ? Math.ceil(total / limit) : 1;
-    let idx = 0;
-    let drawn = 0;
-
-    exploredCtx.beginPath();
-    for (const k of step.closedSet) {
-      if (stride > 1 && idx % stride !== 0) {
-        idx += 1;
-        continue;
+    for (const [style, group] of groups) {
+      exploredCtx.strokeStyle = style;
+      exploredCtx.beginPath();
+      for (const i of group) {
+        const p1 = cellToXY(keys[i], w, h);
+        const p2 = cellToXY(parents[i], w, h);
+        exploredCtx.moveTo(p1.x, p1.y);
+        exploredCtx.lineTo(p2.x, p2.y);
       }
-      idx += 1;
-      drawn += 1;
-      if (drawn > limit) break;
-
-      const pred = step.cameFrom.get(k);
-      if (pred == null) continue;
-
-      const p1 = cellToXY(k, w, h);
-      const p2 = cellToXY(pred, w, h);
-      exploredCtx.moveTo(p1.x, p1.y);
-      exploredCtx.lineTo(p2.x, p2.y);
+      exploredCtx.stroke();
     }
-    exploredCtx.stroke();
 
     exploredCtx.restore();
   }
 
+  function raceColor(lane, alpha = 1) {
+    const hex = THEME.race[lane % THEME.race.length];
+    const n = Number.parseInt(hex.slice(1), 16);
+    return `rgba(${n >> 16},${(n >> 8) & 255},${n & 255},${alpha})`;
+  }
+
   function getViaGeometry(fromId, toId) {
-    if (!isRoadGraphActive()) return null;
-    const edges = roadGraph.adjacency[fromId];
-    if (!edges) return null;
-    for (const e of edges) {
-      if (e.to === toId && e.via) return e.via;
-    }
-    return null;
+    return sim.edgeVia(fromId, toId);
   }
 
   function strokePath(keys, w, h, count) {
     const n = Math.min(keys.length, Math.max(2, count));
     const useVia = isRoadGraphActive();
-    const proj = useVia ? makeProjector(simBounds, w, h, CONFIG.rotation) : null;
+    const proj = useVia ? stage.camera.projector(w, h) : null;
     ctx.beginPath();
     for (let i = 0; i < n; i++) {
       const p = cellToXY(keys[i], w, h);
@@ -982,6 +1125,36 @@ if (typeof window !== 'undefined') {
     ctx.restore();
   }
 
+  // Open-set nodes as glowing cyan rims. Past the budget every stride-th node
+  // (by opening order, stride a power of two) is drawn, so a node stays drawn
+  // or hidden as the frontier moves instead of flickering.
+  function drawFrontier(step, w, h, color = THEME.open) {
+    const sets = [step.frontier, step.frontierBackward].filter(Boolean);
+    const total = sets.reduce((n, set) => n + set.size, 0);
+    if (total === 0) return;
+    let stride = 1;
+    while (total / stride > MAX_FRONTIER_MARKERS) stride *= 2;
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.strokeStyle = color;
+    ctx.globalAlpha = 0.8;
+    ctx.lineWidth = 1.25;
+    ctx.shadowColor = color;
+    ctx.shadowBlur = 6;
+    ctx.beginPath();
+    for (const set of sets) {
+      for (const [k, order] of set) {
+        if (order % stride !== 0) continue;
+        const p = cellToXY(k, w, h);
+        ctx.moveTo(p.x + 2.5, p.y);
+        ctx.arc(p.x, p.y, 2.5, 0, Math.PI * 2);
+      }
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
   function drawCurrent(k, w, h) {
     if (!k) return;
     const p = cellToXY(k, w, h);
@@ -1006,62 +1179,193 @@ if (typeof window !== 'undefined') {
     ctx.restore();
   }
 
+  // race=1: paths the lanes have found, in lane colors. While the race ends the
+  // winner's is the final path, animated like a single search's.
+  function drawRacePaths(race, w, h, ending) {
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = 2;
+    ctx.globalAlpha = 0.85;
+    race.lanes.forEach((lane, i) => {
+      if (!lane.path || lane.path.length < 2 || (ending && i === race.winner)) return;
+      ctx.strokeStyle = raceColor(i);
+      strokePath(lane.path, w, h, lane.path.length);
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  // race=1: steps and path cost per lane, drawn bottom left so it shows with
+  // the HUD hidden; the end phases name the winner.
+  function drawRaceScoreboard(race, w, h, ending) {
+    const rowH = 18;
+    const width = 280;
+    const x = 14;
+    const y = h - 14 - rowH * (race.lanes.length + 1) - 10;
+    const costLabel = (lane) => {
+      if (lane.status === 'searching') return '…';
+      if (lane.status !== 'found') return lane.status;
+      return isTimeCostActive() ? formatEta(lane.cost) : `${Math.round(lane.cost)}m`;
+    };
+    const label = (lane) => algorithmLabel(lane.algo, { epsilon: CONFIG.epsilon });
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = 'rgba(7, 10, 16, 0.55)';
+    ctx.fillRect(x, y, width, rowH * (race.lanes.length + 1) + 10);
+    ctx.font = '12px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+    ctx.textBaseline = 'middle';
+
+    const titleY = y + 5 + rowH / 2;
+    if (ending && race.winner != null) {
+      ctx.fillStyle = raceColor(race.winner);
+      ctx.fillText(`${label(race.lanes[race.winner])} wins`, x + 10, titleY);
+    } else {
+      ctx.fillStyle = '#a8b3c1';
+      ctx.fillText(ending ? 'race · no path' : 'race', x + 10, titleY);
+    }
+
+    race.lanes.forEach((lane, i) => {
+      const rowY = titleY + rowH * (i + 1);
+      ctx.fillStyle = raceColor(i);
+      ctx.beginPath();
+      ctx.arc(x + 14, rowY, 4, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = ending && i === race.winner ? '#ffffff' : '#a8b3c1';
+      ctx.textAlign = 'left';
+      ctx.fillText(label(lane), x + 26, rowY);
+      ctx.textAlign = 'right';
+      ctx.fillText(`${lane.steps} steps`, x + 190, rowY);
+      ctx.fillText(costLabel(lane), x + width - 10, rowY);
+    });
+    ctx.restore();
+  }
+
+  function drawPickFeedback(now) {
+    const t = (now - pickFeedback.at) / PICK_FEEDBACK_MS;
+    if (t >= 1) {
+      pickFeedback = null;
+      return;
+    }
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.globalAlpha = 1 - t;
+    ctx.strokeStyle = pickFeedback.ok ? THEME.start : THEME.goal;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(pickFeedback.x, pickFeedback.y, 6 + 18 * t, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+
   function render(now) {
-    const w = window.innerWidth;
-    const h = window.innerHeight;
+    const screenW = window.innerWidth;
+    const screenH = window.innerHeight;
+    const { currentStep, lastSearchStep, finalPath, phase, phaseT, startKey, goalKey, race } = sim;
+    const ending = phase === 'end-hold' || phase === 'end-trace' || phase === 'end-glow';
 
     // Static background.
     ctx.globalCompositeOperation = 'source-over';
     ctx.globalAlpha = 1;
-    ctx.drawImage(bg, 0, 0, w, h);
+    ctx.drawImage(bg, 0, 0, screenW, screenH);
+
+    // The map draws in stage pixels (w x h), placed on screen by the stage transform.
+    const layers = ensureStage(screenW, screenH);
+    const place = stagePlacement(screenW, screenH);
+    const w = stage.width;
+    const h = stage.height;
+    ctx.save();
+    ctx.transform(place.scale, 0, 0, place.scale, place.x, place.y);
 
     if (showTerrain && landReady) {
-      ctx.drawImage(landLayer, 0, 0, w, h);
+      if (layers.landDirty) {
+        buildLandLayer(layers.land.ctx, w, h);
+        layers.landDirty = false;
+      }
+      ctx.drawImage(layers.land.layer, 0, 0, w, h);
     }
 
     if (showRoads && roadsReady) {
-      ctx.drawImage(roadsLayer, 0, 0, w, h);
+      if (layers.roadsDirty) {
+        buildRoadsLayer(layers.roads.ctx, w, h);
+        layers.roadsDirty = false;
+      }
+      ctx.drawImage(layers.roads.layer, 0, 0, w, h);
+    }
+
+    if (gridObstacles.size > 0 && !isRoadGraphActive()) {
+      if (obstacleLayerDirty)
+        buildObstacleLayer(obstacleCtx, obstacleLayer.width, obstacleLayer.height);
+      ctx.drawImage(obstacleLayer, 0, 0, w, h);
+    }
+
+    if (routeHistory?.routes.length > 0) {
+      if (historyLayerDirty || now - historyPaintedAt > HISTORY_REPAINT_MS) {
+        buildHistoryLayer(historyCtx, historyLayer.width, historyLayer.height);
+        historyPaintedAt = now;
+      }
+      ctx.drawImage(historyLayer, 0, 0, w, h);
     }
 
-    // Film grain.
+    // Film grain, in screen pixels.
+    ctx.restore();
     if (noisePattern) {
       ctx.save();
       ctx.globalAlpha = CONFIG.noiseAlpha;
       ctx.globalCompositeOperation = 'overlay';
       ctx.fillStyle = noisePattern;
-      ctx.fillRect(0, 0, w, h);
+      ctx.fillRect(0, 0, screenW, screenH);
       ctx.restore();
     }
+    ctx.save();
+    ctx.transform(place.scale, 0, 0, place.scale, place.x, place.y);
+
+    if (race && CONFIG.showOpenClosed !== 0) {
+      paintRaceEdges(race, w, h);
+    } else if (sim.explored && CONFIG.showOpenClosed !== 0) {
+      paintExploredEdges(sim.explored, w, h);
+    }
 
     if (currentStep && currentStep.status === 'searching') {
       if (CONFIG.showOpenClosed !== 0) {
-        const stepCount = currentStep.steps ?? 0;
-        if (stepCount !== exploredLayerStep) {
-          renderExploredEdgesToLayer(currentStep, w, h);
-          exploredLayerStep = stepCount;
-        }
         ctx.drawImage(exploredLayer, 0, 0, w, h);
       }
 
-      if (CONFIG.showPathDuringSearch !== 0) {
-        const partial = reconstructPath(currentStep.cameFrom, currentStep.current);
+      if (CONFIG.showPathDuringSearch !== 0 && !race) {
+        const tree =
+          currentStep.direction === 'backward'
+            ? currentStep.cameFromBackward
+            : currentStep.cameFrom;
+        const partial = reconstructPath(tree, currentStep.current);
         ctx.save();
         ctx.globalAlpha = 0.2;
         drawPath(partial, w, h, 1.0);
         ctx.restore();
       }
 
-      if (CONFIG.showCurrent !== 0) {
+      if (CONFIG.showOpenClosed !== 0 && race) {
+        race.lanes.forEach((lane, i) => {
+          if (lane.status === 'searching') drawFrontier(lane.trees, w, h, raceColor(i));
+        });
+      } else if (CONFIG.showOpenClosed !== 0) {
+        drawFrontier(currentStep, w, h);
+      }
+
+      if (CONFIG.showCurrent !== 0 && !race) {
         drawCurrent(currentStep.current, w, h);
       }
     }
 
     // Draw explored edges (gold) during end phases from saved search state.
     // exploredLayer persists from final search step — just composite it.
-    if (lastSearchStep && (phase === 'end-hold' || phase === 'end-trace' || phase === 'end-glow')) {
+    if (lastSearchStep && ending) {
       ctx.drawImage(exploredLayer, 0, 0, w, h);
     }
 
+    if (race) drawRacePaths(race, w, h, ending);
+
     if (finalPath) {
       if (phase === 'end-hold') {
         drawPath(finalPath, w, h, 1.0);
@@ -1079,19 +1383,26 @@ if (typeof window !== 'undefined') {
       }
     }
 
-    drawMarker(startKey, w, h, THEME.start, 'rgba(52,211,153,0.55)');
-    drawMarker(goalKey, w, h, THEME.goal, 'rgba(251,113,133,0.55)');
+    if (startKey != null) drawMarker(startKey, w, h, THEME.start, 'rgba(52,211,153,0.55)');
+    if (goalKey != null) drawMarker(goalKey, w, h, THEME.goal, 'rgba(251,113,133,0.55)');
+    ctx.restore();
+
+    if (race) drawRaceScoreboard(race, screenW, screenH, ending);
+
+    if (pickFeedback) drawPickFeedback(now);
 
     if (now - lastHudUpdate > 200) {
       lastHudUpdate = now;
 
       const openN = currentStep?.openSize ?? 0;
-      const closedN = currentStep?.closedSet?.size ?? 0;
+      const closedN =
+        (currentStep?.closedSet?.size ?? 0) + (currentStep?.closedSetBackward?.size ?? 0);
       const steps = currentStep?.steps ?? 0;
+      const { sampling, guardrailState, graphInfo, graphSplit, altSavings } = sim;
 
       const samplingLine =
-        `sample: <b>${Math.round(endpointSamplingDistanceMeters)}</b>m <span class="dim">·</span> tries: <b>${endpointSamplingTries}</b>` +
-        (endpointSamplingBestEffort
+        `sample: <b>${Math.round(sampling.distanceMeters)}</b>m <span class="dim">·</span> tries: <b>${sampling.tries}</b>` +
+        (sampling.bestEffort
           ? ` <span class="dim">·</span> <b style="color:#fb7185">min-distance not met; best-effort</b>`
           : '');
 
@@ -1106,25 +1417,102 @@ if (typeof window !== 'undefined') {
 
       const graphStats = isRoadGraphActive()
         ? `<span class="key">graph</span>: <b>roads</b>` +
-          ` <span class="dim">·</span> <span class="key">nodes</span>: <b>${roadGraph.nodes.length}</b>` +
-          ` <span class="dim">·</span> <span class="key">edges</span>: <b>${roadGraph.edges}</b>`
+          ` <span class="dim">·</span> <span class="key">nodes</span>: <b>${graphInfo.nodes}</b>` +
+          ` <span class="dim">·</span> <span class="key">edges</span>: <b>${graphInfo.edges}</b>` +
+          (graphInfo.reachable != null
+            ? ` <span class="dim">·</span> <span class="key">scc</span>: <b>${graphInfo.reachable}</b>` +
+              ` <span class="dim">(${graphInfo.nodes - graphInfo.reachable} trapped)</span>`
+            : '')
         : CONFIG.graph === 'roads'
           ? `<span class="key">graph</span>: <b>roads</b>` +
             ` <span class="dim">·</span> <span class="key">nodes</span>: <b class="dim">loading</b>`
           : `<span class="key">graph</span>: <b>grid</b>` +
             ` <span class="dim">·</span> <span class="key">cells</span>: <b>${CONFIG.gridCols * CONFIG.gridRows}</b>`;
 
+      let algoLabel = algorithmLabel(CONFIG.algo, { epsilon: CONFIG.epsilon });
+      if (CONFIG.algo === 'ch' && !(isRoadGraphActive() && graphInfo.ch)) {
+        algoLabel += ` <span class="dim">(no hierarchy; bidirectional A*)</span>`;
+      } else if (CONFIG.algo === 'ch' && isTimeCostActive()) {
+        algoLabel += ` <span class="dim">(hierarchy is distance-only; bidirectional A*)</span>`;
+      } else if (CONFIG.algo === 'ch' && isTurnSearchActive()) {
+        algoLabel += ` <span class="dim">(hierarchy has no turns; bidirectional A*)</span>`;
+      } else if (CONFIG.algo === 'ch' && graphSplit) {
+        algoLabel += ` <span class="dim">(endpoints off the hierarchy; bidirectional A*)</span>`;
+      }
+      if (CONFIG.algo === 'jps' && isRoadGraphActive()) {
+        algoLabel += ` <span class="dim">(grid only; A*)</span>`;
+      }
+      if (sim.race) {
+        algoLabel =
+          `Race: ` +
+          CONFIG.raceAlgos
+            .map((algo) => algorithmLabel(algo, { epsilon: CONFIG.epsilon }))
+            .join(' vs ');
+      }
+
       const graphLabel = isRoadGraphActive()
         ? 'roads'
         : CONFIG.graph === 'roads'
           ? 'roads (loading)'
           : 'grid';
 
+      let heuristicLine = `<span class="key">heuristic</span>: <b>haversine</b>`;
+      if (CONFIG.heuristic === 'alt') {
+        if (!isAltActive()) {
+          heuristicLine = `<span class="key">heuristic</span>: <b>alt</b> <b class="dim">unavailable (haversine)</b>`;
+        } else {
+          heuristicLine = `<span class="key">heuristic</span>: <b>alt</b> <span class="dim">(${graphInfo.landmarks} landmarks)</span>`;
+          if (altSavings) {
+            const saved = altSavings.baselineSteps - altSavings.steps;
+            const pct =
+              altSavings.baselineSteps > 0
+                ? Math.round((100 * saved) / altSavings.baselineSteps)
+                : 0;
+            // Until the haversine run reaches the goal its count is a lower bound.
+            const atLeast = altSavings.exact ? '' : '≥';
+            heuristicLine +=
+              saved > 0 || altSavings.exact
+                ? ` <span class="dim">·</span> saved <b>${atLeast}${saved}</b> steps (<b>${atLeast}${pct}%</b>) vs haversine`
+                : ` <span class="dim">·</span> <span class="dim">measuring savings vs haversine…</span>`;
+          }
+        }
+      }
+      if (isTurnSearchActive()) {
+        heuristicLine +=
+          ` <span class="dim">·</span> <span class="key">turns</span>: <b>${graphInfo.restrictions}</b> restrictions` +
+          ` <span class="dim">(left ${CONFIG.leftTurnPenalty}s, U ${CONFIG.uTurnPenalty}s)</span>`;
+      }
+      if (CONFIG.snap === 'edge' && isRoadGraphActive()) {
+        heuristicLine += isEdgeSnapActive()
+          ? ` <span class="dim">·</span> <span class="key">snap</span>: <b>edge</b>`
+          : ` <span class="dim">·</span> <span class="key">snap</span>: <b>edge</b> <b class="dim">off with turns (nodes)</b>`;
+      }
+      if (CONFIG.cost === 'time') {
+        heuristicLine += isTimeCostActive()
+          ? ` <span class="dim">·</span> <span class="key">cost</span>: <b>time</b>`
+          : ` <span class="dim">·</span> <span class="key">cost</span>: <b>time</b> <b class="dim">unavailable (distance)</b>`;
+      }
+
+      let replayLine = '';
+      if (CONFIG.replay) {
+        replayLine = replayError
+          ? ` <span class="dim">·</span> <span class="key">replay</span>: <b style="color:#fb7185">${escapeHtml(replayError)}</b>`
+          : sim.replay
+            ? ` <span class="dim">·</span> <span class="key">replay</span>: <b>${((sim.replay.index - 1) % sim.replay.total) + 1}</b>/${sim.replay.total}`
+            : ` <span class="dim">·</span> <span class="key">replay</span>: <b class="dim">loading</b>`;
+      } else if (CONFIG.record > 0) {
+        replayLine =
+          ` <span class="dim">·</span> <span class="key">rec</span>: <b>${sim.recorded}</b> cycles` +
+          ` <a href="#" data-action="download-replay" class="key">download</a>`;
+      }
+
       const statsLine =
-        `<span class="key">path</span>: <b>${Math.round(lastPathLengthMeters)}</b>m` +
+        `<span class="key">path</span>: <b>${Math.round(sim.lastPathLengthMeters)}</b>m` +
+        ` <span class="dim">·</span> <span class="key">eta</span>: <b>${formatEta(sim.lastPathSeconds)}</b>` +
         ` <span class="dim">·</span> ${graphStats}` +
-        ` <span class="dim">·</span> <span class="key">roads pts</span>: <b>${roadsPointCache.points.length}</b>` +
+        ` <span class="dim">·</span> <span class="key">roads pts</span>: <b>${sim.roadPoints}</b>` +
         ` <span class="dim">·</span> <span class="key">endpointMode</span>: <b>${CONFIG.endpointMode}</b>` +
+        replayLine +
         soakLine;
 
       if (hud && CONFIG.hud !== 0) {
@@ -1133,23 +1521,40 @@ if (typeof window !== 'undefined') {
             ? `<span class="key">open</span>: <b>${openN}</b> <span class="dim">·</span> <span class="key">closed</span>: <b>${closedN}</b>`
             : `<span class="key">open/closed</span>: <b class="dim">hidden</b>`;
 
+        const viz = raceViz(CONFIG);
+        let heatLine = '';
+        if (viz === 'heat') {
+          const unit = isTimeCostActive() ? 's' : 'm';
+          const range =
+            heatScale.lo != null
+              ? `<b>${Math.round(heatScale.lo)}</b>${unit}` +
+                ` <span style="display:inline-block;width:96px;height:8px;border-radius:2px;background:${heatGradientCss()}"></span>` +
+                ` <b>${Math.round(heatScale.hi)}</b>${unit}`
+              : `<b class="dim">waiting for scores</b>`;
+          heatLine = `<span class="key">heat</span>: ${CONFIG.heatScore} ${range}<br/>`;
+        }
+
         const vizLine =
-          `<span class="dim">viz</span>:` +
+          `<span class="dim">viz</span>: <b>${viz}</b>` +
+          (viz !== CONFIG.viz ? ` <span class="dim">(no heat in race mode)</span>` : '') +
           ` openClosed=<b>${CONFIG.showOpenClosed ? 1 : 0}</b>` +
           ` current=<b>${CONFIG.showCurrent ? 1 : 0}</b>` +
           ` pathDuring=<b>${CONFIG.showPathDuringSearch ? 1 : 0}</b>` +
           ` roads=<b>${showRoads ? 1 : 0}</b>` +
-          ` terrain=<b>${showTerrain ? 1 : 0}</b>`;
+          ` terrain=<b>${showTerrain ? 1 : 0}</b>` +
+          ` history=<b>${routeHistory ? routeHistory.routes.length : 'off'}</b>`;
 
         hud.innerHTML =
-          `<b>A*</b> Greater Boston <span class="dim">· graph ${graphLabel} · cycle ${cycle}</span><br/>` +
+          `<b>${algoLabel}</b> Greater Boston <span class="dim">· graph ${graphLabel} · cycle ${sim.cycle}</span><br/>` +
           `phase: <b>${phase}</b> <span class="dim">·</span> steps: <b>${steps}</b><br/>` +
           `${samplingLine}<br/>` +
           `${statsLine}<br/>` +
           `${openClosedLine}<br/>` +
+          `${heuristicLine}<br/>` +
           `${vizLine}<br/>` +
-          `<span class="dim">cfg</span>: sps=<b>${CONFIG.stepsPerSecond}</b> maxStepsPerFrame=<b>${CONFIG.maxStepsPerFrame}</b> zoom=<b>${CONFIG.zoom.toFixed(2)}</b><br/>` +
-          `<span class="dim">cfg</span>: minDist=<b>${CONFIG.minStartEndMeters}</b>m`;
+          heatLine +
+          `<span class="dim">cfg</span>: sps=<b>${CONFIG.stepsPerSecond}</b> maxStepsPerFrame=<b>${CONFIG.maxStepsPerFrame}</b> zoom=<b>${camera.zoom.toFixed(2)}</b><br/>` +
+          `<span class="dim">cfg</span>: minDist=<b>${CONFIG.minStartEndMeters}</b>m engine=<b>${sim.engine ?? 'starting'}</b>`;
       }
 
       if (help) {
@@ -1166,18 +1571,21 @@ if (typeof window !== 'undefined') {
           `mode=<b>${modeLabel}</b>` +
           ` sps=<b>${CONFIG.stepsPerSecond}</b>` +
           ` maxStepsPerFrame=<b>${CONFIG.maxStepsPerFrame}</b>` +
-          ` zoom=<b>${CONFIG.zoom.toFixed(2)}</b>` +
+          ` zoom=<b>${camera.zoom.toFixed(2)}</b>` +
           ` endHoldMs=<b>${CONFIG.endHoldMs}</b>` +
           ` endAnimMs=<b>${CONFIG.endAnimMs}</b>` +
           ` minStartEndMeters=<b>${CONFIG.minStartEndMeters}</b>` +
-          ` graph=<b>${CONFIG.graph}</b>`;
+          ` graph=<b>${CONFIG.graph}</b>` +
+          ` algo=<b>${CONFIG.algo}</b>` +
+          ` heuristic=<b>${CONFIG.heuristic}</b>`;
 
         help.innerHTML =
           `<b>Help</b> <span class="dim">· toggle with ?</span><br/>` +
-          `<span class="dim">keys</span>: <span class="key">r</span> roads <span class="dim">·</span> <span class="key">t</span> terrain <span class="dim">·</span> <span class="key">?</span> help<br/>` +
+          `<span class="dim">mouse</span>: <span class="key">click</span> start <span class="dim">·</span> <span class="key">shift-click</span> goal<br/>` +
+          `<span class="dim">keys</span>: <span class="key">r</span> roads <span class="dim">·</span> <span class="key">t</span> terrain <span class="dim">·</span> <span class="key">d</span> download replay log <span class="dim">·</span> <span class="key">?</span> help<br/>` +
           `<span class="dim">toggles</span>: ${togglesLine}<br/>` +
           `<span class="dim">query params</span>: ${paramsLine}<br/>` +
-          `<span class="dim">query params</span>: mode, sps, maxStepsPerFrame, zoom, endHoldMs, endAnimMs, minStartEndMeters, graph, hud, showOpenClosed, showCurrent, showPathDuringSearch, showRoads, showTerrain`;
+          `<span class="dim">query params</span>: mode, sps, maxStepsPerFrame, zoom, camera, endHoldMs, endAnimMs, minStartEndMeters, graph, algo, epsilon, heuristic, cost, turns, leftTurnPenalty, uTurnPenalty, snap, obstacles, resume, record, replay, worker, race, raceAlgos, hud, viz, heatScore, showOpenClosed, showCurrent, showPathDuringSearch, showRoads, showTerrain, pick, history, historyMax, historyDecay, historyPersist`;
       }
     } // end HUD throttle
 
@@ -1185,95 +1593,52 @@ if (typeof window !== 'undefined') {
   }
 
   function tick(now) {
-    const dt = Math.min(1000, Math.max(0, now - lastFrameAt));
-    lastFrameAt = now;
-    // step A* at fixed rate (but allow multiple steps per frame when frames are slow)
-    if (phase === 'search') {
-      let stepsThisFrame = 0;
-
-      while (now - lastStepAt >= CONFIG.stepDelayMs && stepsThisFrame < CONFIG.maxStepsPerFrame) {
-        lastStepAt += CONFIG.stepDelayMs;
-        stepsThisFrame += 1;
-
-        const r = stepper.step();
-        currentStep = r;
-
-        if (r.done) {
-          if (r.status === 'found') {
-            // optional bounds enforcement
-            if (effectiveDiscardIfPathLeavesBounds && pathLeavesBounds(r.path, simBounds)) {
-              if (CONFIG.soak !== 0) {
-                soakStats.resamples += 1;
-                const u = updateGuardrails(guardrailState, 'resample', GUARDRAILS);
-                guardrailState = u.state;
-              }
-              pickEndpoints();
-              requestAnimationFrame(render);
-              return;
-            }
-
-            if (CONFIG.soak !== 0) {
-              const searchMs = performance.now() - lastStepAt;
-              soakStats.cyclesCompleted += 1;
-              soakStats.totalSteps += r.steps ?? 0;
-              soakStats.totalSearchMs += Math.max(0, searchMs);
-              const u = updateGuardrails(guardrailState, 'success', GUARDRAILS);
-              guardrailState = u.state;
-            }
-
-            finalPath = r.path;
-            lastPathLengthMeters = pathLengthMeters(r.path, simBounds);
-            // Preserve explored edges for rendering during end phases.
-            lastSearchStep = {
-              closedSet: new Set(r.closedSet),
-              cameFrom: new Map(r.cameFrom),
-            };
-            phase = 'end-hold';
-            phaseT = 0;
-          } else {
-            // no path — resample
-            if (CONFIG.soak !== 0) {
-              soakStats.failures += 1;
-              const u = updateGuardrails(guardrailState, 'failure', GUARDRAILS);
-              guardrailState = u.state;
-            }
-            pickEndpoints();
-          }
-          break;
-        }
-      }
-
-      // If the tab was backgrounded, avoid an enormous catch-up loop.
-      if (now - lastStepAt > CONFIG.stepDelayMs * CONFIG.maxStepsPerFrame) {
-        lastStepAt = now;
-      }
-    } else if (phase === 'end-hold' || phase === 'end-trace' || phase === 'end-glow') {
-      const next = stepEndPhase({ phase, phaseT }, dt, CONFIG);
-      phase = next.phase;
-      phaseT = next.phaseT;
-      if (next.done) {
-        pickEndpoints();
-      }
+    sim.advance(now);
+    if (
+      CONFIG.resume !== 0 &&
+      sim.phase === 'search' &&
+      sim.cycle !== resumeSaveFailedCycle &&
+      now - lastResumeSaveAt >= RESUME_SAVE_INTERVAL_MS
+    ) {
+      lastResumeSaveAt = now;
+      sim.save();
     }
-
+    director?.update({
+      now,
+      phase: sim.phase,
+      searchBox: growSearchBox(),
+      pathBox: finalPathBox(),
+      w: window.innerWidth,
+      h: window.innerHeight,
+    });
     render(now);
   }
 
   requestAnimationFrame(tick);
 
   // --- Lively Wallpaper integration ---
+  // Settings the search reads go to the engine as well (a worker has its own copy).
+  function setConfig(patch) {
+    Object.assign(CONFIG, patch);
+    sim.updateConfig(patch);
+  }
+
   window.livelyPropertyListener = function (name, val) {
     switch (name) {
       case 'zoom':
-        CONFIG.zoom = parseFloat(val);
+        setConfig({ zoom: parseFloat(val) });
+        homeView = { center: homeView.center, zoom: CONFIG.zoom };
+        if (director) director.reset(homeView);
+        else camera.set({ zoom: CONFIG.zoom });
         resize();
         break;
-      case 'stepsPerSecond':
-        CONFIG.stepsPerSecond = parseInt(val, 10);
-        CONFIG.stepDelayMs = 1000 / CONFIG.stepsPerSecond;
+      case 'stepsPerSecond': {
+        const stepsPerSecond = parseInt(val, 10);
+        setConfig({ stepsPerSecond, stepDelayMs: 1000 / stepsPerSecond });
         break;
+      }
       case 'maxStepsPerFrame':
-        CONFIG.maxStepsPerFrame = parseInt(val, 10);
+        setConfig({ maxStepsPerFrame: parseInt(val, 10) });
         break;
       case 'showRoads':
         showRoads = val === 'true' || val === true;
@@ -1293,12 +1658,37 @@ if (typeof window !== 'undefined') {
         break;
       case 'rotation':
         CONFIG.rotation = parseFloat(val);
+        camera.set({ rotation: CONFIG.rotation });
         resize();
         break;
+      case 'algo': {
+        // Lively dropdowns report the selected index.
+        const next = ALGORITHMS[parseInt(val, 10)];
+        if (next && next !== CONFIG.algo) {
+          setConfig({ algo: next });
+          sim.nextCycle();
+        }
+        break;
+      }
+      case 'cost': {
+        const next = ['distance', 'time'][parseInt(val, 10)];
+        if (next && next !== CONFIG.cost) {
+          setConfig({ cost: next });
+          sim.nextCycle();
+        }
+        break;
+      }
+      case 'epsilon': {
+        const eps = parseFloat(val);
+        if (!Number.isFinite(eps)) break;
+        setConfig({ epsilon: clamp(eps, 1, 10) });
+        if (CONFIG.algo === 'weighted') sim.nextCycle();
+        break;
+      }
       case 'roadsDetail':
         CONFIG.roadsDetail = parseInt(val, 10);
         roadsDetail = CONFIG.roadsDetail;
-        if (roadsReady) buildRoadsLayer(roadsCtx, roadsLayer.width, roadsLayer.height);
+        rebuildRoadsLayerSoon();
         break;
     }
   };
@@ -1309,6 +1699,6 @@ if (typeof window !== 'undefined') {
 
   window.livelyResume = function () {
     // Lively calls this when wallpaper becomes visible again
-    lastStepAt = performance.now();
+    sim.resetClock();
   };
 }
@@ -0,0 +1,93 @@
+// Binary min-heap keyed by priority (f-score).
+// O(log n) push/pop/decreaseKey, O(1) has/size.
+export class MinHeap {
+  constructor() {
+    this._heap = []; // [{key, priority}]
+    this._index = new Map(); // key → index in _heap
+  }
+
+  get size() {
+    return this._heap.length;
+  }
+
+  has(key) {
+    return this._index.has(key);
+  }
+
+  push(key, priority) {
+    if (this._index.has(key)) {
+      this.decreaseKey(key, priority);
+      return;
+    }
+    const i = this._heap.length;
+    this._heap.push({ key, priority });
+    this._index.set(key, i);
+    this._bubbleUp(i);
+  }
+
+  // [key, priority] pairs in heap-array order (for snapshots).
+  entries() {
+    return this._heap.map(({ key, priority }) => [key, priority]);
+  }
+
+  peekPriority() {
+    return this._heap.length > 0 ? this._heap[0].priority : Infinity;
+  }
+
+  pop() {
+    if (this._heap.length === 0) return undefined;
+    const top = this._heap[0];
+    const last = this._heap.pop();
+    this._index.delete(top.key);
+    if (this._heap.length > 0) {
+      this._heap[0] = last;
+      this._index.set(last.key, 0);
+      this._sinkDown(0);
+    }
+    return top.key;
+  }
+
+  decreaseKey(key, priority) {
+    const i = this._index.get(key);
+    if (i === undefined) return;
+    if (priority < this._heap[i].priority) {
+      this._heap[i].priority = priority;
+      this._bubbleUp(i);
+    }
+  }
+
+  _bubbleUp(i) {
+    const heap = this._heap;
+    const idx = this._index;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[i].priority >= heap[parent].priority) break;
+      idx.set(heap[i].key, parent);
+      idx.set(heap[parent].key, i);
+      const tmp = heap[i];
+      heap[i] = heap[parent];
+      heap[parent] = tmp;
+      i = parent;
+    }
+  }
+
+  _sinkDown(i) {
+    const heap = this._heap;
+    const idx = this._index;
+    const n = heap.length;
+    while (true) {
+      let smallest = i;
+      const left = 2 * i + 1;
+      const right = 2 * i + 2;
+      if (left < n && heap[left].priority < heap[smallest].priority) smallest = left;
+      if (right < n && heap[right].priority < heap[smallest].priority) smallest = right;
+      if (smallest === i) break;
+      idx.set(heap[i].key, smallest);
+      idx.set(heap[smallest].key, i);
+      const tmp = heap[i];
+      heap[i] = heap[smallest];
+      heap[smallest] = tmp;
+      i = smallest;
+    }
+  }
+}
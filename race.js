@@ -0,0 +1,104 @@
+// --- Race mode (race=1) ---
+//
+// Several searches over the same endpoints, stepped in lockstep: each race step
+// expands one node in every lane still searching, so lanes compare by work
+// done. The race ends when every lane has finished. The winner found the
+// cheapest path; among equally cheap paths, the one found in fewest steps.
+
+// Path costs this close (relative) are a tie: optimal searches may pick
+// different routes of the same cost.
+const RACE_COST_TOLERANCE = 1e-9;
+
+// Index of the winning lane ({ status, cost, steps }), or null if none found a path.
+export function pickRaceWinner(lanes) {
+  let best = null;
+  lanes.forEach((lane, i) => {
+    if (lane.status !== 'found') return;
+    if (best == null) {
+      best = i;
+      return;
+    }
+    const b = lanes[best];
+    const slack = RACE_COST_TOLERANCE * Math.max(1, Math.abs(b.cost));
+    if (lane.cost < b.cost - slack || (lane.cost <= b.cost + slack && lane.steps < b.steps)) {
+      best = i;
+    }
+  });
+  return best;
+}
+
+// The viz a config draws. Lanes are told apart by color, so races draw their
+// trees flat: viz=heat is left for single searches.
+export function raceViz(config) {
+  return config.race ? 'tree' : config.viz;
+}
+
+// `lanes` is [{ algo, stepper }]; `pathCost(path)` prices found paths (meters,
+// or seconds with cost=time). Searching steps carry `lanes`: each lane's step
+// result, null once it has finished. The final step carries the winner's path
+// and trees, so a race ends like a single search. `race` is the scoreboard:
+// { winner, lanes: [{ algo, status, steps, cost, finishedAt, path }] }.
+export function makeRaceStepper(lanes, { pathCost }) {
+  const board = lanes.map(({ algo }) => ({
+    algo,
+    status: 'searching',
+    steps: 0,
+    cost: null,
+    finishedAt: null, // race step the lane finished on
+    path: null,
+  }));
+  const last = lanes.map(() => null);
+  let steps = 0;
+  let winner = null;
+  let result = null;
+
+  return {
+    get race() {
+      return { winner, lanes: board };
+    },
+
+    step() {
+      if (result) return result;
+      steps++;
+      const results = lanes.map(({ stepper }, i) => {
+        const lane = board[i];
+        if (lane.finishedAt != null) return null;
+        const r = stepper.step();
+        last[i] = r;
+        lane.status = r.status;
+        lane.steps = r.steps ?? lane.steps;
+        if (r.done) {
+          lane.finishedAt = steps;
+          if (r.status === 'found') {
+            lane.path = r.path;
+            lane.cost = pathCost(r.path);
+          }
+        }
+        return r;
+      });
+
+      if (board.some((lane) => lane.finishedAt == null)) {
+        return {
+          done: false,
+          status: 'searching',
+          current: null,
+          openSize: results.reduce((n, r) => n + (r?.done ? 0 : (r?.openSize ?? 0)), 0),
+          steps,
+          lanes: results,
+        };
+      }
+
+      winner = pickRaceWinner(board);
+      const w = winner != null ? last[winner] : null;
+      result = w
+        ? { ...w, done: true, status: 'found', steps, winner }
+        : {
+            done: true,
+            status: board.some((lane) => lane.status === 'no-path') ? 'no-path' : board[0].status,
+            steps,
+            winner: null,
+          };
+      return result;
+    },
+  };
+}
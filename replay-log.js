@@ -0,0 +1,211 @@
+// --- Replay logs ---
+//
+// Compact record of full wallpaper cycles (endpoints, every expanded node with
+// its parent, final status and path), so an odd cycle can be downloaded from
+// the HUD and played back with `replay=<file>` through the normal render path.
+//
+//   { format, version, recordedAt, seed, params, cycles: [
+//       { cycle, graph, startKey, goalKey, endpoints, status, steps, path,
+//         expanded, parents, backward, open, truncated?, resampled? } ] }
+//
+// `params` holds the recording page's search settings (view-only params are
+// left out); keys only mean the same thing under the same settings.
+// `graph` is 'roads' or 'grid' (what the cycle actually ran on); `endpoints`
+// are the sampled endpoints (edge snaps included) and `backward` lists the
+// indexes of steps taken by the backward frontier.
+
+export const REPLAY_LOG_FORMAT = 'astar-wallpaper-replay';
+export const REPLAY_LOG_VERSION = 1;
+
+// Params that change how a cycle looks or is paced, but not what it searches.
+const VIEW_PARAMS = new Set([
+  'replay',
+  'record',
+  'resume',
+  'mode',
+  'hud',
+  'showHud',
+  'sps',
+  'maxStepsPerFrame',
+  'endHoldMs',
+  'endAnimMs',
+  'endTraceMs',
+  'endGlowMs',
+  'showOpenClosed',
+  'showCurrent',
+  'showPathDuringSearch',
+  'showRoads',
+  'showTerrain',
+  'roadsDetail',
+  'soak',
+  'worker',
+  'pick',
+  'camera',
+  'viz',
+  'heatScore',
+  'history',
+  'historyMax',
+  'historyDecay',
+  'historyPersist',
+]);
+
+// Canonical (sorted) search params of a query string; `seed` overrides the one given.
+export function replaySearchParams(search, { seed = null } = {}) {
+  const params = new URLSearchParams(search || '');
+  if (seed != null) params.set('seed', String(seed));
+  const kept = [...params].filter(([name]) => !VIEW_PARAMS.has(name));
+  kept.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return new URLSearchParams(kept).toString();
+}
+
+// Query string that replays `log` with the recorded search settings, keeping the
+// page's view params; null if the page already matches.
+export function replayRedirectSearch(search, log) {
+  if (replaySearchParams(search) === replaySearchParams(log.params)) return null;
+  const params = new URLSearchParams(search || '');
+  const view = [...params].filter(([name]) => VIEW_PARAMS.has(name));
+  return '?' + new URLSearchParams([...new URLSearchParams(log.params), ...view]).toString();
+}
+
+// Keeps the last `maxCycles` cycles; a cycle stops recording steps after
+// `maxSteps` (marked truncated) so a runaway search cannot exhaust memory.
+export function makeReplayRecorder({ seed = null, params = '', maxCycles = 5, maxSteps = 200000 }) {
+  const cycles = [];
+  let current = null;
+
+  return {
+    get size() {
+      return cycles.length;
+    },
+
+    begin({ cycle, graph = null, startKey, goalKey, endpoints = null }) {
+      current = {
+        cycle,
+        graph,
+        startKey,
+        goalKey,
+        endpoints: endpoints ?? { start: startKey, goal: goalKey },
+        status: null,
+        steps: 0,
+        path: null,
+        expanded: [],
+        parents: [],
+        backward: [],
+        open: [],
+      };
+    },
+
+    // Drops the cycle in progress (e.g. one resumed mid-way, whose early steps are gone).
+    discard() {
+      current = null;
+    },
+
+    step(r) {
+      if (!current || r.status !== 'searching') return;
+      if (current.expanded.length >= maxSteps) {
+        current.truncated = true;
+        return;
+      }
+      const backward = r.direction === 'backward';
+      const tree = backward ? r.cameFromBackward : r.cameFrom;
+      if (backward) current.backward.push(current.expanded.length);
+      current.expanded.push(r.current);
+      current.parents.push(tree?.get(r.current) ?? null);
+      current.open.push(r.openSize ?? 0);
+    },
+
+    end(r, { resampled = false } = {}) {
+      if (!current) return;
+      current.status = r.status;
+      current.steps = r.steps ?? current.expanded.length;
+      current.path = r.path ?? null;
+      if (resampled) current.resampled = true;
+      cycles.push(current);
+      if (cycles.length > maxCycles) cycles.splice(0, cycles.length - maxCycles);
+      current = null;
+    },
+
+    log() {
+      return {
+        format: REPLAY_LOG_FORMAT,
+        version: REPLAY_LOG_VERSION,
+        recordedAt: new Date().toISOString(),
+        seed,
+        params,
+        cycles: cycles.slice(),
+      };
+    },
+  };
+}
+
+// The log if it is well-formed (every cycle's step arrays line up), else null.
+export function parseReplayLog(raw) {
+  if (!raw || raw.format !== REPLAY_LOG_FORMAT || raw.version !== REPLAY_LOG_VERSION) return null;
+  if (typeof raw.params !== 'string' || !Array.isArray(raw.cycles)) return null;
+  for (const c of raw.cycles) {
+    if (!c || typeof c.status !== 'string' || !Number.isInteger(c.steps)) return null;
+    if (!Array.isArray(c.expanded) || !Array.isArray(c.parents) || !Array.isArray(c.open)) {
+      return null;
+    }
+    const n = c.expanded.length;
+    if (c.parents.length !== n || c.open.length !== n) return null;
+    if (!Array.isArray(c.backward) || !c.backward.every((i) => Number.isInteger(i) && i < n)) {
+      return null;
+    }
+    if (c.path != null && !Array.isArray(c.path)) return null;
+  }
+  return raw;
+}
+
+// Plays a recorded cycle back with the stepper interface: one expanded node per
+// step(), rebuilding the closed sets and trees the renderer draws, then the
+// recorded status (and path) on the step after the last expansion.
+export function makeReplayStepper(record) {
+  const backwardSteps = new Set(record.backward);
+  const bidirectional = backwardSteps.size > 0;
+  const closedSet = new Set();
+  const cameFrom = new Map();
+  const closedSetBackward = new Set();
+  const cameFromBackward = new Map();
+  let i = 0;
+
+  return {
+    step() {
+      if (i >= record.expanded.length) {
+        const result = { done: true, status: record.status, steps: record.steps };
+        if (record.path) result.path = record.path;
+        return result;
+      }
+
+      const backward = backwardSteps.has(i);
+      const current = record.expanded[i];
+      const parent = record.parents[i];
+      const closed = backward ? closedSetBackward : closedSet;
+      const tree = backward ? cameFromBackward : cameFrom;
+      closed.add(current);
+      if (parent != null) tree.set(current, parent);
+      const openSize = record.open[i];
+      i += 1;
+
+      const r = {
+        done: false,
+        status: 'searching',
+        current,
+        closedKey: current,
+        parentKey: parent ?? null,
+        // Logs keep open sizes, not open keys, so replays have no frontier.
+        openedKeys: [],
+        openSize,
+        closedSet,
+        cameFrom,
+      };
+      if (bidirectional) {
+        r.direction = backward ? 'backward' : 'forward';
+        r.closedSetBackward = closedSetBackward;
+        r.cameFromBackward = cameFromBackward;
+      }
+      r.steps = i;
+      return r;
+    },
+  };
+}
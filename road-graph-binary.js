@@ -0,0 +1,293 @@
+import { makeCsrGraph, toCsrGraph } from './csr-graph.js';
+import { parseLandmarks } from './landmarks.js';
+import {
+  parseTurnRestrictions,
+  ROAD_GRAPH_FORMAT,
+  ROAD_GRAPH_VERSION,
+  serializeTurnRestrictions,
+} from './road-graph.js';
+import { parseSccStats } from './scc.js';
+
+// --- Binary road graph cache ---
+//
+// Same content as the v3 JSON cache, laid out so loading is a few typed-array
+// views over the fetched ArrayBuffer instead of a JSON parse:
+//
+//   bytes 0-3   magic 'ORGB'
+//   bytes 4-7   uint32 layout version (ROAD_GRAPH_BINARY_VERSION)
+//   bytes 8-11  uint32 header length in bytes
+//   then        UTF-8 JSON header, space-padded to an 8-byte boundary
+//   then        sections, each 8-byte aligned, where the header says
+//
+// The header carries the small parts as JSON (format, version, options, scc,
+// restrictions, ...) and `sections: { name: [type, byteOffset, length] }`
+// with byteOffset from the start of the file. Numbers are little-endian;
+// big-endian hosts get null and fall back to the JSON cache.
+//
+// Sections (n nodes, m edges, k landmarks):
+//   nodes         f64  2n       lat, lon pairs
+//   offsets       i32  n + 1    CSR (see csr-graph.js)
+//   targets       i32  m
+//   weights       f64  m        meters
+//   times         f32  m        travel seconds, NaN when unknown (optional)
+//   viaOffsets    i32  m + 1
+//   viaCoords     f64           lon, lat pairs
+//   landmarkIds   i32  k        ALT tables as in the JSON cache: whole meters,
+//   landmarkFrom  i32  k * n    -1 for unreachable, one row of n per landmark
+//   landmarkTo    i32  k * n
+//   chRank        i32  n        contraction hierarchy; up/down edge lists are
+//   chUp*, chDown*              CSR too: Offsets, Targets, Weights (f64), Mids
+//                               (-1 for original edges)
+
+export const ROAD_GRAPH_BINARY_MAGIC = 'ORGB';
+export const ROAD_GRAPH_BINARY_VERSION = 1;
+
+const PREAMBLE_BYTES = 12;
+const ALIGN = 8;
+const TYPES = { i32: Int32Array, f32: Float32Array, f64: Float64Array };
+
+const LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+const align = (n) => Math.ceil(n / ALIGN) * ALIGN;
+
+// `graph` is a road graph (CSR or object form); `landmarks` are ALT tables
+// (buildLandmarks), `ch` a contraction hierarchy (buildContractionHierarchy).
+// Returns the file bytes.
+export function encodeRoadGraphBinary(
+  graph,
+  { landmarks = null, ch = null, scc = null, generatedAt = null, source = null } = {},
+) {
+  const csr = toCsrGraph(graph);
+  const n = csr.nodes.length;
+  const sections = [];
+  const add = (name, type, array) => sections.push({ name, type, array });
+
+  const nodes = new Float64Array(2 * n);
+  csr.nodes.forEach((node, i) => {
+    nodes[2 * i] = node.lat;
+    nodes[2 * i + 1] = node.lon;
+  });
+  add('nodes', 'f64', nodes);
+  add('offsets', 'i32', csr.offsets);
+  add('targets', 'i32', csr.targets);
+  add('weights', 'f64', csr.weights);
+  if (csr.times) add('times', 'f32', Float32Array.from(csr.times));
+  add('viaOffsets', 'i32', csr.viaOffsets ?? new Int32Array(csr.edges + 1));
+  add('viaCoords', 'f64', csr.viaCoords ?? new Float64Array(0));
+
+  if (landmarks?.ids?.length) {
+    const pack = (rows) => {
+      const out = new Int32Array(rows.length * n);
+      rows.forEach((row, r) => {
+        for (let i = 0; i < n; i++) {
+          out[r * n + i] = Number.isFinite(row[i]) ? Math.round(row[i]) : -1;
+        }
+      });
+      return out;
+    };
+    add('landmarkIds', 'i32', Int32Array.from(landmarks.ids));
+    add('landmarkFrom', 'i32', pack(landmarks.from));
+    add('landmarkTo', 'i32', pack(landmarks.to));
+  }
+
+  if (ch) {
+    add('chRank', 'i32', Int32Array.from(ch.rank));
+    for (const [prefix, lists] of [
+      ['chUp', ch.up],
+      ['chDown', ch.down],
+    ]) {
+      const offsets = new Int32Array(n + 1);
+      for (let v = 0; v < n; v++) offsets[v + 1] = offsets[v] + (lists[v]?.length ?? 0);
+      const targets = new Int32Array(offsets[n]);
+      const weights = new Float64Array(offsets[n]);
+      const mids = new Int32Array(offsets[n]);
+      for (let v = 0; v < n; v++) {
+        (lists[v] || []).forEach((e, i) => {
+          targets[offsets[v] + i] = e.to;
+          weights[offsets[v] + i] = e.weight;
+          mids[offsets[v] + i] = e.mid >= 0 ? e.mid : -1;
+        });
+      }
+      add(`${prefix}Offsets`, 'i32', offsets);
+      add(`${prefix}Targets`, 'i32', targets);
+      add(`${prefix}Weights`, 'f64', weights);
+      add(`${prefix}Mids`, 'i32', mids);
+    }
+  }
+
+  const header = {
+    format: ROAD_GRAPH_FORMAT,
+    version: ROAD_GRAPH_VERSION,
+    options: { toleranceMeters: csr.toleranceMeters },
+    sections: {},
+  };
+  if (generatedAt) header.generatedAt = generatedAt;
+  if (source) header.source = source;
+  if (scc) header.scc = scc;
+  if (csr.restrictions?.length) header.restrictions = serializeTurnRestrictions(csr.restrictions);
+  if (ch) header.chShortcuts = ch.shortcuts;
+
+  // Section offsets depend on the header length, which depends on the offsets:
+  // lay out until the header stops growing.
+  let headerBytes;
+  let start = 0;
+  for (;;) {
+    let at = start;
+    for (const s of sections) {
+      header.sections[s.name] = [s.type, at, s.array.length];
+      at = align(at + s.array.byteLength);
+    }
+    headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const next = align(PREAMBLE_BYTES + headerBytes.length);
+    if (next === start) break;
+    start = next;
+  }
+
+  const last = sections[sections.length - 1];
+  const [, lastOffset] = header.sections[last.name];
+  const bytes = new Uint8Array(align(lastOffset + last.array.byteLength));
+  bytes.set(new TextEncoder().encode(ROAD_GRAPH_BINARY_MAGIC), 0);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(4, ROAD_GRAPH_BINARY_VERSION, true);
+  view.setUint32(8, start - PREAMBLE_BYTES, true);
+  bytes.fill(0x20, PREAMBLE_BYTES, start);
+  bytes.set(headerBytes, PREAMBLE_BYTES);
+  for (const s of sections) {
+    const [, offset] = header.sections[s.name];
+    bytes.set(new Uint8Array(s.array.buffer, s.array.byteOffset, s.array.byteLength), offset);
+  }
+  return bytes;
+}
+
+// Header JSON, or null when the bytes are not a binary road graph cache.
+function readHeader(bytes) {
+  if (bytes.length < PREAMBLE_BYTES) return null;
+  const magic = String.fromCharCode(...bytes.subarray(0, 4));
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (magic !== ROAD_GRAPH_BINARY_MAGIC) return null;
+  if (view.getUint32(4, true) !== ROAD_GRAPH_BINARY_VERSION) return null;
+  const length = view.getUint32(8, true);
+  if (PREAMBLE_BYTES + length > bytes.length) return null;
+  try {
+    return JSON.parse(
+      new TextDecoder().decode(bytes.subarray(PREAMBLE_BYTES, PREAMBLE_BYTES + length)),
+    );
+  } catch {
+    return null;
+  }
+}
+
+// CSR offsets into a list of `count` entries: starts at 0, never decreasing.
+function validOffsets(offsets, count) {
+  if (offsets[0] !== 0 || offsets[offsets.length - 1] !== count) return false;
+  for (let i = 1; i < offsets.length; i++) if (offsets[i] < offsets[i - 1]) return false;
+  return true;
+}
+
+function validIds(ids, n, allowNegative = false) {
+  for (let i = 0; i < ids.length; i++) {
+    const id = ids[i];
+    if (id >= n || (id < 0 && !(allowNegative && id === -1))) return false;
+  }
+  return true;
+}
+
+// Road graph (same shape as parseRoadGraphCache) from the file bytes, or null
+// when they are not a usable v3 binary cache. The typed arrays are views into
+// the buffer, not copies. Malformed landmark or hierarchy sections are dropped,
+// as in the JSON cache; anything wrong with the graph itself rejects the file.
+export function parseRoadGraphBinary(buffer) {
+  if (!LITTLE_ENDIAN || !buffer) return null;
+  let bytes = ArrayBuffer.isView(buffer)
+    ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    : new Uint8Array(buffer);
+  // Views need aligned offsets; Node Buffers can start anywhere in their pool.
+  if (bytes.byteOffset % ALIGN !== 0) bytes = bytes.slice();
+
+  const header = readHeader(bytes);
+  if (header?.format !== ROAD_GRAPH_FORMAT || header.version !== ROAD_GRAPH_VERSION) return null;
+
+  const section = (name, expectedLength = null) => {
+    const entry = header.sections?.[name];
+    if (!Array.isArray(entry)) return null;
+    const [type, offset, length] = entry;
+    const Type = TYPES[type];
+    if (!Type || !Number.isInteger(offset) || !Number.isInteger(length)) return null;
+    if (offset % ALIGN !== 0 || length < 0) return null;
+    if (offset + length * Type.BYTES_PER_ELEMENT > bytes.length) return null;
+    if (expectedLength != null && length !== expectedLength) return null;
+    return new Type(bytes.buffer, bytes.byteOffset + offset, length);
+  };
+
+  const coords = section('nodes');
+  if (!coords || coords.length % 2 !== 0) return null;
+  const n = coords.length / 2;
+  const offsets = section('offsets', n + 1);
+  const targets = offsets && section('targets', offsets[n]);
+  if (!targets || !validOffsets(offsets, targets.length) || !validIds(targets, n)) return null;
+  const m = targets.length;
+  const weights = section('weights', m);
+  const viaOffsets = section('viaOffsets', m + 1);
+  const viaCoords = section('viaCoords');
+  if (!weights || !viaOffsets || !viaCoords) return null;
+  if (!validOffsets(viaOffsets, viaCoords.length / 2)) return null;
+  const times = header.sections.times ? section('times', m) : null;
+  if (header.sections.times && !times) return null;
+
+  const nodes = new Array(n);
+  for (let i = 0; i < n; i++) {
+    nodes[i] = { id: i, lat: coords[2 * i], lon: coords[2 * i + 1], count: 1 };
+  }
+
+  return makeCsrGraph({
+    nodes,
+    offsets,
+    targets,
+    weights,
+    // Float32 on disk; the graph keeps Float64 like every other source.
+    times: times ? Float64Array.from(times) : null,
+    viaOffsets,
+    viaCoords,
+    toleranceMeters: header.options?.toleranceMeters ?? 10,
+    landmarks: readLandmarks(section, n),
+    ch: readContractionHierarchy(section, n, header.chShortcuts),
+    restrictions: parseTurnRestrictions(header.restrictions, n),
+    scc: parseSccStats(header.scc),
+  });
+}
+
+function readLandmarks(section, n) {
+  const ids = section('landmarkIds');
+  if (!ids?.length || !validIds(ids, n)) return null;
+  const from = section('landmarkFrom', ids.length * n);
+  const to = section('landmarkTo', ids.length * n);
+  if (!from || !to) return null;
+  const rows = (table) => Array.from(ids, (_, r) => table.subarray(r * n, (r + 1) * n));
+  return parseLandmarks({ ids: Array.from(ids), from: rows(from), to: rows(to) }, n);
+}
+
+function readContractionHierarchy(section, n, shortcuts) {
+  const rank = section('chRank', n);
+  if (!rank) return null;
+  const lists = (prefix) => {
+    const offsets = section(`${prefix}Offsets`, n + 1);
+    const targets = offsets && section(`${prefix}Targets`, offsets[n]);
+    const weights = targets && section(`${prefix}Weights`, targets.length);
+    const mids = weights && section(`${prefix}Mids`, targets.length);
+    if (!mids || !validOffsets(offsets, targets.length)) return null;
+    if (!validIds(targets, n) || !validIds(mids, n, true)) return null;
+    const out = new Array(n);
+    for (let v = 0; v < n; v++) {
+      const list = [];
+      for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+        list.push({ to: targets[e], weight: weights[e], mid: mids[e] });
+      }
+      out[v] = list;
+    }
+    return out;
+  };
+  const up = lists('chUp');
+  const down = up && lists('chDown');
+  if (!down) return null;
+  return { rank, up, down, shortcuts: Number.isFinite(shortcuts) ? shortcuts : 0 };
+}
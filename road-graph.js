@@ -1,8 +1,24 @@
 import { haversineMeters } from './astar.js';
+import { parseContractionHierarchy } from './contraction-hierarchy.js';
+import { csrGraphFromAdjacency, makeCsrGraph, toCsrGraph } from './csr-graph.js';
+import { parseLandmarks } from './landmarks.js';
+import { parseSccStats } from './scc.js';
+import { makeSpatialIndex } from './spatial-index.js';
+import { decodeFrontier, encodeFrontier, makeSnapshot, readSnapshot } from './stepper-state.js';
+import { roadSpeedKph, travelSeconds } from './travel-time.js';
 
 // Versioned cache format for optional precomputed road graphs.
+// v1: nodes + [to, weight] edges
+// v2: edges may carry via geometry: [to, weight, [[lon, lat], ...]]
+// v3: optional `landmarks` distance tables for the ALT heuristic and optional
+//     `ch` contraction hierarchy (rank + up/down edge lists), and optional
+//     `times` travel seconds, shaped like `edges` (one number per edge tuple),
+//     and optional `restrictions`: [from, via, to, kind] node triples
+//     (kind 0 = no_*, 1 = only_*), and optional `scc` strongly connected
+//     component stats (see sccStats in scc.js)
 export const ROAD_GRAPH_FORMAT = 'osm-road-graph';
-export const ROAD_GRAPH_VERSION = 2;
+export const ROAD_GRAPH_VERSION = 3;
+export const ROAD_GRAPH_VERSIONS = [1, 2, 3];
 
 const EARTH_METERS_PER_DEG = 111320;
 
@@ -24,7 +40,9 @@ function makeQuantizer(toleranceMeters) {
 }
 
 // Identify degree-2 nodes and contract chains into shortcut edges.
-export function contractGraph(nodes, adjacency, costMaps) {
+// Nodes in `keep` (e.g. turn restriction members) are never contracted.
+// Returns `idMap` (old id -> new id, -1 if contracted; null when nothing changed).
+export function contractGraph(nodes, adjacency, costMaps, { keep = null } = {}) {
   const n = nodes.length;
 
   // Build undirected neighbor sets to identify degree-2 nodes.
@@ -38,7 +56,7 @@ export function contractGraph(nodes, adjacency, costMaps) {
   }
 
   function isDegree2(id) {
-    return undirectedNeighbors[id].size === 2;
+    return undirectedNeighbors[id].size === 2 && !keep?.has(id);
   }
 
   // Check if a directed edge a→b exists.
@@ -50,6 +68,11 @@ export function contractGraph(nodes, adjacency, costMaps) {
     return costMaps[a]?.get(b) ?? Infinity;
   }
 
+  // Travel time rides along on adjacency entries (undefined for distance-only graphs).
+  function getTime(a, b) {
+    return adjacency[a].find((e) => e.to === b)?.time;
+  }
+
   const contracted = new Set(); // node IDs removed by contraction
 
   // Walk a chain of degree-2 nodes starting from `start` going toward `next`.
@@ -108,23 +131,27 @@ export function contractGraph(nodes, adjacency, costMaps) {
     // Check forward path A→...→B
     let forwardOk = true;
     let forwardWeight = 0;
+    let forwardTime = 0;
     for (let j = 0; j < chain.length - 1; j++) {
       if (!hasEdge(chain[j], chain[j + 1])) {
         forwardOk = false;
         break;
       }
       forwardWeight += getWeight(chain[j], chain[j + 1]);
+      forwardTime += getTime(chain[j], chain[j + 1]);
     }
 
     // Check reverse path B→...→A
     let reverseOk = true;
     let reverseWeight = 0;
+    let reverseTime = 0;
     for (let j = chain.length - 1; j > 0; j--) {
       if (!hasEdge(chain[j], chain[j - 1])) {
         reverseOk = false;
         break;
       }
       reverseWeight += getWeight(chain[j], chain[j - 1]);
+      reverseTime += getTime(chain[j], chain[j - 1]);
     }
 
     if (!forwardOk && !reverseOk) continue;
@@ -150,6 +177,7 @@ export function contractGraph(nodes, adjacency, costMaps) {
         const adjA = adjacency[A];
         const idx = adjA.findIndex((e) => e.to === B);
         const entry = { to: B, weight: forwardWeight, via };
+        if (Number.isFinite(forwardTime)) entry.time = forwardTime;
         if (idx >= 0) adjA[idx] = entry;
         else adjA.push(entry);
       }
@@ -163,6 +191,7 @@ export function contractGraph(nodes, adjacency, costMaps) {
         const idx = adjB.findIndex((e) => e.to === A);
         const reversedVia = [...via].reverse();
         const entry = { to: A, weight: reverseWeight, via: reversedVia };
+        if (Number.isFinite(reverseTime)) entry.time = reverseTime;
         if (idx >= 0) adjB[idx] = entry;
         else adjB.push(entry);
       }
@@ -171,7 +200,7 @@ export function contractGraph(nodes, adjacency, costMaps) {
 
   // Remove contracted nodes and re-index densely.
   if (contracted.size === 0) {
-    return { nodes, adjacency, costMaps, contracted: 0 };
+    return { nodes, adjacency, costMaps, contracted: 0, idMap: null };
   }
 
   const oldToNew = new Array(n).fill(-1);
@@ -204,6 +233,7 @@ export function contractGraph(nodes, adjacency, costMaps) {
       if (newTo < 0) continue;
       const entry = { to: newTo, weight: e.weight };
       if (e.via) entry.via = e.via;
+      if (e.time != null) entry.time = e.time;
       newAdjacency[newId].push(entry);
       newCostMaps[newId].set(newTo, e.weight);
     }
@@ -214,17 +244,25 @@ export function contractGraph(nodes, adjacency, costMaps) {
     adjacency: newAdjacency,
     costMaps: newCostMaps,
     contracted: contracted.size,
+    idMap: oldToNew,
   };
 }
 
 export function buildRoadGraph(
   lines,
-  { toleranceMeters = 10, bounds = null, maxNodes = 250000, contract = true } = {},
+  {
+    toleranceMeters = 10,
+    bounds = null,
+    maxNodes = 250000,
+    contract = true,
+    restrictions: rawRestrictions = null,
+  } = {},
 ) {
   const quant = makeQuantizer(toleranceMeters);
   const nodeIndex = new Map();
   const nodes = [];
   const adjacencyMaps = [];
+  const timeByEdge = []; // travel seconds, parallel to adjacencyMaps
 
   function getNodeId(lat, lon) {
     const k = quant.key(lat, lon);
@@ -243,15 +281,20 @@ export function buildRoadGraph(
     nodeIndex.set(k, id);
     nodes.push({ id, lat, lon, count: 1 });
     adjacencyMaps[id] = new Map();
+    timeByEdge[id] = new Map();
     return id;
   }
 
-  function addEdge(a, b, weight) {
+  // Parallel duplicates keep the shorter edge (and its travel time).
+  function addEdge(a, b, weight, time) {
     if (a == null || b == null) return;
     if (a === b) return;
     const mapA = adjacencyMaps[a];
     const prev = mapA.get(b);
-    if (prev == null || weight < prev) mapA.set(b, weight);
+    if (prev == null || weight < prev) {
+      mapA.set(b, weight);
+      timeByEdge[a].set(b, time);
+    }
   }
 
   for (const rawLine of lines || []) {
@@ -259,6 +302,7 @@ export function buildRoadGraph(
     const line = Array.isArray(rawLine) ? rawLine : rawLine?.coords;
     const oneway = Array.isArray(rawLine) ? null : rawLine?.oneway;
     if (!Array.isArray(line) || line.length < 2) continue;
+    const speedKph = roadSpeedKph(Array.isArray(rawLine) ? {} : rawLine);
 
     let prevId = null;
     for (const coord of line) {
@@ -275,41 +319,404 @@ export function buildRoadGraph(
         const a = nodes[prevId];
         const b = nodes[id];
         const w = haversineMeters(a, b);
+        const t = travelSeconds(w, speedKph);
         if (oneway === 'yes' || oneway === '1') {
-          addEdge(prevId, id, w); // forward only
+          addEdge(prevId, id, w, t); // forward only
         } else if (oneway === '-1') {
-          addEdge(id, prevId, w); // reverse only
+          addEdge(id, prevId, w, t); // reverse only
         } else {
-          addEdge(prevId, id, w);
-          addEdge(id, prevId, w);
+          addEdge(prevId, id, w, t);
+          addEdge(id, prevId, w, t);
         }
       }
       prevId = id;
     }
   }
 
-  let adjacency = adjacencyMaps.map((map) => Array.from(map, ([to, weight]) => ({ to, weight })));
+  let adjacency = adjacencyMaps.map((map, from) =>
+    Array.from(map, ([to, weight]) => ({ to, weight, time: timeByEdge[from].get(to) })),
+  );
   let costMaps = adjacencyMaps.map((map) => map);
 
+  const restrictions = resolveTurnRestrictions(rawRestrictions, {
+    nodes,
+    adjacency,
+    nodeAt: (lat, lon) => nodeIndex.get(quant.key(lat, lon)),
+  });
+
   if (contract) {
-    const result = contractGraph(nodes, adjacency, costMaps);
-    const edges = result.adjacency.reduce((acc, list) => acc + list.length, 0);
-    return {
-      nodes: result.nodes,
-      adjacency: result.adjacency,
-      costMaps: result.costMaps,
-      edges,
+    const keep = new Set(restrictions.flatMap((r) => [r.from, r.via, r.to]));
+    const result = contractGraph(nodes, adjacency, costMaps, { keep });
+    const idMap = result.idMap;
+    return csrGraphFromAdjacency(result.nodes, result.adjacency, {
+      restrictions: idMap
+        ? restrictions.map((r) => ({
+            ...r,
+            from: idMap[r.from],
+            via: idMap[r.via],
+            to: idMap[r.to],
+          }))
+        : restrictions,
       toleranceMeters,
+    });
+  }
+
+  return csrGraphFromAdjacency(nodes, adjacency, { restrictions, toleranceMeters });
+}
+
+// --- Turn restrictions ---
+//
+// Input restrictions come from the roads data as coordinates:
+//   { kind: 'no'|'only', from: [lon, lat], via: [lon, lat], to: [lon, lat] }
+// where `from`/`to` are the OSM nodes next to `via` on the from/to ways.
+// They resolve to graph node triples { from, via, to, kind }: `via` by its
+// snapped position, `from`/`to` as the neighbor of `via` whose direction best
+// matches (simplified lines may have dropped the exact OSM node).
+
+const RESTRICTION_MAX_BEARING_DIFF = 45;
+
+function localBearingDeg(a, b) {
+  const dx = (b.lon - a.lon) * Math.cos((a.lat * Math.PI) / 180);
+  const dy = b.lat - a.lat;
+  return (Math.atan2(dy, dx) * 180) / Math.PI;
+}
+
+function bearingDiffDeg(a, b) {
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+function resolveTurnRestrictions(raw, { nodes, adjacency, nodeAt }) {
+  if (!Array.isArray(raw) || raw.length === 0) return [];
+
+  const predecessors = nodes.map(() => []);
+  for (let from = 0; from < adjacency.length; from++) {
+    for (const e of adjacency[from] || []) predecessors[e.to]?.push(from);
+  }
+
+  const toLatLon = (coord) =>
+    Array.isArray(coord) && Number.isFinite(coord[0]) && Number.isFinite(coord[1])
+      ? { lat: coord[1], lon: coord[0] }
+      : null;
+
+  // Neighbor of `via` (among `candidates`) pointing the same way as `target`.
+  function closestNeighbor(via, target, candidates) {
+    const want = localBearingDeg(nodes[via], target);
+    let best = null;
+    let bestDiff = RESTRICTION_MAX_BEARING_DIFF;
+    for (const id of candidates) {
+      const diff = bearingDiffDeg(localBearingDeg(nodes[via], nodes[id]), want);
+      if (diff <= bestDiff) {
+        bestDiff = diff;
+        best = id;
+      }
+    }
+    return best;
+  }
+
+  const out = [];
+  for (const r of raw) {
+    if (r?.kind !== 'no' && r?.kind !== 'only') continue;
+    const viaLL = toLatLon(r.via);
+    const fromLL = toLatLon(r.from);
+    const toLL = toLatLon(r.to);
+    if (!viaLL || !fromLL || !toLL) continue;
+
+    const via = nodeAt(viaLL.lat, viaLL.lon);
+    if (via == null) continue;
+    const from = closestNeighbor(via, fromLL, predecessors[via]);
+    const to = closestNeighbor(
+      via,
+      toLL,
+      (adjacency[via] || []).map((e) => e.to),
+    );
+    if (from == null || to == null) continue;
+    out.push({ from, via, to, kind: r.kind });
+  }
+  return out;
+}
+
+// Cache form: [from, via, to, kind] with kind 0 = no, 1 = only.
+export function serializeTurnRestrictions(restrictions) {
+  return (restrictions || []).map((r) => [r.from, r.via, r.to, r.kind === 'only' ? 1 : 0]);
+}
+
+export function parseTurnRestrictions(payload, nodeCount) {
+  if (!Array.isArray(payload)) return [];
+  const isNode = (id) => Number.isInteger(id) && id >= 0 && id < nodeCount;
+  const out = [];
+  for (const tuple of payload) {
+    if (!Array.isArray(tuple)) continue;
+    const [from, via, to, kind] = tuple;
+    if (!isNode(from) || !isNode(via) || !isNode(to) || (kind !== 0 && kind !== 1)) continue;
+    out.push({ from, via, to, kind: kind === 1 ? 'only' : 'no' });
+  }
+  return out;
+}
+
+// --- Edge-based (turn-aware) search model ---
+//
+// Turn rules live on pairs of edges, so the search runs over directed edges
+// instead of nodes: state e = "drove along edge e, now standing at its head".
+// Two virtual states bracket a query: TURN_SOURCE (at the start node, no
+// incoming edge) and TURN_SINK (reached from any edge into the goal for free).
+// The returned options plug straight into makeSearchStepper(); use
+// projectTurnStepper() to map the results back to node keys.
+
+export const TURN_SOURCE = -1;
+export const TURN_SINK = -2;
+
+// Turn angle (degrees) beyond which a turn counts as a U-turn; left turns are
+// anything sharper than LEFT_TURN_MIN_DEG to the left.
+const U_TURN_MIN_DEG = 165;
+const LEFT_TURN_MIN_DEG = 30;
+
+const edgeModelCache = new WeakMap();
+
+// Flat edge arrays + turn tables for a graph (cached; graphs are immutable once built).
+function edgeModel(graph) {
+  const cached = edgeModelCache.get(graph);
+  if (cached) return cached;
+
+  // Edge states are CSR edge indexes, so the graph's arrays serve as is.
+  const csr = toCsrGraph(graph);
+  const n = csr.nodes.length;
+  const firstEdge = csr.offsets;
+  const m = firstEdge[n];
+  const tail = new Int32Array(m);
+  const head = csr.targets;
+  const incoming = (v) => csr.incomingEdges(v);
+  // Bearings leaving the tail and entering the head (via geometry aware).
+  const outBearing = new Float64Array(m);
+  const inBearing = new Float64Array(m);
+  const { viaOffsets, viaCoords } = csr;
+  const viaPoint = (i) => ({ lon: viaCoords[2 * i], lat: viaCoords[2 * i + 1] });
+
+  for (let v = 0; v < n; v++) {
+    for (let e = firstEdge[v]; e < firstEdge[v + 1]; e++) {
+      tail[e] = v;
+      const hasVia = viaOffsets && viaOffsets[e] < viaOffsets[e + 1];
+      const first = hasVia ? viaPoint(viaOffsets[e]) : csr.nodes[head[e]];
+      const last = hasVia ? viaPoint(viaOffsets[e + 1] - 1) : csr.nodes[v];
+      outBearing[e] = localBearingDeg(csr.nodes[v], first);
+      inBearing[e] = localBearingDeg(last, csr.nodes[head[e]]);
+    }
+  }
+
+  // Restrictions are node triples; the search checks them per edge pair, so they
+  // are resolved to edges once: banned pairs as a * m + b, and per incoming edge
+  // the one head an 'only' rule allows (-1 for none).
+  const banned = new Set();
+  const onlyHead = new Int32Array(m).fill(-1);
+  const isNode = (id) => id != null && id >= 0 && id < n;
+  for (const r of graph.restrictions || []) {
+    if (!isNode(r.from) || !isNode(r.via) || !isNode(r.to)) continue;
+    for (let a = firstEdge[r.from]; a < firstEdge[r.from + 1]; a++) {
+      if (head[a] !== r.via) continue;
+      if (r.kind === 'only') {
+        onlyHead[a] = r.to;
+        continue;
+      }
+      for (let b = firstEdge[r.via]; b < firstEdge[r.via + 1]; b++) {
+        if (head[b] === r.to) banned.add(a * m + b);
+      }
+    }
+  }
+
+  const model = { firstEdge, tail, head, incoming, outBearing, inBearing, banned, onlyHead };
+  edgeModelCache.set(graph, model);
+  return model;
+}
+
+// 'u-turn' | 'left' | 'other' for driving edge a then edge b (b leaves a's head).
+export function classifyTurn(graph, a, b) {
+  const { tail, head, inBearing, outBearing } = edgeModel(graph);
+  if (head[b] === tail[a]) return 'u-turn';
+  let delta = outBearing[b] - inBearing[a];
+  while (delta > 180) delta -= 360;
+  while (delta <= -180) delta += 360;
+  if (Math.abs(delta) >= U_TURN_MIN_DEG) return 'u-turn';
+  // Bearings are counter-clockwise, so a positive change is a left turn.
+  if (delta >= LEFT_TURN_MIN_DEG) return 'left';
+  return 'other';
+}
+
+export function isTurnAllowed(graph, a, b) {
+  const { head, banned, onlyHead } = edgeModel(graph);
+  if (banned.has(a * head.length + b)) return false;
+  return onlyHead[a] < 0 || onlyHead[a] === head[b];
+}
+
+// Search options over edge states for a node query startKey -> goalKey.
+// `cost(a, b)` / `heuristic(a, b)` are the usual node callbacks; penalties are
+// added in the same units (meters or seconds).
+export function makeTurnSearch(
+  graph,
+  { startKey, goalKey, cost, heuristic, leftTurnPenalty = 0, uTurnPenalty = 0 },
+) {
+  const model = edgeModel(graph);
+  const { firstEdge, tail, head, incoming } = model;
+
+  const headOf = (k) => (k === TURN_SOURCE ? startKey : k === TURN_SINK ? goalKey : head[k]);
+
+  function outEdges(v) {
+    const out = [];
+    for (let e = firstEdge[v]; e < firstEdge[v + 1]; e++) out.push(e);
+    return out;
+  }
+
+  function neighbors(k) {
+    if (k === TURN_SINK) return [];
+    if (k === TURN_SOURCE) {
+      const out = outEdges(startKey);
+      if (startKey === goalKey) out.push(TURN_SINK);
+      return out;
+    }
+    const out = outEdges(head[k]).filter((e) => isTurnAllowed(graph, k, e));
+    if (head[k] === goalKey) out.push(TURN_SINK);
+    return out;
+  }
+
+  function reverseNeighbors(k) {
+    if (k === TURN_SOURCE) return [];
+    if (k === TURN_SINK) {
+      const out = [...incoming(goalKey)];
+      if (startKey === goalKey) out.push(TURN_SOURCE);
+      return out;
+    }
+    const out = Array.from(incoming(tail[k])).filter((e) => isTurnAllowed(graph, e, k));
+    if (tail[k] === startKey) out.push(TURN_SOURCE);
+    return out;
+  }
+
+  function turnPenalty(a, b) {
+    const kind = classifyTurn(graph, a, b);
+    if (kind === 'u-turn') return uTurnPenalty;
+    if (kind === 'left') return leftTurnPenalty;
+    return 0;
+  }
+
+  return {
+    startKey: TURN_SOURCE,
+    goalKey: TURN_SINK,
+    neighbors,
+    reverseNeighbors,
+    cost(a, b) {
+      if (b === TURN_SINK) return 0;
+      const edgeCost = cost(tail[b], head[b]);
+      return a === TURN_SOURCE ? edgeCost : edgeCost + turnPenalty(a, b);
+    },
+    // Node distances still bound edge-state distances from below (penalties >= 0).
+    heuristic: (a, b) => heuristic(headOf(a), headOf(b)),
+    isValidNode: (k) => k === TURN_SOURCE || k === TURN_SINK || (k >= 0 && k < tail.length),
+    headOf,
+    tailOf: (k) => (k >= 0 ? tail[k] : null),
+  };
+}
+
+// Wrap a stepper built on makeTurnSearch() options so results use node keys
+// again (closed sets, trees and paths), which is what the renderer expects.
+// Node trees are kept incrementally: a node joins the first time an edge into
+// it is settled (O(1) per step); closedKey is null on steps where none joins.
+// openedKeys are the nodes of newly opened states that are not closed yet.
+export function projectTurnStepper(stepper, turnSearch) {
+  const { headOf, tailOf } = turnSearch;
+  const fwd = { closedSet: new Set(), cameFrom: new Map(), gScore: new Map() };
+  const bwd = { closedSet: new Set(), cameFrom: new Map(), gScore: new Map() };
+
+  // Forward trees grow at edge heads; backward trees grow at edge tails.
+  const nodeOf = (k, direction) =>
+    direction === 'backward' && k !== TURN_SINK ? tailOf(k) : headOf(k);
+
+  function settle(k, direction, g) {
+    if (k === TURN_SINK && direction !== 'backward') return;
+    if (k === TURN_SOURCE && direction === 'backward') return;
+    const side = direction === 'backward' ? bwd : fwd;
+    const node = nodeOf(k, direction);
+    const other = k >= 0 ? (direction === 'backward' ? headOf(k) : tailOf(k)) : null;
+    if (side.closedSet.has(node)) return null;
+    side.closedSet.add(node);
+    if (other != null) side.cameFrom.set(node, other);
+    if (Number.isFinite(g)) side.gScore.set(node, g);
+    return node;
+  }
+
+  function nodePath(states) {
+    const out = [];
+    for (const k of states || []) {
+      if (k === TURN_SINK) continue;
+      out.push(headOf(k));
+    }
+    return out;
+  }
+
+  function view(r) {
+    const out = {
+      ...r,
+      closedSet: fwd.closedSet,
+      cameFrom: fwd.cameFrom,
+      gScore: fwd.gScore,
     };
+    if (r.closedSetBackward) {
+      out.closedSetBackward = bwd.closedSet;
+      out.cameFromBackward = bwd.cameFrom;
+      out.gScoreBackward = bwd.gScore;
+    }
+    return out;
   }
 
-  const edges = adjacency.reduce((acc, list) => acc + list.length, 0);
   return {
-    nodes,
-    adjacency,
-    costMaps,
-    edges,
-    toleranceMeters,
+    step() {
+      const r = stepper.step();
+      if (r.status === 'found') return { ...r, path: nodePath(r.path), statePath: r.path };
+      if (r.status !== 'searching') return r;
+      const scores = r.direction === 'backward' ? r.gScoreBackward : r.gScore;
+      const closedKey = settle(r.current, r.direction, scores?.get(r.current)) ?? null;
+      const side = r.direction === 'backward' ? bwd : fwd;
+      const openedKeys = [];
+      for (const k of r.openedKeys ?? []) {
+        const node = nodeOf(k, r.direction);
+        if (node != null && !side.closedSet.has(node)) openedKeys.push(node);
+      }
+      const backward = r.direction === 'backward' && r.current >= 0;
+      return {
+        ...view(r),
+        current: backward ? tailOf(r.current) : headOf(r.current),
+        closedKey,
+        parentKey: closedKey != null ? (side.cameFrom.get(closedKey) ?? null) : null,
+        openedKeys,
+      };
+    },
+    getState() {
+      return view(stepper.getState());
+    },
+
+    // The node-level trees are saved alongside the inner stepper's snapshot.
+    serialize() {
+      const inner = stepper.serialize();
+      return makeSnapshot('turn-projection', {
+        steps: inner.steps,
+        inner,
+        forward: encodeFrontier(fwd),
+        backward: encodeFrontier(bwd),
+      });
+    },
+
+    restore(snapshot) {
+      const s = readSnapshot(snapshot, 'turn-projection');
+      const forward = s && decodeFrontier(s.forward, { withHeap: false });
+      const backward = s && decodeFrontier(s.backward, { withHeap: false });
+      if (!forward || !backward || !stepper.restore(s.inner)) return false;
+      for (const [side, saved] of [
+        [fwd, forward],
+        [bwd, backward],
+      ]) {
+        side.closedSet = saved.closedSet;
+        side.cameFrom = saved.cameFrom;
+        side.gScore = saved.gScore;
+      }
+      return true;
+    },
   };
 }
 
@@ -319,7 +726,8 @@ export function buildRoadGraphFromLines(lines, options = {}) {
   const bounds = options.bounds ?? null;
   const maxNodes = options.maxNodes ?? 250000;
   const contract = options.contract ?? true;
-  return buildRoadGraph(lines, { toleranceMeters, bounds, maxNodes, contract });
+  const restrictions = options.restrictions ?? null;
+  return buildRoadGraph(lines, { toleranceMeters, bounds, maxNodes, contract, restrictions });
 }
 
 export function randomGraphNode(graph, rng = Math.random) {
@@ -334,24 +742,38 @@ export function graphNodeLatLon(graph, id) {
   return { lat: node.lat, lon: node.lon };
 }
 
+const spatialIndexCache = new WeakMap();
+
+// Spatial index over graph nodes (built on first use; graphs do not change once built).
+// Supports nearest / kNearest / withinRadius in meters; items are nodes.
+export function graphSpatialIndex(graph) {
+  let index = spatialIndexCache.get(graph);
+  if (!index) {
+    index = makeSpatialIndex(graph.nodes);
+    spatialIndexCache.set(graph, index);
+  }
+  return index;
+}
+
+// Closest node id by metric distance (null for an empty graph).
 export function findNearestGraphNode(graph, lat, lon) {
   if (!graph?.nodes?.length) return null;
-  let best = null;
-  let bestD = Infinity;
-  for (const node of graph.nodes) {
-    const d = (node.lat - lat) * (node.lat - lat) + (node.lon - lon) * (node.lon - lon);
-    if (d < bestD) {
-      bestD = d;
-      best = node.id;
-    }
-  }
-  return best;
+  return graphSpatialIndex(graph).nearest(lat, lon)?.item.id ?? null;
+}
+
+// Predecessor lists (who has an edge into each node), for backward searches.
+// Searches use graph.predecessors(k) directly; this copies them into arrays.
+export function reverseNeighborKeys(graph) {
+  if (!graph?.nodes?.length) return [];
+  const csr = toCsrGraph(graph);
+  return csr.nodes.map((_, v) => Array.from(csr.predecessors(v)));
 }
 
 // Returns a Set of node IDs in the largest undirected connected component.
 export function largestComponent(graph) {
   if (!graph?.nodes?.length) return new Set();
-  const n = graph.nodes.length;
+  const { nodes, offsets, targets } = toCsrGraph(graph);
+  const n = nodes.length;
   const visited = new Uint8Array(n);
   let bestSet = [];
 
@@ -362,10 +784,11 @@ export function largestComponent(graph) {
     let head = 0;
     while (head < component.length) {
       const cur = component[head++];
-      for (const e of graph.adjacency[cur] || []) {
-        if (!visited[e.to]) {
-          visited[e.to] = 1;
-          component.push(e.to);
+      for (let e = offsets[cur]; e < offsets[cur + 1]; e++) {
+        const to = targets[e];
+        if (!visited[to]) {
+          visited[to] = 1;
+          component.push(to);
         }
       }
     }
@@ -375,9 +798,44 @@ export function largestComponent(graph) {
   return new Set(bestSet);
 }
 
+// Current-version cache payload for a built graph (nodes, edges, times and
+// restrictions); tooling adds the optional tables (scc, landmarks, ch).
+export function serializeRoadGraph(graph) {
+  const csr = toCsrGraph(graph);
+  const { offsets, targets, weights, times } = csr;
+  const payload = {
+    format: ROAD_GRAPH_FORMAT,
+    version: ROAD_GRAPH_VERSION,
+    options: { toleranceMeters: graph.toleranceMeters },
+    nodes: csr.nodes.map((n) => ({ lat: n.lat, lon: n.lon })),
+    edges: csr.nodes.map((_, v) => {
+      const list = [];
+      for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+        const tuple = [targets[e], weights[e]];
+        const via = csr.edgeVia(e);
+        if (via) tuple.push(via);
+        list.push(tuple);
+      }
+      return list;
+    }),
+  };
+  // Travel seconds per edge (0.1 s precision), parallel to `edges`.
+  if (times) {
+    payload.times = csr.nodes.map((_, v) =>
+      Array.from(times.subarray(offsets[v], offsets[v + 1]), (t) =>
+        Number.isFinite(t) ? Math.round(t * 10) / 10 : -1,
+      ),
+    );
+  }
+  if (graph.restrictions?.length) {
+    payload.restrictions = serializeTurnRestrictions(graph.restrictions);
+  }
+  return payload;
+}
+
 export function parseRoadGraphCache(payload) {
   if (!payload || payload.format !== ROAD_GRAPH_FORMAT) return null;
-  if (payload.version !== 1 && payload.version !== 2) return null;
+  if (!ROAD_GRAPH_VERSIONS.includes(payload.version)) return null;
   if (!Array.isArray(payload.nodes) || !Array.isArray(payload.edges)) return null;
 
   const nodes = payload.nodes.map((n, idx) => ({
@@ -388,32 +846,74 @@ export function parseRoadGraphCache(payload) {
   }));
 
   // payload.edges: Array<Array<[to, weight] | [to, weight, [[lon,lat], ...]]>>
+  // Tuples go straight into the CSR arrays (no per-edge objects); malformed
+  // ones (unknown target, no weight) are dropped.
   const edgesRaw = payload.edges;
-  const adjacency = edgesRaw.map((list) =>
-    (list || []).map((tuple) => {
-      const entry = { to: tuple?.[0], weight: tuple?.[1] };
-      if (Array.isArray(tuple?.[2])) entry.via = tuple[2];
-      return entry;
-    }),
-  );
-  const costMaps = edgesRaw.map((list) => {
-    const m = new Map();
-    for (const tuple of list || []) {
-      const to = tuple?.[0];
-      const w = tuple?.[1];
-      if (Number.isInteger(to) && Number.isFinite(w)) m.set(to, w);
+  // payload.times (v3, optional): Array<Array<seconds>> parallel to edges.
+  const timesRaw = payload.version >= 3 && Array.isArray(payload.times) ? payload.times : null;
+  const n = nodes.length;
+  const isEdge = (tuple) =>
+    Number.isInteger(tuple?.[0]) && tuple[0] >= 0 && tuple[0] < n && Number.isFinite(tuple[1]);
+  const offsets = new Int32Array(n + 1);
+  let viaPoints = 0;
+  for (let v = 0; v < n; v++) {
+    let count = 0;
+    for (const tuple of edgesRaw[v] || []) {
+      if (!isEdge(tuple)) continue;
+      count += 1;
+      if (Array.isArray(tuple[2])) viaPoints += tuple[2].length;
     }
-    return m;
-  });
-
-  const edges = adjacency.reduce((acc, list) => acc + list.length, 0);
+    offsets[v + 1] = offsets[v] + count;
+  }
+  const m = offsets[n];
+  const targets = new Int32Array(m);
+  const weights = new Float64Array(m);
+  const times = timesRaw ? new Float64Array(m) : null;
+  const viaOffsets = new Int32Array(m + 1);
+  const viaCoords = new Float64Array(2 * viaPoints);
+  let anyTime = false;
+  let e = 0;
+  let p = 0;
+  for (let v = 0; v < n; v++) {
+    const list = edgesRaw[v] || [];
+    for (let i = 0; i < list.length; i++) {
+      const tuple = list[i];
+      if (!isEdge(tuple)) continue;
+      targets[e] = tuple[0];
+      weights[e] = tuple[1];
+      if (times) {
+        const time = timesRaw[v]?.[i];
+        const ok = Number.isFinite(time) && time >= 0;
+        times[e] = ok ? time : NaN;
+        anyTime ||= ok;
+      }
+      if (Array.isArray(tuple[2])) {
+        for (const [lon, lat] of tuple[2]) {
+          viaCoords[2 * p] = lon;
+          viaCoords[2 * p + 1] = lat;
+          p += 1;
+        }
+      }
+      e += 1;
+      viaOffsets[e] = p;
+    }
+  }
 
-  return {
+  return makeCsrGraph({
     nodes,
-    adjacency,
-    costMaps,
-    edges,
+    offsets,
+    targets,
+    weights,
+    times: anyTime ? times : null,
+    viaOffsets,
+    viaCoords,
     toleranceMeters:
       payload?.options?.snapToleranceMeters ?? payload?.options?.toleranceMeters ?? 10,
-  };
+    // Malformed landmark tables are dropped (ALT falls back to haversine).
+    landmarks: payload.version >= 3 ? parseLandmarks(payload.landmarks, nodes.length) : null,
+    ch: payload.version >= 3 ? parseContractionHierarchy(payload.ch, nodes.length) : null,
+    restrictions:
+      payload.version >= 3 ? parseTurnRestrictions(payload.restrictions, nodes.length) : [],
+    scc: payload.version >= 3 ? parseSccStats(payload.scc) : null,
+  });
 }
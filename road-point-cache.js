@@ -1,5 +1,6 @@
 import { extractRoadLines } from './roads-data.js';
 import { inBoundsLatLon, key } from './grid-helpers.js';
+import { makeSpatialIndex } from './spatial-index.js';
 
 export const ROAD_POINT_STRIDE = 2;
 export const MAX_ROAD_POINTS = 7000;
@@ -12,18 +13,22 @@ export function latLonToCellKey(lat, lon, bounds, cols, rows) {
   return key(i, j);
 }
 
+// Indexes are cached per points array (rebuilt if its length changes).
+const roadPointIndexCache = new WeakMap();
+
+export function roadPointIndex(roadPoints) {
+  let cached = roadPointIndexCache.get(roadPoints);
+  if (!cached || cached.length !== roadPoints.length) {
+    cached = { length: roadPoints.length, index: makeSpatialIndex(roadPoints) };
+    roadPointIndexCache.set(roadPoints, cached);
+  }
+  return cached.index;
+}
+
+// Closest road point by metric distance (null if there are none).
 export function snapLatLonToRoadPoint(lat, lon, roadPoints) {
   if (!roadPoints || roadPoints.length === 0) return null;
-  let best = null;
-  let bestD = Infinity;
-  for (const p of roadPoints) {
-    const d = (p.lat - lat) * (p.lat - lat) + (p.lon - lon) * (p.lon - lon);
-    if (d < bestD) {
-      bestD = d;
-      best = p;
-    }
-  }
-  return best;
+  return roadPointIndex(roadPoints).nearest(lat, lon)?.item ?? null;
 }
 
 export function buildRoadPointCacheFromGeojson(
@@ -1,6 +1,9 @@
 export const COMPACT_ROADS_FORMAT = 'osm-roads-compact';
 // v1: lines: number[] (flat lon/lat)
 // v2: lines: { h: string, c: number[] }[] (highway + flat lon/lat)
+//     optional per line: o (oneway tag), s (maxspeed tag)
+// Both compact and GeoJSON files may carry a top-level `restrictions` array
+// (see extractTurnRestrictions).
 export const COMPACT_ROADS_VERSION = 2;
 
 export function extractRoadLinesFromGeojson(geojson) {
@@ -34,11 +37,12 @@ export function extractRoadLinesWithMetaFromGeojson(geojson) {
     if (!geom) continue;
 
     const oneway = feature?.properties?.oneway ?? null;
+    const maxspeed = feature?.properties?.maxspeed ?? null;
     if (geom.type === 'LineString' && Array.isArray(geom.coordinates)) {
-      lines.push({ highway, oneway, coords: geom.coordinates });
+      lines.push({ highway, oneway, maxspeed, coords: geom.coordinates });
     } else if (geom.type === 'MultiLineString' && Array.isArray(geom.coordinates)) {
       for (const line of geom.coordinates) {
-        if (Array.isArray(line)) lines.push({ highway, oneway, coords: line });
+        if (Array.isArray(line)) lines.push({ highway, oneway, maxspeed, coords: line });
       }
     }
   }
@@ -92,7 +96,8 @@ export function extractRoadLinesWithMetaFromCompact(data) {
     if (!coords) continue;
     const highway = typeof line?.h === 'string' ? line.h : null;
     const oneway = line?.o ?? null;
-    lines.push({ highway, oneway, coords });
+    const maxspeed = line?.s ?? null;
+    lines.push({ highway, oneway, maxspeed, coords });
   }
 
   return lines;
@@ -109,3 +114,17 @@ export function extractRoadLinesWithMeta(data) {
   if (compactLines.length) return compactLines;
   return extractRoadLinesWithMetaFromGeojson(data);
 }
+
+// Turn restrictions: [{ kind: 'no'|'only', from: [lon, lat], via: [lon, lat], to: [lon, lat] }]
+// (`from`/`to` are the nodes next to `via` on the from/to ways). Malformed entries are dropped.
+export function extractTurnRestrictions(data) {
+  if (!Array.isArray(data?.restrictions)) return [];
+  const isCoord = (c) => Array.isArray(c) && Number.isFinite(c[0]) && Number.isFinite(c[1]);
+  return data.restrictions.filter(
+    (r) =>
+      (r?.kind === 'no' || r?.kind === 'only') &&
+      isCoord(r.from) &&
+      isCoord(r.via) &&
+      isCoord(r.to),
+  );
+}
@@ -0,0 +1,80 @@
+// --- Route history (history=1) ---
+//
+// Found routes kept after their cycle as fading strokes, so over hours the
+// wallpaper draws a density map of where the searches went. Routes are stored
+// as lat/lon polylines (road geometry included), not graph keys, so they
+// outlive graph, zoom and split-node changes, and fit in localStorage.
+
+export const HISTORY_STORAGE_KEY = 'astar-wallpaper:history';
+export const HISTORY_FORMAT = 'astar-wallpaper-history';
+export const HISTORY_VERSION = 1;
+
+// Routes fainter than this are dropped.
+const MIN_ALPHA = 0.02;
+// ~1 m; keeps a stored route around a dozen bytes per point.
+const COORD_DECIMALS = 5;
+
+const round = (v) => Number(v.toFixed(COORD_DECIMALS));
+
+// `maxRoutes` keeps the newest routes; `halfLifeMs` halves a route's alpha every
+// so often (0 = routes never fade). Times are epoch milliseconds.
+export function makeRouteHistory({ maxRoutes = 100, halfLifeMs = 0 } = {}) {
+  let routes = []; // [{ at, coords: [lat, lon, lat, lon, ...] }], oldest first
+
+  function alpha(route, now) {
+    if (!(halfLifeMs > 0)) return 1;
+    return Math.pow(0.5, Math.max(0, now - route.at) / halfLifeMs);
+  }
+
+  // Drops faded routes and the oldest past maxRoutes; true if any went.
+  function prune(now) {
+    const before = routes.length;
+    routes = routes.filter((route) => alpha(route, now) >= MIN_ALPHA);
+    if (routes.length > maxRoutes) routes = routes.slice(routes.length - maxRoutes);
+    return routes.length !== before;
+  }
+
+  return {
+    get routes() {
+      return routes;
+    },
+    alpha,
+    prune,
+
+    // `points` is [{ lat, lon }, ...]; routes need two points to draw.
+    add(points, now) {
+      if (!points || points.length < 2) return false;
+      const coords = [];
+      for (const { lat, lon } of points) coords.push(round(lat), round(lon));
+      routes.push({ at: now, coords });
+      prune(now);
+      return true;
+    },
+
+    clear() {
+      routes = [];
+    },
+
+    serialize() {
+      return { format: HISTORY_FORMAT, version: HISTORY_VERSION, routes };
+    },
+
+    // Restores a serialize() result (ignored unless well-formed); true if it loaded.
+    load(saved, now) {
+      if (saved?.format !== HISTORY_FORMAT || saved.version !== HISTORY_VERSION) return false;
+      if (!Array.isArray(saved.routes)) return false;
+      routes = saved.routes
+        .filter(
+          (route) =>
+            Number.isFinite(route?.at) &&
+            Array.isArray(route.coords) &&
+            route.coords.length >= 4 &&
+            route.coords.length % 2 === 0 &&
+            route.coords.every(Number.isFinite),
+        )
+        .sort((a, b) => a.at - b.at);
+      prune(now);
+      return true;
+    },
+  };
+}
@@ -0,0 +1,163 @@
+import { toCsrGraph } from './csr-graph.js';
+
+// --- Strongly connected components ---
+//
+// Oneway streets split a road network that looks connected when edges are
+// treated as undirected: a goal can sit where the start can never reach it.
+// Endpoints are drawn from the largest strongly connected component (every
+// node in it can reach every other); nodes outside it are "traps".
+
+const sccCache = new WeakMap();
+
+// Tarjan's algorithm, iterative (road graphs are too deep for recursion).
+// Returns { componentOf: Int32Array, sizes: number[], largest } where
+// `largest` is the index of the biggest component (-1 for an empty graph).
+export function stronglyConnectedComponents(graph) {
+  const cached = sccCache.get(graph);
+  if (cached) return cached;
+
+  const n = graph?.nodes?.length ?? 0;
+  const { offsets, targets } = toCsrGraph(graph);
+  const order = new Int32Array(n).fill(-1); // discovery index
+  const low = new Int32Array(n);
+  const onStack = new Uint8Array(n);
+  const nextEdge = new Int32Array(n);
+  const componentOf = new Int32Array(n).fill(-1);
+  const sizes = [];
+  const stack = [];
+  let counter = 0;
+
+  for (let root = 0; root < n; root++) {
+    if (order[root] !== -1) continue;
+    order[root] = low[root] = counter++;
+    stack.push(root);
+    onStack[root] = 1;
+    const calls = [root];
+
+    while (calls.length > 0) {
+      const v = calls[calls.length - 1];
+      if (nextEdge[v] < offsets[v + 1] - offsets[v]) {
+        const w = targets[offsets[v] + nextEdge[v]++];
+        if (!(w >= 0 && w < n)) continue;
+        if (order[w] === -1) {
+          order[w] = low[w] = counter++;
+          stack.push(w);
+          onStack[w] = 1;
+          calls.push(w);
+        } else if (onStack[w] && order[w] < low[v]) {
+          low[v] = order[w];
+        }
+        continue;
+      }
+
+      calls.pop();
+      if (calls.length > 0) {
+        const parent = calls[calls.length - 1];
+        if (low[v] < low[parent]) low[parent] = low[v];
+      }
+      if (low[v] === order[v]) {
+        const c = sizes.length;
+        let size = 0;
+        let w;
+        do {
+          w = stack.pop();
+          onStack[w] = 0;
+          componentOf[w] = c;
+          size += 1;
+        } while (w !== v);
+        sizes.push(size);
+      }
+    }
+  }
+
+  let largest = -1;
+  for (let c = 0; c < sizes.length; c++) {
+    if (largest < 0 || sizes[c] > sizes[largest]) largest = c;
+  }
+
+  const result = { componentOf, sizes, largest };
+  if (graph) sccCache.set(graph, result);
+  return result;
+}
+
+// Set of node ids in the largest strongly connected component.
+export function largestStronglyConnectedComponent(graph) {
+  const { componentOf, largest } = stronglyConnectedComponents(graph);
+  const out = new Set();
+  for (let id = 0; id < componentOf.length; id++) {
+    if (componentOf[id] === largest) out.add(id);
+  }
+  return out;
+}
+
+// Nodes outside the largest component, with why they were dropped:
+//   sink     - reachable from the largest component, but no way back
+//   source   - leads into the largest component, but cannot be reached from it
+//   detached - neither (a separate island)
+// Returns [{ id, lat, lon, kind, componentSize }] ordered by id.
+export function trapNodes(graph) {
+  const { componentOf, sizes, largest } = stronglyConnectedComponents(graph);
+  const n = componentOf.length;
+  if (largest < 0) return [];
+
+  const csr = toCsrGraph(graph);
+  // Flood from the core along edges (reachable from it) and against them (reaches it).
+  const flood = (next) => {
+    const seen = new Uint8Array(n);
+    const queue = [];
+    for (let id = 0; id < n; id++) {
+      if (componentOf[id] === largest) {
+        seen[id] = 1;
+        queue.push(id);
+      }
+    }
+    for (let head = 0; head < queue.length; head++) {
+      for (const w of next(queue[head])) {
+        if (w >= 0 && w < n && !seen[w]) {
+          seen[w] = 1;
+          queue.push(w);
+        }
+      }
+    }
+    return seen;
+  };
+  const fromCore = flood((v) => csr.neighbors(v));
+  const toCore = flood((v) => csr.predecessors(v));
+
+  const out = [];
+  for (let id = 0; id < n; id++) {
+    if (componentOf[id] === largest) continue;
+    const kind = fromCore[id] ? 'sink' : toCore[id] ? 'source' : 'detached';
+    const node = graph.nodes[id];
+    out.push({
+      id,
+      lat: node?.lat,
+      lon: node?.lon,
+      kind,
+      componentSize: sizes[componentOf[id]],
+    });
+  }
+  return out;
+}
+
+// Summary recorded in the road graph cache (`scc`).
+export function sccStats(graph) {
+  const { sizes, largest } = stronglyConnectedComponents(graph);
+  const traps = trapNodes(graph);
+  const count = (kind) => traps.filter((t) => t.kind === kind).length;
+  return {
+    components: sizes.length,
+    largest: largest >= 0 ? sizes[largest] : 0,
+    trapped: traps.length,
+    sinks: count('sink'),
+    sources: count('source'),
+    detached: count('detached'),
+  };
+}
+
+// Cache form is the sccStats object; anything malformed is dropped.
+export function parseSccStats(raw) {
+  const keys = ['components', 'largest', 'trapped', 'sinks', 'sources', 'detached'];
+  if (!raw || !keys.every((k) => Number.isInteger(raw[k]) && raw[k] >= 0)) return null;
+  return Object.fromEntries(keys.map((k) => [k, raw[k]]));
+}
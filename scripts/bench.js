@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { haversineMeters, makeAStarStepper, runToCompletion } from '../astar.js';
+import { BOUNDS } from '../config.js';
+import { extractRoadLinesWithMeta, extractTurnRestrictions } from '../roads-data.js';
+import {
+  buildRoadGraph,
+  contractGraph,
+  parseRoadGraphCache,
+  serializeRoadGraph,
+} from '../road-graph.js';
+import { encodeRoadGraphBinary, parseRoadGraphBinary } from '../road-graph-binary.js';
+import { largestStronglyConnectedComponent } from '../scc.js';
+import { seededRng } from '../grid-helpers.js';
+
+// Times the graph pipeline (build, degree-2 contraction, cache parse) and
+// batches of seeded A* queries on fixture graphs, writes a JSON report and
+// compares it against a saved baseline:
+//   node scripts/bench.js                    (compare with bench/baseline.json)
+//   node scripts/bench.js --updateBaseline   (save this run as the baseline)
+// A case regresses when its fastest sample is more than `threshold` slower than
+// the baseline's (and by at least `minDeltaMs`; the minimum is the steadiest
+// figure for CPU-bound code on a busy machine); the baseline may override the
+// threshold per case in `thresholds`. Step counts are recorded too, so a change
+// in the work done shows up next to the timings.
+
+const BENCH_FORMAT = 'astar-wallpaper-bench';
+const BENCH_VERSION = 1;
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(here, '..');
+
+function readArg(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find((v) => v.startsWith(prefix));
+  if (!arg) return null;
+  return arg.slice(prefix.length);
+}
+
+function readFlag(name) {
+  return process.argv.includes(`--${name}`);
+}
+
+function parseNumber(raw) {
+  if (raw == null) return null;
+  const n = Number.parseFloat(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+if (readFlag('help')) {
+  console.log(
+    'Usage: node scripts/bench.js [--fixtures=small,medium] [--roads=PATH] [--only=astar] [--iterations=7] [--warmup=2] [--queries=40] [--seed=bench] [--threshold=0.25] [--minDeltaMs=1] [--baseline=bench/baseline.json] [--output=bench/latest.json] [--updateBaseline] [--noFail]',
+  );
+  process.exit(0);
+}
+
+const fixtureNames = (readArg('fixtures') ?? 'small,medium').split(',').filter(Boolean);
+const roadsArg = readArg('roads');
+const only = readArg('only');
+const iterations = Math.max(1, Math.trunc(parseNumber(readArg('iterations')) ?? 7));
+const warmup = Math.max(0, Math.trunc(parseNumber(readArg('warmup')) ?? 2));
+const queries = Math.max(1, Math.trunc(parseNumber(readArg('queries')) ?? 40));
+const seed = readArg('seed') ?? 'bench';
+const threshold = parseNumber(readArg('threshold')) ?? 0.25;
+const minDeltaMs = parseNumber(readArg('minDeltaMs')) ?? 1;
+const baselinePath = path.resolve(repoRoot, readArg('baseline') ?? 'bench/baseline.json');
+const outputPath = path.resolve(repoRoot, readArg('output') ?? 'bench/latest.json');
+const updateBaseline = readFlag('updateBaseline');
+const noFail = readFlag('noFail');
+
+// --- Fixtures ---
+//
+// Synthetic street lattices inside BOUNDS: jittered blocks, every block split by
+// a mid-block point (degree-2 chains for contraction), some oneway streets and
+// arterials, and a few missing blocks so the network is not a perfect grid.
+const SYNTHETIC_FIXTURES = {
+  small: { cols: 30, rows: 20 },
+  medium: { cols: 110, rows: 80 },
+};
+
+function syntheticRoadLines({ cols, rows }, rng) {
+  const latStep = (BOUNDS.north - BOUNDS.south) / (rows + 1);
+  const lonStep = (BOUNDS.east - BOUNDS.west) / (cols + 1);
+  const corners = [];
+  for (let r = 0; r < rows; r++) {
+    const row = [];
+    for (let c = 0; c < cols; c++) {
+      row.push([
+        BOUNDS.west + (c + 1 + (rng() - 0.5) * 0.3) * lonStep,
+        BOUNDS.south + (r + 1 + (rng() - 0.5) * 0.3) * latStep,
+      ]);
+    }
+    corners.push(row);
+  }
+
+  const lines = [];
+  // One street per lattice row/column, broken where a block is missing.
+  function addStreet(points, index) {
+    const highway = index % 6 === 0 ? 'primary' : 'residential';
+    const oneway = index % 5 === 2 ? (index % 2 ? 'yes' : '-1') : null;
+    let coords = [points[0]];
+    const flush = () => {
+      if (coords.length >= 2) lines.push({ coords, highway, ...(oneway ? { oneway } : {}) });
+    };
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      if (rng() < 0.04) {
+        flush();
+        coords = [b];
+        continue;
+      }
+      const t = 0.4 + rng() * 0.2;
+      coords.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t], b);
+    }
+    flush();
+  }
+  corners.forEach((row, r) => addStreet(row, r));
+  for (let c = 0; c < cols; c++) {
+    addStreet(
+      corners.map((row) => row[c]),
+      rows + c,
+    );
+  }
+  return lines;
+}
+
+async function loadFixtures() {
+  const fixtures = [];
+  for (const name of fixtureNames) {
+    const size = SYNTHETIC_FIXTURES[name];
+    if (!size) throw new Error(`unknown fixture: ${name}`);
+    const lines = syntheticRoadLines(size, seededRng(`${seed}:${name}`));
+    fixtures.push({ name, lines, restrictions: [] });
+  }
+  if (roadsArg) {
+    const data = JSON.parse(await readFile(path.resolve(repoRoot, roadsArg), 'utf-8'));
+    fixtures.push({
+      name: path.basename(roadsArg).replace(/\.(compact\.)?json$|\.geojson$/, ''),
+      lines: extractRoadLinesWithMeta(data),
+      restrictions: extractTurnRestrictions(data),
+    });
+  }
+  return fixtures;
+}
+
+// --- Timing ---
+
+// Each sample repeats `fn` until it covers MIN_SAMPLE_MS (calibrated in the
+// warmup) and reports the per-call time, so small cases are not timer noise.
+// `setup` (untimed) prepares a fresh input for every call.
+const MIN_SAMPLE_MS = 50;
+
+function measure(fn, { setup = null } = {}) {
+  const timeCalls = (reps) => {
+    const inputs = Array.from({ length: reps }, () => (setup ? setup() : undefined));
+    let result = null;
+    const t0 = performance.now();
+    for (const input of inputs) result = fn(input);
+    return { result, ms: (performance.now() - t0) / reps };
+  };
+
+  let reps = 1;
+  for (let i = 0; i < Math.max(1, warmup); i++) {
+    const { ms } = timeCalls(reps);
+    reps = Math.max(reps, Math.ceil(MIN_SAMPLE_MS / Math.max(ms, 0.01)));
+  }
+  const samples = [];
+  let last = null;
+  for (let i = 0; i < iterations; i++) {
+    const { result, ms } = timeCalls(reps);
+    last = result;
+    samples.push(ms);
+  }
+  samples.sort((a, b) => a - b);
+  const round = (v) => Math.round(v * 100) / 100;
+  const mean = samples.reduce((sum, v) => sum + v, 0) / samples.length;
+  return {
+    result: last,
+    stats: {
+      medianMs: round(samples[Math.floor(samples.length / 2)]),
+      minMs: round(samples[0]),
+      meanMs: round(mean),
+      iterations: samples.length,
+      callsPerSample: reps,
+    },
+  };
+}
+
+// Seeded endpoint pairs from the largest strongly connected component, so every
+// query has an answer and runs compare like for like.
+function queryPairs(graph, count, rng) {
+  const pool = [...largestStronglyConnectedComponent(graph)];
+  const pairs = [];
+  for (let i = 0; i < count && pool.length > 1; i++) {
+    const start = pool[Math.floor(rng() * pool.length)];
+    let goal = start;
+    while (goal === start) goal = pool[Math.floor(rng() * pool.length)];
+    pairs.push([start, goal]);
+  }
+  return pairs;
+}
+
+function runAStarBatch(graph, pairs) {
+  const latLon = (k) => graph.nodes[k];
+  let steps = 0;
+  let found = 0;
+  for (const [startKey, goalKey] of pairs) {
+    const r = runToCompletion(
+      makeAStarStepper({
+        startKey,
+        goalKey,
+        neighbors: (k) => graph.neighbors(k),
+        reverseNeighbors: (k) => graph.predecessors(k),
+        cost: (a, b) => graph.weight(a, b) ?? haversineMeters(latLon(a), latLon(b)),
+        heuristic: (a, b) => haversineMeters(latLon(a), latLon(b)),
+        isValidNode: (k) => graph.nodes[k] != null,
+      }),
+    );
+    steps += r.steps ?? 0;
+    if (r.status === 'found') found += 1;
+  }
+  return { steps, found };
+}
+
+async function runCases(fixtures) {
+  const results = {};
+  const fixtureInfo = {};
+  const wanted = (name) => !only || name.includes(only);
+
+  for (const fixture of fixtures) {
+    const buildOptions = { toleranceMeters: 8, restrictions: fixture.restrictions };
+    const graph = buildRoadGraph(fixture.lines, buildOptions);
+    fixtureInfo[fixture.name] = {
+      lines: fixture.lines.length,
+      nodes: graph.nodes.length,
+      edges: graph.edges,
+    };
+
+    const run = (name, fn, opts) => {
+      if (!wanted(name)) return;
+      const { result, stats } = measure(fn, opts);
+      results[name] = { ...stats, ...(result?.steps != null ? { steps: result.steps } : {}) };
+      console.log(`  ${name.padEnd(36)} ${formatStats(results[name])}`);
+    };
+
+    console.log(`${fixture.name}: ${fixture.lines.length} lines -> ${graph.nodes.length} nodes`);
+    run(`buildRoadGraph/${fixture.name}`, () => buildRoadGraph(fixture.lines, buildOptions));
+
+    // contractGraph works on edge object lists and edits them in place, so each
+    // run gets fresh copies of the uncontracted graph's lists.
+    const raw = buildRoadGraph(fixture.lines, { ...buildOptions, contract: false });
+    run(
+      `contractGraph/${fixture.name}`,
+      ({ adjacency, costMaps }) => contractGraph(raw.nodes, adjacency, costMaps),
+      {
+        setup: () => ({
+          adjacency: raw.adjacency.map((list) => list.map((e) => ({ ...e }))),
+          costMaps: raw.costMaps.map((m) => new Map(m)),
+        }),
+      },
+    );
+
+    // The wallpaper's load paths: JSON text or binary cache bytes to a searchable graph.
+    const cacheText = JSON.stringify(serializeRoadGraph(graph));
+    run(`parseRoadGraphCache/${fixture.name}`, () => parseRoadGraphCache(JSON.parse(cacheText)));
+    const cacheBytes = encodeRoadGraphBinary(graph);
+    run(`parseRoadGraphBinary/${fixture.name}`, () => parseRoadGraphBinary(cacheBytes));
+
+    const pairs = queryPairs(graph, queries, seededRng(`${seed}:${fixture.name}:pairs`));
+    run(`astar/${fixture.name}`, () => runAStarBatch(graph, pairs));
+  }
+  return { results, fixtures: fixtureInfo };
+}
+
+// --- Baseline comparison ---
+
+function formatStats(s) {
+  const steps = s.steps != null ? `  steps ${s.steps}` : '';
+  return `median ${s.medianMs.toFixed(2)}ms  min ${s.minMs.toFixed(2)}ms${steps}`;
+}
+
+function compareToBaseline(report, baseline) {
+  const rows = [];
+  for (const [name, current] of Object.entries(report.results)) {
+    const base = baseline.results?.[name];
+    if (!base) {
+      rows.push({ name, status: 'new' });
+      continue;
+    }
+    const limit = baseline.thresholds?.[name] ?? threshold;
+    const deltaMs = current.minMs - base.minMs;
+    const ratio = base.minMs > 0 ? deltaMs / base.minMs : 0;
+    const regressed = ratio > limit && deltaMs >= minDeltaMs;
+    const improved = ratio < -limit && -deltaMs >= minDeltaMs;
+    rows.push({
+      name,
+      status: regressed ? 'regressed' : improved ? 'improved' : 'ok',
+      baseMs: base.minMs,
+      minMs: current.minMs,
+      ratio: Math.round(ratio * 1000) / 1000,
+      limit,
+      ...(base.steps != null && current.steps !== base.steps
+        ? { stepsChanged: { from: base.steps, to: current.steps } }
+        : {}),
+    });
+  }
+  return rows;
+}
+
+async function readBaseline() {
+  try {
+    const raw = JSON.parse(await readFile(baselinePath, 'utf-8'));
+    if (raw?.format !== BENCH_FORMAT || raw.version !== BENCH_VERSION) {
+      console.warn(`Ignoring baseline ${path.relative(repoRoot, baselinePath)}: unknown format`);
+      return null;
+    }
+    return raw;
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function writeJson(file, data) {
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, `${JSON.stringify(data, null, 2)}\n`, 'utf-8');
+}
+
+const fixtures = await loadFixtures();
+const { results, fixtures: fixtureInfo } = await runCases(fixtures);
+const report = {
+  format: BENCH_FORMAT,
+  version: BENCH_VERSION,
+  createdAt: new Date().toISOString(),
+  node: process.version,
+  platform: `${process.platform}-${process.arch}`,
+  options: { iterations, warmup, queries, seed },
+  fixtures: fixtureInfo,
+  results,
+};
+
+const baseline = updateBaseline ? null : await readBaseline();
+let regressions = 0;
+if (baseline) {
+  report.comparison = {
+    baseline: path.relative(repoRoot, baselinePath),
+    threshold,
+    minDeltaMs,
+    cases: compareToBaseline(report, baseline),
+  };
+  console.log(`\nAgainst ${report.comparison.baseline} (${baseline.createdAt}, ${baseline.node}):`);
+  for (const row of report.comparison.cases) {
+    const change =
+      row.status === 'new'
+        ? 'no baseline'
+        : `${row.baseMs.toFixed(2)}ms -> ${row.minMs.toFixed(2)}ms (${row.ratio >= 0 ? '+' : ''}${(row.ratio * 100).toFixed(1)}%, limit ${(row.limit * 100).toFixed(0)}%)`;
+    const steps = row.stepsChanged
+      ? `  steps ${row.stepsChanged.from} -> ${row.stepsChanged.to}`
+      : '';
+    console.log(`  ${row.status.padEnd(9)} ${row.name.padEnd(36)} ${change}${steps}`);
+  }
+  regressions = report.comparison.cases.filter((row) => row.status === 'regressed').length;
+} else if (!updateBaseline) {
+  console.log(
+    `\nNo baseline at ${path.relative(repoRoot, baselinePath)} (--updateBaseline saves one).`,
+  );
+}
+
+await writeJson(outputPath, report);
+console.log(`\nWrote report: ${path.relative(repoRoot, outputPath)}`);
+if (updateBaseline) {
+  // Keep hand-tuned per-case thresholds across baseline refreshes.
+  const previous = await readBaseline();
+  await writeJson(baselinePath, { ...report, thresholds: previous?.thresholds ?? {} });
+  console.log(`Wrote baseline: ${path.relative(repoRoot, baselinePath)}`);
+}
+
+if (regressions > 0) {
+  console.error(`${regressions} case(s) regressed beyond the threshold.`);
+  if (!noFail) process.exit(1);
+}
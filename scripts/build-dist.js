@@ -1,5 +1,5 @@
-import { mkdirSync, rmSync, cpSync } from 'node:fs';
-import { resolve, dirname } from 'node:path';
+import { mkdirSync, rmSync, cpSync, readFileSync, existsSync } from 'node:fs';
+import { resolve, dirname, posix } from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -9,25 +9,36 @@ const dist = resolve(root, 'dist');
 rmSync(dist, { recursive: true, force: true });
 mkdirSync(dist, { recursive: true });
 
-const files = [
-  'index.html',
-  'main.js',
-  'astar.js',
-  'guardrails.js',
-  'endPhase.js',
-  'roads-data.js',
-  'road-graph.js',
-  'config.js',
-  'coordinates.js',
-  'endpoint-sampling.js',
-  'grid-helpers.js',
-  'road-point-cache.js',
-  'terrain-data.js',
-];
+// Modules ship by following the import graph from index.html's scripts. Any
+// './name.js' string in a shipped module counts, so the worker URL does too.
+const MODULE_REF = /['"]\.\/([\w./-]+\.js)['"]/g;
+const SCRIPT_SRC = /<script[^>]*\bsrc="\.\/([\w./-]+\.js)"/g;
+
+function moduleFiles() {
+  const html = readFileSync(resolve(root, 'index.html'), 'utf8');
+  const queue = [...html.matchAll(SCRIPT_SRC)].map((m) => m[1]);
+  const seen = new Set();
+  while (queue.length) {
+    const file = queue.shift();
+    if (seen.has(file)) continue;
+    seen.add(file);
+    const source = readFileSync(resolve(root, file), 'utf8');
+    for (const [, ref] of source.matchAll(MODULE_REF)) {
+      const next = posix.join(posix.dirname(file), ref);
+      if (!existsSync(resolve(root, next))) {
+        throw new Error(`${file} refers to ./${ref}, which does not exist`);
+      }
+      queue.push(next);
+    }
+  }
+  return [...seen].sort();
+}
+
+const files = ['index.html', ...moduleFiles()];
 for (const file of files) {
   cpSync(resolve(root, file), resolve(dist, file));
 }
 
 cpSync(resolve(root, 'data'), resolve(dist, 'data'), { recursive: true });
 
-console.log('dist/ ready for Lively import');
+console.log(`dist/ ready for Lively import (${files.length} files)`);
@@ -3,8 +3,15 @@ import { readFile, writeFile } from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-import { extractRoadLinesWithMeta } from '../roads-data.js';
-import { buildRoadGraphFromLines, ROAD_GRAPH_FORMAT, ROAD_GRAPH_VERSION } from '../road-graph.js';
+import { extractRoadLinesWithMeta, extractTurnRestrictions } from '../roads-data.js';
+import { buildRoadGraphFromLines, largestComponent, serializeRoadGraph } from '../road-graph.js';
+import { buildLandmarks, DEFAULT_LANDMARK_COUNT, serializeLandmarks } from '../landmarks.js';
+import { sccStats, trapNodes } from '../scc.js';
+import {
+  buildContractionHierarchy,
+  serializeContractionHierarchy,
+} from '../contraction-hierarchy.js';
+import { encodeRoadGraphBinary } from '../road-graph-binary.js';
 
 const here = path.dirname(fileURLToPath(import.meta.url));
 const repoRoot = path.resolve(here, '..');
@@ -28,12 +35,21 @@ function parseNumber(raw) {
 
 const inputArg = readArg('input');
 const outputArg = readArg('output');
+const binaryOutputArg = readArg('binaryOutput');
+const writeBinary = readArg('binary') !== '0';
 const snapMeters = parseNumber(readArg('snapMeters'));
 const quantizeDegrees = parseNumber(readArg('quantizeDegrees'));
+const landmarkCount = Math.max(
+  0,
+  Math.trunc(parseNumber(readArg('landmarks')) ?? DEFAULT_LANDMARK_COUNT),
+);
+const buildCh = readArg('ch') !== '0';
+const listTraps = readFlag('traps');
 
 const defaultCompact = path.resolve(repoRoot, 'data/osm/roads.compact.json');
 const defaultGeo = path.resolve(repoRoot, 'data/osm/roads.geojson');
-const defaultOut = path.resolve(repoRoot, 'data/osm/roadGraph.v2.json');
+const defaultOut = path.resolve(repoRoot, 'data/osm/roadGraph.v3.json');
+const defaultBinaryOut = path.resolve(repoRoot, 'data/osm/roadGraph.v3.bin');
 
 const inputPath = inputArg
   ? path.resolve(repoRoot, inputArg)
@@ -41,10 +57,13 @@ const inputPath = inputArg
     ? defaultCompact
     : defaultGeo;
 const outputPath = outputArg ? path.resolve(repoRoot, outputArg) : defaultOut;
+const binaryOutputPath = binaryOutputArg
+  ? path.resolve(repoRoot, binaryOutputArg)
+  : defaultBinaryOut;
 
 if (readFlag('help')) {
   console.log(
-    `Usage: node scripts/build-road-graph-cache.js [--input=PATH] [--output=PATH] [--snapMeters=3] [--quantizeDegrees=0.00005]`,
+    `Usage: node scripts/build-road-graph-cache.js [--input=PATH] [--output=PATH] [--binaryOutput=PATH] [--binary=0] [--snapMeters=3] [--quantizeDegrees=0.00005] [--landmarks=${DEFAULT_LANDMARK_COUNT}] [--ch=0] [--traps]`,
   );
   process.exit(0);
 }
@@ -52,6 +71,7 @@ if (readFlag('help')) {
 const raw = await readFile(inputPath, 'utf-8');
 const data = JSON.parse(raw);
 const lines = extractRoadLinesWithMeta(data);
+const restrictions = extractTurnRestrictions(data);
 
 const toleranceMeters = snapMeters ?? 8;
 
@@ -59,29 +79,65 @@ const graph = buildRoadGraphFromLines(lines, {
   snapToleranceMeters: toleranceMeters,
   maxNodes: 500000,
   quantizeDegrees,
+  restrictions,
 });
 
 console.log(`Graph: ${graph.nodes.length} nodes, ${graph.edges} directed edges`);
+console.log(`Turn restrictions: ${graph.restrictions.length} of ${restrictions.length} resolved`);
+
+// Strongly connected components: endpoints are only drawn from the largest one.
+// --traps lists every dropped node (otherwise the first few).
+const scc = sccStats(graph);
+console.log(
+  `SCC: ${scc.components} components, largest ${scc.largest} nodes; ` +
+    `${scc.trapped} trap nodes (${scc.sinks} sinks, ${scc.sources} sources, ${scc.detached} detached)`,
+);
+const traps = trapNodes(graph);
+for (const t of listTraps ? traps : traps.slice(0, 10)) {
+  console.log(
+    `  trap ${t.id} ${t.kind} at ${t.lat.toFixed(6)},${t.lon.toFixed(6)} (component of ${t.componentSize})`,
+  );
+}
+if (!listTraps && traps.length > 10) console.log(`  ... ${traps.length - 10} more (--traps)`);
+
+// ALT landmarks (two Dijkstra passes per landmark); --landmarks=0 skips them.
+let tables = null;
+if (landmarkCount > 0) {
+  const t0 = Date.now();
+  tables = buildLandmarks(graph, landmarkCount, { candidates: largestComponent(graph) });
+  console.log(`Landmarks: ${tables.ids.length} selected in ${Date.now() - t0}ms`);
+}
+
+// Contraction hierarchy (node order + up/down edge lists); --ch=0 skips it.
+let hierarchy = null;
+if (buildCh) {
+  const t0 = Date.now();
+  hierarchy = buildContractionHierarchy(graph);
+  console.log(`CH: ${hierarchy.shortcuts} shortcuts in ${Date.now() - t0}ms`);
+}
 
-const payload = {
-  format: ROAD_GRAPH_FORMAT,
-  version: ROAD_GRAPH_VERSION,
+const meta = {
   generatedAt: new Date().toISOString(),
   source: { input: path.relative(repoRoot, inputPath) },
-  options: { toleranceMeters },
-  nodes: graph.nodes.map((n) => ({ lat: n.lat, lon: n.lon })),
-  edges: graph.adjacency.map((list) => {
-    return list.map((e) => {
-      const tuple = [e.to, e.weight];
-      if (e.via) tuple.push(e.via);
-      return tuple;
-    });
-  }),
+  scc,
 };
+const payload = { ...serializeRoadGraph(graph), ...meta };
+if (tables) payload.landmarks = serializeLandmarks(tables);
+if (hierarchy) payload.ch = serializeContractionHierarchy(hierarchy);
 
 await writeFile(outputPath, `${JSON.stringify(payload)}\n`, 'utf-8');
 console.log(`Wrote road graph cache: ${path.relative(repoRoot, outputPath)}`);
 
+// Binary twin of the same cache (what the wallpaper loads first); --binary=0 skips it.
+if (writeBinary) {
+  const bytes = encodeRoadGraphBinary(graph, { ...meta, landmarks: tables, ch: hierarchy });
+  await writeFile(binaryOutputPath, bytes);
+  console.log(
+    `Wrote binary road graph cache: ${path.relative(repoRoot, binaryOutputPath)} ` +
+      `(${(bytes.length / 1e6).toFixed(1)} MB)`,
+  );
+}
+
 async function exists(p) {
   try {
     await readFile(p, 'utf-8');
@@ -77,6 +77,7 @@ function buildQuery(bounds, profile) {
     out:json][timeout:60];
     (
       way["highway"~"${regex}"](${south},${west},${north},${east});
+      relation["type"="restriction"](${south},${west},${north},${east});
     );
     (._;>;);
     out body;`;
@@ -125,21 +126,69 @@ function collectLines(osm, profile) {
     if (simplified.length < 2) continue;
 
     const oneway = el.tags?.oneway ?? null;
-    lines.push({ id: el.id, highway, oneway, coords: simplified });
+    // Raw tag; road-graph.js parses it (and falls back to per-highway defaults).
+    const maxspeed = el.tags?.maxspeed ?? null;
+    lines.push({ id: el.id, highway, oneway, maxspeed, coords: simplified });
   }
 
   return lines;
 }
 
-function toFeatureCollection(lines) {
+// Turn restriction relations with a via node, reduced to three coordinates:
+// the from-way node next to via, via itself, and the to-way node next to via.
+// Via-way restrictions and ways that do not start or end at via are skipped.
+function collectRestrictions(osm) {
+  const nodes = new Map();
+  const ways = new Map();
+  for (const el of osm.elements) {
+    if (el.type === 'node') nodes.set(el.id, [el.lon, el.lat]);
+    if (el.type === 'way') ways.set(el.id, el.nodes || []);
+  }
+
+  const nextTo = (wayId, viaId) => {
+    const ids = ways.get(wayId);
+    if (!ids || ids.length < 2) return null;
+    if (ids[0] === viaId) return nodes.get(ids[1]) ?? null;
+    if (ids[ids.length - 1] === viaId) return nodes.get(ids[ids.length - 2]) ?? null;
+    return null;
+  };
+
+  const restrictions = [];
+  for (const el of osm.elements) {
+    if (el.type !== 'relation' || el.tags?.type !== 'restriction') continue;
+    const tag = el.tags?.restriction ?? el.tags?.['restriction:motorcar'];
+    const kind = tag?.startsWith('no_') ? 'no' : tag?.startsWith('only_') ? 'only' : null;
+    if (!kind) continue;
+
+    const members = el.members || [];
+    const from = members.find((m) => m.role === 'from' && m.type === 'way');
+    const via = members.filter((m) => m.role === 'via');
+    const to = members.find((m) => m.role === 'to' && m.type === 'way');
+    if (!from || !to || via.length !== 1 || via[0].type !== 'node') continue;
+
+    const viaCoord = nodes.get(via[0].ref);
+    const fromCoord = nextTo(from.ref, via[0].ref);
+    const toCoord = nextTo(to.ref, via[0].ref);
+    if (!viaCoord || !fromCoord || !toCoord) continue;
+
+    restrictions.push({ kind, restriction: tag, from: fromCoord, via: viaCoord, to: toCoord });
+  }
+
+  return restrictions;
+}
+
+function toFeatureCollection(lines, restrictions) {
   return {
     type: 'FeatureCollection',
+    // Foreign member (not a feature): see extractTurnRestrictions in roads-data.js.
+    restrictions,
     features: lines.map((line) => ({
       type: 'Feature',
       properties: {
         id: line.id,
         highway: line.highway,
         oneway: line.oneway ?? null,
+        maxspeed: line.maxspeed ?? null,
       },
       geometry: {
         type: 'LineString',
@@ -149,14 +198,16 @@ function toFeatureCollection(lines) {
   };
 }
 
-function toCompactFormat(lines, bounds) {
+function toCompactFormat(lines, bounds, restrictions) {
   return {
     format: 'osm-roads-compact',
     version: 2,
     bounds,
+    restrictions,
     lines: lines.map((line) => {
       const entry = { h: line.highway, c: line.coords.flat() };
       if (line.oneway != null) entry.o = line.oneway;
+      if (line.maxspeed != null) entry.s = line.maxspeed;
       return entry;
     }),
   };
@@ -186,6 +237,7 @@ async function main() {
   if (!osm?.elements) throw new Error('Invalid Overpass response');
 
   const lines = collectLines(osm, profile);
+  const restrictions = collectRestrictions(osm);
   const outPath = path.resolve(
     outOverride ||
       (format === 'compact' ? 'data/osm/roads.compact.json' : 'data/osm/roads.geojson'),
@@ -193,13 +245,17 @@ async function main() {
   await fs.mkdir(path.dirname(outPath), { recursive: true });
 
   if (format === 'compact') {
-    const compact = toCompactFormat(lines, bounds);
+    const compact = toCompactFormat(lines, bounds, restrictions);
     await fs.writeFile(outPath, JSON.stringify(compact));
-    console.log(`Wrote ${compact.lines.length} road lines to ${outPath} (profile=${profile})`);
+    console.log(
+      `Wrote ${compact.lines.length} road lines and ${restrictions.length} turn restrictions to ${outPath} (profile=${profile})`,
+    );
   } else {
-    const fc = toFeatureCollection(lines);
+    const fc = toFeatureCollection(lines, restrictions);
     await fs.writeFile(outPath, JSON.stringify(fc));
-    console.log(`Wrote ${fc.features.length} road features to ${outPath} (profile=${profile})`);
+    console.log(
+      `Wrote ${fc.features.length} road features and ${restrictions.length} turn restrictions to ${outPath} (profile=${profile})`,
+    );
   }
 }
 
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { BOUNDS, parseRuntimeConfig } from '../config.js';
+import { applyZoom } from '../coordinates.js';
+import { extractRoadLinesWithMeta, extractTurnRestrictions } from '../roads-data.js';
+import { buildRoadGraph, parseRoadGraphCache } from '../road-graph.js';
+import { parseRoadGraphBinary } from '../road-graph-binary.js';
+import {
+  buildRoadPointCacheFromGeojson,
+  buildRoadPointCacheFromGraph,
+} from '../road-point-cache.js';
+import { makeSimulation } from '../simulation.js';
+import { seededRng } from '../grid-helpers.js';
+
+// Runs wallpaper cycles headless and prints JSON stats, e.g.
+//   node scripts/simulate.js --cycles=50 --params="algo=bidirectional&seed=7"
+// Settings are the wallpaper's query params; the road graph comes from the cache
+// (or is built from the road lines, as the wallpaper does without one).
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(here, '..');
+
+function readArg(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find((v) => v.startsWith(prefix));
+  if (!arg) return null;
+  return arg.slice(prefix.length);
+}
+
+function readFlag(name) {
+  return process.argv.includes(`--${name}`);
+}
+
+function parseNumber(raw) {
+  if (raw == null) return null;
+  const n = Number.parseFloat(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+if (readFlag('help')) {
+  console.log(
+    'Usage: node scripts/simulate.js [--cycles=20] [--params="graph=roads&algo=astar&seed=1"] [--cache=PATH] [--roads=PATH] [--maxSteps=500000] [--cycleLog]',
+  );
+  process.exit(0);
+}
+
+const cycles = Math.max(1, Math.trunc(parseNumber(readArg('cycles')) ?? 20));
+const maxSteps = Math.max(1, Math.trunc(parseNumber(readArg('maxSteps')) ?? 500000));
+const cacheArg = readArg('cache');
+const roadsArg = readArg('roads');
+
+// Guardrails only run in soak mode, and unseeded runs would not be comparable.
+const params = new URLSearchParams(readArg('params') ?? '');
+if (!params.has('soak')) params.set('soak', '1');
+if (!params.has('seed')) params.set('seed', '1');
+const config = parseRuntimeConfig(`?${params}`);
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function readBytes(file) {
+  try {
+    return await readFile(file);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// Same sources as the wallpaper: newest cache first, then the road lines.
+async function loadRoads() {
+  const cacheBounds = applyZoom(BOUNDS, config.zoom, centerOf(config));
+  const cachePaths = cacheArg
+    ? [cacheArg]
+    : ['data/osm/roadGraph.v3.bin', 'data/osm/roadGraph.v3.json', 'data/osm/roadGraph.v2.json'];
+  for (const file of cachePaths) {
+    const graph = file.endsWith('.bin')
+      ? parseRoadGraphBinary(await readBytes(path.resolve(repoRoot, file)))
+      : parseRoadGraphCache(await readJson(path.resolve(repoRoot, file)));
+    if (graph?.nodes.length > 0) {
+      const points = buildRoadPointCacheFromGraph(
+        graph,
+        cacheBounds,
+        config.gridCols,
+        config.gridRows,
+      );
+      return { source: file, graph, points };
+    }
+  }
+
+  const roadsPaths = roadsArg
+    ? [roadsArg]
+    : ['data/osm/roads.compact.json', 'data/osm/roads.geojson'];
+  for (const file of roadsPaths) {
+    const data = await readJson(path.resolve(repoRoot, file));
+    if (!data) continue;
+    const graph = buildRoadGraph(extractRoadLinesWithMeta(data), {
+      toleranceMeters: 8,
+      bounds: cacheBounds,
+      restrictions: extractTurnRestrictions(data),
+    });
+    const points = buildRoadPointCacheFromGeojson(
+      data,
+      cacheBounds,
+      config.gridCols,
+      config.gridRows,
+    );
+    return { source: file, graph, points };
+  }
+  return null;
+}
+
+function centerOf(cfg) {
+  return cfg.centerLat != null && cfg.centerLon != null
+    ? { lat: cfg.centerLat, lon: cfg.centerLon }
+    : null;
+}
+
+function summarize(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  const total = sorted.reduce((sum, v) => sum + v, 0);
+  return {
+    mean: Math.round((total / sorted.length) * 10) / 10,
+    median: at(0.5),
+    p95: at(0.95),
+    max: sorted[sorted.length - 1],
+  };
+}
+
+const needsRoads = config.graph === 'roads' || config.endpointMode === 'roads';
+const roads = needsRoads ? await loadRoads() : null;
+if (config.graph === 'roads' && !(roads?.graph.nodes.length > 0)) {
+  console.error('No road graph: pass --cache=PATH or --roads=PATH (or use graph=grid).');
+  process.exit(1);
+}
+
+const sim = makeSimulation(config, { rng: seededRng(config.seed), maxSteps });
+if (roads) {
+  sim.setRoadGraph(roads.graph);
+  sim.setRoadPoints(roads.points);
+}
+
+const outcomes = [];
+const t0 = performance.now();
+for (let i = 0; i < cycles; i++) {
+  const c0 = performance.now();
+  const outcome = sim.runCycle();
+  outcomes.push({ ...outcome, ms: Math.round((performance.now() - c0) * 10) / 10 });
+}
+const elapsedMs = performance.now() - t0;
+
+const found = outcomes.filter((o) => o.outcome === 'found');
+const round = (v) => Math.round(v);
+const stats = {
+  params: params.toString(),
+  graph: sim.isRoadGraphActive()
+    ? { kind: 'roads', source: roads.source, nodes: roads.graph.nodes.length }
+    : { kind: 'grid', cells: config.gridCols * config.gridRows },
+  cycles,
+  found: found.length,
+  failures: outcomes.filter((o) => o.outcome === 'failure').length,
+  resamples: outcomes.filter((o) => o.outcome === 'resample').length,
+  relaxEvents: outcomes.filter((o) => o.relaxed).length,
+  bestEffortSamples: outcomes.filter((o) => o.sampling?.bestEffort).length,
+  statuses: outcomes.reduce((acc, o) => ({ ...acc, [o.status]: (acc[o.status] ?? 0) + 1 }), {}),
+  steps: summarize(outcomes.map((o) => o.steps)),
+  pathMeters: summarize(found.map((o) => round(o.pathMeters))),
+  pathSeconds: summarize(found.map((o) => round(o.pathSeconds))),
+  cycleMs: summarize(outcomes.map((o) => o.ms)),
+  elapsedMs: round(elapsedMs),
+};
+if (readFlag('cycleLog')) {
+  stats.cycleLog = outcomes.map((o) => ({
+    cycle: o.cycle,
+    outcome: o.outcome,
+    status: o.status,
+    steps: o.steps,
+    pathMeters: o.pathMeters != null ? round(o.pathMeters) : null,
+    relaxed: o.relaxed,
+    ms: o.ms,
+  }));
+}
+
+console.log(JSON.stringify(stats, null, 2));
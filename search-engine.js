@@ -0,0 +1,996 @@
+import { BOUNDS } from './config.js';
+import { applyZoom } from './coordinates.js';
+import { cellLatLon, parseKey, seededRng } from './grid-helpers.js';
+import { makeReplayRecorder, makeReplayStepper } from './replay-log.js';
+import { extractRoadLinesWithMeta, extractTurnRestrictions } from './roads-data.js';
+import { buildRoadGraph, parseRoadGraphCache } from './road-graph.js';
+import { parseRoadGraphBinary } from './road-graph-binary.js';
+import {
+  buildRoadPointCacheFromGeojson,
+  buildRoadPointCacheFromGraph,
+} from './road-point-cache.js';
+import { makeSimulation } from './simulation.js';
+
+// --- Search engine ---
+//
+// Runs the simulation (road graph, stepper, recorder, resume snapshots) apart
+// from the renderer: in a Web Worker (search-worker.js) when one is available,
+// otherwise in the page. Either way the two sides only exchange messages:
+//
+//   page -> host   advance { now }, reset-clock { now }, config { patch },
+//                  next-cycle, replay-log { log }, save, download,
+//                  pick { role, lat, lon }, roads-data { data }
+//   host -> page   ready, graph, cycle, frame, end, save { saved }, replay-log { log },
+//                  pick { ok }, roads-data
+//
+// A worker host without a graph cache asks for the road lines (roads-data)
+// instead of fetching them: the page loads them anyway to draw the roads.
+//
+// Resume snapshots cross as JSON text (`save`'s `saved`, the host's `resume`),
+// so the page stores and reads them without stringifying or parsing a search.
+//
+// `frame` carries the steps taken since the previous frame as compact deltas
+// (each step's newly closed key and its parent, indexes of backward ones, and
+// the keys that joined either open set) plus the latest current node and open
+// size; the page rebuilds the closed sets, trees and frontiers from them, and
+// keeps the closed keys in order for incremental drawing. Races (race=1) add one
+// such delta per lane and the scoreboard, which cycle and end carry too.
+// The ALT savings readout keeps counting through the end phases; frames carry
+// it whenever it changed.
+// The page sends the next `advance` only once the previous frame is back, so a
+// slow batch of steps delays the search, never the drawing.
+
+// Binary cache first (no JSON parse before the first frame), then the JSON
+// caches, newest first; older versions still load (without landmarks).
+export const ROAD_GRAPH_URLS = [
+  './data/osm/roadGraph.v3.bin',
+  './data/osm/roadGraph.v3.json',
+  './data/osm/roadGraph.v2.json',
+];
+export const ROADS_URLS = ['./data/osm/roads.compact.json', './data/osm/roads.geojson'];
+
+export const RESUME_STORAGE_KEY = 'astar-wallpaper:resume';
+const RESUME_FORMAT = 'astar-wallpaper-resume';
+const RESUME_VERSION = 1;
+// Snapshots longer than this (JSON characters) are not saved: localStorage
+// holds about 5M per origin, shared with the route history.
+export const RESUME_MAX_CHARS = 2000000;
+
+function centerOf(config) {
+  return config.centerLat != null && config.centerLon != null
+    ? { lat: config.centerLat, lon: config.centerLon }
+    : null;
+}
+
+// First road file that loads (compact, then GeoJSON), or null.
+export async function fetchRoadsData(urls = ROADS_URLS) {
+  for (const url of urls) {
+    const res = await fetch(url);
+    if (res.ok) return res.json();
+  }
+  return null;
+}
+
+// Road graph and endpoint point cache from the first graph cache that parses,
+// else built from the road lines. { graph: null, points: null } if neither loads.
+export async function loadRoadGraph(
+  config,
+  { cacheUrls = ROAD_GRAPH_URLS, loadRoadsData = fetchRoadsData } = {},
+) {
+  const cacheBounds = applyZoom(BOUNDS, config.zoom, centerOf(config));
+  for (const url of cacheUrls) {
+    try {
+      const res = await fetch(url);
+      if (!res.ok) continue;
+      const graph = url.endsWith('.bin')
+        ? parseRoadGraphBinary(await res.arrayBuffer())
+        : parseRoadGraphCache(await res.json());
+      if (graph) {
+        const points = buildRoadPointCacheFromGraph(
+          graph,
+          cacheBounds,
+          config.gridCols,
+          config.gridRows,
+        );
+        return { graph, points };
+      }
+    } catch (err) {
+      console.warn('Failed to load road graph cache', url, err);
+    }
+  }
+
+  const data = await loadRoadsData();
+  const lines = data ? extractRoadLinesWithMeta(data) : [];
+  if (!lines.length) return { graph: null, points: null };
+  const graph = buildRoadGraph(lines, {
+    toleranceMeters: 8,
+    bounds: cacheBounds,
+    restrictions: extractTurnRestrictions(data),
+  });
+  const points = buildRoadPointCacheFromGeojson(
+    data,
+    cacheBounds,
+    config.gridCols,
+    config.gridRows,
+  );
+  return { graph, points };
+}
+
+// Settings that change what a search means; a saved cycle only resumes under the same ones.
+function resumeSignature(config, sim) {
+  const roadGraph = sim.roadGraph;
+  return JSON.stringify({
+    graph: sim.isRoadGraphActive() ? `roads:${roadGraph.nodes.length}:${roadGraph.edges}` : 'grid',
+    grid: [config.gridCols, config.gridRows],
+    view: [config.zoom, config.centerLat, config.centerLon],
+    endpointMode: config.endpointMode,
+    algo: config.algo,
+    epsilon: config.epsilon,
+    heuristic: config.heuristic,
+    cost: config.cost,
+    turns: [config.turns, config.leftTurnPenalty, config.uTurnPenalty],
+    snap: config.snap,
+    obstacles: config.obstacles,
+    seed: config.seed,
+    minStartEndMeters: config.minStartEndMeters,
+  });
+}
+
+// Split nodes of the current query and the via geometry of the edges they cut.
+function splitInfo(split) {
+  if (!split) return null;
+  const via = [];
+  for (const { id } of split.nodes) {
+    for (const e of split.edges(id)) if (e.via) via.push([id, e.to, e.via]);
+    for (const from of split.reverseNeighbors(id)) {
+      const e = split.isSplitNode(from) ? null : split.edge(from, id);
+      if (e?.via) via.push([from, id, e.via]);
+    }
+  }
+  return { nodes: split.nodes, via };
+}
+
+// --- Host (worker or page) ---
+
+// `post(msg, transfer?)` delivers to the page. `seed` seeds endpoint sampling
+// and obstacles; `recordParams` goes into replay logs; `resume` is the saved
+// cycle (the localStorage text) to continue once the graph is ready.
+// `transferGraph` copies the graph arrays it sends so they can be transferred.
+// `loadRoads` defaults to the graph caches, then the road lines: fetched in the
+// page, asked of the page from a worker.
+export function makeSearchEngineHost(
+  config,
+  {
+    post,
+    engine = 'page',
+    seed = null,
+    recordParams = '',
+    resume = null,
+    transferGraph = false,
+    loadRoads = null,
+  },
+) {
+  const roadsDataRequests = []; // resolvers for roads-data answers, oldest first
+  const requestRoadsData = () =>
+    new Promise((resolve) => {
+      roadsDataRequests.push(resolve);
+      post({ type: 'roads-data' });
+    });
+  const loadGraph =
+    loadRoads ??
+    (() =>
+      loadRoadGraph(config, {
+        loadRoadsData: engine === 'worker' ? requestRoadsData : fetchRoadsData,
+      }));
+
+  // Race cycles are not recorded: replays step a single search.
+  const recorder =
+    config.record > 0 && !config.replay && config.race === 0
+      ? makeReplayRecorder({ seed, params: recordParams, maxCycles: config.record })
+      : null;
+  let replayLog = null;
+  let replayIndex = 0;
+  let resumePending = config.resume !== 0 && !config.replay; // until the saved cycle has had its chance
+  let savedCycle = resume;
+  let oversizedCycle = null; // cycle whose snapshot outgrew RESUME_MAX_CHARS; later ones only grow
+  let now = 0;
+  const emptyDelta = () => ({
+    closed: [],
+    parents: [],
+    backward: [],
+    // Scores of the closed keys (null where the stepper has none): g from the
+    // search's root, f the priority the key was popped with.
+    g: [],
+    f: [],
+    opened: [],
+    openedBackward: [],
+  });
+  let delta = emptyDelta();
+  let laneDeltas = []; // race=1: one delta per lane
+  let lanePathsSent = new Set(); // race lanes whose found path the page has
+  let lastStep = null;
+  let sentAltSavings = null;
+
+  // Appends a searching step's closed and opened keys to `d`.
+  function pushStep(d, r) {
+    const backward = r.direction === 'backward';
+    for (const k of r.openedKeys ?? []) (backward ? d.openedBackward : d.opened).push(k);
+    if (r.closedKey == null) return;
+    if (backward) d.backward.push(d.closed.length);
+    d.closed.push(r.closedKey);
+    d.parents.push(r.parentKey);
+    d.g.push((backward ? r.gScoreBackward : r.gScore)?.get(r.closedKey) ?? null);
+    d.f.push(r.closedF ?? null);
+  }
+
+  const sim = makeSimulation(config, {
+    rng: seed != null ? seededRng(seed) : Math.random,
+    clock: () => now,
+    nextCycle: () => (config.replay ? startReplayCycle() : sim.pickEndpoints()),
+    onCycleStart() {
+      flush();
+      lastStep = null;
+      laneDeltas = (sim.race?.lanes ?? []).map(() => emptyDelta());
+      lanePathsSent = new Set();
+      recorder?.begin({
+        cycle: sim.cycle,
+        graph: sim.isRoadGraphActive() ? 'roads' : 'grid',
+        startKey: sim.startKey,
+        goalKey: sim.goalKey,
+        endpoints: sim.cycleEndpoints,
+      });
+      postCycle();
+    },
+    onStep(r) {
+      recorder?.step(r);
+      if (r.status !== 'searching') return;
+      lastStep = r;
+      if (!r.lanes) {
+        pushStep(delta, r);
+        return;
+      }
+      r.lanes.forEach((lane, i) => {
+        if (lane?.status === 'searching') pushStep(laneDeltas[i], lane);
+      });
+    },
+    onCycleEnd(r, outcome) {
+      flush();
+      lastStep = null;
+      recorder?.end(r, { resampled: outcome === 'resample' });
+      post({
+        type: 'end',
+        outcome,
+        status: r.status,
+        steps: r.steps ?? 0,
+        path: outcome === 'found' ? r.path : null,
+        race: raceBoard(),
+        stats: stats(),
+      });
+      if (outcome === 'found') save();
+    },
+  });
+
+  function stats() {
+    return {
+      sampling: sim.sampling,
+      soakStats: { ...sim.soakStats },
+      guardrailState: sim.guardrailState,
+      altSavings: sim.altSavings,
+      lastPathLengthMeters: sim.lastPathLengthMeters,
+      lastPathSeconds: sim.lastPathSeconds,
+      roadPoints: sim.roadsPointCache.points.length,
+      recorded: recorder?.size ?? 0,
+      replay: replayLog ? { index: replayIndex, total: replayLog.cycles.length } : null,
+    };
+  }
+
+  function postCycle() {
+    post({
+      type: 'cycle',
+      cycle: sim.cycle,
+      phase: sim.phase,
+      startKey: sim.startKey,
+      goalKey: sim.goalKey,
+      endpoints: sim.cycleEndpoints,
+      simBounds: sim.simBounds,
+      split: splitInfo(sim.graphSplit),
+      race: raceBoard(),
+      stats: stats(),
+    });
+  }
+
+  // The race scoreboard, with each lane's found path sent once.
+  function raceBoard() {
+    const race = sim.race;
+    if (!race) return null;
+    const lanes = race.lanes.map(({ path, ...lane }, i) => {
+      if (!path || lanePathsSent.has(i)) return lane;
+      lanePathsSent.add(i);
+      return { ...lane, path };
+    });
+    return { winner: race.winner, lanes };
+  }
+
+  // Steps since the last frame; `advanced` answers an advance request.
+  function flush(advanced = false) {
+    const pending = delta.closed.length > 0 || laneDeltas.some((d) => d.closed.length > 0);
+    if (!advanced && !pending) return;
+    const msg = { type: 'frame', advanced, phase: sim.phase, phaseT: sim.phaseT, ...delta };
+    if (sim.altSavings !== sentAltSavings) {
+      sentAltSavings = sim.altSavings;
+      msg.altSavings = sentAltSavings;
+    }
+    if (sim.race) {
+      msg.lanes = laneDeltas;
+      msg.race = raceBoard();
+      laneDeltas = laneDeltas.map(() => emptyDelta());
+    }
+    if (lastStep) {
+      msg.current = lastStep.current;
+      msg.direction = lastStep.direction ?? null;
+      msg.openSize = lastStep.openSize ?? 0;
+      msg.steps = lastStep.steps ?? 0;
+    }
+    delta = emptyDelta();
+    post(msg);
+  }
+
+  // A restored stepper starts with closed sets the page never saw step by step.
+  // Its frontier is what the trees reached without closing (best-first searches
+  // open every node they give a parent). Pop priorities are not kept, so f is unknown.
+  function pushRestoredState(state) {
+    if (!state?.closedSet) return;
+    for (const [closed, tree, scores, backward] of [
+      [state.closedSet, state.cameFrom, state.gScore, false],
+      [state.closedSetBackward, state.cameFromBackward, state.gScoreBackward, true],
+    ]) {
+      for (const k of closed ?? []) {
+        if (backward) delta.backward.push(delta.closed.length);
+        delta.closed.push(k);
+        delta.parents.push(tree?.get(k) ?? null);
+        delta.g.push(scores?.get(k) ?? null);
+        delta.f.push(null);
+      }
+      for (const k of tree?.keys() ?? []) {
+        if (!closed.has(k)) (backward ? delta.openedBackward : delta.opened).push(k);
+      }
+    }
+    lastStep = {
+      current: null,
+      direction: state.closedSetBackward ? 'forward' : null,
+      openSize: state.openSize,
+      steps: state.steps,
+    };
+  }
+
+  function graphMessage() {
+    const g = sim.roadGraph;
+    const n = g.nodes.length;
+    const coords = new Float64Array(2 * n);
+    g.nodes.forEach((node, i) => {
+      coords[2 * i] = node.lat;
+      coords[2 * i + 1] = node.lon;
+    });
+    const copy = (a) => (transferGraph ? a.slice() : a);
+    const msg = {
+      type: 'graph',
+      coords,
+      offsets: copy(g.offsets),
+      targets: copy(g.targets),
+      viaOffsets: g.viaOffsets ? copy(g.viaOffsets) : null,
+      viaCoords: g.viaCoords ? copy(g.viaCoords) : null,
+      info: {
+        nodes: n,
+        edges: g.edges,
+        landmarks: g.landmarks?.ids.length ?? 0,
+        ch: !!g.ch,
+        times: !!g.times,
+        restrictions: g.restrictions?.length ?? 0,
+        reachable: sim.reachableNodes?.size ?? null,
+      },
+    };
+    const transfer = transferGraph
+      ? [msg.coords, msg.offsets, msg.targets, msg.viaOffsets, msg.viaCoords]
+          .filter(Boolean)
+          .map((a) => a.buffer)
+      : [];
+    post(msg, transfer);
+  }
+
+  // Next recorded cycle; waits (phase replay-wait) for the log, and for the road
+  // graph when the cycle was recorded on it.
+  function startReplayCycle() {
+    const record = replayLog?.cycles[replayIndex % replayLog.cycles.length];
+    if (!record || (record.graph === 'roads' && !sim.isRoadGraphActive())) {
+      sim.clearCycle('replay-wait');
+      postCycle();
+      return;
+    }
+    replayIndex += 1;
+    sim.startCycle(record.endpoints ?? { start: record.startKey, goal: record.goalKey }, {
+      cycle: record.cycle,
+      makeStepper: () => makeReplayStepper(record),
+    });
+  }
+
+  // Continue the saved cycle if it matches the current settings (true if it did).
+  // Roads mode waits until the road graph is ready.
+  function resumeSavedCycle() {
+    if (!resumePending) return false;
+    if (config.graph === 'roads' && !sim.isRoadGraphActive()) return false;
+    resumePending = false;
+    let saved = null;
+    try {
+      saved = typeof savedCycle === 'string' ? JSON.parse(savedCycle) : savedCycle;
+    } catch {
+      // Unreadable snapshot: start fresh.
+    }
+    savedCycle = null;
+    if (saved?.format !== RESUME_FORMAT || saved.version !== RESUME_VERSION) return false;
+    if (saved.signature !== resumeSignature(config, sim) || !saved.endpoints) return false;
+
+    sim.startCycle(saved.endpoints, {
+      cycle: Math.max(1, saved.cycle ?? 1),
+      sampling: saved.sampling,
+    });
+    // The recorder never saw this cycle's earlier steps.
+    recorder?.discard();
+    if (!sim.stepper.restore?.(saved.stepper)) return false;
+    pushRestoredState(sim.stepper.getState?.());
+    return true;
+  }
+
+  function save() {
+    const stepper = sim.stepper;
+    if (config.resume === 0 || config.replay || resumePending || !stepper?.serialize) return;
+    // Unseeded obstacle layouts differ on every load.
+    if (!sim.isRoadGraphActive() && sim.gridObstacles.size > 0 && config.seed == null) return;
+    if (oversizedCycle === sim.cycle) return;
+    const saved = JSON.stringify({
+      format: RESUME_FORMAT,
+      version: RESUME_VERSION,
+      signature: resumeSignature(config, sim),
+      cycle: sim.cycle,
+      endpoints: sim.cycleEndpoints,
+      sampling: sim.sampling,
+      stepper: stepper.serialize(),
+    });
+    if (saved.length > RESUME_MAX_CHARS) {
+      oversizedCycle = sim.cycle;
+      return;
+    }
+    post({ type: 'save', saved });
+  }
+
+  return {
+    sim,
+
+    // Starts cycling right away (on the grid while roads load), then again once
+    // the road graph is in.
+    async start(startNow = 0) {
+      now = startNow;
+      post({
+        type: 'ready',
+        engine,
+        gridObstacles: [...sim.gridObstacles],
+        simBounds: sim.simBounds,
+      });
+      if (!resumeSavedCycle()) sim.nextCycle();
+      flush();
+
+      let loaded = null;
+      try {
+        loaded = await loadGraph();
+      } catch (err) {
+        console.warn('Failed to load road graph', err);
+      }
+      if (loaded?.graph) sim.setRoadGraph(loaded.graph);
+      if (loaded?.points) sim.setRoadPoints(loaded.points);
+      if (sim.roadGraph) graphMessage();
+      if (
+        sim.isRoadGraphActive() ||
+        (config.endpointMode === 'roads' && sim.roadsPointCache.keys.length > 0)
+      ) {
+        if (!resumeSavedCycle()) sim.nextCycle();
+      }
+      flush();
+    },
+
+    handle(msg) {
+      switch (msg.type) {
+        case 'advance':
+          now = msg.now;
+          try {
+            sim.advance(now);
+          } finally {
+            flush(true);
+          }
+          break;
+        case 'reset-clock':
+          now = msg.now;
+          sim.resetClock(now);
+          break;
+        case 'config':
+          Object.assign(config, msg.patch);
+          break;
+        case 'next-cycle':
+          sim.nextCycle();
+          flush();
+          break;
+        case 'replay-log':
+          replayLog = msg.log;
+          sim.nextCycle();
+          flush();
+          break;
+        case 'roads-data':
+          roadsDataRequests.shift()?.(msg.data ?? null);
+          break;
+        case 'save':
+          save();
+          break;
+        case 'download':
+          post({ type: 'replay-log', log: recorder?.log() ?? null });
+          break;
+        case 'pick': {
+          // Replays play their recorded endpoints.
+          const ok = !config.replay && sim.pickEndpoint(msg.role, msg.lat, msg.lon);
+          flush();
+          post({ type: 'pick', ok });
+          break;
+        }
+      }
+    },
+  };
+}
+
+// --- Page-side view ---
+
+// Mirrors the host's state from its messages with the getters main.js draws
+// from (the simulation's names), and sends it commands through `send`.
+// onCycleEnd(outcome) runs once a cycle's end has been mirrored (finalPath set).
+export function makeSearchEngineView(
+  config,
+  { send, onCycleStart = null, onCycleEnd = null, onSave = null },
+) {
+  let simBounds = applyZoom(BOUNDS, config.zoom, centerOf(config));
+  const gridObstacles = new Set();
+  const soakStats = {
+    cyclesCompleted: 0,
+    failures: 0,
+    resamples: 0,
+    relaxEvents: 0,
+    totalSteps: 0,
+    totalSearchMs: 0,
+  };
+  let engine = null;
+  let graph = null; // { coords, offsets, targets, viaOffsets, viaCoords }
+  let roadGraph = null; // { nodes, edges }: positions for drawing, no costs
+  let graphInfo = null;
+  let split = null; // { nodes: Map id -> node, via: Map 'a,b' -> via }
+  let startKey = null;
+  let goalKey = null;
+  let cycleEndpoints = null;
+  let cycle = 0;
+  let phase = 'search';
+  let phaseT = 0;
+  let trees = null;
+  // race=1: the host's scoreboard ({ winner, lanes }), each lane with its own trees.
+  let race = null;
+  let bidirectional = false;
+  let currentStep = null;
+  let finalPath = null;
+  let lastSearchStep = null;
+  let stats = {
+    sampling: { bestEffort: false, distanceMeters: 0, tries: 0 },
+    guardrailState: { consecutiveFailures: 0, consecutiveResamples: 0, relaxCyclesRemaining: 0 },
+    altSavings: null,
+    lastPathLengthMeters: 0,
+    lastPathSeconds: 0,
+    roadPoints: 0,
+    recorded: 0,
+    replay: null,
+  };
+  let advancing = false;
+  const downloads = [];
+  const picks = [];
+
+  const emptyTrees = () => ({
+    closedSet: new Set(),
+    cameFrom: new Map(),
+    closedSetBackward: new Set(),
+    cameFromBackward: new Map(),
+    explored: { keys: [], parents: [], backward: [], g: [], f: [] },
+    // Open keys -> the order they were opened in (stable sampling when drawing).
+    frontier: new Map(),
+    frontierBackward: new Map(),
+    opened: 0,
+  });
+
+  // Same rules as the simulation's, against the host's graph summary.
+  const isRoadGraphActive = () => config.graph === 'roads' && graphInfo?.nodes > 0;
+  const isAltActive = () =>
+    config.heuristic === 'alt' && isRoadGraphActive() && graphInfo.landmarks > 0;
+  const isTurnSearchActive = () => config.turns !== 0 && isRoadGraphActive();
+  const isEdgeSnapActive = () =>
+    config.snap === 'edge' && isRoadGraphActive() && !isTurnSearchActive();
+  const isTimeCostActive = () => config.cost === 'time' && isRoadGraphActive() && graphInfo.times;
+
+  function keyToLatLon(k, bounds = simBounds) {
+    if (isRoadGraphActive()) {
+      const node = split?.nodes.get(k) ?? roadGraph.nodes[k];
+      return node ? { lat: node.lat, lon: node.lon } : null;
+    }
+    const { i, j } = parseKey(k);
+    return cellLatLon(i, j, bounds, config.gridCols, config.gridRows);
+  }
+
+  // Via geometry of the a -> b road edge ([[lon, lat], ...]), null if straight.
+  function edgeVia(a, b) {
+    if (!isRoadGraphActive()) return null;
+    if (split && (split.nodes.has(a) || split.nodes.has(b))) {
+      return split.via.get(`${a},${b}`) ?? null;
+    }
+    const { offsets, targets, viaOffsets, viaCoords } = graph;
+    if (!viaOffsets || !(a >= 0 && a < roadGraph.nodes.length)) return null;
+    for (let e = offsets[a]; e < offsets[a + 1]; e++) {
+      if (targets[e] !== b) continue;
+      if (viaOffsets[e] === viaOffsets[e + 1]) return null;
+      const via = [];
+      for (let i = viaOffsets[e]; i < viaOffsets[e + 1]; i++) {
+        via.push([viaCoords[2 * i], viaCoords[2 * i + 1]]);
+      }
+      return via;
+    }
+    return null;
+  }
+
+  function applyDelta(t, d) {
+    // Keys open before they close, so the openings go first.
+    for (const k of d.opened) {
+      if (!t.frontier.has(k)) t.frontier.set(k, t.opened++);
+    }
+    for (const k of d.openedBackward) {
+      if (!t.frontierBackward.has(k)) t.frontierBackward.set(k, t.opened++);
+    }
+    const backward = new Set(d.backward);
+    const { explored } = t;
+    d.closed.forEach((k, i) => {
+      const back = backward.has(i);
+      const parent = d.parents[i];
+      (back ? t.frontierBackward : t.frontier).delete(k);
+      (back ? t.closedSetBackward : t.closedSet).add(k);
+      if (parent != null) (back ? t.cameFromBackward : t.cameFrom).set(k, parent);
+      explored.keys.push(k);
+      explored.parents.push(parent);
+      explored.backward.push(back);
+      explored.g.push(d.g[i]);
+      explored.f.push(d.f[i]);
+    });
+  }
+
+  function updateRace(board) {
+    if (!board) return;
+    if (!race) {
+      race = { winner: null, lanes: board.lanes.map(() => ({ path: null, trees: emptyTrees() })) };
+    }
+    race.winner = board.winner;
+    board.lanes.forEach((lane, i) => Object.assign(race.lanes[i], lane));
+  }
+
+  function applyFrame(msg) {
+    if (msg.altSavings) stats = { ...stats, altSavings: msg.altSavings };
+    applyDelta(trees, msg);
+    msg.lanes?.forEach((d, i) => race && applyDelta(race.lanes[i].trees, d));
+    updateRace(msg.race);
+    if (msg.direction != null) bidirectional = true;
+    if (msg.steps != null) {
+      currentStep = {
+        done: false,
+        status: 'searching',
+        current: msg.current,
+        openSize: msg.openSize,
+        steps: msg.steps,
+        closedSet: trees.closedSet,
+        cameFrom: trees.cameFrom,
+        frontier: trees.frontier,
+      };
+      if (bidirectional) {
+        currentStep.direction = msg.direction;
+        currentStep.closedSetBackward = trees.closedSetBackward;
+        currentStep.cameFromBackward = trees.cameFromBackward;
+        currentStep.frontierBackward = trees.frontierBackward;
+      }
+    }
+    phase = msg.phase;
+    phaseT = msg.phaseT;
+  }
+
+  const view = {
+    gridObstacles,
+    soakStats,
+    get engine() {
+      return engine;
+    },
+    get simBounds() {
+      return simBounds;
+    },
+    get roadGraph() {
+      return roadGraph;
+    },
+    // { nodes, edges, landmarks, ch, times, restrictions, reachable } or null.
+    get graphInfo() {
+      return graphInfo;
+    },
+    get graphSplit() {
+      return split;
+    },
+    get startKey() {
+      return startKey;
+    },
+    get goalKey() {
+      return goalKey;
+    },
+    get cycleEndpoints() {
+      return cycleEndpoints;
+    },
+    get cycle() {
+      return cycle;
+    },
+    get currentStep() {
+      return currentStep;
+    },
+    get finalPath() {
+      return finalPath;
+    },
+    get lastSearchStep() {
+      return lastSearchStep;
+    },
+    // This cycle's closed keys in closing order with their parents, whether the
+    // backward search closed them and their scores ({ keys, parents, backward,
+    // g, f }); append-only.
+    get explored() {
+      return trees?.explored ?? null;
+    },
+    // race=1: { winner, lanes: [{ algo, status, steps, cost, finishedAt, path,
+    // trees }] } with each lane's trees mirrored like the single search's.
+    get race() {
+      return race;
+    },
+    get phase() {
+      return phase;
+    },
+    get phaseT() {
+      return phaseT;
+    },
+    get sampling() {
+      return stats.sampling;
+    },
+    get guardrailState() {
+      return stats.guardrailState;
+    },
+    get altSavings() {
+      return stats.altSavings;
+    },
+    get lastPathLengthMeters() {
+      return stats.lastPathLengthMeters;
+    },
+    get lastPathSeconds() {
+      return stats.lastPathSeconds;
+    },
+    get roadPoints() {
+      return stats.roadPoints;
+    },
+    get recorded() {
+      return stats.recorded;
+    },
+    // { index, total } while replaying a log.
+    get replay() {
+      return stats.replay;
+    },
+
+    isRoadGraphActive,
+    isAltActive,
+    isTurnSearchActive,
+    isEdgeSnapActive,
+    isTimeCostActive,
+    keyToLatLon,
+    edgeVia,
+
+    apply(msg) {
+      switch (msg.type) {
+        case 'ready':
+          // A new host has no advance in flight.
+          advancing = false;
+          engine = msg.engine;
+          simBounds = msg.simBounds;
+          gridObstacles.clear();
+          for (const k of msg.gridObstacles) gridObstacles.add(k);
+          break;
+        case 'graph': {
+          graph = msg;
+          const nodes = new Array(msg.info.nodes);
+          for (let i = 0; i < nodes.length; i++) {
+            nodes[i] = { id: i, lat: msg.coords[2 * i], lon: msg.coords[2 * i + 1] };
+          }
+          roadGraph = { nodes, edges: msg.info.edges };
+          graphInfo = msg.info;
+          break;
+        }
+        case 'cycle':
+          cycle = msg.cycle;
+          phase = msg.phase;
+          phaseT = 0;
+          startKey = msg.startKey;
+          goalKey = msg.goalKey;
+          cycleEndpoints = msg.endpoints;
+          simBounds = msg.simBounds;
+          split = msg.split && {
+            nodes: new Map(msg.split.nodes.map((n) => [n.id, n])),
+            via: new Map(msg.split.via.map(([a, b, via]) => [`${a},${b}`, via])),
+          };
+          stats = msg.stats;
+          Object.assign(soakStats, msg.stats.soakStats);
+          trees = emptyTrees();
+          race = null;
+          updateRace(msg.race);
+          bidirectional = false;
+          currentStep = null;
+          finalPath = null;
+          lastSearchStep = null;
+          onCycleStart?.();
+          break;
+        case 'frame':
+          if (msg.advanced) advancing = false;
+          if (trees) applyFrame(msg);
+          break;
+        case 'end':
+          stats = msg.stats;
+          Object.assign(soakStats, msg.stats.soakStats);
+          currentStep = { done: true, status: msg.status, steps: msg.steps };
+          updateRace(msg.race);
+          if (msg.outcome === 'found') {
+            currentStep.path = msg.path;
+            finalPath = msg.path;
+            lastSearchStep = { closedSet: trees.closedSet, cameFrom: trees.cameFrom };
+          }
+          onCycleEnd?.(msg.outcome);
+          break;
+        case 'save':
+          onSave?.(msg.saved);
+          break;
+        case 'replay-log':
+          downloads.shift()?.(msg.log);
+          break;
+        case 'pick':
+          picks.shift()?.(msg.ok);
+          break;
+      }
+    },
+
+    // Animation-frame update; skipped while the previous one is still running.
+    advance(now = performance.now()) {
+      if (advancing) return;
+      advancing = true;
+      send({ type: 'advance', now });
+    },
+    resetClock(now = performance.now()) {
+      send({ type: 'reset-clock', now });
+    },
+    // Config edits the host should see (the page's own config is edited by the caller).
+    updateConfig(patch) {
+      send({ type: 'config', patch });
+    },
+    nextCycle() {
+      send({ type: 'next-cycle' });
+    },
+    setReplayLog(log) {
+      send({ type: 'replay-log', log });
+    },
+    // Asks for a resume snapshot (JSON text, delivered to onSave when there is one).
+    save() {
+      send({ type: 'save' });
+    },
+    // Resolves to the recorder's replay log (null when not recording).
+    downloadReplayLog() {
+      return new Promise((resolve) => {
+        downloads.push(resolve);
+        send({ type: 'download' });
+      });
+    },
+    // Moves the start or goal (`role`) to the usable endpoint nearest lat/lon and
+    // restarts the search; resolves false if there is none (see simulation.js).
+    pickEndpoint(role, lat, lon) {
+      return new Promise((resolve) => {
+        picks.push(resolve);
+        send({ type: 'pick', role, lat, lon });
+      });
+    },
+  };
+  return view;
+}
+
+// --- Engine ---
+
+// The page's search engine: a view fed by a Web Worker host when `worker` is on
+// and workers start, else by a host in the page (the synchronous fallback).
+// `loadRoadsData` shares the road lines the page already loads with the host
+// (directly in the page, through roads-data with a worker).
+export function makeSearchEngine(
+  config,
+  {
+    worker = true,
+    workerUrl = './search-worker.js',
+    seed = null,
+    recordParams = '',
+    resume = null,
+    loadRoadsData = fetchRoadsData,
+    onCycleStart = null,
+    onCycleEnd = null,
+    onSave = null,
+  } = {},
+) {
+  let send = null;
+  const view = makeSearchEngineView(config, {
+    send: (msg) => send(msg),
+    onCycleStart,
+    onCycleEnd,
+    onSave,
+  });
+  const hostOptions = { seed, recordParams, resume };
+
+  function startInPage(queued = []) {
+    const host = makeSearchEngineHost(config, {
+      ...hostOptions,
+      post: (msg) => view.apply(msg),
+      loadRoads: () => loadRoadGraph(config, { loadRoadsData }),
+    });
+    send = (msg) => host.handle(msg);
+    host.start(performance.now());
+    for (const msg of queued) send(msg);
+  }
+
+  function startWorker() {
+    let w;
+    try {
+      w = new Worker(workerUrl, { type: 'module' });
+    } catch (err) {
+      console.warn('Search worker unavailable; searching in the page', err);
+      return false;
+    }
+    // Until the worker reports in, commands are kept for a page fallback.
+    let queued = [];
+    w.onmessage = (e) => {
+      if (e.data?.type === 'ready') queued = null;
+      if (e.data?.type === 'roads-data') {
+        Promise.resolve(loadRoadsData())
+          .catch(() => null)
+          .then((data) => w.postMessage({ type: 'roads-data', data }));
+        return;
+      }
+      view.apply(e.data);
+    };
+    w.onerror = (e) => {
+      console.warn('Search worker error', e.message ?? e);
+      if (queued) {
+        w.terminate();
+        const pending = queued.filter((msg) => msg.type !== 'advance');
+        queued = null;
+        startInPage(pending);
+      }
+    };
+    send = (msg) => {
+      queued?.push(msg);
+      w.postMessage(msg);
+    };
+    w.postMessage({
+      type: 'init',
+      config: { ...config },
+      options: hostOptions,
+      now: performance.now(),
+    });
+    return true;
+  }
+
+  if (!(worker && typeof Worker !== 'undefined' && startWorker())) startInPage();
+  return view;
+}
@@ -0,0 +1,21 @@
+import { makeSearchEngineHost } from './search-engine.js';
+
+// Web Worker entry for the search engine (see search-engine.js): the page sends
+// `init` with its config, then commands; everything else happens in the host.
+
+let host = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'init') {
+    host = makeSearchEngineHost(msg.config, {
+      ...msg.options,
+      post: (m, transfer) => self.postMessage(m, transfer ?? []),
+      engine: 'worker',
+      transferGraph: true,
+    });
+    host.start(msg.now);
+    return;
+  }
+  host?.handle(msg);
+};
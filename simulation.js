@@ -0,0 +1,824 @@
+import { haversineMeters, makeSearchStepper } from './astar.js';
+import { makeAltHeuristic } from './landmarks.js';
+import { DEFAULT_GUARDRAILS, updateGuardrails } from './guardrails.js';
+import { stepEndPhase } from './endPhase.js';
+import {
+  graphNodeLatLon,
+  graphSpatialIndex,
+  makeTurnSearch,
+  projectTurnStepper,
+  randomGraphNode,
+} from './road-graph.js';
+import { BOUNDS } from './config.js';
+import { applyZoom } from './coordinates.js';
+import { ENDPOINT_SAMPLING_MAX_TRIES, sampleEndpointPair } from './endpoint-sampling.js';
+import {
+  inBoundsLatLon,
+  parseKey,
+  cellLatLon,
+  neighborsOf,
+  cost,
+  heuristic,
+  randomCell,
+  randomObstacles,
+} from './grid-helpers.js';
+import { makeJumpPointGrid } from './jump-point-search.js';
+import { makeRaceStepper } from './race.js';
+import { snapToGraphEdge, splitGraphAtSnaps } from './edge-snap.js';
+import { largestStronglyConnectedComponent } from './scc.js';
+import { toCsrGraph } from './csr-graph.js';
+import { DEFAULT_SPEED_KPH, maxEdgeSpeedMps, travelSeconds } from './travel-time.js';
+import { latLonToCellKey, snapLatLonToRoadPoint } from './road-point-cache.js';
+
+// --- Wallpaper simulation ---
+//
+// One wallpaper's cycle logic without any rendering: endpoint sampling, building
+// the search for the current graph and settings, stepping it at a fixed rate,
+// guardrails, and the end-phase timing. main.js drives it from
+// requestAnimationFrame and draws its state; scripts/simulate.js runs it
+// headless (runCycle) against the road graph cache.
+
+// The ALT savings readout compares against the same search with the haversine
+// heuristic. It steps alongside the live search (one step per step), then in
+// the end phases up to ALT_BASELINE_STEPS_PER_FRAME a frame, capped overall.
+const ALT_BASELINE_MAX_STEPS = 250000;
+const ALT_BASELINE_STEPS_PER_FRAME = 2000;
+// snap=edge: random endpoints further than this from any road are re-drawn
+// (up to EDGE_SNAP_MAX_TRIES times, then a graph node is used).
+const EDGE_SNAP_MAX_METERS = 250;
+const EDGE_SNAP_MAX_TRIES = 32;
+const GRID_ENDPOINT_MAX_TRIES = 64;
+// Picked endpoints (clicks) further than this from any usable road are refused.
+const PICK_MAX_METERS = 400;
+
+// Road endpoints sampled with snap=edge are snap objects until startCycle splits them in.
+const isSnap = (k) => k !== null && typeof k === 'object';
+
+const sameEndpoint = (a, b) =>
+  isSnap(a) && isSnap(b)
+    ? a.from === b.from && a.to === b.to && a.fraction === b.fraction
+    : a === b;
+
+// `config` is a parseRuntimeConfig result (read live, so later edits apply).
+// Hooks: onCycleStart(), onStep(r), onCycleEnd(r, outcome) with outcome
+// 'found' | 'resample' | 'failure'. `nextCycle` replaces endpoint sampling
+// whenever a new cycle is due (e.g. replays). `clock` is in milliseconds.
+export function makeSimulation(
+  config,
+  {
+    rng = Math.random,
+    guardrails = DEFAULT_GUARDRAILS,
+    maxSteps = Infinity,
+    clock = () => performance.now(),
+    nextCycle = null,
+    onCycleStart = null,
+    onStep = null,
+    onCycleEnd = null,
+  } = {},
+) {
+  const centerOverride =
+    config.centerLat != null && config.centerLon != null
+      ? { lat: config.centerLat, lon: config.centerLon }
+      : null;
+
+  // Generated once (seeded runs get the same layout).
+  const gridObstacles =
+    config.obstacles > 0
+      ? randomObstacles(config.gridCols, config.gridRows, { density: config.obstacles, rng })
+      : new Set();
+  const isGridBlocked = (k) => gridObstacles.has(k);
+
+  let roadGraph = null;
+  let reachableNodes = null; // Set of node IDs in the largest strongly connected component
+  let roadsPointCache = { points: [], keys: [] };
+  let cachedAltHeuristic = null;
+  let maxSpeedMps = 0;
+
+  // simBounds affects sampling + A* costs/heuristics only.
+  let simBounds = applyZoom(BOUNDS, config.zoom, centerOverride);
+  let graphSplit = null; // split nodes of the current query (snap=edge)
+  let startKey = null;
+  let goalKey = null;
+  let cycleEndpoints = null; // { start, goal } as sampled (before edge snaps are split in)
+  let stepper = null;
+  let currentStep = null;
+  let finalPath = null;
+  let lastSearchStep = null; // preserved closedSet + cameFrom for end-phase gold edges
+  let phase = 'search'; // search | end-hold | end-trace | end-glow (or an idle label)
+  let phaseT = 0;
+  let lastStepAt = 0;
+  let lastFrameAt = 0;
+  let cycleStartedAt = 0;
+  let cycle = 0;
+  let sampling = { bestEffort: false, distanceMeters: 0, tries: 0 };
+  let lastPathLengthMeters = 0;
+  let lastPathSeconds = 0;
+  // { stepper, steps, done, found, pathSteps } with the haversine heuristic, for
+  // comparison; pathSteps is the live search's count once it found its path.
+  let altBaseline = null;
+  // { steps, baselineSteps, exact } for the last found path; until the baseline
+  // reaches the goal (it may be capped, or cut off by the next cycle)
+  // baselineSteps is a lower bound and exact is false.
+  let altSavings = null;
+  let lastOutcome = null;
+
+  let guardrailState = {
+    consecutiveFailures: 0,
+    consecutiveResamples: 0,
+    relaxCyclesRemaining: 0,
+  };
+  let effectiveDiscardIfPathLeavesBounds = config.discardIfPathLeavesBounds;
+
+  const soakStats = {
+    cyclesCompleted: 0,
+    failures: 0,
+    resamples: 0,
+    relaxEvents: 0,
+    totalSteps: 0,
+    totalSearchMs: 0,
+  };
+
+  function isRoadGraphActive() {
+    return config.graph === 'roads' && roadGraph?.nodes?.length > 0;
+  }
+
+  function isAltActive() {
+    return config.heuristic === 'alt' && isRoadGraphActive() && !!roadGraph.landmarks;
+  }
+
+  function isTurnSearchActive() {
+    return config.turns !== 0 && isRoadGraphActive();
+  }
+
+  // Turn-aware search runs over graph edges, so split nodes cannot join it.
+  function isEdgeSnapActive() {
+    return config.snap === 'edge' && isRoadGraphActive() && !isTurnSearchActive();
+  }
+
+  function isTimeCostActive() {
+    return config.cost === 'time' && isRoadGraphActive() && !!roadGraph.times;
+  }
+
+  // Edge lookups that also see the current query's split nodes.
+  function roadEdgeWeight(a, b) {
+    return (graphSplit ?? roadGraph).weight(a, b);
+  }
+
+  function roadEdgeTime(a, b) {
+    return (graphSplit ?? roadGraph).time(a, b);
+  }
+
+  // Via geometry of the a -> b road edge ([[lon, lat], ...]), null if straight.
+  function edgeVia(a, b) {
+    if (!isRoadGraphActive()) return null;
+    if (graphSplit) return graphSplit.edge(a, b)?.via ?? null;
+    const e = roadGraph.edgeIndex(a, b);
+    return e < 0 ? null : roadGraph.edgeVia(e);
+  }
+
+  function keyToLatLon(k, bounds = simBounds) {
+    if (isRoadGraphActive()) {
+      return graphSplit ? graphSplit.latLon(k) : graphNodeLatLon(roadGraph, k);
+    }
+    const { i, j } = parseKey(k);
+    return cellLatLon(i, j, bounds, config.gridCols, config.gridRows);
+  }
+
+  function pathLeavesBounds(pathKeys, bounds = simBounds) {
+    for (const k of pathKeys) {
+      const ll = keyToLatLon(k, bounds);
+      if (!ll || !inBoundsLatLon(ll.lat, ll.lon, bounds)) return true;
+    }
+    return false;
+  }
+
+  function pathLengthMeters(pathKeys, bounds = simBounds) {
+    if (!pathKeys || pathKeys.length < 2) return 0;
+    let total = 0;
+    const useGraph = isRoadGraphActive();
+    for (let i = 1; i < pathKeys.length; i++) {
+      // Prefer graph edge weights (accurate for contracted edges).
+      if (useGraph) {
+        const w = roadEdgeWeight(pathKeys[i - 1], pathKeys[i]);
+        if (Number.isFinite(w)) {
+          total += w;
+          continue;
+        }
+      }
+      const a = keyToLatLon(pathKeys[i - 1], bounds);
+      const b = keyToLatLon(pathKeys[i], bounds);
+      if (!a || !b) continue;
+      total += haversineMeters(a, b);
+    }
+    return total;
+  }
+
+  // Travel seconds from the graph's time weights; edges without one (and the
+  // grid) are driven at the default speed.
+  function pathTravelSeconds(pathKeys, bounds = simBounds) {
+    if (!pathKeys || pathKeys.length < 2) return 0;
+    let total = 0;
+    const useGraph = isRoadGraphActive();
+    for (let i = 1; i < pathKeys.length; i++) {
+      const t = useGraph ? roadEdgeTime(pathKeys[i - 1], pathKeys[i]) : null;
+      if (Number.isFinite(t)) {
+        total += t;
+        continue;
+      }
+      total += travelSeconds(
+        pathLengthMeters([pathKeys[i - 1], pathKeys[i]], bounds),
+        DEFAULT_SPEED_KPH,
+      );
+    }
+    return total;
+  }
+
+  // Edges of the largest strongly connected component (all edges without one).
+  function isReachableEdge(a, b) {
+    return !reachableNodes || (reachableNodes.has(a) && reachableNodes.has(b));
+  }
+
+  // The usable endpoint nearest a picked lat/lon: a road node in the largest
+  // strongly connected component (a spot on one of its edges with snap=edge),
+  // or the grid cell under it unless blocked. Null if there is none.
+  function endpointNear(lat, lon) {
+    if (isRoadGraphActive()) {
+      if (isEdgeSnapActive()) {
+        return snapToGraphEdge(roadGraph, lat, lon, {
+          maxMeters: PICK_MAX_METERS,
+          filter: isReachableEdge,
+        });
+      }
+      const hit = graphSpatialIndex(roadGraph).nearest(lat, lon, {
+        maxMeters: PICK_MAX_METERS,
+        filter: (node) => !reachableNodes || reachableNodes.has(node.id),
+      });
+      return hit ? hit.item.id : null;
+    }
+    const k = latLonToCellKey(lat, lon, simBounds, config.gridCols, config.gridRows);
+    return k != null && !isGridBlocked(k) ? k : null;
+  }
+
+  // Restarts the search with its start or goal (`role`) moved to the endpoint
+  // nearest lat/lon; the other one stays. False (cycle untouched) when there is
+  // no usable endpoint there or it is the other one.
+  function pickEndpoint(role, lat, lon) {
+    if (!cycleEndpoints || (role !== 'start' && role !== 'goal')) return false;
+    const k = endpointNear(lat, lon);
+    if (k == null) return false;
+    const endpoints = { ...cycleEndpoints, [role]: k };
+    if (sameEndpoint(endpoints.start, endpoints.goal)) return false;
+    const toLatLon = (e) => (isSnap(e) ? e : keyToLatLon(e));
+    startCycle(endpoints, {
+      sampling: {
+        bestEffort: false,
+        distanceMeters: haversineMeters(toLatLon(endpoints.start), toLatLon(endpoints.goal)),
+        tries: 0,
+      },
+    });
+    return true;
+  }
+
+  function randomRoadKey(r) {
+    if (!roadsPointCache?.keys?.length) return null;
+    return roadsPointCache.keys[Math.floor(r() * roadsPointCache.keys.length)];
+  }
+
+  function pickEndpoints() {
+    simBounds = applyZoom(BOUNDS, config.zoom, centerOverride);
+    graphSplit = null;
+
+    const useRoadGraph = isRoadGraphActive();
+    const useRoadKeys = config.endpointMode === 'roads' && roadsPointCache.keys.length > 0;
+
+    // Inset sampling bounds by 5% on each edge so endpoints don't spawn at screen borders.
+    const padLat = 0.05 * (simBounds.north - simBounds.south);
+    const padLon = 0.05 * (simBounds.east - simBounds.west);
+    const samplingBounds = {
+      south: simBounds.south + padLat,
+      north: simBounds.north - padLat,
+      west: simBounds.west + padLon,
+      east: simBounds.east - padLon,
+    };
+
+    // Pre-filter graph nodes to padded bounds and the largest strongly connected component.
+    let inBoundsNodeIds = null;
+    if (useRoadGraph) {
+      inBoundsNodeIds = [];
+      for (const node of roadGraph.nodes) {
+        if (
+          node.lat >= samplingBounds.south &&
+          node.lat <= samplingBounds.north &&
+          node.lon >= samplingBounds.west &&
+          node.lon <= samplingBounds.east &&
+          (!reachableNodes || reachableNodes.has(node.id))
+        ) {
+          inBoundsNodeIds.push(node.id);
+        }
+      }
+    }
+
+    // snap=edge: a random spot in the sampling bounds, projected onto the nearest
+    // reachable road. Keys are then snap objects until startCycle splits the graph.
+    const edgeSnap = isEdgeSnapActive();
+    const randomEdgeSnap = (r) => {
+      for (let tries = 0; tries < EDGE_SNAP_MAX_TRIES; tries++) {
+        const lat = samplingBounds.south + r() * (samplingBounds.north - samplingBounds.south);
+        const lon = samplingBounds.west + r() * (samplingBounds.east - samplingBounds.west);
+        const snap = snapToGraphEdge(roadGraph, lat, lon, {
+          maxMeters: EDGE_SNAP_MAX_METERS,
+          filter: isReachableEdge,
+        });
+        if (snap) return snap;
+      }
+      return null;
+    };
+
+    const randomGridKey = (r) => {
+      let k = randomCell(simBounds, config.gridCols, config.gridRows, r);
+      if (config.endpointMode === 'random' && roadsPointCache.points.length > 0) {
+        const ll = cellLatLon(
+          ...Object.values(parseKey(k)),
+          simBounds,
+          config.gridCols,
+          config.gridRows,
+        );
+        const snapped = snapLatLonToRoadPoint(ll.lat, ll.lon, roadsPointCache.points);
+        if (snapped) {
+          const snappedKey = latLonToCellKey(
+            snapped.lat,
+            snapped.lon,
+            simBounds,
+            config.gridCols,
+            config.gridRows,
+          );
+          if (snappedKey) k = snappedKey;
+        }
+      }
+
+      return k;
+    };
+
+    const randomKey = (r) => {
+      if (edgeSnap) {
+        const snap = randomEdgeSnap(r);
+        if (snap) return snap;
+      }
+      if (useRoadGraph && inBoundsNodeIds.length > 0) {
+        return inBoundsNodeIds[Math.floor(r() * inBoundsNodeIds.length)];
+      }
+      if (useRoadGraph) return randomGraphNode(roadGraph, r);
+      if (useRoadKeys) return randomRoadKey(r);
+
+      // Re-roll cells that landed inside an obstacle.
+      let k = randomGridKey(r);
+      for (let tries = 1; isGridBlocked(k) && tries < GRID_ENDPOINT_MAX_TRIES; tries++) {
+        k = randomGridKey(r);
+      }
+      return k;
+    };
+
+    const relaxed = config.soak !== 0 && guardrailState.relaxCyclesRemaining > 0;
+    const minMeters = relaxed
+      ? Math.min(config.minStartEndMeters, guardrails.relaxedMinStartEndMeters)
+      : config.minStartEndMeters;
+    effectiveDiscardIfPathLeavesBounds = relaxed ? false : config.discardIfPathLeavesBounds;
+
+    const sampled = sampleEndpointPair({
+      maxTries: ENDPOINT_SAMPLING_MAX_TRIES,
+      minMeters,
+      rng,
+      randomKey,
+      toLatLon: (k) => (isSnap(k) ? k : keyToLatLon(k)),
+    });
+
+    startCycle(
+      { start: sampled.startKey, goal: sampled.goalKey },
+      {
+        sampling: {
+          bestEffort: !sampled.minDistanceMet,
+          distanceMeters: sampled.distanceMeters,
+          tries: sampled.tries,
+        },
+      },
+    );
+
+    if (relaxed) guardrailState.relaxCyclesRemaining -= 1;
+  }
+
+  // Builds the search for the given endpoints (road endpoints may be edge snaps)
+  // and resets the per-cycle state. `cycle` overrides the cycle number (resumes,
+  // replays) and `makeStepper` the search itself (it runs after any split).
+  function startCycle(
+    endpoints,
+    { cycle: cycleNumber = null, sampling: s = null, makeStepper = null } = {},
+  ) {
+    const useRoadGraph = isRoadGraphActive();
+    simBounds = applyZoom(BOUNDS, config.zoom, centerOverride);
+    graphSplit = null;
+    altBaseline = null;
+    cycleEndpoints = endpoints;
+    startKey = endpoints.start;
+    goalKey = endpoints.goal;
+    sampling = s ?? { bestEffort: false, distanceMeters: 0, tries: 0 };
+
+    if (useRoadGraph) {
+      // Snapped endpoints become split nodes of their edges for this query.
+      const snaps = [startKey, goalKey].filter(isSnap);
+      if (snaps.length > 0) {
+        graphSplit = splitGraphAtSnaps(roadGraph, snaps, {
+          neighbors: (k) => roadGraph.neighbors(k),
+          reverseNeighbors: (k) => roadGraph.predecessors(k),
+        });
+        const splitKeys = [...graphSplit.keys];
+        if (isSnap(startKey)) startKey = splitKeys.shift();
+        if (isSnap(goalKey)) goalKey = splitKeys.shift();
+      }
+    }
+
+    stepper = makeStepper
+      ? makeStepper()
+      : config.race !== 0
+        ? makeRaceCycleStepper()
+        : useRoadGraph
+          ? makeRoadCycleStepper()
+          : makeGridStepper();
+
+    currentStep = null;
+    finalPath = null;
+    lastSearchStep = null;
+    phase = 'search';
+    phaseT = 0;
+    lastStepAt = clock();
+    lastFrameAt = lastStepAt;
+    cycleStartedAt = lastStepAt;
+    cycle = cycleNumber ?? cycle + 1;
+    onCycleStart?.();
+  }
+
+  // race=1: one lane per raced algorithm over this cycle's endpoints. The ALT
+  // savings readout compares single searches, so races skip it.
+  function makeRaceCycleStepper() {
+    const lanes = config.raceAlgos.map((algo) => ({
+      algo,
+      stepper: isRoadGraphActive() ? makeRoadCycleStepper(algo) : makeGridStepper(algo),
+    }));
+    altBaseline = null;
+    const pathCost = isTimeCostActive() ? pathTravelSeconds : pathLengthMeters;
+    return makeRaceStepper(lanes, { pathCost: (path) => pathCost(path) });
+  }
+
+  function makeRoadCycleStepper(algo = config.algo) {
+    const split = graphSplit;
+
+    const haversineMetersHeuristic = (a, g2) => haversineMeters(keyToLatLon(a), keyToLatLon(g2));
+    const distanceCost = (a, b) => {
+      const w = roadEdgeWeight(a, b);
+      if (Number.isFinite(w)) return w;
+      const aLL = keyToLatLon(a);
+      const bLL = keyToLatLon(b);
+      return aLL && bLL ? haversineMeters(aLL, bLL) : Infinity;
+    };
+
+    // cost=time: edge seconds, and meter bounds divided by the top speed stay admissible.
+    // Landmarks and the hierarchy hold distances, so CH falls back to bidirectional A*.
+    const timeCost = isTimeCostActive();
+    const maxSpeed = timeCost ? maxSpeedMps : 1;
+    const toCostUnits = timeCost ? (h) => (a, g2) => h(a, g2) / maxSpeed : (h) => h;
+    const haversineHeuristic = toCostUnits(haversineMetersHeuristic);
+
+    const options = {
+      startKey,
+      goalKey,
+      epsilon: config.epsilon,
+      maxSteps,
+      neighbors: split ? split.neighbors : (k) => roadGraph.neighbors(k),
+      reverseNeighbors: split ? split.reverseNeighbors : (k) => roadGraph.predecessors(k),
+      cost: timeCost
+        ? (a, b) => {
+            const t = roadEdgeTime(a, b);
+            return Number.isFinite(t) ? t : distanceCost(a, b) / maxSpeed;
+          }
+        : distanceCost,
+      heuristic: haversineHeuristic,
+      isValidNode: (k) => roadGraph?.nodes?.[k] != null || !!split?.isSplitNode(k),
+      // The hierarchy has no split nodes either.
+      ch: timeCost || split ? null : roadGraph.ch,
+    };
+
+    // turns=1: search over directed edges (restrictions + penalties), projected back to
+    // nodes. Penalties are seconds; distance mode converts them at the default speed.
+    // The hierarchy has no turn costs, so CH falls back to bidirectional A*.
+    const penaltyScale = timeCost ? 1 : DEFAULT_SPEED_KPH / 3.6;
+    const makeRoadStepper = (h, extra = {}) => {
+      if (!isTurnSearchActive()) {
+        return makeSearchStepper(algo, { ...options, heuristic: h, ...extra });
+      }
+      const turnSearch = makeTurnSearch(roadGraph, {
+        startKey,
+        goalKey,
+        cost: options.cost,
+        heuristic: h,
+        leftTurnPenalty: config.leftTurnPenalty * penaltyScale,
+        uTurnPenalty: config.uTurnPenalty * penaltyScale,
+      });
+      return projectTurnStepper(
+        makeSearchStepper(algo, { ...options, ...turnSearch, ch: null, ...extra }),
+        turnSearch,
+      );
+    };
+
+    if (!isAltActive()) return makeRoadStepper(haversineHeuristic);
+
+    if (!cachedAltHeuristic) {
+      cachedAltHeuristic = makeAltHeuristic(roadGraph.landmarks, haversineMetersHeuristic);
+    }
+    // Same search with the plain heuristic, stepped alongside to measure savings.
+    altBaseline = {
+      stepper: makeRoadStepper(haversineHeuristic, { maxSteps: ALT_BASELINE_MAX_STEPS }),
+      steps: 0,
+      done: false,
+      found: false,
+      pathSteps: null,
+    };
+    // Landmark tables only cover graph nodes; split nodes bound through their edge's ends.
+    const altHeuristic = split
+      ? split.liftHeuristic(cachedAltHeuristic, haversineMetersHeuristic)
+      : cachedAltHeuristic;
+    return makeRoadStepper(toCostUnits(altHeuristic));
+  }
+
+  function makeGridStepper(algo = config.algo) {
+    const blocked = gridObstacles.size > 0 ? isGridBlocked : null;
+    const gridCost = (a, b) => cost(a, b, simBounds, config.gridCols, config.gridRows);
+    return makeSearchStepper(algo, {
+      startKey,
+      goalKey,
+      epsilon: config.epsilon,
+      maxSteps,
+      neighbors: (k) => neighborsOf(k, config.gridCols, config.gridRows, blocked),
+      cost: gridCost,
+      heuristic: (a, g2) => heuristic(a, g2, simBounds, config.gridCols, config.gridRows),
+      isValidNode: (k) => !isGridBlocked(k),
+      jps: makeJumpPointGrid({
+        gridCols: config.gridCols,
+        gridRows: config.gridRows,
+        isBlocked: blocked,
+        goalKey,
+        stepCost: gridCost,
+      }),
+    });
+  }
+
+  function beginNextCycle() {
+    if (nextCycle) nextCycle();
+    else pickEndpoints();
+  }
+
+  function guardrail(event) {
+    if (config.soak === 0) return false;
+    const u = updateGuardrails(guardrailState, event, guardrails);
+    guardrailState = u.state;
+    if (u.triggered) soakStats.relaxEvents += 1;
+    return u.triggered;
+  }
+
+  // Up to `budget` steps of the ALT baseline; refreshes altSavings once the
+  // live search has found its path.
+  function stepAltBaseline(budget) {
+    if (!altBaseline || altBaseline.done) return;
+    for (let i = 0; i < budget; i++) {
+      const b = altBaseline.stepper.step();
+      altBaseline.steps = b.steps ?? altBaseline.steps + 1;
+      if (b.done) {
+        altBaseline.done = true;
+        altBaseline.found = b.status === 'found';
+        break;
+      }
+    }
+    if (altBaseline.pathSteps != null) updateAltSavings();
+  }
+
+  function updateAltSavings() {
+    altSavings = {
+      steps: altBaseline.pathSteps,
+      baselineSteps: altBaseline.steps,
+      exact: altBaseline.found,
+    };
+  }
+
+  // One search step plus its outcome: a found path moves on to the end phases,
+  // a path leaving the bounds is resampled, no path starts the next cycle.
+  function stepOnce() {
+    const r = stepper.step();
+    currentStep = r;
+    onStep?.(r);
+    stepAltBaseline(1);
+    if (!r.done) return r;
+
+    const base = { cycle, status: r.status, steps: r.steps ?? 0, sampling };
+    if (r.status === 'found') {
+      // optional bounds enforcement
+      if (effectiveDiscardIfPathLeavesBounds && pathLeavesBounds(r.path)) {
+        if (config.soak !== 0) soakStats.resamples += 1;
+        lastOutcome = { ...base, outcome: 'resample', relaxed: guardrail('resample') };
+        onCycleEnd?.(r, 'resample');
+        beginNextCycle();
+        return r;
+      }
+
+      if (config.soak !== 0) {
+        soakStats.cyclesCompleted += 1;
+        soakStats.totalSteps += r.steps ?? 0;
+        soakStats.totalSearchMs += Math.max(0, clock() - cycleStartedAt);
+      }
+
+      finalPath = r.path;
+      lastPathLengthMeters = pathLengthMeters(r.path);
+      lastPathSeconds = pathTravelSeconds(r.path);
+      if (altBaseline) {
+        altBaseline.pathSteps = r.steps;
+        updateAltSavings();
+      }
+      // Preserve explored edges for rendering during end phases.
+      lastSearchStep = {
+        closedSet: new Set(r.closedSet),
+        cameFrom: new Map(r.cameFrom),
+      };
+      lastOutcome = {
+        ...base,
+        outcome: 'found',
+        relaxed: guardrail('success'),
+        pathMeters: lastPathLengthMeters,
+        pathSeconds: lastPathSeconds,
+        pathNodes: r.path.length,
+      };
+      phase = 'end-hold';
+      phaseT = 0;
+      onCycleEnd?.(r, 'found');
+      return r;
+    }
+
+    // no path — resample
+    if (config.soak !== 0) soakStats.failures += 1;
+    lastOutcome = { ...base, outcome: 'failure', relaxed: guardrail('failure') };
+    onCycleEnd?.(r, 'failure');
+    beginNextCycle();
+    return r;
+  }
+
+  return {
+    config,
+    gridObstacles,
+    soakStats,
+    get simBounds() {
+      return simBounds;
+    },
+    get roadGraph() {
+      return roadGraph;
+    },
+    get reachableNodes() {
+      return reachableNodes;
+    },
+    get roadsPointCache() {
+      return roadsPointCache;
+    },
+    get graphSplit() {
+      return graphSplit;
+    },
+    get startKey() {
+      return startKey;
+    },
+    get goalKey() {
+      return goalKey;
+    },
+    get cycleEndpoints() {
+      return cycleEndpoints;
+    },
+    get cycle() {
+      return cycle;
+    },
+    get stepper() {
+      return stepper;
+    },
+    get currentStep() {
+      return currentStep;
+    },
+    get finalPath() {
+      return finalPath;
+    },
+    get lastSearchStep() {
+      return lastSearchStep;
+    },
+    // race=1: this cycle's scoreboard (see race.js), else null.
+    get race() {
+      return stepper?.race ?? null;
+    },
+    get phase() {
+      return phase;
+    },
+    get phaseT() {
+      return phaseT;
+    },
+    get sampling() {
+      return sampling;
+    },
+    get lastPathLengthMeters() {
+      return lastPathLengthMeters;
+    },
+    get lastPathSeconds() {
+      return lastPathSeconds;
+    },
+    get altSavings() {
+      return altSavings;
+    },
+    get guardrailState() {
+      return guardrailState;
+    },
+
+    isRoadGraphActive,
+    isAltActive,
+    isTurnSearchActive,
+    isEdgeSnapActive,
+    isTimeCostActive,
+    keyToLatLon,
+    edgeVia,
+    pathLengthMeters,
+    pathTravelSeconds,
+
+    // Road graph to search on (null drops back to the grid); endpoints are then
+    // drawn from its largest strongly connected component (oneways respected).
+    setRoadGraph(graph) {
+      roadGraph = graph?.nodes?.length > 0 ? toCsrGraph(graph) : null;
+      reachableNodes = roadGraph ? largestStronglyConnectedComponent(roadGraph) : null;
+      maxSpeedMps = roadGraph ? maxEdgeSpeedMps(roadGraph) : 0;
+      cachedAltHeuristic = null;
+    },
+
+    // Road point cache for endpointMode=roads / random (snapped to roads).
+    setRoadPoints(cache) {
+      roadsPointCache = cache ?? { points: [], keys: [] };
+    },
+
+    pickEndpoints,
+    pickEndpoint,
+    startCycle,
+    nextCycle: beginNextCycle,
+
+    // Stops stepping with no cycle on screen (e.g. waiting for a replay log).
+    clearCycle(label = 'idle') {
+      stepper = null;
+      currentStep = null;
+      finalPath = null;
+      lastSearchStep = null;
+      startKey = null;
+      goalKey = null;
+      phase = label;
+    },
+
+    // Keeps the fixed-rate stepping from catching up after the clock jumped.
+    resetClock(now = clock()) {
+      lastStepAt = now;
+      lastFrameAt = now;
+    },
+
+    // Animation-frame update: search steps at config.stepsPerSecond (several per
+    // frame when frames are slow, capped by maxStepsPerFrame), then the end phases.
+    advance(now = clock()) {
+      const dt = Math.min(1000, Math.max(0, now - lastFrameAt));
+      lastFrameAt = now;
+      if (phase === 'search' && stepper) {
+        let stepsThisFrame = 0;
+        while (now - lastStepAt >= config.stepDelayMs && stepsThisFrame < config.maxStepsPerFrame) {
+          lastStepAt += config.stepDelayMs;
+          stepsThisFrame += 1;
+          if (stepOnce().done) break;
+        }
+
+        // If the tab was backgrounded, avoid an enormous catch-up loop.
+        if (now - lastStepAt > config.stepDelayMs * config.maxStepsPerFrame) {
+          lastStepAt = now;
+        }
+      } else if (phase === 'end-hold' || phase === 'end-trace' || phase === 'end-glow') {
+        stepAltBaseline(ALT_BASELINE_STEPS_PER_FRAME);
+        const next = stepEndPhase({ phase, phaseT }, dt, config);
+        phase = next.phase;
+        phaseT = next.phaseT;
+        if (next.done) beginNextCycle();
+      }
+    },
+
+    // Headless: runs the current cycle (starting one if needed) to its outcome,
+    // skips the end phases and starts the next cycle. Returns the outcome:
+    //   { cycle, outcome, status, steps, sampling, relaxed, pathMeters?, ... }
+    runCycle() {
+      if (!stepper || phase !== 'search') beginNextCycle();
+      if (!stepper) throw new Error('no cycle to run');
+      lastOutcome = null;
+      while (!lastOutcome) stepOnce();
+      const outcome = lastOutcome;
+      if (outcome.outcome === 'found') beginNextCycle();
+      return outcome;
+    },
+  };
+}
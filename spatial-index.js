@@ -0,0 +1,178 @@
+// --- Spatial index (uniform grid buckets) ---
+//
+// Points are projected to local meters (equirectangular around the data's mean
+// latitude, so cos(lat) is accounted for) and bucketed into square cells.
+// Queries walk rings of cells outward from the query and stop once no
+// unvisited cell can hold anything closer. Over a metro-sized area the
+// projection is within a fraction of a percent of haversine distance.
+
+const METERS_PER_DEG = (6371000 * Math.PI) / 180;
+
+// Aim for a handful of points per cell.
+const TARGET_POINTS_PER_CELL = 4;
+const MIN_CELL_METERS = 10;
+
+// `getLatLon(item)` -> {lat, lon}; items without finite coordinates are skipped.
+export function makeSpatialIndex(items, { getLatLon = (p) => p, cellMeters = null } = {}) {
+  const kept = [];
+  const xs = [];
+  const ys = [];
+
+  let latSum = 0;
+  const coords = [];
+  for (const item of items || []) {
+    const ll = getLatLon(item);
+    if (!Number.isFinite(ll?.lat) || !Number.isFinite(ll?.lon)) continue;
+    coords.push(ll);
+    kept.push(item);
+    latSum += ll.lat;
+  }
+
+  const n = kept.length;
+  const lat0 = n > 0 ? latSum / n : 0;
+  const kx = METERS_PER_DEG * Math.cos((lat0 * Math.PI) / 180);
+  const ky = METERS_PER_DEG;
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const ll of coords) {
+    const x = ll.lon * kx;
+    const y = ll.lat * ky;
+    xs.push(x);
+    ys.push(y);
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }
+
+  const area = Math.max(1, (maxX - minX) * (maxY - minY));
+  const cell =
+    cellMeters > 0
+      ? cellMeters
+      : Math.max(MIN_CELL_METERS, Math.sqrt((area * TARGET_POINTS_PER_CELL) / Math.max(1, n)));
+  const cols = n > 0 ? Math.floor((maxX - minX) / cell) + 1 : 0;
+  const rows = n > 0 ? Math.floor((maxY - minY) / cell) + 1 : 0;
+
+  // CSR-style buckets: cellStart[c]..cellStart[c + 1] index into cellItems.
+  const cellOf = new Int32Array(n);
+  const cellStart = new Int32Array(cols * rows + 1);
+  for (let i = 0; i < n; i++) {
+    const c = Math.floor((ys[i] - minY) / cell) * cols + Math.floor((xs[i] - minX) / cell);
+    cellOf[i] = c;
+    cellStart[c + 1] += 1;
+  }
+  for (let c = 0; c < cols * rows; c++) cellStart[c + 1] += cellStart[c];
+  const cellItems = new Int32Array(n);
+  const fill = cellStart.slice(0, cols * rows);
+  for (let i = 0; i < n; i++) cellItems[fill[cellOf[i]]++] = i;
+
+  function project(lat, lon) {
+    return { x: lon * kx, y: lat * ky };
+  }
+
+  function visitCell(gx, gy, visit) {
+    if (gx < 0 || gx >= cols) return;
+    const c = gy * cols + gx;
+    for (let s = cellStart[c]; s < cellStart[c + 1]; s++) visit(cellItems[s]);
+  }
+
+  // Visit every item in cells at Chebyshev ring r around (cx, cy).
+  function visitRing(cx, cy, r, visit) {
+    for (let gy = Math.max(0, cy - r); gy <= Math.min(rows - 1, cy + r); gy++) {
+      if (r > 0 && gy !== cy - r && gy !== cy + r) {
+        visitCell(cx - r, gy, visit);
+        visitCell(cx + r, gy, visit);
+        continue;
+      }
+      for (let gx = Math.max(0, cx - r); gx <= Math.min(cols - 1, cx + r); gx++) {
+        visitCell(gx, gy, visit);
+      }
+    }
+  }
+
+  // Ring search shared by nearest/kNearest: `accept(i, d)` sees every candidate
+  // and `bound()` is the distance the search must beat to keep going.
+  function ringSearch(lat, lon, accept, bound) {
+    if (n === 0) return;
+    const q = project(lat, lon);
+    const cx = Math.floor((q.x - minX) / cell);
+    const cy = Math.floor((q.y - minY) / cell);
+    // Rings closer than the grid's edge are empty; rings past maxRing are outside it.
+    const minRing = Math.max(0, -cx, -cy, cx - (cols - 1), cy - (rows - 1));
+    const maxRing = Math.max(cx, cy, cols - 1 - cx, rows - 1 - cy);
+    for (let r = minRing; r <= maxRing; r++) {
+      visitRing(cx, cy, r, (i) => accept(i, Math.hypot(xs[i] - q.x, ys[i] - q.y)));
+      // Anything in ring r + 1 or beyond is at least r cells away.
+      if (bound() <= r * cell) return;
+    }
+  }
+
+  return {
+    size: n,
+    cellMeters: cell,
+
+    // Closest item, or null. Results: { item, meters }.
+    nearest(lat, lon, { maxMeters = Infinity, filter = null } = {}) {
+      let best = -1;
+      let bestD = maxMeters;
+      ringSearch(
+        lat,
+        lon,
+        (i, d) => {
+          if ((d < bestD || (best < 0 && d <= bestD)) && (!filter || filter(kept[i]))) {
+            best = i;
+            bestD = d;
+          }
+        },
+        () => bestD,
+      );
+      return best >= 0 ? { item: kept[best], meters: bestD } : null;
+    },
+
+    // Up to k closest items, nearest first.
+    kNearest(lat, lon, k, { maxMeters = Infinity, filter = null } = {}) {
+      const found = []; // sorted by meters
+      if (!(k > 0)) return found;
+      ringSearch(
+        lat,
+        lon,
+        (i, d) => {
+          if (d > maxMeters) return;
+          if (found.length === k && d >= found[k - 1].meters) return;
+          if (filter && !filter(kept[i])) return;
+          let at = found.length;
+          while (at > 0 && found[at - 1].meters > d) at--;
+          found.splice(at, 0, { item: kept[i], meters: d });
+          if (found.length > k) found.pop();
+        },
+        () => (found.length === k ? found[k - 1].meters : maxMeters),
+      );
+      return found;
+    },
+
+    // All items within `meters`, nearest first.
+    withinRadius(lat, lon, meters) {
+      const out = [];
+      if (n === 0 || !(meters >= 0)) return out;
+      const q = project(lat, lon);
+      const x0 = Math.max(0, Math.floor((q.x - meters - minX) / cell));
+      const x1 = Math.min(cols - 1, Math.floor((q.x + meters - minX) / cell));
+      const y0 = Math.max(0, Math.floor((q.y - meters - minY) / cell));
+      const y1 = Math.min(rows - 1, Math.floor((q.y + meters - minY) / cell));
+      for (let gy = y0; gy <= y1; gy++) {
+        for (let gx = x0; gx <= x1; gx++) {
+          const c = gy * cols + gx;
+          for (let s = cellStart[c]; s < cellStart[c + 1]; s++) {
+            const i = cellItems[s];
+            const d = Math.hypot(xs[i] - q.x, ys[i] - q.y);
+            if (d <= meters) out.push({ item: kept[i], meters: d });
+          }
+        }
+      }
+      return out.sort((a, b) => a.meters - b.meters);
+    },
+  };
+}
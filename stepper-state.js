@@ -0,0 +1,96 @@
+// --- Stepper snapshots ---
+//
+// Versioned JSON form of a search stepper's state (open heap, closed set, tree,
+// g-scores, counters), so a search can be saved mid-way and continued by a
+// fresh stepper built with the same options. Keys must be JSON values (grid
+// "i,j" strings, node ids, turn-search edge states). Non-finite numbers are
+// written as null.
+//
+//   { format, version, kind, startKey, goalKey, steps, done, result, ... }
+//
+// `kind` names the stepper shape ('best-first', 'bidirectional', 'ch', ...);
+// a snapshot only restores into a stepper of the same kind and endpoints.
+
+import { MinHeap } from './min-heap.js';
+
+export const STEPPER_STATE_FORMAT = 'search-stepper-state';
+export const STEPPER_STATE_VERSION = 1;
+
+export function encodeNumber(v) {
+  return Number.isFinite(v) ? v : null;
+}
+
+export function decodeNumber(v) {
+  return v == null ? Infinity : v;
+}
+
+export function makeSnapshot(kind, fields) {
+  return { format: STEPPER_STATE_FORMAT, version: STEPPER_STATE_VERSION, kind, ...fields };
+}
+
+// The snapshot if it is well-formed, of `kind`, and its fields equal those in
+// `match` (endpoints, weights, ...); else null.
+export function readSnapshot(snapshot, kind, match = {}) {
+  if (!snapshot || snapshot.format !== STEPPER_STATE_FORMAT) return null;
+  if (snapshot.version !== STEPPER_STATE_VERSION || snapshot.kind !== kind) return null;
+  if (!Number.isInteger(snapshot.steps) || snapshot.steps < 0) return null;
+  for (const [field, value] of Object.entries(match)) {
+    if (snapshot[field] !== value) return null;
+  }
+  return snapshot;
+}
+
+// serialize()/restore() for the stub stepper returned on invalid endpoints.
+export function invalidEndpointsSnapshots(startKey, goalKey) {
+  return {
+    serialize() {
+      return makeSnapshot('invalid-endpoints', { startKey, goalKey, steps: 0 });
+    },
+    restore(snapshot) {
+      return !!readSnapshot(snapshot, 'invalid-endpoints', { startKey, goalKey });
+    },
+  };
+}
+
+// Heap entries are written in array order; pushing them back in that order
+// rebuilds the identical heap (each entry already sits below its parent), so
+// ties still pop in the same order after a restore.
+export function encodeHeap(heap) {
+  return heap.entries().map(([key, priority]) => [key, encodeNumber(priority)]);
+}
+
+export function decodeHeap(raw) {
+  if (!Array.isArray(raw)) return null;
+  const heap = new MinHeap();
+  for (const entry of raw) {
+    if (!Array.isArray(entry) || entry.length !== 2) return null;
+    heap.push(entry[0], decodeNumber(entry[1]));
+  }
+  return heap;
+}
+
+// Closed set, tree and g-scores of one search direction (plus its heap, if any).
+export function encodeFrontier({ heap = null, closedSet, cameFrom, gScore }) {
+  const out = {
+    closed: [...closedSet],
+    cameFrom: [...cameFrom],
+    gScore: [...gScore].map(([k, g]) => [k, encodeNumber(g)]),
+  };
+  if (heap) out.open = encodeHeap(heap);
+  return out;
+}
+
+export function decodeFrontier(raw, { withHeap = true } = {}) {
+  if (!raw || !Array.isArray(raw.closed) || !Array.isArray(raw.cameFrom)) return null;
+  if (!Array.isArray(raw.gScore)) return null;
+  const pairs = (list) => list.every((p) => Array.isArray(p) && p.length === 2);
+  if (!pairs(raw.cameFrom) || !pairs(raw.gScore)) return null;
+  const heap = withHeap ? decodeHeap(raw.open) : null;
+  if (withHeap && !heap) return null;
+  return {
+    heap,
+    closedSet: new Set(raw.closed),
+    cameFrom: new Map(raw.cameFrom),
+    gScore: new Map(raw.gScore.map(([k, g]) => [k, decodeNumber(g)])),
+  };
+}
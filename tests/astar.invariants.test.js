@@ -1,6 +1,6 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { makeAStarStepper } from '../astar.js';
+import { makeAStarStepper, makeBidirectionalAStarStepper } from '../astar.js';
 
 function runToEnd(stepper, maxIters = 1e6) {
   for (let i = 0; i < maxIters; i++) {
@@ -139,3 +139,122 @@ test('A* max-steps result includes step count (equals maxSteps)', () => {
   assert.equal(r.status, 'max-steps');
   assert.equal(r.steps, maxSteps);
 });
+
+test('bidirectional A* matches A* path cost on a weighted directed graph', () => {
+  // Directed graph with a oneway shortcut and a costly detour.
+  //   A -> B (2), B -> C (2), C -> G (2)
+  //   A -> D (1), D -> G (10)
+  //   B -> D (1), D -> C (1)  (oneway)
+  const edges = new Map([
+    [
+      'A',
+      [
+        ['B', 2],
+        ['D', 1],
+      ],
+    ],
+    [
+      'B',
+      [
+        ['C', 2],
+        ['D', 1],
+      ],
+    ],
+    ['C', [['G', 2]]],
+    [
+      'D',
+      [
+        ['G', 10],
+        ['C', 1],
+      ],
+    ],
+    ['G', []],
+  ]);
+  const preds = new Map([...edges.keys()].map((k) => [k, []]));
+  for (const [from, list] of edges) for (const [to] of list) preds.get(to).push(from);
+
+  const neighbors = (k) => (edges.get(k) ?? []).map(([to]) => to);
+  const reverseNeighbors = (k) => preds.get(k) ?? [];
+  const cost = (a, b) => edges.get(a).find(([to]) => to === b)[1];
+  const heuristic = () => 0;
+
+  const uni = runToEnd(
+    makeAStarStepper({ startKey: 'A', goalKey: 'G', neighbors, cost, heuristic }),
+  );
+  const bi = runToEnd(
+    makeBidirectionalAStarStepper({
+      startKey: 'A',
+      goalKey: 'G',
+      neighbors,
+      reverseNeighbors,
+      cost,
+      heuristic,
+    }),
+  );
+
+  assert.equal(bi.status, 'found');
+  assert.equal(bi.path[0], 'A');
+  assert.equal(bi.path[bi.path.length - 1], 'G');
+  assert.equal(pathCost(bi.path, cost), pathCost(uni.path, cost));
+  assert.deepEqual(bi.path, ['A', 'D', 'C', 'G']);
+});
+
+test('bidirectional A* reports both closed sets and is optimal on a grid', () => {
+  const N = 15;
+  const key = (i, j) => `${i},${j}`;
+  const parse = (k) => k.split(',').map(Number);
+  const neighbors = (k) => {
+    const [i, j] = parse(k);
+    const out = [];
+    for (const [di, dj] of [
+      [1, 0],
+      [-1, 0],
+      [0, 1],
+      [0, -1],
+    ]) {
+      const ni = i + di;
+      const nj = j + dj;
+      if (ni >= 0 && nj >= 0 && ni < N && nj < N) out.push(key(ni, nj));
+    }
+    return out;
+  };
+  const cost = () => 1;
+  const heuristic = (a, b) => {
+    const [ai, aj] = parse(a);
+    const [bi, bj] = parse(b);
+    return Math.abs(ai - bi) + Math.abs(aj - bj);
+  };
+
+  const stepper = makeBidirectionalAStarStepper({
+    startKey: key(0, 0),
+    goalKey: key(N - 1, N - 1),
+    neighbors,
+    cost,
+    heuristic,
+  });
+
+  let sawBackward = false;
+  let r = null;
+  for (let i = 0; i < 10000; i++) {
+    r = stepper.step();
+    if (r.done) break;
+    assert.ok(r.closedSet instanceof Set);
+    assert.ok(r.closedSetBackward instanceof Set);
+    if (r.direction === 'backward') sawBackward = true;
+  }
+
+  assert.ok(sawBackward, 'expected the backward frontier to expand');
+  assert.equal(r.status, 'found');
+  assert.equal(r.path.length, 2 * (N - 1) + 1);
+  for (let i = 1; i < r.path.length; i++) assert.ok(neighbors(r.path[i - 1]).includes(r.path[i]));
+});
+
+test('bidirectional A* handles start === goal and disconnected endpoints', () => {
+  const base = { neighbors: () => [], cost: () => 1, heuristic: () => 0 };
+  const same = runToEnd(makeBidirectionalAStarStepper({ ...base, startKey: 'A', goalKey: 'A' }));
+  assert.equal(same.status, 'found');
+  assert.deepEqual(same.path, ['A']);
+
+  const none = runToEnd(makeBidirectionalAStarStepper({ ...base, startKey: 'A', goalKey: 'B' }));
+  assert.equal(none.status, 'no-path');
+});
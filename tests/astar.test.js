@@ -1,6 +1,13 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { makeAStarStepper } from '../astar.js';
+import {
+  algorithmLabel,
+  makeAStarStepper,
+  makeDijkstraStepper,
+  makeGreedyStepper,
+  makeSearchStepper,
+  makeWeightedAStarStepper,
+} from '../astar.js';
 
 function gridKey(i, j) {
   return `${i},${j}`;
@@ -106,3 +113,148 @@ test('A* stops with max-steps', () => {
   const r = runToEnd(stepper, 1000);
   assert.equal(r.status, 'max-steps');
 });
+
+test('search family: dijkstra and weighted A* find shortest paths; greedy finds a path', () => {
+  const { neighbors, cost, heuristic, isValidNode } = makeGrid({ cols: 12, rows: 12 });
+  const base = {
+    startKey: gridKey(0, 0),
+    goalKey: gridKey(11, 7),
+    neighbors,
+    cost,
+    heuristic,
+    isValidNode,
+  };
+
+  const astar = runToEnd(makeSearchStepper('astar', base));
+  const dijkstra = runToEnd(makeDijkstraStepper(base));
+  const greedy = runToEnd(makeGreedyStepper(base));
+  const weighted = runToEnd(makeWeightedAStarStepper({ ...base, epsilon: 2 }));
+
+  for (const r of [astar, dijkstra, greedy, weighted]) {
+    assert.equal(r.status, 'found');
+    assert.equal(r.path[0], base.startKey);
+    assert.equal(r.path[r.path.length - 1], base.goalKey);
+  }
+  // On a uniform 4-connected grid every Manhattan-monotone path is optimal.
+  assert.equal(dijkstra.path.length, astar.path.length);
+  assert.equal(weighted.path.length, astar.path.length);
+  // Dijkstra ignores the goal direction, so it expands at least as much as A*.
+  assert.ok(dijkstra.steps >= astar.steps);
+  assert.ok(greedy.steps <= astar.steps);
+});
+
+test('search family: greedy orders by h alone across an impassable (Infinity) edge', () => {
+  // S reaches A only through an Infinity edge. A's g is Infinity, which must not
+  // turn its priority into NaN (0 * Infinity), which jumps the heap queue.
+  const edges = {
+    S: { X: 1, B: 1, D: 1, A: Infinity },
+    X: { G: 1 },
+    A: {},
+    B: { G: 1 },
+    D: { G: 1 },
+    G: {},
+  };
+  const h = { S: 7, X: 5, A: 9, B: 6, D: 1, G: 0 };
+  const r = runToEnd(
+    makeGreedyStepper({
+      startKey: 'S',
+      goalKey: 'G',
+      neighbors: (k) => Object.keys(edges[k]),
+      cost: (a, b) => edges[a][b],
+      heuristic: (k) => h[k],
+    }),
+  );
+  assert.equal(r.status, 'found');
+  assert.deepEqual(r.path, ['S', 'D', 'G']);
+  assert.equal(r.steps, 3);
+});
+
+test('search family: dijkstra never calls the heuristic', () => {
+  const { neighbors, cost, isValidNode } = makeGrid({ cols: 5, rows: 5 });
+  const stepper = makeDijkstraStepper({
+    startKey: gridKey(0, 0),
+    goalKey: gridKey(4, 4),
+    neighbors,
+    cost,
+    heuristic: () => {
+      throw new Error('heuristic should not be used');
+    },
+    isValidNode,
+  });
+  assert.equal(runToEnd(stepper).status, 'found');
+});
+
+test('search family: unknown algo falls back to A*', () => {
+  const { neighbors, cost, heuristic, isValidNode } = makeGrid({ cols: 6, rows: 6 });
+  const opts = { startKey: gridKey(0, 0), goalKey: gridKey(5, 5), neighbors, cost, heuristic };
+  const a = runToEnd(makeSearchStepper('nope', { ...opts, isValidNode }));
+  const b = runToEnd(makeAStarStepper({ ...opts, isValidNode }));
+  assert.deepEqual(a.path, b.path);
+  assert.equal(a.steps, b.steps);
+  assert.equal(algorithmLabel('nope'), 'A*');
+  assert.equal(algorithmLabel('weighted', { epsilon: 2 }), 'Weighted A* (ε=2)');
+});
+
+test('search family: searching steps report the closed key, its parent and opened keys', () => {
+  const { neighbors, cost, heuristic, isValidNode } = makeGrid({ cols: 8, rows: 8 });
+  for (const algo of ['astar', 'bidirectional']) {
+    const stepper = makeSearchStepper(algo, {
+      startKey: gridKey(0, 0),
+      goalKey: gridKey(7, 5),
+      neighbors,
+      reverseNeighbors: neighbors,
+      cost,
+      heuristic,
+      isValidNode,
+    });
+    const closed = [];
+    // Open sets rebuilt from the deltas, starting from the endpoints.
+    const open = { forward: new Set([gridKey(0, 0)]), backward: new Set([gridKey(7, 5)]) };
+    if (algo === 'astar') open.backward.clear();
+    let r = stepper.step();
+    while (!r.done) {
+      const backward = r.direction === 'backward';
+      const tree = backward ? r.cameFromBackward : r.cameFrom;
+      assert.equal(r.closedKey, r.current, algo);
+      assert.ok((backward ? r.closedSetBackward : r.closedSet).has(r.closedKey), algo);
+      assert.equal(r.parentKey, tree.get(r.closedKey) ?? null, algo);
+      closed.push(r.closedKey);
+      const side = backward ? open.backward : open.forward;
+      side.delete(r.closedKey);
+      for (const k of r.openedKeys) {
+        assert.ok(!side.has(k), `${algo}: ${k} opened twice`);
+        side.add(k);
+      }
+      assert.equal(open.forward.size + open.backward.size, r.openSize, algo);
+      r = stepper.step();
+    }
+    const state = stepper.getState();
+    assert.equal(
+      closed.length,
+      state.closedSet.size + (state.closedSetBackward?.size ?? 0),
+      `${algo}: every closed node was reported once`,
+    );
+  }
+});
+
+test('search family: closedF is the priority the closed key was popped with', () => {
+  const { neighbors, cost, heuristic, isValidNode } = makeGrid({ cols: 8, rows: 8 });
+  const goalKey = gridKey(7, 5);
+  const stepper = makeSearchStepper('astar', {
+    startKey: gridKey(0, 0),
+    goalKey,
+    neighbors,
+    cost,
+    heuristic,
+    isValidNode,
+  });
+  let lastF = -Infinity;
+  let r = stepper.step();
+  while (!r.done) {
+    assert.equal(r.closedF, r.gScore.get(r.closedKey) + heuristic(r.closedKey, goalKey));
+    // A consistent heuristic pops in non-decreasing f.
+    assert.ok(r.closedF >= lastF);
+    lastF = r.closedF;
+    r = stepper.step();
+  }
+});
@@ -0,0 +1,219 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  approachView,
+  easeInOutCubic,
+  fitView,
+  growBounds,
+  lerpView,
+  levelZoom,
+  makeCameraDirector,
+  makeStage,
+  stageCovers,
+  stageStandsIn,
+  stageTransform,
+  zoomLevel,
+} from '../camera-motion.js';
+import { makeCamera } from '../coordinates.js';
+
+const BOUNDS = { north: 42.55, south: 42.2, west: -71.35, east: -70.85 };
+const W = 800;
+const H = 600;
+
+const near = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+test('camera motion: growBounds starts from a point and only widens', () => {
+  let box = growBounds(null, 42.3, -71.1);
+  assert.deepEqual(box, { north: 42.3, south: 42.3, west: -71.1, east: -71.1 });
+  box = growBounds(box, 42.4, -71.2);
+  box = growBounds(box, 42.35, -71.15);
+  assert.deepEqual(box, { north: 42.4, south: 42.3, west: -71.2, east: -71.1 });
+});
+
+test('camera motion: fitView puts the box on screen inside the padding', () => {
+  const box = { north: 42.4, south: 42.35, west: -71.1, east: -71.0 };
+  for (const rotation of [0, 25]) {
+    const view = fitView(BOUNDS, box, W, H, { rotation, padding: 0.1, minZoom: 1, maxZoom: 50 });
+    const proj = makeCamera(BOUNDS, { ...view, rotation }).projector(W, H);
+    const corners = [
+      proj(box.north, box.west),
+      proj(box.north, box.east),
+      proj(box.south, box.east),
+      proj(box.south, box.west),
+    ];
+    const xs = corners.map((p) => p.x);
+    const ys = corners.map((p) => p.y);
+    for (const p of corners) {
+      assert.ok(p.x >= 80 - 1e-6 && p.x <= 720 + 1e-6, `x at rotation ${rotation}`);
+      assert.ok(p.y >= 60 - 1e-6 && p.y <= 540 + 1e-6, `y at rotation ${rotation}`);
+    }
+    // Tight on one axis.
+    assert.ok(
+      near(Math.max(...xs) - Math.min(...xs), 640, 1e-3) ||
+        near(Math.max(...ys) - Math.min(...ys), 480, 1e-3),
+    );
+  }
+});
+
+test('camera motion: fitView clamps the zoom', () => {
+  const point = { north: 42.3, south: 42.3, west: -71.1, east: -71.1 };
+  assert.equal(fitView(BOUNDS, point, W, H, { minZoom: 1, maxZoom: 8 }).zoom, 8);
+  assert.equal(fitView(BOUNDS, BOUNDS, W, H, { minZoom: 2, maxZoom: 8 }).zoom, 2);
+});
+
+test('camera motion: easing and view interpolation', () => {
+  assert.equal(easeInOutCubic(0), 0);
+  assert.equal(easeInOutCubic(0.5), 0.5);
+  assert.equal(easeInOutCubic(1), 1);
+  const from = { center: { lat: 42.3, lon: -71.1 }, zoom: 2 };
+  const to = { center: { lat: 42.4, lon: -71.0 }, zoom: 8 };
+  const mid = lerpView(from, to, 0.5);
+  assert.ok(near(mid.center.lat, 42.35) && near(mid.center.lon, -71.05));
+  assert.ok(near(mid.zoom, 4)); // geometric
+  // One half-life covers half the way.
+  assert.ok(near(approachView(from, to, 1000, 1000).zoom, 4));
+  assert.deepEqual(approachView(from, to, 0, 1000), from);
+});
+
+test('camera motion: director follows the search, fits the path, eases back home', () => {
+  const home = { center: { lat: 42.375, lon: -71.1 }, zoom: 1 };
+  const camera = makeCamera(BOUNDS, { ...home, rotation: 15 });
+  const director = makeCameraDirector(camera, {
+    base: BOUNDS,
+    home: () => home,
+    traceMs: () => 1000,
+    followHalfLifeMs: 500,
+    returnMs: 1000,
+  });
+  const searchBox = { north: 42.32, south: 42.28, west: -71.12, east: -71.04 };
+  const pathBox = { north: 42.31, south: 42.3, west: -71.1, east: -71.08 };
+  const frame = (now, phase) => director.update({ now, phase, searchBox, pathBox, w: W, h: H });
+
+  frame(0, 'search');
+  assert.equal(frame(500, 'search'), true);
+  assert.ok(camera.zoom > 1, 'drifts in toward the search');
+  assert.ok(camera.center.lat < home.center.lat);
+  for (let now = 600; now <= 20000; now += 100) frame(now, 'search');
+  const followed = { zoom: camera.zoom, center: camera.center };
+  assert.ok(followed.zoom <= 4 + 1e-9, 'zoom capped at maxZoomFactor x home');
+
+  frame(20100, 'end-hold');
+  assert.equal(camera.zoom, followed.zoom, 'holds before the trace');
+  frame(20200, 'end-trace');
+  frame(21200, 'end-trace');
+  const pathView = { zoom: camera.zoom, center: camera.center };
+  assert.ok(pathView.zoom >= followed.zoom);
+  assert.ok(near(pathView.center.lat, 42.305, 1e-9));
+  assert.equal(frame(21500, 'end-glow'), false, 'holds the path through the glow');
+
+  frame(22000, 'search');
+  frame(22500, 'search');
+  assert.ok(camera.zoom < pathView.zoom && camera.zoom > home.zoom, 'on the way out');
+  frame(23000, 'search');
+  assert.ok(near(camera.zoom, home.zoom) && near(camera.center.lat, home.center.lat));
+  // Then following again.
+  frame(23500, 'search');
+  assert.ok(camera.zoom > home.zoom);
+});
+
+test('camera motion: director settles only after an ease ends or the follow catches up', () => {
+  const home = { center: { lat: 42.375, lon: -71.1 }, zoom: 1 };
+  const camera = makeCamera(BOUNDS, home);
+  const director = makeCameraDirector(camera, {
+    base: BOUNDS,
+    home: () => home,
+    traceMs: () => 1000,
+    followHalfLifeMs: 500,
+    returnMs: 1000,
+  });
+  const searchBox = { north: 42.32, south: 42.28, west: -71.12, east: -71.04 };
+  const pathBox = { north: 42.31, south: 42.3, west: -71.1, east: -71.08 };
+  const frame = (now, phase) => director.update({ now, phase, searchBox, pathBox, w: W, h: H });
+
+  assert.equal(director.settled, true);
+  frame(0, 'search');
+  frame(100, 'search');
+  assert.equal(director.settled, false, 'still drifting toward the search');
+  for (let now = 200; now <= 5000; now += 100) frame(now, 'search');
+  assert.equal(director.settled, true, 'caught up with the search');
+
+  frame(5100, 'end-trace');
+  frame(5600, 'end-trace');
+  assert.equal(director.settled, false, 'mid-ease');
+  frame(6100, 'end-trace');
+  assert.equal(director.settled, true);
+  frame(6200, 'end-glow');
+  assert.equal(director.settled, true, 'holds the path fit');
+
+  frame(6300, 'search');
+  assert.equal(director.settled, false, 'easing back out');
+  director.reset(home);
+  assert.equal(director.settled, true);
+});
+
+test('camera motion: zoom levels quantize down, half an octave apart', () => {
+  assert.equal(zoomLevel(1), 0);
+  assert.equal(zoomLevel(1.4), 0);
+  assert.equal(zoomLevel(Math.SQRT2), 1);
+  assert.equal(zoomLevel(2), 2);
+  assert.equal(zoomLevel(0.5), -2);
+  for (const z of [0.5, 0.9, 1, 3.7, 50]) {
+    assert.ok(levelZoom(zoomLevel(z)) <= z + 1e-9 && levelZoom(zoomLevel(z) + 1) > z);
+  }
+});
+
+test('camera motion: stage pixels land where the camera projects them', () => {
+  const camera = makeCamera(BOUNDS, {
+    center: { lat: 42.36, lon: -71.07 },
+    zoom: 2.6,
+    rotation: 15,
+  });
+  const stage = makeStage(BOUNDS, camera, W, H, 0.25);
+  assert.equal(stage.width, 1200);
+  assert.equal(stage.height, 900);
+  assert.equal(stage.zoom, 2);
+
+  // Pan and zoom a little within the level.
+  camera.set({ center: { lat: 42.362, lon: -71.072 }, zoom: 2.7 });
+  assert.ok(stageCovers(stage, camera, W, H));
+  const { scale, x, y } = stageTransform(stage, camera, W, H);
+  for (const [lat, lon] of [
+    [42.36, -71.07],
+    [42.37, -71.05],
+    [42.35, -71.09],
+  ]) {
+    const s = stage.camera.project(lat, lon, stage.width, stage.height);
+    const p = camera.project(lat, lon, W, H);
+    assert.ok(near(s.x * scale + x, p.x, 0.05) && near(s.y * scale + y, p.y, 0.05));
+  }
+});
+
+test('camera motion: stages stop covering past their margin, level or rotation', () => {
+  const camera = makeCamera(BOUNDS, { center: { lat: 42.36, lon: -71.07 }, zoom: 2 });
+  const stage = makeStage(BOUNDS, camera, W, H, 0.25);
+  assert.ok(stageCovers(stage, camera, W, H));
+  camera.set({ center: { lat: 42.36, lon: -70.9 } });
+  assert.equal(stageCovers(stage, camera, W, H), false);
+  camera.set({ center: { lat: 42.36, lon: -71.07 }, zoom: 3 });
+  assert.equal(stageCovers(stage, camera, W, H), false);
+  camera.set({ zoom: 2, rotation: 10 });
+  assert.equal(stageCovers(stage, camera, W, H), false);
+});
+
+test('camera motion: mid-move, a stage stands in for other levels up to twice its scale', () => {
+  const camera = makeCamera(BOUNDS, { center: { lat: 42.36, lon: -71.07 }, zoom: 2 });
+  const stage = makeStage(BOUNDS, camera, W, H, 0.25);
+  camera.set({ zoom: 3.5 });
+  assert.equal(stageCovers(stage, camera, W, H), false);
+  assert.ok(stageStandsIn(stage, camera, W, H));
+  camera.set({ zoom: 4.5 });
+  assert.equal(stageStandsIn(stage, camera, W, H), false, 'too blurry');
+  // Zooming out eats into the margin, then runs past it.
+  camera.set({ zoom: 1.5 });
+  assert.ok(stageStandsIn(stage, camera, W, H));
+  camera.set({ zoom: 1.2 });
+  assert.equal(stageStandsIn(stage, camera, W, H), false);
+  camera.set({ zoom: 2, rotation: 10 });
+  assert.equal(stageStandsIn(stage, camera, W, H), false);
+});
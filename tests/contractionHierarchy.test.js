@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { makeSearchStepper, runToCompletion } from '../astar.js';
+import {
+  buildContractionHierarchy,
+  chQuery,
+  makeChStepper,
+  parseContractionHierarchy,
+  serializeContractionHierarchy,
+} from '../contraction-hierarchy.js';
+import { dijkstraDistances } from '../landmarks.js';
+import { buildRoadGraph, reverseNeighborKeys } from '../road-graph.js';
+
+// Small street grid with a few oneway avenues and irregular spacing.
+function cityGraph() {
+  const lines = [];
+  const N = 7;
+  for (let r = 0; r < N; r++) {
+    const row = [];
+    for (let c = 0; c < N; c++) row.push([c * 0.01 + (r % 2) * 0.002, r * 0.01]);
+    lines.push(r === 2 ? { oneway: 'yes', coords: row } : row);
+  }
+  for (let c = 0; c < N; c++) {
+    const col = [];
+    for (let r = 0; r < N; r++) col.push([c * 0.01 + (r % 2) * 0.002, r * 0.01]);
+    lines.push(c === 4 ? { oneway: '-1', coords: col } : col);
+  }
+  return buildRoadGraph(lines, { toleranceMeters: 1, contract: false });
+}
+
+test('contraction hierarchy: every node gets a unique rank', () => {
+  const graph = cityGraph();
+  const ch = buildContractionHierarchy(graph);
+  const ranks = new Set(ch.rank);
+  assert.equal(ranks.size, graph.nodes.length);
+  assert.ok(!ranks.has(-1));
+  for (let u = 0; u < graph.nodes.length; u++) {
+    for (const e of ch.up[u]) assert.ok(ch.rank[e.to] > ch.rank[u]);
+    for (const e of ch.down[u]) assert.ok(ch.rank[e.to] > ch.rank[u]);
+  }
+});
+
+test('contraction hierarchy: query distances match Dijkstra for all pairs', () => {
+  const graph = cityGraph();
+  const ch = buildContractionHierarchy(graph);
+  const n = graph.nodes.length;
+
+  for (let s = 0; s < n; s++) {
+    const exact = dijkstraDistances(graph, s);
+    for (let t = 0; t < n; t++) {
+      const r = chQuery(ch, s, t);
+      if (!Number.isFinite(exact[t])) {
+        assert.equal(r.status, 'no-path', `${s}->${t} should be unreachable`);
+        continue;
+      }
+      assert.equal(r.status, 'found', `${s}->${t}`);
+      assert.ok(Math.abs(r.distance - exact[t]) < 1e-6, `${s}->${t}: ${r.distance} vs ${exact[t]}`);
+
+      // Unpacked path uses original edges and sums to the same distance.
+      assert.equal(r.path[0], s);
+      assert.equal(r.path[r.path.length - 1], t);
+      let total = 0;
+      for (let i = 1; i < r.path.length; i++) {
+        const w = graph.costMaps[r.path[i - 1]].get(r.path[i]);
+        assert.ok(Number.isFinite(w), 'unpacked edge must exist in the graph');
+        total += w;
+      }
+      assert.ok(Math.abs(total - exact[t]) < 1e-6);
+    }
+  }
+});
+
+test('contraction hierarchy: stepper reports two frontiers and explores less than A*', () => {
+  const graph = cityGraph();
+  const ch = buildContractionHierarchy(graph);
+  const start = 0;
+  const goal = graph.nodes.length - 1;
+
+  const stepper = makeChStepper({ startKey: start, goalKey: goal, ch });
+  let r = stepper.step();
+  assert.ok(r.closedSet instanceof Set);
+  assert.ok(r.closedSetBackward instanceof Set);
+  r = runToCompletion(stepper);
+  assert.equal(r.status, 'found');
+
+  const dijkstra = runToCompletion(
+    makeSearchStepper('dijkstra', {
+      startKey: start,
+      goalKey: goal,
+      neighbors: (k) => graph.adjacency[k].map((e) => e.to),
+      cost: (a, b) => graph.costMaps[a].get(b),
+    }),
+  );
+  assert.ok(r.steps < dijkstra.steps, `${r.steps} < ${dijkstra.steps}`);
+});
+
+test('contraction hierarchy: survives a cache round trip', () => {
+  const graph = cityGraph();
+  const ch = buildContractionHierarchy(graph);
+  const payload = JSON.parse(JSON.stringify(serializeContractionHierarchy(ch)));
+  const parsed = parseContractionHierarchy(payload, graph.nodes.length);
+  assert.ok(parsed);
+  assert.equal(parsed.shortcuts, ch.shortcuts);
+
+  const a = chQuery(ch, 3, graph.nodes.length - 2);
+  const b = chQuery(parsed, 3, graph.nodes.length - 2);
+  assert.deepEqual(b.path, a.path);
+  assert.equal(parseContractionHierarchy(payload, graph.nodes.length + 1), null);
+});
+
+test('contraction hierarchy: ch algo falls back to bidirectional A* without a hierarchy', () => {
+  const graph = cityGraph();
+  const preds = reverseNeighborKeys(graph);
+  const r = runToCompletion(
+    makeSearchStepper('ch', {
+      startKey: 0,
+      goalKey: 5,
+      neighbors: (k) => graph.adjacency[k].map((e) => e.to),
+      reverseNeighbors: (k) => preds[k],
+      cost: (a, b) => graph.costMaps[a].get(b),
+      heuristic: () => 0,
+    }),
+  );
+  assert.equal(r.status, 'found');
+  assert.equal(
+    makeChStepper({ startKey: 0, goalKey: 999, ch: null }).step().status,
+    'invalid-endpoints',
+  );
+});
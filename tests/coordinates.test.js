@@ -1,7 +1,17 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 
-import { bboxCenter, applyZoom, getRenderBounds, project, makeProjector } from '../coordinates.js';
+import {
+  bboxCenter,
+  applyZoom,
+  getRenderBounds,
+  project,
+  makeProjector,
+  unproject,
+  makeCamera,
+  cameraFromParams,
+} from '../coordinates.js';
+import { parseRuntimeConfig } from '../config.js';
 
 const BOUNDS = {
   north: 42.55,
@@ -149,3 +159,113 @@ test('makeProjector produces same results as project (with rotation)', () => {
     assert.ok(Math.abs(a.y - b.y) < 1e-6, `y mismatch at (${lat},${lon})`);
   }
 });
+
+// --- unproject ---
+
+test('unproject inverts project, with and without rotation', () => {
+  const w = 800;
+  const h = 600;
+  const points = [
+    { lat: BOUNDS.north, lon: BOUNDS.west },
+    { lat: BOUNDS.south, lon: BOUNDS.east },
+    { lat: 42.36, lon: -71.06 },
+  ];
+  for (const rotation of [0, 15, -90, 180]) {
+    for (const { lat, lon } of points) {
+      const { x, y } = project(lat, lon, BOUNDS, w, h, rotation);
+      const ll = unproject(x, y, BOUNDS, w, h, rotation);
+      assert.ok(Math.abs(ll.lat - lat) < 1e-9, `lat mismatch at rotation ${rotation}`);
+      assert.ok(Math.abs(ll.lon - lon) < 1e-9, `lon mismatch at rotation ${rotation}`);
+    }
+  }
+  // The canvas center is the bounds center whatever the rotation.
+  const c = unproject(w / 2, h / 2, BOUNDS, w, h, 30);
+  assert.ok(Math.abs(c.lat - bboxCenter(BOUNDS).lat) < 1e-9);
+  assert.ok(Math.abs(c.lon - bboxCenter(BOUNDS).lon) < 1e-9);
+});
+
+// --- Camera ---
+
+test('camera: project / unproject match the free functions on its frame', () => {
+  const center = { lat: 42.36, lon: -71.06 };
+  const camera = makeCamera(BOUNDS, { center, zoom: 3, rotation: 20 });
+  const frame = applyZoom(BOUNDS, 3, center);
+  assert.deepEqual(camera.bounds, frame);
+  const p = camera.project(42.37, -71.05, 800, 600);
+  assert.deepEqual(p, project(42.37, -71.05, frame, 800, 600, 20));
+  const ll = camera.unproject(p.x, p.y, 800, 600);
+  assert.ok(Math.abs(ll.lat - 42.37) < 1e-9);
+  assert.ok(Math.abs(ll.lon + 71.05) < 1e-9);
+});
+
+test('camera: projector is reused until the camera or the canvas size changes', () => {
+  const camera = makeCamera(BOUNDS);
+  const a = camera.projector(800, 600);
+  assert.equal(camera.projector(800, 600), a);
+  assert.notEqual(camera.projector(400, 600), a);
+
+  const version = camera.version;
+  const b = camera.projector(800, 600);
+  camera.set({ rotation: 45 });
+  assert.equal(camera.version, version + 1);
+  assert.equal(camera.rotation, 45);
+  assert.equal(camera.zoom, 1);
+  const c = camera.projector(800, 600);
+  assert.notEqual(c, b);
+  const center = bboxCenter(BOUNDS);
+  assert.deepEqual(
+    c(BOUNDS.north, BOUNDS.west),
+    project(BOUNDS.north, BOUNDS.west, BOUNDS, 800, 600, 45),
+  );
+  assert.deepEqual(c(center.lat, center.lon), { x: 400, y: 300 });
+});
+
+test('camera: visibleBounds holds every canvas corner, rotated or not', () => {
+  for (const rotation of [0, 30, -75]) {
+    const camera = makeCamera(BOUNDS, { zoom: 2, rotation });
+    const vb = camera.visibleBounds(800, 600);
+    for (const [x, y] of [
+      [0, 0],
+      [800, 0],
+      [800, 600],
+      [0, 600],
+      [400, 300],
+    ]) {
+      const { lat, lon } = camera.unproject(x, y, 800, 600);
+      assert.ok(lat <= vb.north + 1e-12 && lat >= vb.south - 1e-12, `lat at rotation ${rotation}`);
+      assert.ok(lon >= vb.west - 1e-12 && lon <= vb.east + 1e-12, `lon at rotation ${rotation}`);
+    }
+  }
+  // Rotating a landscape canvas brings more of the map into its corners.
+  const flat = makeCamera(BOUNDS).visibleBounds(800, 600);
+  const tilted = makeCamera(BOUNDS, { rotation: 30 }).visibleBounds(800, 600);
+  assert.ok(tilted.north - tilted.south > flat.north - flat.south);
+});
+
+test('camera: URL params round-trip through parseRuntimeConfig', () => {
+  const camera = makeCamera(BOUNDS, {
+    center: { lat: 42.3601234567, lon: -71.0589876543 },
+    zoom: 4.123456,
+    rotation: -12.3456,
+  });
+  assert.deepEqual(camera.toParams(), {
+    centerLat: 42.360123,
+    centerLon: -71.058988,
+    zoom: 4.1235,
+    rotation: -12.35,
+  });
+
+  const search = camera.toSearch('?algo=dijkstra&zoom=2');
+  const params = new URLSearchParams(search);
+  assert.equal(params.get('algo'), 'dijkstra');
+  assert.equal(params.get('zoom'), '4.1235');
+
+  const back = cameraFromParams(BOUNDS, parseRuntimeConfig(search));
+  assert.deepEqual(back.toParams(), camera.toParams());
+});
+
+test('camera: cameraFromParams centers on the bounds without both center coordinates', () => {
+  const camera = cameraFromParams(BOUNDS, { centerLat: 42.3, zoom: 2, rotation: 0 });
+  assert.deepEqual(camera.center, bboxCenter(BOUNDS));
+  assert.deepEqual(camera.bounds, applyZoom(BOUNDS, 2));
+});
@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { csrGraphFromAdjacency, toCsrGraph } from '../csr-graph.js';
+import { buildRoadGraph, parseRoadGraphCache, serializeRoadGraph } from '../road-graph.js';
+
+// 0 <-> 1 -> 2 (via two points), 2 -> 0; node 3 has no edges.
+function smallGraph() {
+  const nodes = [0, 1, 2, 3].map((id) => ({ id, lat: 42.3 + id * 0.01, lon: -71.1 }));
+  const adjacency = [
+    [{ to: 1, weight: 10, time: 2 }],
+    [
+      { to: 0, weight: 10, time: 2 },
+      {
+        to: 2,
+        weight: 25,
+        via: [
+          [-71.09, 42.315],
+          [-71.095, 42.318],
+        ],
+      },
+    ],
+    [{ to: 0, weight: 30, time: 6 }],
+    [],
+  ];
+  return { nodes, adjacency };
+}
+
+test('csr graph: neighbors, predecessors and edge lookups', () => {
+  const { nodes, adjacency } = smallGraph();
+  const g = csrGraphFromAdjacency(nodes, adjacency, { toleranceMeters: 3 });
+
+  assert.equal(g.edges, 4);
+  assert.equal(g.toleranceMeters, 3);
+  assert.ok(g.targets instanceof Int32Array);
+  assert.ok(g.weights instanceof Float64Array);
+  assert.deepEqual(Array.from(g.neighbors(1)), [0, 2]);
+  assert.deepEqual(Array.from(g.neighbors(3)), []);
+  assert.deepEqual(Array.from(g.neighbors(99)), []);
+  assert.deepEqual(Array.from(g.predecessors(0)), [1, 2]);
+  assert.deepEqual(Array.from(g.predecessors(2)), [1]);
+  assert.deepEqual(
+    Array.from(g.incomingEdges(0), (e) => g.targets[e]),
+    [0, 0],
+  );
+
+  assert.equal(g.weight(1, 2), 25);
+  assert.equal(g.weight(2, 1), undefined);
+  assert.equal(g.time(0, 1), 2);
+  assert.ok(Number.isNaN(g.time(1, 2)), 'edge without a time');
+  assert.deepEqual(g.edgeVia(g.edgeIndex(1, 2)), [
+    [-71.09, 42.315],
+    [-71.095, 42.318],
+  ]);
+  assert.equal(g.edgeVia(g.edgeIndex(0, 1)), null);
+});
+
+test('csr graph: object views match the input lists', () => {
+  const { nodes, adjacency } = smallGraph();
+  const g = csrGraphFromAdjacency(nodes, adjacency);
+  assert.deepEqual(g.adjacency, adjacency);
+  assert.equal(g.costMaps[1].get(2), 25);
+  assert.equal(g.timeMaps[2].get(0), 6);
+  assert.equal(g.timeMaps[1].has(2), false);
+
+  const untimed = csrGraphFromAdjacency(nodes, [[{ to: 1, weight: 1 }], [], [], []]);
+  assert.equal(untimed.times, null);
+  assert.equal(untimed.timeMaps, null);
+});
+
+test('csr graph: toCsrGraph converts object graphs once and passes csr graphs through', () => {
+  const legacy = smallGraph();
+  const g = toCsrGraph(legacy);
+  assert.equal(toCsrGraph(legacy), g);
+  assert.equal(toCsrGraph(g), g);
+  assert.equal(g.nodes, legacy.nodes);
+  assert.deepEqual(Array.from(g.neighbors(0)), [1]);
+  assert.equal(toCsrGraph(null).edges, 0);
+});
+
+test('csr graph: built and parsed road graphs share the interface', () => {
+  const built = buildRoadGraph(
+    [
+      {
+        coords: [
+          [-71.1, 42.35],
+          [-71.095, 42.352],
+          [-71.09, 42.35],
+        ],
+      },
+      {
+        coords: [
+          [-71.09, 42.35],
+          [-71.09, 42.36],
+        ],
+        oneway: 'yes',
+      },
+      {
+        coords: [
+          [-71.09, 42.35],
+          [-71.08, 42.35],
+        ],
+      },
+    ],
+    { toleranceMeters: 2 },
+  );
+  const parsed = parseRoadGraphCache(JSON.parse(JSON.stringify(serializeRoadGraph(built))));
+  for (const g of [built, parsed]) {
+    assert.ok(g.offsets instanceof Int32Array);
+    assert.equal(g.offsets.length, g.nodes.length + 1);
+    assert.equal(g.edges, g.targets.length);
+    assert.ok(g.times, 'built graphs carry travel times');
+  }
+  assert.deepEqual(parsed.offsets, built.offsets);
+  assert.deepEqual(parsed.targets, built.targets);
+  assert.deepEqual(parsed.viaOffsets, built.viaOffsets);
+  assert.deepEqual(parsed.viaCoords, built.viaCoords);
+});
+
+test('csr graph: parseRoadGraphCache drops malformed edge tuples', () => {
+  const graph = parseRoadGraphCache({
+    format: 'osm-road-graph',
+    version: 3,
+    nodes: [
+      { lat: 0, lon: 0 },
+      { lat: 0, lon: 1 },
+    ],
+    edges: [[[1, 5], [7, 5], null, [1, 'x']], [[0, 5, [[0.5, 0]]]]],
+    times: [[1, 1, 1, 1], [-1]],
+  });
+  assert.equal(graph.edges, 2);
+  assert.deepEqual(Array.from(graph.neighbors(0)), [1]);
+  assert.equal(graph.time(0, 1), 1);
+  assert.ok(Number.isNaN(graph.time(1, 0)));
+  assert.deepEqual(graph.edgeVia(graph.edgeIndex(1, 0)), [[0.5, 0]]);
+});
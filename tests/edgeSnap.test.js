@@ -0,0 +1,217 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { haversineMeters, makeSearchStepper, runToCompletion } from '../astar.js';
+import { snapToGraphEdge, splitGraphAtSnaps } from '../edge-snap.js';
+import { buildRoadGraph, findNearestGraphNode } from '../road-graph.js';
+
+// An L-shaped road (its bend at (.01, 0) contracts into via geometry) meeting
+// a junction J with branches east and north:
+//
+//                N               N = (.01, .02)
+//                |
+//                J ---- E        J = (.01, .01), E = (.02, .01)
+//                |
+//   A ---------- B               A = (0, 0), B = (.01, 0) (contracted bend)
+const LINES = [
+  [
+    [0, 0],
+    [0.01, 0],
+    [0.01, 0.01],
+  ],
+  [
+    [0.01, 0.01],
+    [0.02, 0.01],
+  ],
+  [
+    [0.01, 0.01],
+    [0.01, 0.02],
+  ],
+];
+
+function makeGraph(lines = LINES) {
+  return buildRoadGraph(lines, { toleranceMeters: 1 });
+}
+
+const at = (graph, lon, lat) => findNearestGraphNode(graph, lat, lon);
+
+function searchOptions(graph, split, startKey, goalKey) {
+  const latLon = (k) => split.latLon(k);
+  return {
+    startKey,
+    goalKey,
+    neighbors: split.neighbors,
+    reverseNeighbors: split.reverseNeighbors,
+    cost: (a, b) => split.edge(a, b)?.weight ?? Infinity,
+    heuristic: (a, b) => haversineMeters(latLon(a), latLon(b)),
+    isValidNode: (k) => graph.nodes[k] != null || split.isSplitNode(k),
+  };
+}
+
+test('edge snap: projects onto via geometry of a contracted edge', () => {
+  const graph = makeGraph();
+  const a = at(graph, 0, 0);
+  const j = at(graph, 0.01, 0.01);
+  assert.equal(graph.nodes.length, 4, 'the bend is contracted away');
+
+  const snap = snapToGraphEdge(graph, 0.0003, 0.005);
+  assert.deepEqual([snap.from, snap.to].sort(), [a, j].sort());
+  assert.ok(Math.abs(snap.lat) < 1e-9);
+  assert.ok(Math.abs(snap.lon - 0.005) < 1e-9);
+  assert.ok(Math.abs(snap.meters - 33.4) < 0.5, `meters ${snap.meters}`);
+  const fromA = snap.from === a ? snap.fraction : 1 - snap.fraction;
+  assert.ok(Math.abs(fromA - 0.25) < 0.01, `fraction ${fromA}`);
+
+  // On the leg after the bend.
+  const up = snapToGraphEdge(graph, 0.007, 0.0103);
+  assert.ok(Math.abs(up.lon - 0.01) < 1e-9);
+  assert.ok(Math.abs(up.lat - 0.007) < 1e-9);
+  const upFromA = up.from === a ? up.fraction : 1 - up.fraction;
+  assert.ok(Math.abs(upFromA - 0.85) < 0.01, `fraction ${upFromA}`);
+});
+
+test('edge snap: maxMeters and filter', () => {
+  const graph = makeGraph();
+  const e = at(graph, 0.02, 0.01);
+  assert.equal(snapToGraphEdge(graph, 0.005, 0.005, { maxMeters: 100 }), null);
+  assert.ok(snapToGraphEdge(graph, 0.005, 0.005, { maxMeters: 1000 }));
+
+  const snap = snapToGraphEdge(graph, 0.0103, 0.015, {
+    filter: (from, to) => from !== e && to !== e,
+  });
+  assert.ok(Math.abs(snap.lon - 0.01) < 1e-9, 'skips the east branch');
+  assert.equal(snapToGraphEdge({ nodes: [], adjacency: [] }, 0, 0), null);
+});
+
+test('edge snap: split prorates weights and cuts via geometry', () => {
+  const graph = makeGraph();
+  const a = at(graph, 0, 0);
+  const j = at(graph, 0.01, 0.01);
+  const split = splitGraphAtSnaps(graph, [snapToGraphEdge(graph, 0.0003, 0.005)]);
+  const [s] = split.keys;
+  assert.equal(s, graph.nodes.length);
+  assert.ok(split.isSplitNode(s));
+  assert.ok(!split.isSplitNode(a));
+  assert.deepEqual(split.latLon(s), { lat: 0, lon: 0.005 });
+
+  const whole = graph.costMaps[a].get(j);
+  const aS = split.edge(a, s);
+  const sJ = split.edge(s, j);
+  assert.ok(Math.abs(aS.weight + sJ.weight - whole) < 1e-6);
+  assert.ok(Math.abs(aS.weight / whole - 0.25) < 0.01);
+  assert.equal(aS.via, undefined);
+  assert.deepEqual(sJ.via, [[0.01, 0]]);
+  assert.deepEqual(split.edge(j, s).via, [[0.01, 0]]);
+  assert.equal(split.edge(a, j), null, 'the split edge is replaced');
+
+  assert.deepEqual(split.neighbors(a), [s]);
+  assert.deepEqual(split.neighbors(s).sort(), [a, j].sort());
+  assert.ok(split.reverseNeighbors(j).includes(s));
+  assert.ok(!split.reverseNeighbors(j).includes(a));
+  assert.deepEqual(
+    graph.adjacency[a].map((e) => e.to),
+    [j],
+    'base graph untouched',
+  );
+});
+
+test('edge snap: A* runs between split nodes', () => {
+  const graph = makeGraph();
+  const a = at(graph, 0, 0);
+  const j = at(graph, 0.01, 0.01);
+  const e = at(graph, 0.02, 0.01);
+  const startSnap = snapToGraphEdge(graph, 0.0003, 0.005);
+  const goalSnap = snapToGraphEdge(graph, 0.0102, 0.015);
+  const split = splitGraphAtSnaps(graph, [startSnap, goalSnap]);
+  const [s, g] = split.keys;
+
+  const r = runToCompletion(makeSearchStepper('astar', searchOptions(graph, split, s, g)));
+  assert.equal(r.status, 'found');
+  assert.deepEqual(r.path, [s, j, g]);
+  const expected = graph.costMaps[a].get(j) * 0.75 + graph.costMaps[j].get(e) * 0.5;
+  const total = split.edge(s, j).weight + split.edge(j, g).weight;
+  assert.ok(Math.abs(total - expected) < 2, `${total} vs ${expected}`);
+
+  const bi = runToCompletion(makeSearchStepper('bidirectional', searchOptions(graph, split, s, g)));
+  assert.deepEqual(bi.path, [s, j, g]);
+});
+
+test('edge snap: two splits on one edge chain in both directions', () => {
+  const graph = makeGraph();
+  const a = at(graph, 0, 0);
+  const j = at(graph, 0.01, 0.01);
+  const near = snapToGraphEdge(graph, 0.0001, 0.002);
+  const far = snapToGraphEdge(graph, 0.005, 0.0101);
+  const split = splitGraphAtSnaps(graph, [far, near]);
+  const [f, n] = split.keys;
+
+  assert.deepEqual(split.neighbors(a), [n]);
+  assert.deepEqual(split.neighbors(n).sort(), [a, f].sort());
+  assert.deepEqual(split.edge(n, f).via, [[0.01, 0]]);
+  assert.deepEqual(split.edge(f, n).via, [[0.01, 0]]);
+  const whole = graph.costMaps[a].get(j);
+  const sum = split.edge(a, n).weight + split.edge(n, f).weight + split.edge(f, j).weight;
+  assert.ok(Math.abs(sum - whole) < 1e-6);
+
+  const r = runToCompletion(makeSearchStepper('astar', searchOptions(graph, split, f, n)));
+  assert.deepEqual(r.path, [f, n]);
+});
+
+test('edge snap: one-way edges only split forward', () => {
+  const graph = buildRoadGraph(
+    [
+      {
+        oneway: 'yes',
+        coords: [
+          [0, 0],
+          [0.01, 0],
+        ],
+      },
+    ],
+    { toleranceMeters: 1 },
+  );
+  const a = at(graph, 0, 0);
+  const b = at(graph, 0.01, 0);
+  const split = splitGraphAtSnaps(graph, [snapToGraphEdge(graph, 0.0002, 0.004)]);
+  const [s] = split.keys;
+  assert.deepEqual(split.neighbors(s), [b]);
+  assert.deepEqual(split.reverseNeighbors(s), [a]);
+  assert.deepEqual(split.neighbors(b), []);
+});
+
+test('edge snap: lifted heuristics bound split nodes through their edge ends', () => {
+  const graph = makeGraph();
+  const a = at(graph, 0, 0);
+  const j = at(graph, 0.01, 0.01);
+  const e = at(graph, 0.02, 0.01);
+  const split = splitGraphAtSnaps(graph, [
+    snapToGraphEdge(graph, 0.0003, 0.005),
+    snapToGraphEdge(graph, 0.0102, 0.015),
+  ]);
+  const [s, g] = split.keys;
+
+  // Exact base distances, like a perfect landmark table (unknown pairs: 0).
+  const exact = new Map([
+    [`${a},${j}`, graph.costMaps[a].get(j)],
+    [`${j},${e}`, graph.costMaps[j].get(e)],
+    [`${a},${e}`, graph.costMaps[a].get(j) + graph.costMaps[j].get(e)],
+  ]);
+  const h = (x, y) => (x === y ? 0 : (exact.get(`${x},${y}`) ?? exact.get(`${y},${x}`) ?? 0));
+  const lifted = split.liftHeuristic(h);
+
+  const trueCost = split.edge(s, j).weight + split.edge(j, g).weight;
+  assert.ok(Math.abs(lifted(s, g) - trueCost) < 1e-6, 'tight through J');
+  assert.ok(lifted(a, g) <= split.edge(a, s).weight + trueCost + 1e-6);
+  assert.equal(lifted(a, e), h(a, e), 'base pairs pass through');
+
+  // Splits sharing an edge fall back to the straight-line bound.
+  const sameEdge = splitGraphAtSnaps(graph, [
+    snapToGraphEdge(graph, 0, 0.002),
+    snapToGraphEdge(graph, 0, 0.004),
+  ]);
+  const [p, q] = sameEdge.keys;
+  const liftedSame = sameEdge.liftHeuristic(h, (x, y) =>
+    haversineMeters(sameEdge.latLon(x), sameEdge.latLon(y)),
+  );
+  assert.ok(Math.abs(liftedSame(p, q) - sameEdge.edge(p, q).weight) < 1);
+});
@@ -10,6 +10,8 @@ import {
   cost,
   heuristic,
   randomCell,
+  randomObstacles,
+  seededRng,
 } from '../grid-helpers.js';
 
 const BOUNDS = {
@@ -137,3 +139,43 @@ test('randomCell with fixed rng returns deterministic result', () => {
   assert.equal(typeof k, 'string');
   assert.ok(callCount > 0);
 });
+
+test('neighborsOf skips blocked cells and does not cut corners', () => {
+  const blocked = new Set([key(6, 4)]);
+  const n = neighborsOf(key(5, 4), GRID_COLS, GRID_ROWS, (k) => blocked.has(k));
+  assert.equal(n.length, 5);
+  assert.ok(!n.includes(key(6, 4)));
+  // Both diagonals past the blocked cell would clip its corner.
+  assert.ok(!n.includes(key(6, 3)));
+  assert.ok(!n.includes(key(6, 5)));
+});
+
+// --- randomObstacles ---
+
+test('randomObstacles is deterministic for a fixed rng and stays in bounds', () => {
+  const seq = () => {
+    let x = 0;
+    return () => (x = (x * 9301 + 49297) % 233280) / 233280;
+  };
+  const a = randomObstacles(GRID_COLS, GRID_ROWS, { density: 0.3, rng: seq() });
+  const b = randomObstacles(GRID_COLS, GRID_ROWS, { density: 0.3, rng: seq() });
+  assert.deepEqual([...a], [...b]);
+  assert.ok(a.size >= Math.floor(0.3 * GRID_COLS * GRID_ROWS));
+  for (const k of a) {
+    const { i, j } = parseKey(k);
+    assert.ok(i >= 0 && i < GRID_COLS && j >= 0 && j < GRID_ROWS);
+  }
+  assert.equal(randomObstacles(GRID_COLS, GRID_ROWS, { density: 0 }).size, 0);
+});
+
+// --- seededRng ---
+
+test('seededRng is deterministic per seed', () => {
+  const a = seededRng('7');
+  const b = seededRng(7);
+  const c = seededRng('8');
+  const seqA = [a(), a(), a()];
+  assert.deepEqual(seqA, [b(), b(), b()]);
+  assert.notDeepEqual(seqA, [c(), c(), c()]);
+  for (const v of seqA) assert.ok(v >= 0 && v < 1);
+});
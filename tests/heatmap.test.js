@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HEAT_BINS, heatBin, heatColor, heatGradientCss, makeHeatScale } from '../heatmap.js';
+
+test('heatmap: colors run from violet to yellow and clamp outside [0, 1]', () => {
+  assert.equal(heatColor(0), 'rgba(106,0,168,1)');
+  assert.equal(heatColor(1, 0.5), 'rgba(240,249,33,0.5)');
+  assert.equal(heatColor(-3), heatColor(0));
+  assert.equal(heatColor(7), heatColor(1));
+  assert.equal(heatColor(NaN), heatColor(0));
+  assert.match(heatGradientCss(), /^linear-gradient\(90deg, rgba\(106,0,168,1\) 0%, .* 100%\)$/);
+});
+
+test('heatmap: bins cover [0, 1] in order', () => {
+  assert.equal(heatBin(0), 0);
+  assert.equal(heatBin(1), HEAT_BINS - 1);
+  assert.equal(heatBin(0.5), HEAT_BINS / 2);
+  let last = 0;
+  for (let t = 0; t <= 1; t += 0.01) {
+    assert.ok(heatBin(t) >= last);
+    last = heatBin(t);
+  }
+});
+
+test('heatmap: the g scale starts at 0 and only grows, by doubling', () => {
+  const scale = makeHeatScale('g');
+  assert.equal(scale.t(5), 0);
+  assert.equal(scale.fit([null]), false);
+  assert.equal(scale.fit([40]), true);
+  assert.equal(scale.lo, 0);
+  assert.ok(scale.hi >= 40);
+  assert.equal(scale.t(scale.hi), 1);
+
+  const hi = scale.hi;
+  assert.equal(scale.fit([hi / 2, hi]), false, 'values in range keep the colors');
+  assert.equal(scale.fit([1, hi + 1], 1), true);
+  assert.equal(scale.hi, 2 * hi);
+  assert.equal(scale.t(hi), 0.5);
+
+  scale.reset();
+  assert.equal(scale.lo, null);
+  assert.equal(scale.hi, null);
+});
+
+test('heatmap: the f scale starts at the first score', () => {
+  const scale = makeHeatScale('f');
+  scale.fit([100, 100, 130]);
+  assert.equal(scale.lo, 100);
+  assert.ok(scale.hi >= 130);
+  assert.equal(scale.t(100), 0);
+  assert.equal(scale.fit([90]), true);
+  assert.equal(scale.lo, 90);
+});
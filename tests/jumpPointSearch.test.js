@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { makeSearchStepper, runToCompletion } from '../astar.js';
+import {
+  cost,
+  heuristic,
+  key,
+  neighborsOf,
+  parseKey,
+  randomObstacles,
+  seededRng,
+} from '../grid-helpers.js';
+import { makeJumpPointGrid } from '../jump-point-search.js';
+
+const BOUNDS = {
+  north: 42.55,
+  south: 42.2,
+  west: -71.35,
+  east: -70.85,
+};
+
+const COLS = 40;
+const ROWS = 30;
+
+function gridOptions(startKey, goalKey, blocked) {
+  const isBlocked = (k) => blocked.has(k);
+  const stepCost = (a, b) => cost(a, b, BOUNDS, COLS, ROWS);
+  return {
+    startKey,
+    goalKey,
+    neighbors: (k) => neighborsOf(k, COLS, ROWS, isBlocked),
+    cost: stepCost,
+    heuristic: (a, b) => heuristic(a, b, BOUNDS, COLS, ROWS),
+    isValidNode: (k) => !blocked.has(k),
+    jps: makeJumpPointGrid({ gridCols: COLS, gridRows: ROWS, isBlocked, goalKey, stepCost }),
+  };
+}
+
+function pathCost(path) {
+  let total = 0;
+  for (let i = 1; i < path.length; i++) total += cost(path[i - 1], path[i], BOUNDS, COLS, ROWS);
+  return total;
+}
+
+test('jump point search matches A* path cost and expands fewer nodes', () => {
+  for (let seed = 1; seed <= 12; seed++) {
+    const rng = seededRng(seed);
+    const blocked = randomObstacles(COLS, ROWS, { density: 0.25, rng });
+    const startKey = key(0, 0);
+    const goalKey = key(COLS - 1, ROWS - 1);
+    blocked.delete(startKey);
+    blocked.delete(goalKey);
+
+    const options = gridOptions(startKey, goalKey, blocked);
+    const astar = runToCompletion(makeSearchStepper('astar', options));
+    const jps = runToCompletion(makeSearchStepper('jps', options));
+
+    assert.equal(jps.status, astar.status, `seed ${seed}`);
+    if (astar.status !== 'found') continue;
+
+    const a = pathCost(astar.path);
+    const j = pathCost(jps.path);
+    assert.ok(Math.abs(a - j) <= a * 1e-3, `seed ${seed}: astar=${a} jps=${j}`);
+    assert.ok(jps.steps <= astar.steps, `seed ${seed}: ${jps.steps} > ${astar.steps}`);
+  }
+});
+
+test('jump point search expands jump points into a contiguous obstacle-free path', () => {
+  const rng = seededRng(7);
+  const blocked = randomObstacles(COLS, ROWS, { density: 0.2, rng });
+  const startKey = key(1, 1);
+  const goalKey = key(COLS - 2, ROWS - 2);
+  blocked.delete(startKey);
+  blocked.delete(goalKey);
+
+  const r = runToCompletion(makeSearchStepper('jps', gridOptions(startKey, goalKey, blocked)));
+  assert.equal(r.status, 'found');
+  assert.ok(r.jumpPoints.length <= r.path.length);
+  assert.equal(r.path[0], startKey);
+  assert.equal(r.path[r.path.length - 1], goalKey);
+
+  for (let i = 1; i < r.path.length; i++) {
+    const a = parseKey(r.path[i - 1]);
+    const b = parseKey(r.path[i]);
+    assert.ok(Math.max(Math.abs(a.i - b.i), Math.abs(a.j - b.j)) === 1, 'cells are adjacent');
+    assert.ok(!blocked.has(r.path[i]), 'path avoids obstacles');
+  }
+});
+
+test('jump point search jumps straight across an empty grid', () => {
+  const startKey = key(2, 5);
+  const goalKey = key(30, 5);
+  const r = runToCompletion(makeSearchStepper('jps', gridOptions(startKey, goalKey, new Set())));
+  assert.equal(r.status, 'found');
+  assert.deepEqual(r.jumpPoints, [startKey, goalKey]);
+  assert.equal(r.path.length, 29);
+});
+
+test('jump point search reports no-path when the goal is walled off', () => {
+  const blocked = new Set();
+  for (let j = 0; j < ROWS; j++) blocked.add(key(20, j));
+  const r = runToCompletion(makeSearchStepper('jps', gridOptions(key(2, 2), key(35, 20), blocked)));
+  assert.equal(r.status, 'no-path');
+});
+
+test('jps without a jump point grid falls back to plain A*', () => {
+  const options = gridOptions(key(0, 0), key(5, 5), new Set());
+  delete options.jps;
+  const r = runToCompletion(makeSearchStepper('jps', options));
+  assert.equal(r.status, 'found');
+  assert.equal(r.jumpPoints, undefined);
+});
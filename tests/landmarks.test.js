@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { haversineMeters, makeAStarStepper, runToCompletion } from '../astar.js';
+import {
+  buildLandmarks,
+  dijkstraDistances,
+  makeAltHeuristic,
+  parseLandmarks,
+  selectLandmarks,
+  serializeLandmarks,
+} from '../landmarks.js';
+import { buildRoadGraph, graphNodeLatLon, largestComponent } from '../road-graph.js';
+
+// A "river" network: two long parallel roads joined by a single bridge at the far
+// east end. Straight-line distance across the river is tiny, road distance is not.
+function riverGraph() {
+  const north = [];
+  const south = [];
+  for (let i = 0; i <= 20; i++) {
+    north.push([i * 0.01, 0.01]);
+    south.push([i * 0.01, 0]);
+  }
+  const bridge = [
+    [0.2, 0.01],
+    [0.2, 0],
+  ];
+  // Side streets keep the chains from being contracted away.
+  const spurs = [];
+  for (let i = 1; i < 20; i++) {
+    spurs.push([
+      [i * 0.01, 0.01],
+      [i * 0.01, 0.013],
+    ]);
+    spurs.push([
+      [i * 0.01, 0],
+      [i * 0.01, -0.003],
+    ]);
+  }
+  return buildRoadGraph([north, south, bridge, ...spurs], { toleranceMeters: 1, contract: false });
+}
+
+function nearest(graph, lat, lon) {
+  let best = null;
+  let bestD = Infinity;
+  for (const n of graph.nodes) {
+    const d = haversineMeters(n, { lat, lon });
+    if (d < bestD) {
+      bestD = d;
+      best = n.id;
+    }
+  }
+  return best;
+}
+
+function search(graph, start, goal, heuristic) {
+  return runToCompletion(
+    makeAStarStepper({
+      startKey: start,
+      goalKey: goal,
+      neighbors: (k) => graph.adjacency[k].map((e) => e.to),
+      cost: (a, b) => graph.costMaps[a].get(b),
+      heuristic,
+    }),
+  );
+}
+
+test('landmarks: dijkstraDistances respects oneway edges in both directions', () => {
+  const graph = buildRoadGraph(
+    [
+      {
+        oneway: 'yes',
+        coords: [
+          [0, 0],
+          [0.01, 0],
+        ],
+      },
+    ],
+    { toleranceMeters: 1, contract: false },
+  );
+  const fromA = dijkstraDistances(graph, 0);
+  const toA = dijkstraDistances(graph, 0, { reverse: true });
+  assert.equal(fromA[0], 0);
+  assert.ok(fromA[1] > 1000 && fromA[1] < 1200);
+  assert.equal(toA[1], Infinity, 'B cannot reach A against the oneway');
+});
+
+test('landmarks: farthest-point selection spreads landmarks to the extremes', () => {
+  const line = [];
+  for (let i = 0; i <= 10; i++) line.push([i * 0.01, 0]);
+  const graph = buildRoadGraph([line], { toleranceMeters: 1, contract: false });
+  const ids = selectLandmarks(graph, 2);
+  const lons = ids.map((id) => graph.nodes[id].lon).sort((a, b) => a - b);
+  assert.equal(ids.length, 2);
+  assert.ok(Math.abs(lons[0] - 0) < 1e-9);
+  assert.ok(Math.abs(lons[1] - 0.1) < 1e-9);
+});
+
+test('landmarks: ALT heuristic is admissible and never weaker than haversine', () => {
+  const graph = riverGraph();
+  const tables = parseLandmarks(
+    serializeLandmarks(buildLandmarks(graph, 4, { candidates: largestComponent(graph) })),
+    graph.nodes.length,
+  );
+  assert.ok(tables);
+  const hav = (a, b) => haversineMeters(graphNodeLatLon(graph, a), graphNodeLatLon(graph, b));
+  const alt = makeAltHeuristic(tables, hav);
+
+  for (let a = 0; a < graph.nodes.length; a += 3) {
+    const exact = dijkstraDistances(graph, a);
+    for (let b = 0; b < graph.nodes.length; b += 2) {
+      assert.ok(alt(a, b) <= exact[b] + 1e-6, `h(${a},${b}) must not overestimate`);
+      assert.ok(alt(a, b) >= hav(a, b));
+    }
+  }
+});
+
+test('landmarks: ALT shrinks the explored set without changing the path cost', () => {
+  const graph = riverGraph();
+  const tables = buildLandmarks(graph, 4, { candidates: largestComponent(graph) });
+  const hav = (a, b) => haversineMeters(graphNodeLatLon(graph, a), graphNodeLatLon(graph, b));
+  const alt = makeAltHeuristic(tables, hav);
+
+  // West end, north bank -> west end, south bank (must cross at the east bridge).
+  const start = nearest(graph, 0.01, 0.01);
+  const goal = nearest(graph, 0, 0.01);
+
+  const plain = search(graph, start, goal, hav);
+  const withAlt = search(graph, start, goal, alt);
+  assert.equal(plain.status, 'found');
+  assert.equal(withAlt.status, 'found');
+
+  const cost = (path) => {
+    let total = 0;
+    for (let i = 1; i < path.length; i++) total += graph.costMaps[path[i - 1]].get(path[i]);
+    return total;
+  };
+  assert.ok(Math.abs(cost(plain.path) - cost(withAlt.path)) < 1e-6);
+  assert.ok(withAlt.steps < plain.steps, `${withAlt.steps} < ${plain.steps}`);
+});
+
+test('landmarks: parseLandmarks rejects tables that do not match the graph', () => {
+  assert.equal(parseLandmarks(null, 3), null);
+  assert.equal(parseLandmarks({ ids: [0], from: [[0, 1]], to: [[0, 1]] }, 3), null);
+  const ok = parseLandmarks({ ids: [0], from: [[0, 5, -1]], to: [[0, 5, 7]] }, 3);
+  assert.equal(ok.from[0][2], Infinity, '-1 marks unreachable');
+});
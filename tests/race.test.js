@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { makeSearchStepper, runToCompletion } from '../astar.js';
+import { parseRuntimeConfig } from '../config.js';
+import { key, neighborsOf } from '../grid-helpers.js';
+import { makeRaceStepper, pickRaceWinner, raceViz } from '../race.js';
+
+// Unit-cost 12x12 grid with a wall to walk around.
+function gridLane(algo) {
+  const blocked = (k) => k.startsWith('6,') && k !== '6,11';
+  const options = {
+    startKey: key(0, 0),
+    goalKey: key(11, 0),
+    neighbors: (k) => neighborsOf(k, 12, 12, blocked),
+    cost: () => 1,
+    heuristic: (a, b) => {
+      const [ai, aj] = a.split(',').map(Number);
+      const [bi, bj] = b.split(',').map(Number);
+      return Math.max(Math.abs(ai - bi), Math.abs(aj - bj));
+    },
+    isValidNode: (k) => !blocked(k),
+  };
+  return {
+    algo,
+    stepper: makeSearchStepper(algo, options),
+    alone: makeSearchStepper(algo, options),
+  };
+}
+
+test('race: pickRaceWinner takes the cheapest path, then the fewest steps', () => {
+  const found = (cost, steps) => ({ status: 'found', cost, steps });
+  assert.equal(pickRaceWinner([found(10, 50), found(12, 5), found(10, 40)]), 2);
+  assert.equal(pickRaceWinner([found(10 + 1e-12, 30), found(10, 40)]), 0, 'equal costs tie');
+  assert.equal(pickRaceWinner([{ status: 'no-path', cost: null, steps: 9 }, found(30, 90)]), 1);
+  assert.equal(pickRaceWinner([{ status: 'no-path', cost: null, steps: 9 }]), null);
+});
+
+test('race: lanes step in lockstep and the race ends when all have finished', () => {
+  const lanes = ['astar', 'dijkstra', 'greedy'].map(gridLane);
+  const race = makeRaceStepper(lanes, { pathCost: (path) => path.length - 1 });
+  const alone = lanes.map(({ alone }) => runToCompletion(alone));
+
+  let r = race.step();
+  let n = 1;
+  while (!r.done) {
+    assert.equal(r.status, 'searching');
+    assert.equal(r.steps, n);
+    assert.equal(r.lanes.length, 3);
+    for (const [i, lane] of r.lanes.entries()) {
+      // A lane steps every race step until it finishes, then sits out.
+      assert.equal(lane == null, (race.race.lanes[i].finishedAt ?? n) < n);
+      if (lane?.status === 'searching') assert.equal(lane.steps, n);
+    }
+    r = race.step();
+    n++;
+  }
+
+  const { lanes: board, winner } = race.race;
+  board.forEach((lane, i) => {
+    assert.equal(lane.status, alone[i].status);
+    assert.equal(lane.steps, alone[i].steps);
+    assert.deepEqual(lane.path, alone[i].path);
+    assert.equal(lane.finishedAt, alone[i].steps);
+  });
+  // A* and Dijkstra tie on the optimal path; A* gets there in fewer steps.
+  assert.equal(board[0].cost, board[1].cost);
+  assert.ok(board[0].steps < board[1].steps);
+  assert.ok(board[2].cost >= board[0].cost);
+  assert.equal(winner, board[2].cost === board[0].cost && board[2].steps < board[0].steps ? 2 : 0);
+
+  assert.equal(r.status, 'found');
+  assert.equal(r.winner, winner);
+  assert.equal(r.steps, Math.max(...board.map((lane) => lane.finishedAt)));
+  assert.deepEqual(r.path, board[winner].path);
+  assert.equal(race.step(), r, 'a finished race stays finished');
+});
+
+test('race: viz=heat draws flat lane trees in race mode and stays on otherwise', () => {
+  assert.equal(raceViz(parseRuntimeConfig('?viz=heat')), 'heat');
+  assert.equal(raceViz(parseRuntimeConfig('?viz=heat&race=1')), 'tree');
+  assert.equal(raceViz(parseRuntimeConfig('?race=1')), 'tree');
+  assert.equal(raceViz(parseRuntimeConfig('')), 'tree');
+});
@@ -0,0 +1,145 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { makeSearchStepper } from '../astar.js';
+import { cost, heuristic, key, neighborsOf } from '../grid-helpers.js';
+import {
+  makeReplayRecorder,
+  makeReplayStepper,
+  parseReplayLog,
+  REPLAY_LOG_FORMAT,
+  replayRedirectSearch,
+  replaySearchParams,
+} from '../replay-log.js';
+
+const BOUNDS = { north: 42.55, south: 42.2, west: -71.35, east: -70.85 };
+const COLS = 30;
+const ROWS = 20;
+
+function gridStepper(algo, startKey, goalKey) {
+  return makeSearchStepper(algo, {
+    startKey,
+    goalKey,
+    neighbors: (k) => neighborsOf(k, COLS, ROWS),
+    reverseNeighbors: (k) => neighborsOf(k, COLS, ROWS),
+    cost: (a, b) => cost(a, b, BOUNDS, COLS, ROWS),
+    heuristic: (a, b) => heuristic(a, b, BOUNDS, COLS, ROWS),
+    isValidNode: () => true,
+  });
+}
+
+// Records one full cycle the way main.js does and returns every step result.
+function recordCycle(recorder, algo, startKey, goalKey, cycle = 1) {
+  const stepper = gridStepper(algo, startKey, goalKey);
+  recorder.begin({ cycle, graph: 'grid', startKey, goalKey });
+  const results = [];
+  while (true) {
+    const r = stepper.step();
+    results.push(r.done ? r : { ...r, closed: r.closedSet.size });
+    recorder.step(r);
+    if (r.done) {
+      recorder.end(r);
+      return results;
+    }
+  }
+}
+
+for (const algo of ['astar', 'bidirectional']) {
+  test(`replay stepper reproduces a recorded ${algo} cycle step for step`, () => {
+    const recorder = makeReplayRecorder({ seed: '7', params: 'algo=' + algo });
+    const startKey = key(2, 3);
+    const goalKey = key(25, 16);
+    const live = recordCycle(recorder, algo, startKey, goalKey);
+
+    const log = parseReplayLog(JSON.parse(JSON.stringify(recorder.log())));
+    assert.ok(log);
+    assert.equal(log.cycles.length, 1);
+    assert.equal(log.cycles[0].graph, 'grid');
+
+    const replay = makeReplayStepper(log.cycles[0]);
+    for (const expected of live) {
+      const r = replay.step();
+      assert.equal(r.done, expected.done);
+      assert.equal(r.status, expected.status);
+      assert.equal(r.steps, expected.steps);
+      if (r.done) {
+        assert.deepEqual(r.path, expected.path);
+      } else {
+        assert.equal(r.current, expected.current);
+        assert.equal(r.openSize, expected.openSize);
+        assert.equal(r.direction, expected.direction);
+      }
+    }
+  });
+}
+
+test('replayed trees match the live search for closed nodes', () => {
+  const recorder = makeReplayRecorder({});
+  const startKey = key(4, 4);
+  const goalKey = key(20, 12);
+  const stepper = gridStepper('astar', startKey, goalKey);
+  recorder.begin({ cycle: 1, graph: 'grid', startKey, goalKey });
+  let last = null;
+  for (let i = 0; i < 40; i++) {
+    last = stepper.step();
+    recorder.step(last);
+  }
+  recorder.end({ status: 'no-path', steps: 40 });
+
+  const replay = makeReplayStepper(recorder.log().cycles[0]);
+  let r = null;
+  for (let i = 0; i < 40; i++) r = replay.step();
+  assert.deepEqual([...r.closedSet].sort(), [...last.closedSet].sort());
+  for (const k of last.closedSet) assert.equal(r.cameFrom.get(k), last.cameFrom.get(k));
+});
+
+test('recorder keeps the last maxCycles cycles and truncates long ones', () => {
+  const recorder = makeReplayRecorder({ maxCycles: 2, maxSteps: 5 });
+  for (let c = 1; c <= 3; c++) recordCycle(recorder, 'astar', key(0, 0), key(c + 10, 10), c);
+  const { cycles } = recorder.log();
+  assert.deepEqual(
+    cycles.map((c) => c.cycle),
+    [2, 3],
+  );
+  assert.equal(cycles[0].expanded.length, 5);
+  assert.equal(cycles[0].truncated, true);
+  assert.equal(cycles[0].status, 'found');
+
+  recorder.begin({ cycle: 4, startKey: key(0, 0), goalKey: key(1, 1) });
+  recorder.discard();
+  recorder.end({ status: 'found', steps: 1 });
+  assert.equal(recorder.size, 2);
+});
+
+test('parseReplayLog rejects malformed logs', () => {
+  const recorder = makeReplayRecorder({ params: 'algo=astar' });
+  recordCycle(recorder, 'astar', key(1, 1), key(5, 5));
+  const good = JSON.parse(JSON.stringify(recorder.log()));
+  assert.equal(good.format, REPLAY_LOG_FORMAT);
+  assert.ok(parseReplayLog(good));
+
+  assert.equal(parseReplayLog(null), null);
+  assert.equal(parseReplayLog({ ...good, version: 99 }), null);
+  const broken = JSON.parse(JSON.stringify(good));
+  broken.cycles[0].parents.pop();
+  assert.equal(parseReplayLog(broken), null);
+  const badBackward = JSON.parse(JSON.stringify(good));
+  badBackward.cycles[0].backward = [1e9];
+  assert.equal(parseReplayLog(badBackward), null);
+});
+
+test('replay search params ignore view params and redirect only on mismatch', () => {
+  assert.equal(
+    replaySearchParams('?hud=1&seed=4&algo=dijkstra&sps=60&replay=x.json'),
+    'algo=dijkstra&seed=4',
+  );
+  assert.equal(replaySearchParams('?algo=astar', { seed: 9 }), 'algo=astar&seed=9');
+
+  const log = { params: 'algo=dijkstra&seed=4' };
+  assert.equal(replayRedirectSearch('?seed=4&algo=dijkstra&hud=1&replay=x.json', log), null);
+  const redirect = replayRedirectSearch('?algo=astar&hud=1&replay=x.json', log);
+  assert.equal(replaySearchParams(redirect), 'algo=dijkstra&seed=4');
+  const params = new URLSearchParams(redirect);
+  assert.equal(params.get('hud'), '1');
+  assert.equal(params.get('replay'), 'x.json');
+});
@@ -6,8 +6,10 @@ import {
   findNearestGraphNode,
   graphNodeLatLon,
   largestComponent,
+  reverseNeighborKeys,
 } from '../road-graph.js';
 import { haversineMeters, makeAStarStepper } from '../astar.js';
+import { HIGHWAY_DEFAULT_SPEEDS_KPH } from '../travel-time.js';
 
 test('road graph: builds nodes/edges and finds shortest path', () => {
   const lines = [
@@ -213,3 +215,100 @@ test('road graph: largestComponent returns the bigger component', () => {
     assert.ok(Math.abs(lat) < 1, 'largest component nodes should be near lat 0');
   }
 });
+
+test('road graph: reverseNeighborKeys lists predecessors (oneway aware)', () => {
+  const lines = [
+    {
+      oneway: 'yes',
+      coords: [
+        [0, 0],
+        [0, 1],
+      ],
+    },
+    [
+      [0, 1],
+      [1, 1],
+    ],
+  ];
+  const graph = buildRoadGraph(lines, { toleranceMeters: 0.1, contract: false });
+  const preds = reverseNeighborKeys(graph);
+
+  const a = findNearestGraphNode(graph, 0, 0);
+  const b = findNearestGraphNode(graph, 1, 0);
+  const c = findNearestGraphNode(graph, 1, 1);
+  assert.deepEqual(preds[a], [], 'oneway start has no predecessors');
+  assert.deepEqual(preds[b].sort(), [a, c].sort());
+  assert.deepEqual(preds[c], [b]);
+});
+
+test('road graph: edge times follow maxspeed, then highway defaults', () => {
+  const lines = [
+    {
+      coords: [
+        [0, 0],
+        [0.01, 0],
+      ],
+      highway: 'residential',
+      maxspeed: '25 mph',
+    },
+    {
+      coords: [
+        [0, 0.01],
+        [0.01, 0.01],
+      ],
+      highway: 'motorway',
+    },
+  ];
+
+  const graph = buildRoadGraph(lines, { toleranceMeters: 0.1, contract: false });
+  const a = findNearestGraphNode(graph, 0, 0);
+  const b = findNearestGraphNode(graph, 0, 0.01);
+  const c = findNearestGraphNode(graph, 0.01, 0);
+  const d = findNearestGraphNode(graph, 0.01, 0.01);
+
+  const slowMps = (25 * 1.609344) / 3.6;
+  const fastMps = HIGHWAY_DEFAULT_SPEEDS_KPH.motorway / 3.6;
+  assert.ok(Math.abs(graph.timeMaps[a].get(b) - graph.costMaps[a].get(b) / slowMps) < 1e-9);
+  assert.ok(Math.abs(graph.timeMaps[c].get(d) - graph.costMaps[c].get(d) / fastMps) < 1e-9);
+});
+
+test('road graph: time-weighted A* prefers the fast road over the short one', () => {
+  // A short residential hop vs. a longer motorway detour between the same nodes.
+  const lines = [
+    {
+      coords: [
+        [0, 0],
+        [0.02, 0],
+      ],
+      highway: 'residential',
+    },
+    {
+      coords: [
+        [0, 0],
+        [0.01, 0.008],
+        [0.02, 0],
+      ],
+      highway: 'motorway',
+    },
+  ];
+
+  const graph = buildRoadGraph(lines, { toleranceMeters: 0.1, contract: false });
+  const start = findNearestGraphNode(graph, 0, 0);
+  const goal = findNearestGraphNode(graph, 0, 0.02);
+  const run = (costMaps) => {
+    const stepper = makeAStarStepper({
+      startKey: start,
+      goalKey: goal,
+      neighbors: (k) => graph.adjacency[k].map((e) => e.to),
+      cost: (a, b) => costMaps[a].get(b),
+      heuristic: () => 0,
+    });
+    let r;
+    do r = stepper.step();
+    while (!r.done);
+    return r.path;
+  };
+
+  assert.equal(run(graph.costMaps).length, 2, 'distance cost takes the direct street');
+  assert.equal(run(graph.timeMaps).length, 3, 'time cost takes the motorway');
+});
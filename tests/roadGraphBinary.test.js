@@ -0,0 +1,157 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+import { buildContractionHierarchy } from '../contraction-hierarchy.js';
+import { buildLandmarks } from '../landmarks.js';
+import {
+  encodeRoadGraphBinary,
+  parseRoadGraphBinary,
+  ROAD_GRAPH_BINARY_MAGIC,
+} from '../road-graph-binary.js';
+import { buildRoadGraph, parseRoadGraphCache } from '../road-graph.js';
+import { sccStats } from '../scc.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+function readHeader(bytes) {
+  const length = new DataView(bytes.buffer).getUint32(8, true);
+  return JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + length)));
+}
+
+// A small block with a oneway side street, bent roads (via geometry) and a
+// primary road (different travel speed).
+function blockGraph() {
+  const lines = [
+    {
+      coords: [
+        [-71.1, 42.35],
+        [-71.095, 42.352],
+        [-71.09, 42.35],
+      ],
+    },
+    {
+      coords: [
+        [-71.09, 42.35],
+        [-71.09, 42.36],
+      ],
+      oneway: 'yes',
+    },
+    {
+      coords: [
+        [-71.09, 42.36],
+        [-71.1, 42.36],
+        [-71.1, 42.35],
+      ],
+    },
+    {
+      coords: [
+        [-71.09, 42.35],
+        [-71.08, 42.35],
+      ],
+      highway: 'primary',
+    },
+  ];
+  return buildRoadGraph(lines, { toleranceMeters: 2, contract: false });
+}
+
+test('road graph binary: round trip keeps graph, landmarks, hierarchy and stats', () => {
+  const graph = blockGraph();
+  const landmarks = buildLandmarks(graph, 2);
+  const ch = buildContractionHierarchy(graph);
+  const scc = sccStats(graph);
+  const bytes = encodeRoadGraphBinary(graph, {
+    landmarks,
+    ch,
+    scc,
+    generatedAt: '2024-01-01T00:00:00.000Z',
+  });
+
+  assert.equal(new TextDecoder().decode(bytes.subarray(0, 4)), ROAD_GRAPH_BINARY_MAGIC);
+  assert.equal(bytes.length % 8, 0);
+
+  const parsed = parseRoadGraphBinary(bytes.buffer);
+  assert.ok(parsed, 'expected a valid binary cache');
+  assert.deepEqual(
+    parsed.nodes,
+    graph.nodes.map((n) => ({ id: n.id, lat: n.lat, lon: n.lon, count: 1 })),
+  );
+  assert.deepEqual(parsed.offsets, graph.offsets);
+  assert.deepEqual(parsed.targets, graph.targets);
+  assert.deepEqual(parsed.weights, graph.weights);
+  assert.deepEqual(parsed.viaOffsets, graph.viaOffsets);
+  assert.deepEqual(parsed.viaCoords, graph.viaCoords);
+  assert.equal(parsed.toleranceMeters, 2);
+  for (let e = 0; e < graph.edges; e++) {
+    assert.ok(Math.abs(parsed.times[e] - graph.times[e]) < 1e-3, `time of edge ${e}`);
+  }
+
+  assert.deepEqual(parsed.landmarks.ids, landmarks.ids);
+  for (let r = 0; r < landmarks.ids.length; r++) {
+    assert.deepEqual(
+      Array.from(parsed.landmarks.from[r]),
+      Array.from(landmarks.from[r], (d) => (Number.isFinite(d) ? Math.round(d) : Infinity)),
+    );
+  }
+  assert.deepEqual(Array.from(parsed.ch.rank), Array.from(ch.rank));
+  assert.deepEqual(
+    parsed.ch.up,
+    ch.up.map((list) => list.map((e) => ({ ...e, mid: e.mid >= 0 ? e.mid : -1 }))),
+  );
+  assert.equal(parsed.ch.shortcuts, ch.shortcuts);
+  assert.deepEqual(parsed.scc, scc);
+});
+
+test('road graph binary: parses to the same graph as the JSON cache', async () => {
+  const json = parseRoadGraphCache(
+    JSON.parse(await readFile(path.resolve(here, './fixtures/roadGraph.v3.json'), 'utf-8')),
+  );
+  const parsed = parseRoadGraphBinary(
+    encodeRoadGraphBinary(json, { landmarks: json.landmarks, scc: json.scc }),
+  );
+  assert.deepEqual(parsed.adjacency, json.adjacency);
+  assert.deepEqual(parsed.landmarks, json.landmarks);
+  assert.deepEqual(parsed.scc, json.scc);
+  assert.equal(parsed.ch, null);
+  assert.deepEqual(parsed.restrictions, []);
+});
+
+test('road graph binary: unaligned Node buffers parse', () => {
+  const bytes = encodeRoadGraphBinary(blockGraph());
+  const padded = Buffer.alloc(bytes.length + 3);
+  padded.set(bytes, 3);
+  const parsed = parseRoadGraphBinary(padded.subarray(3));
+  assert.ok(parsed);
+  assert.equal(parsed.edges, blockGraph().edges);
+});
+
+test('road graph binary: wrong magic, truncation and bad targets are rejected', () => {
+  const bytes = encodeRoadGraphBinary(blockGraph());
+
+  const wrongMagic = bytes.slice();
+  wrongMagic[0] = 0x58;
+  assert.equal(parseRoadGraphBinary(wrongMagic), null);
+  assert.equal(parseRoadGraphBinary(bytes.subarray(0, bytes.length - 16).slice()), null);
+  assert.equal(parseRoadGraphBinary(new TextEncoder().encode('{"format":"osm-road-graph"}')), null);
+
+  const [, targetsOffset] = readHeader(bytes).sections.targets;
+  const badTarget = bytes.slice();
+  new DataView(badTarget.buffer).setInt32(targetsOffset, 1e6, true);
+  assert.equal(parseRoadGraphBinary(badTarget), null);
+});
+
+test('road graph binary: malformed landmark sections are dropped, graph still parses', () => {
+  const graph = blockGraph();
+  const bytes = encodeRoadGraphBinary(graph, { landmarks: buildLandmarks(graph, 2) });
+  const [, idsOffset] = readHeader(bytes).sections.landmarkIds;
+  const broken = bytes.slice();
+  new DataView(broken.buffer).setInt32(idsOffset, -5, true);
+
+  const parsed = parseRoadGraphBinary(broken);
+  assert.ok(parsed);
+  assert.equal(parsed.landmarks, null);
+  assert.equal(parsed.edges, graph.edges);
+});
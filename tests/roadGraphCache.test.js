@@ -4,7 +4,12 @@ import { readFile } from 'node:fs/promises';
 import { fileURLToPath } from 'node:url';
 import path from 'node:path';
 
-import { parseRoadGraphCache } from '../road-graph.js';
+import {
+  buildRoadGraph,
+  parseRoadGraphCache,
+  ROAD_GRAPH_VERSION,
+  serializeRoadGraph,
+} from '../road-graph.js';
 
 test('road graph cache: v1 schema parses', async () => {
   const here = path.dirname(fileURLToPath(import.meta.url));
@@ -77,3 +82,109 @@ test('road graph cache: toleranceMeters from options', async () => {
   const graph = parseRoadGraphCache(payload);
   assert.equal(graph.toleranceMeters, 10, 'should read toleranceMeters from options');
 });
+
+test('road graph cache: v3 schema parses landmark tables', async () => {
+  const here = path.dirname(fileURLToPath(import.meta.url));
+  const dataPath = path.resolve(here, './fixtures/roadGraph.v3.json');
+  const payload = JSON.parse(await readFile(dataPath, 'utf-8'));
+
+  const graph = parseRoadGraphCache(payload);
+  assert.ok(graph, 'expected valid v3 road graph cache');
+  assert.equal(graph.nodes.length, 3);
+  assert.ok(graph.landmarks, 'expected landmark tables');
+  assert.deepEqual(graph.landmarks.ids, [0, 2]);
+  assert.equal(graph.landmarks.from[1][0], 222000);
+});
+
+test('road graph cache: malformed v3 landmarks are dropped, graph still parses', async () => {
+  const here = path.dirname(fileURLToPath(import.meta.url));
+  const dataPath = path.resolve(here, './fixtures/roadGraph.v3.json');
+  const payload = JSON.parse(await readFile(dataPath, 'utf-8'));
+  payload.landmarks.from[0] = [0, 1]; // wrong length
+
+  const graph = parseRoadGraphCache(payload);
+  assert.ok(graph);
+  assert.equal(graph.landmarks, null);
+});
+
+test('road graph cache: v3 times become edge times and timeMaps', async () => {
+  const here = path.dirname(fileURLToPath(import.meta.url));
+  const v3 = JSON.parse(
+    await readFile(path.resolve(here, './fixtures/roadGraph.v3.json'), 'utf-8'),
+  );
+  const graph = parseRoadGraphCache(v3);
+  assert.equal(graph.adjacency[1][1].time, 7992);
+  assert.equal(graph.timeMaps[1].get(2), 7992);
+  assert.equal(graph.timeMaps[0].get(1), 3996);
+
+  const v2 = JSON.parse(
+    await readFile(path.resolve(here, './fixtures/roadGraph.v2.json'), 'utf-8'),
+  );
+  assert.equal(parseRoadGraphCache(v2).timeMaps, null, 'v2 caches carry no travel times');
+});
+
+test('road graph cache: v3 scc stats parse, malformed ones are dropped', async () => {
+  const here = path.dirname(fileURLToPath(import.meta.url));
+  const v3 = JSON.parse(
+    await readFile(path.resolve(here, './fixtures/roadGraph.v3.json'), 'utf-8'),
+  );
+  assert.deepEqual(parseRoadGraphCache(v3).scc, {
+    components: 1,
+    largest: 3,
+    trapped: 0,
+    sinks: 0,
+    sources: 0,
+    detached: 0,
+  });
+  assert.equal(parseRoadGraphCache({ ...v3, scc: { components: -1 } }).scc, null);
+});
+
+test('road graph cache: serializeRoadGraph round-trips a built graph', () => {
+  const built = buildRoadGraph(
+    [
+      {
+        coords: [
+          [-71.1, 42.35],
+          [-71.095, 42.351],
+          [-71.09, 42.35],
+        ],
+        highway: 'residential',
+      },
+      {
+        coords: [
+          [-71.09, 42.35],
+          [-71.09, 42.36],
+        ],
+        oneway: 'yes',
+      },
+      {
+        coords: [
+          [-71.09, 42.35],
+          [-71.08, 42.35],
+        ],
+      },
+    ],
+    { toleranceMeters: 2 },
+  );
+  const payload = JSON.parse(JSON.stringify(serializeRoadGraph(built)));
+  assert.equal(payload.version, ROAD_GRAPH_VERSION);
+  assert.equal(payload.options.toleranceMeters, 2);
+
+  const graph = parseRoadGraphCache(payload);
+  assert.equal(graph.nodes.length, built.nodes.length);
+  assert.equal(graph.edges, built.edges);
+  assert.equal(graph.toleranceMeters, 2);
+  for (let i = 0; i < built.adjacency.length; i++) {
+    assert.deepEqual(
+      graph.adjacency[i].map((e) => [e.to, e.weight, e.via ?? null]),
+      built.adjacency[i].map((e) => [e.to, e.weight, e.via ?? null]),
+    );
+    for (const e of built.adjacency[i]) {
+      assert.ok(Math.abs(graph.timeMaps[i].get(e.to) - e.time) <= 0.05);
+    }
+  }
+  assert.ok(
+    built.adjacency.some((list) => list.some((e) => e.via)),
+    'chain contracted',
+  );
+});
@@ -0,0 +1,218 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { makeSearchStepper, runToCompletion } from '../astar.js';
+import {
+  buildRoadGraph,
+  classifyTurn,
+  findNearestGraphNode,
+  makeTurnSearch,
+  parseRoadGraphCache,
+  projectTurnStepper,
+  serializeTurnRestrictions,
+  TURN_SINK,
+  TURN_SOURCE,
+} from '../road-graph.js';
+
+// Three east-west and three north-south streets, 0.01° apart. The middle
+// east-west street has an extra node at lon 0.005 (west of the center).
+//
+//   (0,.02) --- (.01,.02) --- (.02,.02)
+//      |            |             |
+//   (0,.01) - x - (.01,.01) --- (.02,.01)      x = (.005, .01)
+//      |            |             |
+//   (0,0) ----- (.01,0) ------ (.02,0)
+const LINES = [
+  [
+    [0, 0],
+    [0.01, 0],
+    [0.02, 0],
+  ],
+  [
+    [0, 0.01],
+    [0.005, 0.01],
+    [0.01, 0.01],
+    [0.02, 0.01],
+  ],
+  [
+    [0, 0.02],
+    [0.01, 0.02],
+    [0.02, 0.02],
+  ],
+  [
+    [0, 0],
+    [0, 0.01],
+    [0, 0.02],
+  ],
+  [
+    [0.01, 0],
+    [0.01, 0.01],
+    [0.01, 0.02],
+  ],
+  [
+    [0.02, 0],
+    [0.02, 0.01],
+    [0.02, 0.02],
+  ],
+];
+
+// No left turn from the middle street (heading east) onto the north street.
+const NO_LEFT = { kind: 'no', from: [0.005, 0.01], via: [0.01, 0.01], to: [0.01, 0.02] };
+
+function build(options = {}) {
+  return buildRoadGraph(LINES, { toleranceMeters: 1, contract: false, ...options });
+}
+
+function route(graph, { leftTurnPenalty = 0, uTurnPenalty = 0, algo = 'astar' } = {}) {
+  const startKey = findNearestGraphNode(graph, 0.01, 0.005);
+  const goalKey = findNearestGraphNode(graph, 0.02, 0.01);
+  const turnSearch = makeTurnSearch(graph, {
+    startKey,
+    goalKey,
+    cost: (a, b) => graph.costMaps[a].get(b),
+    heuristic: () => 0,
+    leftTurnPenalty,
+    uTurnPenalty,
+  });
+  const stepper = projectTurnStepper(makeSearchStepper(algo, turnSearch), turnSearch);
+  const r = runToCompletion(stepper, 10000);
+  let total = 0;
+  for (let i = 1; i < r.statePath.length; i++) {
+    total += turnSearch.cost(r.statePath[i - 1], r.statePath[i]);
+  }
+  return { ...r, total, startKey, goalKey };
+}
+
+const node = (graph, lon, lat) => findNearestGraphNode(graph, lat, lon);
+
+test('turns: without restrictions the route turns left at the center', () => {
+  const graph = build();
+  const r = route(graph);
+  assert.equal(r.status, 'found');
+  assert.deepEqual(r.path, [r.startKey, node(graph, 0.01, 0.01), r.goalKey]);
+});
+
+test('turns: a no_left_turn restriction is enforced', () => {
+  const graph = build({ restrictions: [NO_LEFT] });
+  assert.equal(graph.restrictions.length, 1);
+  assert.equal(graph.restrictions[0].via, node(graph, 0.01, 0.01));
+
+  const r = route(graph);
+  assert.equal(r.status, 'found');
+  const center = node(graph, 0.01, 0.01);
+  for (let i = 1; i < r.path.length - 1; i++) {
+    const banned =
+      r.path[i - 1] === r.startKey && r.path[i] === center && r.path[i + 1] === r.goalKey;
+    assert.ok(!banned, `restricted turn used: ${r.path}`);
+  }
+  assert.ok(r.path.length > 3, 'expected a detour');
+});
+
+test('turns: an only_ restriction allows just the named exit', () => {
+  const onlyStraight = { ...NO_LEFT, kind: 'only', to: [0.02, 0.01] };
+  const graph = build({ restrictions: [onlyStraight] });
+  const r = route(graph);
+  assert.equal(r.status, 'found');
+  const center = node(graph, 0.01, 0.01);
+  const i = r.path.indexOf(center);
+  if (i > 0 && r.path[i - 1] === r.startKey) {
+    assert.equal(r.path[i + 1], node(graph, 0.02, 0.01));
+  }
+});
+
+test('turns: left turn penalty pushes the route onto right turns', () => {
+  const graph = build();
+  const r = route(graph, { leftTurnPenalty: 5000 });
+  assert.equal(r.status, 'found');
+  assert.deepEqual(r.path, [r.startKey, node(graph, 0, 0.01), node(graph, 0, 0.02), r.goalKey]);
+});
+
+test('turns: classifyTurn tells left, right and U-turns apart', () => {
+  const graph = build();
+  const edgeId = (from, to) => {
+    let id = 0;
+    for (let v = 0; v < graph.adjacency.length; v++) {
+      for (const e of graph.adjacency[v]) {
+        if (v === from && e.to === to) return id;
+        id += 1;
+      }
+    }
+    return -1;
+  };
+  const x = node(graph, 0.005, 0.01);
+  const c = node(graph, 0.01, 0.01);
+  const eastIn = edgeId(x, c);
+  assert.equal(classifyTurn(graph, eastIn, edgeId(c, node(graph, 0.01, 0.02))), 'left');
+  assert.equal(classifyTurn(graph, eastIn, edgeId(c, node(graph, 0.01, 0))), 'other');
+  assert.equal(classifyTurn(graph, eastIn, edgeId(c, node(graph, 0.02, 0.01))), 'other');
+  assert.equal(classifyTurn(graph, eastIn, edgeId(c, x)), 'u-turn');
+});
+
+test('turns: restriction members survive contractGraph', () => {
+  const graph = buildRoadGraph(LINES, {
+    toleranceMeters: 1,
+    contract: true,
+    restrictions: [NO_LEFT],
+  });
+  const x = node(graph, 0.005, 0.01);
+  assert.ok(Math.abs(graph.nodes[x].lon - 0.005) < 1e-9, 'from node kept');
+  assert.deepEqual(graph.restrictions, [
+    { from: x, via: node(graph, 0.01, 0.01), to: node(graph, 0.01, 0.02), kind: 'no' },
+  ]);
+  const r = route(graph);
+  assert.equal(r.status, 'found');
+  assert.notDeepEqual(r.path, [x, node(graph, 0.01, 0.01), r.goalKey], 'still enforced');
+});
+
+test('turns: restrictions round-trip through the v3 cache', () => {
+  const graph = build({ restrictions: [NO_LEFT, { ...NO_LEFT, kind: 'only' }] });
+  const payload = {
+    format: 'osm-road-graph',
+    version: 3,
+    nodes: graph.nodes.map((n) => ({ lat: n.lat, lon: n.lon })),
+    edges: graph.adjacency.map((list) => list.map((e) => [e.to, e.weight])),
+    restrictions: [...serializeTurnRestrictions(graph.restrictions), [0, 1, 999, 0], 'junk'],
+  };
+  const parsed = parseRoadGraphCache(payload);
+  assert.deepEqual(parsed.restrictions, graph.restrictions);
+});
+
+test('turns: bidirectional search over edge states matches A*', () => {
+  const graph = build({ restrictions: [NO_LEFT] });
+  const penalties = { leftTurnPenalty: 300, uTurnPenalty: 900 };
+  const a = route(graph, penalties);
+  const b = route(graph, { ...penalties, algo: 'bidirectional' });
+  assert.equal(b.status, 'found');
+  assert.ok(Math.abs(a.total - b.total) < 1e-6, `${a.total} vs ${b.total}`);
+  assert.equal(b.statePath[0], TURN_SOURCE);
+  assert.equal(b.statePath[b.statePath.length - 1], TURN_SINK);
+});
+
+test('turns: projected steps report node keys', () => {
+  const graph = build();
+  const startKey = node(graph, 0, 0);
+  const turnSearch = makeTurnSearch(graph, {
+    startKey,
+    goalKey: node(graph, 0.02, 0.02),
+    cost: (a, b) => graph.costMaps[a].get(b),
+    heuristic: () => 0,
+  });
+  const stepper = projectTurnStepper(makeSearchStepper('dijkstra', turnSearch), turnSearch);
+  const newlyClosed = [];
+  let r;
+  do {
+    r = stepper.step();
+    if (r.closedKey != null) {
+      newlyClosed.push(r.closedKey);
+      assert.equal(r.parentKey, r.cameFrom.get(r.closedKey) ?? null);
+    }
+    for (const k of r.openedKeys ?? []) {
+      assert.ok(graph.nodes[k] && !r.closedSet.has(k), 'opened keys are open node ids');
+    }
+  } while (!r.done && r.steps < 4);
+  assert.ok(graph.nodes[r.current], 'current is a node id');
+  assert.deepEqual(newlyClosed, [...r.closedSet], 'each node is reported once, when it joins');
+  for (const k of r.closedSet) assert.ok(graph.nodes[k], 'closed keys are node ids');
+  for (const [k, prev] of r.cameFrom) assert.ok(graph.nodes[k] && graph.nodes[prev]);
+  assert.ok(r.closedSet.has(startKey));
+});
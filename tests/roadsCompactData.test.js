@@ -3,7 +3,11 @@ import assert from 'node:assert/strict';
 import { readFile } from 'node:fs/promises';
 import { fileURLToPath } from 'node:url';
 import path from 'node:path';
-import { extractRoadLinesFromCompact } from '../roads-data.js';
+import {
+  extractRoadLinesFromCompact,
+  extractRoadLinesWithMeta,
+  extractTurnRestrictions,
+} from '../roads-data.js';
 
 test('roads data: compact format parses into line arrays', async () => {
   const here = path.dirname(fileURLToPath(import.meta.url));
@@ -21,3 +25,29 @@ test('roads data: compact format parses into line arrays', async () => {
   assert.ok(Array.isArray(first[0]), 'coordinate should be an array');
   assert.equal(first[0].length, 2, 'coordinate should be [lon, lat]');
 });
+
+test('roads data: v2 compact lines keep highway, oneway and maxspeed', () => {
+  const compact = {
+    format: 'osm-roads-compact',
+    version: 2,
+    lines: [{ h: 'primary', o: 'yes', s: '30 mph', c: [-71.1, 42.3, -71.2, 42.31] }],
+  };
+
+  const [line] = extractRoadLinesWithMeta(compact);
+  assert.equal(line.highway, 'primary');
+  assert.equal(line.oneway, 'yes');
+  assert.equal(line.maxspeed, '30 mph');
+  assert.equal(line.coords.length, 2);
+});
+
+test('roads data: turn restrictions are read and malformed ones dropped', () => {
+  const valid = { kind: 'no', from: [0, 0], via: [1, 0], to: [1, 1] };
+  const data = {
+    format: 'osm-roads-compact',
+    version: 2,
+    lines: [],
+    restrictions: [valid, { kind: 'maybe', from: [0, 0], via: [1, 0], to: [1, 1] }, { kind: 'no' }],
+  };
+  assert.deepEqual(extractTurnRestrictions(data), [valid]);
+  assert.deepEqual(extractTurnRestrictions({ type: 'FeatureCollection', features: [] }), []);
+});
@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HISTORY_FORMAT, HISTORY_VERSION, makeRouteHistory } from '../route-history.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const route = (n, lat = 42.35) =>
+  Array.from({ length: n }, (_, i) => ({ lat: lat + i * 1e-3, lon: -71.06 - i * 1e-3 }));
+
+test('route history: routes are stored as rounded lat/lon pairs', () => {
+  const history = makeRouteHistory();
+  assert.equal(history.add([{ lat: 42.35, lon: -71.06 }], 0), false, 'one point is not a route');
+  assert.equal(
+    history.add(
+      [
+        { lat: 42.3500004, lon: -71.0600004 },
+        { lat: 42.36, lon: -71.05 },
+      ],
+      5,
+    ),
+    true,
+  );
+  assert.deepEqual(history.routes, [{ at: 5, coords: [42.35, -71.06, 42.36, -71.05] }]);
+});
+
+test('route history: keeps the newest maxRoutes routes', () => {
+  const history = makeRouteHistory({ maxRoutes: 3 });
+  for (let i = 0; i < 5; i++) history.add(route(3), i);
+  assert.deepEqual(
+    history.routes.map((r) => r.at),
+    [2, 3, 4],
+  );
+});
+
+test('route history: routes fade by half-life and are dropped once faint', () => {
+  const history = makeRouteHistory({ halfLifeMs: HOUR });
+  history.add(route(2), 0);
+  const [r] = history.routes;
+  assert.equal(history.alpha(r, 0), 1);
+  assert.equal(history.alpha(r, HOUR), 0.5);
+  assert.equal(history.alpha(r, 2 * HOUR), 0.25);
+  assert.equal(history.prune(5 * HOUR), false);
+  assert.equal(history.prune(6 * HOUR), true);
+  assert.equal(history.routes.length, 0);
+
+  const forever = makeRouteHistory({ halfLifeMs: 0 });
+  forever.add(route(2), 0);
+  assert.equal(forever.alpha(forever.routes[0], 1000 * HOUR), 1);
+});
+
+test('route history: serialize / load round-trips and rejects other data', () => {
+  const history = makeRouteHistory({ halfLifeMs: HOUR });
+  history.add(route(4), 10);
+  history.add(route(3, 42.4), 20);
+  const saved = JSON.parse(JSON.stringify(history.serialize()));
+  assert.equal(saved.format, HISTORY_FORMAT);
+  assert.equal(saved.version, HISTORY_VERSION);
+
+  const restored = makeRouteHistory({ halfLifeMs: HOUR });
+  assert.equal(restored.load(saved, 30), true);
+  assert.deepEqual(restored.routes, history.routes);
+
+  // Routes that faded while the page was closed are not restored.
+  const later = makeRouteHistory({ halfLifeMs: HOUR });
+  later.load(saved, 10 * HOUR);
+  assert.equal(later.routes.length, 0);
+
+  const other = makeRouteHistory();
+  assert.equal(other.load({ ...saved, version: 99 }, 30), false);
+  assert.equal(other.load(null, 30), false);
+  other.load({ ...saved, routes: [{ at: 1, coords: [1, 2, 3] }, saved.routes[0]] }, 30);
+  assert.deepEqual(other.routes, [saved.routes[0]], 'malformed routes are skipped');
+});
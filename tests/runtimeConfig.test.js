@@ -41,3 +41,103 @@ test('parseRuntimeConfig allows explicit params to override presets', () => {
   assert.equal(cfg.stepsPerSecond, 50);
   assert.equal(cfg.maxStepsPerFrame, 30);
 });
+
+test('parseRuntimeConfig reads algo and clamps epsilon', () => {
+  assert.equal(parseRuntimeConfig('').algo, 'astar');
+  assert.equal(parseRuntimeConfig('?algo=dijkstra').algo, 'dijkstra');
+  assert.equal(parseRuntimeConfig('?algo=bogus').algo, 'astar');
+
+  const cfg = parseRuntimeConfig('?algo=weighted&epsilon=25');
+  assert.equal(cfg.algo, 'weighted');
+  assert.equal(cfg.epsilon, 10);
+  assert.equal(parseRuntimeConfig('?epsilon=0.2').epsilon, 1);
+});
+
+test('parseRuntimeConfig reads jps and clamps obstacles', () => {
+  assert.equal(parseRuntimeConfig('?algo=jps').algo, 'jps');
+  assert.equal(parseRuntimeConfig('').obstacles, 0);
+  assert.equal(parseRuntimeConfig('?obstacles=0.25').obstacles, 0.25);
+  assert.equal(parseRuntimeConfig('?obstacles=3').obstacles, 0.5);
+});
+
+test('parseRuntimeConfig reads cost', () => {
+  assert.equal(parseRuntimeConfig('').cost, 'distance');
+  assert.equal(parseRuntimeConfig('?cost=time').cost, 'time');
+  assert.equal(parseRuntimeConfig('?cost=fuel').cost, 'distance');
+});
+
+test('parseRuntimeConfig reads turns and clamps turn penalties', () => {
+  const def = parseRuntimeConfig('');
+  assert.equal(def.turns, 0);
+  assert.equal(def.leftTurnPenalty, 10);
+  assert.equal(def.uTurnPenalty, 60);
+
+  const cfg = parseRuntimeConfig('?turns=1&leftTurnPenalty=25&uTurnPenalty=9999');
+  assert.equal(cfg.turns, 1);
+  assert.equal(cfg.leftTurnPenalty, 25);
+  assert.equal(cfg.uTurnPenalty, 600);
+});
+
+test('parseRuntimeConfig reads snap', () => {
+  assert.equal(parseRuntimeConfig('').snap, 'node');
+  assert.equal(parseRuntimeConfig('?snap=edge').snap, 'edge');
+  assert.equal(parseRuntimeConfig('?snap=way').snap, 'node');
+});
+
+test('parseRuntimeConfig reads resume', () => {
+  assert.equal(parseRuntimeConfig('').resume, 0);
+  assert.equal(parseRuntimeConfig('?resume=1').resume, 1);
+});
+
+test('parseRuntimeConfig reads record and replay', () => {
+  const cfg = parseRuntimeConfig('');
+  assert.equal(cfg.record, 0);
+  assert.equal(cfg.replay, null);
+  assert.equal(parseRuntimeConfig('?record=5').record, 5);
+  assert.equal(parseRuntimeConfig('?record=500').record, 50);
+  assert.equal(parseRuntimeConfig('?replay=logs/odd.json').replay, 'logs/odd.json');
+});
+
+test('parseRuntimeConfig reads worker', () => {
+  assert.equal(parseRuntimeConfig('').worker, 1);
+  assert.equal(parseRuntimeConfig('?worker=0').worker, 0);
+});
+
+test('parseRuntimeConfig reads race and raceAlgos', () => {
+  const base = parseRuntimeConfig('');
+  assert.equal(base.race, 0);
+  assert.deepEqual(base.raceAlgos, ['astar', 'dijkstra', 'greedy']);
+  const config = parseRuntimeConfig('?race=1&raceAlgos=greedy, astar,greedy,nope');
+  assert.equal(config.race, 1);
+  assert.deepEqual(config.raceAlgos, ['greedy', 'astar']);
+  // Races need two to four lanes.
+  assert.deepEqual(parseRuntimeConfig('?raceAlgos=astar').raceAlgos, base.raceAlgos);
+  assert.deepEqual(
+    parseRuntimeConfig('?raceAlgos=astar,dijkstra,greedy,weighted,bidirectional').raceAlgos,
+    base.raceAlgos,
+  );
+});
+
+test('parseRuntimeConfig reads the route history params', () => {
+  const base = parseRuntimeConfig('');
+  assert.equal(base.history, 0);
+  assert.equal(base.historyMax, 100);
+  assert.equal(base.historyDecay, 60);
+  assert.equal(base.historyPersist, 0);
+  const config = parseRuntimeConfig('?history=1&historyMax=900&historyDecay=0&historyPersist=1');
+  assert.equal(config.history, 1);
+  assert.equal(config.historyMax, 500);
+  assert.equal(config.historyDecay, 0);
+  assert.equal(config.historyPersist, 1);
+});
+
+test('parseRuntimeConfig reads pick', () => {
+  assert.equal(parseRuntimeConfig('').pick, 0);
+  assert.equal(parseRuntimeConfig('?pick=1').pick, 1);
+});
+
+test('parseRuntimeConfig reads camera', () => {
+  assert.equal(parseRuntimeConfig('').camera, 'fixed');
+  assert.equal(parseRuntimeConfig('?camera=cinematic').camera, 'cinematic');
+  assert.equal(parseRuntimeConfig('?camera=orbit').camera, 'fixed');
+});
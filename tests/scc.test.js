@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildRoadGraph, largestComponent } from '../road-graph.js';
+import {
+  largestStronglyConnectedComponent,
+  parseSccStats,
+  sccStats,
+  stronglyConnectedComponents,
+  trapNodes,
+} from '../scc.js';
+
+// Hand-built adjacency (ids are positions in `edges`).
+function graphOf(edges) {
+  return {
+    nodes: edges.map((_, id) => ({ id, lat: id * 0.001, lon: 0 })),
+    adjacency: edges.map((list) => list.map((to) => ({ to, weight: 1 }))),
+  };
+}
+
+// 0 <-> 1 <-> 2 <-> 0 is the core; 2 -> 3 is a oneway into a dead end (sink),
+// 4 -> 0 a oneway out of a cul-de-sac (source), 5 <-> 6 an island.
+const EDGES = [[1, 2], [0, 2], [0, 1, 3], [], [0], [6], [5]];
+
+test('scc: Tarjan finds the strongly connected components', () => {
+  const { componentOf, sizes, largest } = stronglyConnectedComponents(graphOf(EDGES));
+  assert.equal(sizes.length, 4);
+  assert.equal(sizes[largest], 3);
+  assert.equal(componentOf[0], componentOf[1]);
+  assert.equal(componentOf[0], componentOf[2]);
+  assert.equal(componentOf[5], componentOf[6]);
+  assert.notEqual(componentOf[3], componentOf[0]);
+  assert.notEqual(componentOf[4], componentOf[0]);
+});
+
+test('scc: the largest component drops nodes an undirected search keeps', () => {
+  const graph = graphOf(EDGES);
+  assert.deepEqual([...largestStronglyConnectedComponent(graph)].sort(), [0, 1, 2]);
+  assert.ok(largestComponent(graph).has(3), 'undirected view keeps the dead end');
+});
+
+test('scc: trap nodes are classified', () => {
+  const traps = trapNodes(graphOf(EDGES));
+  assert.deepEqual(
+    traps.map((t) => [t.id, t.kind, t.componentSize]),
+    [
+      [3, 'sink', 1],
+      [4, 'source', 1],
+      [5, 'detached', 2],
+      [6, 'detached', 2],
+    ],
+  );
+  assert.equal(traps[0].lat, 0.003);
+
+  assert.deepEqual(sccStats(graphOf(EDGES)), {
+    components: 4,
+    largest: 3,
+    trapped: 4,
+    sinks: 1,
+    sources: 1,
+    detached: 2,
+  });
+});
+
+test('scc: oneway road lines leave a trapped spur', () => {
+  const graph = buildRoadGraph(
+    [
+      [
+        [0, 0],
+        [0.01, 0],
+        [0.01, 0.01],
+        [0, 0],
+      ],
+      {
+        oneway: 'yes',
+        coords: [
+          [0.01, 0.01],
+          [0.02, 0.02],
+        ],
+      },
+    ],
+    { toleranceMeters: 1, contract: false },
+  );
+  const core = largestStronglyConnectedComponent(graph);
+  assert.equal(core.size, 3);
+  const [trap] = trapNodes(graph);
+  assert.equal(trap.kind, 'sink');
+  assert.ok(Math.abs(trap.lat - 0.02) < 1e-9);
+});
+
+test('scc: deep chains do not overflow the stack', () => {
+  const n = 200000;
+  const edges = Array.from({ length: n }, (_, i) => [(i + 1) % n]);
+  const { sizes } = stronglyConnectedComponents(graphOf(edges));
+  assert.deepEqual(sizes, [n]);
+});
+
+test('scc: empty graphs and stats parsing', () => {
+  assert.equal(largestStronglyConnectedComponent({ nodes: [], adjacency: [] }).size, 0);
+  assert.deepEqual(trapNodes({ nodes: [], adjacency: [] }), []);
+  const stats = { components: 2, largest: 5, trapped: 1, sinks: 1, sources: 0, detached: 0 };
+  assert.deepEqual(parseSccStats({ ...stats, extra: true }), stats);
+  assert.equal(parseSccStats({ ...stats, sinks: 1.5 }), null);
+  assert.equal(parseSccStats(null), null);
+});
@@ -0,0 +1,294 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseRuntimeConfig } from '../config.js';
+import { snapToGraphEdge } from '../edge-snap.js';
+import { buildRoadGraph } from '../road-graph.js';
+import { makeSearchEngine, makeSearchEngineHost, makeSearchEngineView } from '../search-engine.js';
+
+// Host and view wired back to back, as the page fallback runs them.
+async function engine(query, { loadRoads = async () => null, ...opts } = {}) {
+  const config = parseRuntimeConfig(query);
+  const saves = [];
+  let host = null;
+  const view = makeSearchEngineView(config, {
+    send: (msg) => host.handle(msg),
+    onSave: (saved) => saves.push(saved),
+  });
+  host = makeSearchEngineHost(config, {
+    post: (msg) => view.apply(JSON.parse(JSON.stringify(msg))),
+    loadRoads,
+    ...opts,
+  });
+  await host.start(0);
+  return { config, host, sim: host.sim, view, saves };
+}
+
+// Parents of the closed nodes: all the deltas carry (and all the renderer reads).
+function closedParents(closedSet, cameFrom) {
+  return new Map([...closedSet].map((k) => [k, cameFrom.get(k) ?? null]));
+}
+
+// A loop of bent roads around Beacon Hill (via geometry on every edge).
+function loopGraph() {
+  return buildRoadGraph(
+    [
+      [
+        [-71.07, 42.355],
+        [-71.065, 42.358],
+        [-71.06, 42.355],
+      ],
+      [
+        [-71.06, 42.355],
+        [-71.058, 42.36],
+        [-71.06, 42.365],
+      ],
+      [
+        [-71.06, 42.365],
+        [-71.065, 42.367],
+        [-71.07, 42.365],
+      ],
+      [
+        [-71.07, 42.365],
+        [-71.072, 42.36],
+        [-71.07, 42.355],
+      ],
+    ],
+    { toleranceMeters: 1 },
+  );
+}
+
+test('search engine: the view mirrors the closed sets and trees from step deltas', async () => {
+  const { sim, view } = await engine('?graph=grid&seed=5&sps=10&resume=0');
+  assert.equal(view.cycle, 1);
+  assert.equal(view.startKey, sim.startKey);
+  assert.equal(view.goalKey, sim.goalKey);
+
+  let now = 0;
+  for (let i = 0; i < 5; i++) {
+    now += 350;
+    view.advance(now);
+    const step = view.currentStep;
+    assert.equal(step.steps, sim.currentStep.steps);
+    assert.equal(step.current, sim.currentStep.current);
+    assert.equal(step.openSize, sim.currentStep.openSize);
+    assert.deepEqual(step.closedSet, sim.currentStep.closedSet);
+    assert.equal(step.frontier.size, sim.currentStep.openSize);
+    for (const k of step.frontier.keys()) assert.ok(sim.currentStep.cameFrom.has(k));
+    assert.deepEqual(
+      closedParents(step.closedSet, step.cameFrom),
+      closedParents(sim.currentStep.closedSet, sim.currentStep.cameFrom),
+    );
+  }
+
+  // The explored log lists the same tree in closing order, for incremental drawing.
+  const { keys, parents, backward } = view.explored;
+  assert.deepEqual(keys, [...sim.currentStep.closedSet]);
+  assert.deepEqual(
+    parents,
+    keys.map((k) => sim.currentStep.cameFrom.get(k) ?? null),
+  );
+  assert.ok(backward.every((b) => b === false));
+  assert.deepEqual(
+    view.explored.g,
+    keys.map((k) => sim.currentStep.gScore.get(k)),
+  );
+  assert.ok(view.explored.f.every((f, i) => f >= view.explored.g[i]));
+
+  while (view.phase === 'search') {
+    now += 1000;
+    view.advance(now);
+  }
+  assert.equal(view.phase, 'end-hold');
+  assert.deepEqual(view.finalPath, sim.finalPath);
+  assert.equal(view.currentStep.status, 'found');
+  assert.ok(view.lastSearchStep.closedSet.size > 0);
+  assert.equal(view.lastPathLengthMeters, sim.lastPathLengthMeters);
+});
+
+test('search engine: bidirectional deltas keep the backward tree apart', async () => {
+  const { sim, view } = await engine('?graph=grid&seed=2&algo=bidirectional&sps=20&resume=0');
+  view.advance(1000);
+  const step = view.currentStep;
+  assert.ok(step.closedSetBackward.size > 0);
+  assert.deepEqual(step.closedSet, sim.currentStep.closedSet);
+  assert.deepEqual(step.closedSetBackward, sim.currentStep.closedSetBackward);
+  assert.deepEqual(
+    closedParents(step.closedSetBackward, step.cameFromBackward),
+    closedParents(sim.currentStep.closedSetBackward, sim.currentStep.cameFromBackward),
+  );
+  assert.equal(step.direction, sim.currentStep.direction);
+  const { keys, backward } = view.explored;
+  assert.deepEqual(
+    keys.filter((_, i) => backward[i]),
+    [...sim.currentStep.closedSetBackward],
+  );
+});
+
+test('search engine: race lanes reach the view with their own trees', async () => {
+  const { sim, view } = await engine('?graph=grid&seed=3&race=1&sps=20&resume=0');
+  assert.deepEqual(
+    view.race.lanes.map((lane) => lane.algo),
+    ['astar', 'dijkstra', 'greedy'],
+  );
+  let now = 0;
+  while (view.phase === 'search' && now < 1e7) {
+    now += 1000;
+    view.advance(now);
+    view.race.lanes.forEach((lane, i) => {
+      assert.equal(lane.steps, sim.race.lanes[i].steps);
+      assert.equal(lane.trees.explored.keys.length, lane.trees.closedSet.size);
+    });
+  }
+  assert.equal(view.phase, 'end-hold');
+  assert.equal(view.race.winner, sim.race.winner);
+  view.race.lanes.forEach((lane, i) => {
+    assert.deepEqual(lane.path, sim.race.lanes[i].path);
+    assert.equal(lane.cost, sim.race.lanes[i].cost);
+  });
+  assert.deepEqual(view.finalPath, sim.race.lanes[sim.race.winner].path);
+  // The single-search trees stay empty.
+  assert.equal(view.explored.keys.length, 0);
+});
+
+test('search engine: road graphs reach the view as positions and edge geometry', async () => {
+  const graph = loopGraph();
+  const { sim, view } = await engine('?graph=roads&snap=edge&seed=1&resume=0', {
+    loadRoads: async () => ({ graph, points: { points: [], keys: [] } }),
+  });
+  assert.ok(view.isRoadGraphActive());
+  assert.equal(view.graphInfo.nodes, graph.nodes.length);
+  assert.equal(view.graphInfo.edges, graph.edges);
+  assert.equal(view.graphInfo.reachable, sim.reachableNodes.size);
+  for (let a = 0; a < graph.nodes.length; a++) {
+    assert.deepEqual(view.keyToLatLon(a), sim.keyToLatLon(a));
+    for (const b of graph.neighbors(a)) assert.deepEqual(view.edgeVia(a, b), sim.edgeVia(a, b));
+  }
+
+  // Endpoints on edges add split nodes with their own cut geometry.
+  sim.startCycle({
+    start: snapToGraphEdge(graph, 42.357, -71.064),
+    goal: snapToGraphEdge(graph, 42.366, -71.066),
+  });
+  assert.ok(view.graphSplit.nodes.size === 2);
+  assert.deepEqual(view.keyToLatLon(view.startKey), sim.keyToLatLon(sim.startKey));
+  for (const id of sim.graphSplit.keys) {
+    for (const { to } of sim.graphSplit.edges(id)) {
+      assert.deepEqual(view.edgeVia(id, to), sim.edgeVia(id, to));
+      assert.deepEqual(view.edgeVia(to, id), sim.edgeVia(to, id));
+    }
+  }
+});
+
+test('search engine: a saved cycle resumes with its closed set on the page', async () => {
+  const query = '?graph=grid&seed=9&sps=10&resume=1';
+  const first = await engine(query);
+  first.view.advance(1200);
+  first.view.save();
+  assert.equal(first.saves.length, 1);
+  assert.equal(typeof first.saves[0], 'string', 'snapshots reach the page as JSON text');
+  const closed = first.sim.currentStep.closedSet;
+
+  const second = await engine(query, { resume: first.saves[0] });
+  assert.equal(second.view.cycle, first.view.cycle);
+  assert.equal(second.view.startKey, first.view.startKey);
+  assert.deepEqual(second.view.currentStep.closedSet, closed);
+  assert.equal(second.view.currentStep.steps, first.view.currentStep.steps);
+  assert.deepEqual(
+    new Set(second.view.currentStep.frontier.keys()),
+    new Set(first.view.currentStep.frontier.keys()),
+  );
+
+  // Other settings mean a different search; it starts fresh.
+  const other = await engine('?graph=grid&seed=9&sps=10&resume=1&algo=dijkstra', {
+    resume: first.saves[0],
+  });
+  assert.equal(other.view.currentStep, null);
+});
+
+test('search engine: picked endpoints restart the search on the host', async () => {
+  const { sim, view } = await engine('?graph=grid&seed=8&resume=0');
+  view.advance(1000);
+  const goal = sim.keyToLatLon(sim.goalKey);
+  const start = sim.keyToLatLon(sim.startKey);
+  assert.equal(await view.pickEndpoint('start', goal.lat, goal.lon), false);
+  assert.equal(view.cycle, 1);
+
+  // Halfway between the endpoints.
+  assert.equal(
+    await view.pickEndpoint('goal', (start.lat + goal.lat) / 2, (start.lon + goal.lon) / 2),
+    true,
+  );
+  assert.equal(view.cycle, 2);
+  assert.equal(view.goalKey, sim.goalKey);
+  assert.notEqual(view.goalKey, view.startKey);
+  assert.equal(view.currentStep, null);
+});
+
+test('search engine: recorded cycles download through the view', async () => {
+  const { view } = await engine('?graph=grid&seed=4&record=2&resume=0', { seed: '4' });
+  let now = 0;
+  while (view.recorded < 1 && now < 1e7) {
+    now += 5000;
+    view.advance(now);
+  }
+  const log = await view.downloadReplayLog();
+  assert.equal(log.seed, '4');
+  assert.ok(log.cycles.length >= 1);
+  assert.equal(view.recorded, log.cycles.length);
+});
+
+test('search engine: runs in the page without Web Workers', (t) => {
+  // No graph caches to fetch here.
+  t.mock.method(globalThis, 'fetch', async () => ({ ok: false }));
+  const config = parseRuntimeConfig('?graph=grid&seed=1&resume=0');
+  const view = makeSearchEngine(config, { loadRoadsData: async () => null });
+  assert.equal(view.engine, 'page');
+  assert.equal(view.cycle, 1);
+  view.advance(performance.now() + 500);
+  assert.ok(view.currentStep.steps > 0);
+});
+
+test('search engine: a worker host without graph caches asks the page for the road lines', async (t) => {
+  let fetches = 0;
+  t.mock.method(globalThis, 'fetch', async () => {
+    fetches += 1;
+    return { ok: false };
+  });
+  const config = parseRuntimeConfig('?graph=roads&seed=1&resume=0');
+  const posted = [];
+  const host = makeSearchEngineHost(config, { post: (msg) => posted.push(msg), engine: 'worker' });
+  const started = host.start(0);
+  // The cache fetches all fail in microtasks.
+  for (let i = 0; i < 1000 && !posted.some((msg) => msg.type === 'roads-data'); i++) {
+    await Promise.resolve();
+  }
+  assert.ok(posted.some((msg) => msg.type === 'roads-data'));
+  const cacheFetches = fetches;
+
+  host.handle({
+    type: 'roads-data',
+    data: {
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          properties: { highway: 'residential' },
+          geometry: {
+            type: 'LineString',
+            coordinates: [
+              [-71.1, 42.35],
+              [-71.09, 42.35],
+              [-71.095, 42.355],
+              [-71.1, 42.35],
+            ],
+          },
+        },
+      ],
+    },
+  });
+  await started;
+  assert.equal(fetches, cacheFetches, 'no road file fetched by the host');
+  const graph = posted.find((msg) => msg.type === 'graph');
+  assert.ok(graph?.info.nodes >= 3);
+});
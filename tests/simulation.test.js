@@ -0,0 +1,280 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseRuntimeConfig } from '../config.js';
+import { key } from '../grid-helpers.js';
+import { buildLandmarks } from '../landmarks.js';
+import { buildRoadGraph } from '../road-graph.js';
+import { makeSimulation } from '../simulation.js';
+import { seededRng } from '../grid-helpers.js';
+
+function gridSim(query, opts = {}) {
+  const config = parseRuntimeConfig(query);
+  return makeSimulation(config, { rng: seededRng(config.seed), ...opts });
+}
+
+function runCycles(sim, n) {
+  const outcomes = [];
+  for (let i = 0; i < n; i++) outcomes.push(sim.runCycle());
+  return outcomes;
+}
+
+test('headless grid cycles are reproducible for a seed', () => {
+  const query = '?graph=grid&seed=11&soak=1&obstacles=0.1';
+  const first = runCycles(gridSim(query), 4);
+  const second = runCycles(gridSim(query), 4);
+  assert.deepEqual(second, first);
+  assert.deepEqual(
+    first.map((o) => o.cycle),
+    [1, 2, 3, 4],
+  );
+  for (const o of first.filter((o) => o.outcome === 'found')) {
+    assert.equal(o.status, 'found');
+    assert.ok(o.steps > 0);
+    assert.ok(o.pathMeters > 0);
+    assert.ok(o.pathNodes >= 2);
+  }
+});
+
+test('runCycle counts soak stats and starts the next cycle', () => {
+  const sim = gridSim('?graph=grid&seed=3&soak=1');
+  const outcome = sim.runCycle();
+  assert.equal(outcome.outcome, 'found');
+  assert.equal(sim.soakStats.cyclesCompleted, 1);
+  assert.equal(sim.soakStats.totalSteps, outcome.steps);
+  assert.equal(sim.cycle, 2);
+  assert.equal(sim.phase, 'search');
+  assert.equal(sim.currentStep, null);
+});
+
+test('advance steps at the configured rate and runs the end phases', () => {
+  let now = 0;
+  const events = [];
+  const sim = gridSim('?graph=grid&seed=5&sps=10&endHoldMs=100&endTraceMs=100&endGlowMs=100', {
+    clock: () => now,
+    onCycleStart: () => events.push('start'),
+    onCycleEnd: (r, outcome) => events.push(outcome),
+  });
+  sim.nextCycle();
+  assert.deepEqual(events, ['start']);
+
+  now = 250;
+  sim.advance(now);
+  assert.equal(sim.currentStep.steps, 2);
+
+  // Run the search out, then the end phases hand over to the next cycle.
+  while (sim.phase === 'search') {
+    now += 1000;
+    sim.advance(now);
+  }
+  assert.equal(events[1], 'found');
+  assert.equal(sim.phase, 'end-hold');
+  assert.ok(sim.finalPath.length >= 2);
+  for (let i = 0; i < 10 && sim.cycle === 1; i++) {
+    now += 100;
+    sim.advance(now);
+  }
+  assert.equal(sim.cycle, 2);
+  assert.equal(sim.phase, 'search');
+  assert.equal(events[2], 'start');
+});
+
+test('the ALT savings baseline steps alongside the search and finishes in the end phases', () => {
+  // A 12 x 12 street lattice, searched corner to corner.
+  const lines = [];
+  for (let i = 0; i < 12; i++) {
+    const row = [];
+    const col = [];
+    for (let j = 0; j < 12; j++) {
+      row.push([-71.1 + j * 0.002, 42.35 + i * 0.002]);
+      col.push([-71.1 + i * 0.002, 42.35 + j * 0.002]);
+    }
+    lines.push(row, col);
+  }
+  const graph = buildRoadGraph(lines, { toleranceMeters: 1 });
+  graph.landmarks = buildLandmarks(graph, 4);
+  const corner = (sign) =>
+    graph.nodes.reduce((a, b) => (sign * (b.lat + b.lon) > sign * (a.lat + a.lon) ? b : a)).id;
+
+  let now = 0;
+  const config = parseRuntimeConfig('?graph=roads&heuristic=alt&sps=100&maxStepsPerFrame=1');
+  const sim = makeSimulation(config, { rng: seededRng(1), clock: () => now });
+  sim.setRoadGraph(graph);
+  assert.ok(sim.isAltActive());
+  sim.startCycle({ start: corner(-1), goal: corner(1) });
+
+  let frames = 0;
+  while (sim.phase === 'search') {
+    now += 10;
+    sim.advance(now);
+    frames += 1;
+  }
+  assert.equal(sim.phase, 'end-hold');
+  const found = sim.altSavings;
+  assert.equal(found.steps, sim.currentStep.steps);
+  // One baseline step per search step so far (one search step per frame here).
+  assert.ok(found.baselineSteps <= frames);
+  if (!found.exact) {
+    now += 10;
+    sim.advance(now);
+  }
+  const done = sim.altSavings;
+  assert.equal(done.exact, true);
+  assert.equal(done.steps, found.steps);
+  assert.ok(done.baselineSteps >= found.baselineSteps);
+  assert.ok(done.baselineSteps >= done.steps);
+});
+
+test('clearCycle idles until the next cycle, and nextCycle can be replaced', () => {
+  let calls = 0;
+  const sim = gridSim('?graph=grid&seed=2', {
+    nextCycle: () => {
+      calls += 1;
+      sim.startCycle({ start: key(1, 1), goal: key(4, 3) }, { cycle: 40 });
+    },
+  });
+  sim.clearCycle('replay-wait');
+  assert.equal(sim.phase, 'replay-wait');
+  assert.equal(sim.stepper, null);
+  sim.advance(1e6);
+  assert.equal(sim.phase, 'replay-wait');
+
+  const outcome = sim.runCycle();
+  assert.equal(calls, 2); // the cycle itself, then the one after it
+  assert.equal(outcome.cycle, 40);
+  assert.equal(outcome.outcome, 'found');
+});
+
+test('road graph cycles sample endpoints from the reachable component', () => {
+  const config = parseRuntimeConfig('?graph=roads&seed=4&soak=1');
+  const sim = makeSimulation(config, { rng: seededRng(config.seed) });
+  // A one-way spur (node 3 cannot be left) next to a two-way triangle.
+  const graph = buildRoadGraph(
+    [
+      [
+        [-71.1, 42.35],
+        [-71.09, 42.35],
+      ],
+      [
+        [-71.09, 42.35],
+        [-71.095, 42.355],
+      ],
+      [
+        [-71.095, 42.355],
+        [-71.1, 42.35],
+      ],
+      {
+        coords: [
+          [-71.1, 42.35],
+          [-71.11, 42.34],
+        ],
+        oneway: 'yes',
+      },
+    ],
+    { toleranceMeters: 1 },
+  );
+  sim.setRoadGraph(graph);
+  assert.ok(sim.isRoadGraphActive());
+  assert.equal(sim.reachableNodes.size, 3);
+
+  for (const o of runCycles(sim, 3)) {
+    assert.equal(o.outcome, 'found');
+    assert.ok(o.pathMeters > 0);
+  }
+
+  sim.setRoadGraph(null);
+  assert.equal(sim.isRoadGraphActive(), false);
+  assert.equal(sim.reachableNodes, null);
+});
+
+test('pickEndpoint restarts from the nearest reachable road node', () => {
+  const config = parseRuntimeConfig('?graph=roads&seed=4');
+  const sim = makeSimulation(config, { rng: seededRng(config.seed) });
+  // A two-way triangle with a one-way spur out to a trapped node.
+  const graph = buildRoadGraph(
+    [
+      [
+        [-71.1, 42.35],
+        [-71.09, 42.35],
+        [-71.095, 42.355],
+        [-71.1, 42.35],
+      ],
+      {
+        coords: [
+          [-71.1, 42.35],
+          [-71.11, 42.34],
+        ],
+        oneway: 'yes',
+      },
+    ],
+    { toleranceMeters: 1 },
+  );
+  sim.setRoadGraph(graph);
+  const nodeAt = (lat, lon) => graph.nodes.find((n) => n.lat === lat && n.lon === lon).id;
+
+  assert.equal(sim.pickEndpoint('start', 42.35, -71.09), false, 'no cycle yet');
+  sim.nextCycle();
+  const { cycle, goalKey } = sim;
+  const start = goalKey === nodeAt(42.35, -71.09) ? nodeAt(42.355, -71.095) : nodeAt(42.35, -71.09);
+  const ll = graph.nodes[start];
+  assert.equal(sim.pickEndpoint('start', ll.lat + 2e-4, ll.lon - 2e-4), true);
+  assert.equal(sim.startKey, start);
+  assert.equal(sim.goalKey, goalKey);
+  assert.equal(sim.cycle, cycle + 1);
+  assert.equal(sim.phase, 'search');
+
+  // The trapped node is not usable, nor is the goal, nor a spot far from any road.
+  assert.equal(sim.pickEndpoint('start', 42.34, -71.11), false);
+  assert.equal(
+    sim.pickEndpoint('start', graph.nodes[goalKey].lat, graph.nodes[goalKey].lon),
+    false,
+  );
+  assert.equal(sim.pickEndpoint('goal', 42.5, -71.3), false);
+  assert.equal(sim.startKey, start);
+  assert.equal(sim.cycle, cycle + 1);
+});
+
+test('pickEndpoint takes the grid cell under the point unless it is blocked', () => {
+  const sim = gridSim('?graph=grid&seed=2&obstacles=0.2');
+  sim.nextCycle();
+  const bounds = sim.simBounds;
+  const { gridCols, gridRows } = sim.config;
+  const cells = [];
+  for (let i = 0; i < gridCols; i++) for (let j = 0; j < gridRows; j++) cells.push(key(i, j));
+  const blocked = cells.find((k) => sim.gridObstacles.has(k));
+  const free = cells.find(
+    (k) => !sim.gridObstacles.has(k) && k !== sim.startKey && k !== sim.goalKey,
+  );
+  const at = (k) => sim.keyToLatLon(k, bounds);
+
+  assert.equal(sim.pickEndpoint('goal', at(blocked).lat, at(blocked).lon), false);
+  assert.equal(sim.pickEndpoint('goal', at(free).lat, at(free).lon), true);
+  assert.equal(sim.goalKey, free);
+  assert.ok(sim.sampling.distanceMeters > 0);
+  assert.equal(sim.pickEndpoint('goal', bounds.north + 1, bounds.west), false, 'off the grid');
+});
+
+test('race cycles search every raceAlgos lane and end with the winner', () => {
+  let race = null;
+  const sim = gridSim('?graph=grid&seed=6&race=1&raceAlgos=astar,dijkstra&resume=0', {
+    onCycleEnd: (r) => {
+      race = { ...sim.race, path: r.path };
+    },
+  });
+  const outcome = sim.runCycle();
+  assert.equal(outcome.outcome, 'found');
+  const { lanes, winner } = race;
+  assert.deepEqual(
+    lanes.map((lane) => lane.algo),
+    ['astar', 'dijkstra'],
+  );
+  for (const lane of lanes) {
+    assert.equal(lane.status, 'found');
+    assert.equal(lane.cost, sim.pathLengthMeters(lane.path));
+  }
+  // Both are optimal, so A* wins on steps.
+  assert.equal(winner, 0);
+  assert.deepEqual(race.path, lanes[0].path);
+  assert.equal(outcome.pathMeters, lanes[0].cost);
+  assert.equal(outcome.steps, Math.max(lanes[0].finishedAt, lanes[1].finishedAt));
+});
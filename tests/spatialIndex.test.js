@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { haversineMeters } from '../astar.js';
+import { makeSpatialIndex } from '../spatial-index.js';
+import { buildRoadGraph, findNearestGraphNode } from '../road-graph.js';
+import { snapLatLonToRoadPoint } from '../road-point-cache.js';
+import { seededRng } from '../grid-helpers.js';
+
+// Random points over a Boston-sized box.
+function randomPoints(count, seed) {
+  const rng = seededRng(seed);
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    out.push({ id: i, lat: 42.2 + rng() * 0.35, lon: -71.35 + rng() * 0.5 });
+  }
+  return out;
+}
+
+const bruteForce = (points, lat, lon) =>
+  points
+    .map((p) => ({ item: p, meters: haversineMeters({ lat, lon }, p) }))
+    .sort((a, b) => a.meters - b.meters);
+
+test('spatial index: nearest agrees with a haversine brute force', () => {
+  const points = randomPoints(2000, 1);
+  const index = makeSpatialIndex(points);
+  const queries = randomPoints(200, 2);
+
+  for (const q of queries) {
+    const hit = index.nearest(q.lat, q.lon);
+    const [best] = bruteForce(points, q.lat, q.lon);
+    const hitMeters = haversineMeters(q, hit.item);
+    // Projection error over ~40 km is far below 0.5%.
+    assert.ok(hitMeters <= best.meters * 1.005 + 0.01, `${hitMeters} vs ${best.meters}`);
+    assert.ok(Math.abs(hit.meters - hitMeters) <= hitMeters * 0.005 + 0.01);
+  }
+});
+
+test('spatial index: kNearest returns the k closest, nearest first', () => {
+  const points = randomPoints(1500, 3);
+  const index = makeSpatialIndex(points);
+  const q = { lat: 42.36, lon: -71.06 };
+
+  const hits = index.kNearest(q.lat, q.lon, 10);
+  assert.equal(hits.length, 10);
+  for (let i = 1; i < hits.length; i++) assert.ok(hits[i - 1].meters <= hits[i].meters);
+
+  const expected = new Set(
+    bruteForce(points, q.lat, q.lon)
+      .slice(0, 10)
+      .map((h) => h.item.id),
+  );
+  const overlap = hits.filter((h) => expected.has(h.item.id)).length;
+  assert.ok(overlap >= 9, `only ${overlap} of the true 10 nearest`);
+
+  assert.equal(index.kNearest(q.lat, q.lon, 0).length, 0);
+  assert.equal(index.kNearest(q.lat, q.lon, 5000).length, points.length);
+});
+
+test('spatial index: withinRadius finds exactly the points inside the radius', () => {
+  const points = randomPoints(1500, 4);
+  const index = makeSpatialIndex(points);
+  const q = { lat: 42.3, lon: -71.1 };
+
+  const hits = index.withinRadius(q.lat, q.lon, 2000);
+  const ids = new Set(hits.map((h) => h.item.id));
+  for (const p of points) {
+    const d = haversineMeters(q, p);
+    if (d < 1990) assert.ok(ids.has(p.id), `missed point at ${d}m`);
+    if (d > 2010) assert.ok(!ids.has(p.id), `extra point at ${d}m`);
+  }
+  for (let i = 1; i < hits.length; i++) assert.ok(hits[i - 1].meters <= hits[i].meters);
+});
+
+test('spatial index: options, far queries and empty input', () => {
+  const points = randomPoints(300, 5);
+  const index = makeSpatialIndex(points);
+
+  // Queries outside the bucketed area still find the closest point.
+  const outside = index.nearest(42.7, -70.6);
+  assert.equal(outside.item, bruteForce(points, 42.7, -70.6)[0].item);
+  assert.equal(index.nearest(42.3, -71.1, { maxMeters: 0.001 }), null);
+  const even = index.nearest(42.3, -71.1, { filter: (p) => p.id % 2 === 0 });
+  assert.equal(even.item.id % 2, 0);
+
+  const empty = makeSpatialIndex([]);
+  assert.equal(empty.nearest(0, 0), null);
+  assert.deepEqual(empty.kNearest(0, 0, 3), []);
+  assert.deepEqual(empty.withinRadius(0, 0, 100), []);
+
+  const skipped = makeSpatialIndex([
+    { lat: NaN, lon: 0 },
+    { lat: 1, lon: 1 },
+  ]);
+  assert.equal(skipped.size, 1);
+});
+
+// At 60°N a degree of longitude is half a degree of latitude, so comparing
+// squared degrees picks the wrong neighbor here.
+test('spatial index: findNearestGraphNode and snapLatLonToRoadPoint use metric distance', () => {
+  const query = { lat: 60, lon: 10 };
+  const east = { lat: 60, lon: 10.009 }; // ~500 m
+  const north = { lat: 60.006, lon: 10 }; // ~667 m
+  assert.ok(haversineMeters(query, east) < haversineMeters(query, north));
+
+  assert.equal(snapLatLonToRoadPoint(query.lat, query.lon, [north, east]), east);
+
+  const graph = buildRoadGraph(
+    [
+      [
+        [north.lon, north.lat],
+        [10.02, 60.02],
+      ],
+      [
+        [east.lon, east.lat],
+        [10.03, 60],
+      ],
+    ],
+    { toleranceMeters: 1, contract: false },
+  );
+  const id = findNearestGraphNode(graph, query.lat, query.lon);
+  assert.ok(Math.abs(graph.nodes[id].lon - east.lon) < 1e-9);
+});
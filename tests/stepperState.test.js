@@ -0,0 +1,178 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { makeSearchStepper, runToCompletion } from '../astar.js';
+import { buildContractionHierarchy } from '../contraction-hierarchy.js';
+import { cost, heuristic, key, neighborsOf, randomObstacles, seededRng } from '../grid-helpers.js';
+import { makeJumpPointGrid } from '../jump-point-search.js';
+import { MinHeap } from '../min-heap.js';
+import {
+  buildRoadGraph,
+  graphNodeLatLon,
+  makeTurnSearch,
+  projectTurnStepper,
+  reverseNeighborKeys,
+} from '../road-graph.js';
+import { haversineMeters } from '../astar.js';
+import {
+  decodeHeap,
+  encodeHeap,
+  STEPPER_STATE_FORMAT,
+  STEPPER_STATE_VERSION,
+} from '../stepper-state.js';
+
+const BOUNDS = { north: 42.55, south: 42.2, west: -71.35, east: -70.85 };
+const COLS = 40;
+const ROWS = 30;
+
+const BLOCKED = randomObstacles(COLS, ROWS, { density: 0.2, rng: seededRng(7) });
+BLOCKED.delete(key(1, 1));
+BLOCKED.delete(key(37, 27));
+
+function gridOptions(startKey = key(1, 1), goalKey = key(37, 27)) {
+  const isBlocked = (k) => BLOCKED.has(k);
+  const stepCost = (a, b) => cost(a, b, BOUNDS, COLS, ROWS);
+  return {
+    startKey,
+    goalKey,
+    neighbors: (k) => neighborsOf(k, COLS, ROWS, isBlocked),
+    cost: stepCost,
+    heuristic: (a, b) => heuristic(a, b, BOUNDS, COLS, ROWS),
+    isValidNode: (k) => !isBlocked(k),
+    jps: makeJumpPointGrid({ gridCols: COLS, gridRows: ROWS, isBlocked, goalKey, stepCost }),
+  };
+}
+
+// Street grid with oneway rows/columns (same shape as the CH tests).
+function cityGraph() {
+  const lines = [];
+  const N = 7;
+  for (let r = 0; r < N; r++) {
+    const row = [];
+    for (let c = 0; c < N; c++) row.push([c * 0.01 + (r % 2) * 0.002, r * 0.01]);
+    lines.push(r === 2 ? { oneway: 'yes', coords: row } : row);
+  }
+  for (let c = 0; c < N; c++) {
+    const col = [];
+    for (let r = 0; r < N; r++) col.push([c * 0.01 + (r % 2) * 0.002, r * 0.01]);
+    lines.push(c === 4 ? { oneway: '-1', coords: col } : col);
+  }
+  return buildRoadGraph(lines, { toleranceMeters: 1, contract: false });
+}
+
+function roadOptions(graph, startKey = 0, goalKey = graph.nodes.length - 1) {
+  const predecessors = reverseNeighborKeys(graph);
+  return {
+    startKey,
+    goalKey,
+    neighbors: (k) => graph.adjacency[k].map((e) => e.to),
+    reverseNeighbors: (k) => predecessors[k],
+    cost: (a, b) => graph.costMaps[a].get(b),
+    heuristic: (a, b) => haversineMeters(graphNodeLatLon(graph, a), graphNodeLatLon(graph, b)),
+  };
+}
+
+// Run one stepper `splitAt` steps, restore its JSON snapshot into a fresh one,
+// then check both continue identically to the end.
+function assertResumes(makeStepper, splitAt) {
+  const original = makeStepper();
+  for (let i = 0; i < splitAt; i++) original.step();
+  const snapshot = JSON.parse(JSON.stringify(original.serialize()));
+  assert.equal(snapshot.format, STEPPER_STATE_FORMAT);
+  assert.equal(snapshot.version, STEPPER_STATE_VERSION);
+
+  const resumed = makeStepper();
+  assert.equal(resumed.restore(snapshot), true);
+  for (let i = 0; i < 100000; i++) {
+    const a = original.step();
+    const b = resumed.step();
+    assert.equal(b.status, a.status);
+    assert.equal(b.current, a.current);
+    assert.equal(b.steps, a.steps);
+    assert.equal(b.openSize, a.openSize);
+    if (a.done) {
+      assert.deepEqual(b.path, a.path);
+      assert.deepEqual([...resumed.getState().closedSet], [...original.getState().closedSet]);
+      return a;
+    }
+  }
+  assert.fail('search did not finish');
+}
+
+for (const algo of ['astar', 'dijkstra', 'greedy', 'weighted', 'jps']) {
+  test(`stepper state: ${algo} on the grid resumes mid-search`, () => {
+    const r = assertResumes(() => makeSearchStepper(algo, { ...gridOptions(), epsilon: 2 }), 40);
+    assert.equal(r.status, 'found');
+  });
+}
+
+test('stepper state: bidirectional A* and CH resume mid-search', () => {
+  const graph = cityGraph();
+  const ch = buildContractionHierarchy(graph);
+  for (const algo of ['bidirectional', 'ch']) {
+    const r = assertResumes(() => makeSearchStepper(algo, { ...roadOptions(graph), ch }), 9);
+    assert.equal(r.status, 'found', algo);
+  }
+});
+
+test('stepper state: turn-aware steppers resume with their node trees', () => {
+  const graph = cityGraph();
+  const make = () => {
+    const turnSearch = makeTurnSearch(graph, {
+      ...roadOptions(graph),
+      leftTurnPenalty: 50,
+      uTurnPenalty: 200,
+    });
+    return projectTurnStepper(makeSearchStepper('astar', turnSearch), turnSearch);
+  };
+  const original = make();
+  for (let i = 0; i < 15; i++) original.step();
+  const resumed = make();
+  assert.ok(resumed.restore(JSON.parse(JSON.stringify(original.serialize()))));
+  assert.deepEqual([...resumed.getState().cameFrom], [...original.getState().cameFrom]);
+  assert.deepEqual(runToCompletion(resumed).statePath, runToCompletion(original).statePath);
+});
+
+test('stepper state: finished searches restore as finished', () => {
+  const stepper = makeSearchStepper('astar', gridOptions());
+  const done = runToCompletion(stepper);
+  const resumed = makeSearchStepper('astar', gridOptions());
+  assert.ok(resumed.restore(JSON.parse(JSON.stringify(stepper.serialize()))));
+  const r = resumed.step();
+  assert.equal(r.done, true);
+  assert.deepEqual(r.path, done.path);
+});
+
+test('stepper state: mismatched snapshots are rejected and leave the stepper alone', () => {
+  const stepper = makeSearchStepper('astar', gridOptions());
+  for (let i = 0; i < 5; i++) stepper.step();
+  const snapshot = stepper.serialize();
+
+  const other = makeSearchStepper('astar', gridOptions(key(2, 1)));
+  assert.equal(other.restore(snapshot), false, 'different start');
+  assert.equal(other.getState().steps, 0);
+  assert.equal(makeSearchStepper('dijkstra', gridOptions()).restore(snapshot), false);
+  assert.equal(makeSearchStepper('bidirectional', gridOptions()).restore(snapshot), false);
+  const fresh = () => makeSearchStepper('astar', gridOptions());
+  assert.equal(fresh().restore({ ...snapshot, version: 99 }), false);
+  assert.equal(fresh().restore({ ...snapshot, open: 'nope' }), false);
+  assert.equal(fresh().restore(null), false);
+
+  const [blocked] = BLOCKED;
+  const invalid = makeSearchStepper('astar', gridOptions(blocked));
+  assert.equal(invalid.serialize().kind, 'invalid-endpoints');
+  assert.equal(makeSearchStepper('astar', gridOptions(blocked)).restore(invalid.serialize()), true);
+});
+
+test('stepper state: heaps round-trip in the same order, infinities included', () => {
+  const heap = new MinHeap();
+  [5, 1, 4, 1, 3, Infinity, 2].forEach((p, i) => heap.push(`k${i}`, p));
+  const copy = decodeHeap(JSON.parse(JSON.stringify(encodeHeap(heap))));
+  const drain = (h) => {
+    const out = [];
+    while (h.size) out.push(h.pop());
+    return out;
+  };
+  assert.deepEqual(drain(copy), drain(heap));
+  assert.equal(decodeHeap([[1]]), null);
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_SPEED_KPH,
+  HIGHWAY_DEFAULT_SPEEDS_KPH,
+  formatEta,
+  maxEdgeSpeedMps,
+  parseMaxspeed,
+  roadSpeedKph,
+  travelSeconds,
+} from '../travel-time.js';
+
+test('parseMaxspeed handles km/h, mph and multi-valued tags', () => {
+  assert.equal(parseMaxspeed('50'), 50);
+  assert.equal(parseMaxspeed('50 km/h'), 50);
+  assert.ok(Math.abs(parseMaxspeed('25 mph') - 40.2336) < 1e-9);
+  assert.equal(parseMaxspeed('40;30'), 40);
+  assert.equal(parseMaxspeed(35), 35);
+});
+
+test('parseMaxspeed rejects symbolic and empty values', () => {
+  for (const raw of ['none', 'signals', 'US:urban', '', null, undefined, '0', -5]) {
+    assert.equal(parseMaxspeed(raw), null, String(raw));
+  }
+});
+
+test('roadSpeedKph prefers maxspeed, then highway class, then the default', () => {
+  assert.equal(roadSpeedKph({ highway: 'motorway', maxspeed: '30' }), 30);
+  assert.equal(roadSpeedKph({ highway: 'motorway' }), HIGHWAY_DEFAULT_SPEEDS_KPH.motorway);
+  assert.equal(roadSpeedKph({ highway: 'residential', maxspeed: 'none' }), 40);
+  assert.equal(roadSpeedKph({ highway: 'bridleway' }), DEFAULT_SPEED_KPH);
+  assert.equal(roadSpeedKph(), DEFAULT_SPEED_KPH);
+});
+
+test('travelSeconds converts meters at km/h to seconds', () => {
+  assert.equal(travelSeconds(1000, 36), 100);
+});
+
+test('maxEdgeSpeedMps finds the fastest edge', () => {
+  const graph = {
+    adjacency: [
+      [{ to: 1, weight: 100, time: 10 }],
+      [
+        { to: 0, weight: 100, time: 4 },
+        { to: 2, weight: 50 },
+      ],
+      [],
+    ],
+  };
+  assert.equal(maxEdgeSpeedMps(graph), 25);
+  assert.equal(maxEdgeSpeedMps({ adjacency: [[{ to: 0, weight: 1 }]] }), DEFAULT_SPEED_KPH / 3.6);
+});
+
+test('formatEta renders seconds, minutes and hours', () => {
+  assert.equal(formatEta(42.4), '42s');
+  assert.equal(formatEta(425), '7m 05s');
+  assert.equal(formatEta(4320), '1h 12m');
+  assert.equal(formatEta(NaN), '—');
+});
@@ -0,0 +1,73 @@
+import { toCsrGraph } from './csr-graph.js';
+
+// --- Travel-time edge costs ---
+//
+// Edge speed = OSM `maxspeed` when it parses, else a default for the `highway`
+// class. Times are in seconds; distances stay in meters.
+
+// Typical free-flow speeds (km/h) for Greater Boston road classes.
+export const HIGHWAY_DEFAULT_SPEEDS_KPH = {
+  motorway: 100,
+  motorway_link: 60,
+  trunk: 80,
+  trunk_link: 50,
+  primary: 65,
+  primary_link: 50,
+  secondary: 55,
+  secondary_link: 45,
+  tertiary: 50,
+  tertiary_link: 40,
+  unclassified: 40,
+  residential: 40,
+  living_street: 15,
+  service: 20,
+};
+
+// Unknown / missing highway class (and the grid graph).
+export const DEFAULT_SPEED_KPH = 40;
+
+const KPH_PER_MPH = 1.609344;
+
+// OSM maxspeed -> km/h, or null when it is not a plain number
+// ("none", "signals", "US:urban", ...). Handles "25 mph", "50", "50 km/h"
+// and takes the first of multi-valued tags ("40;30").
+export function parseMaxspeed(raw) {
+  if (typeof raw === 'number') return Number.isFinite(raw) && raw > 0 ? raw : null;
+  if (typeof raw !== 'string') return null;
+  const first = raw.split(';')[0].trim().toLowerCase();
+  const m = /^(\d+(?:\.\d+)?)\s*(mph|km\/h|kmh|kph)?$/.exec(first);
+  if (!m) return null;
+  const value = Number.parseFloat(m[1]);
+  if (!(value > 0)) return null;
+  return m[2] === 'mph' ? value * KPH_PER_MPH : value;
+}
+
+export function roadSpeedKph({ highway = null, maxspeed = null } = {}) {
+  return parseMaxspeed(maxspeed) ?? HIGHWAY_DEFAULT_SPEEDS_KPH[highway] ?? DEFAULT_SPEED_KPH;
+}
+
+export function travelSeconds(meters, speedKph) {
+  return meters / (speedKph / 3.6);
+}
+
+// Fastest edge speed in m/s (weight / time). Dividing straight-line meters by
+// it gives an admissible time heuristic.
+export function maxEdgeSpeedMps(graph) {
+  const { weights, times } = toCsrGraph(graph);
+  let best = 0;
+  for (let e = 0; times && e < times.length; e++) {
+    if (Number.isFinite(times[e]) && times[e] > 0) best = Math.max(best, weights[e] / times[e]);
+  }
+  return best > 0 ? best : DEFAULT_SPEED_KPH / 3.6;
+}
+
+// "42s", "7m 05s", "1h 12m".
+export function formatEta(seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) return '—';
+  const s = Math.round(seconds);
+  if (s < 60) return `${s}s`;
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (h > 0) return `${h}h ${m}m`;
+  return `${m}m ${String(s % 60).padStart(2, '0')}s`;
+}